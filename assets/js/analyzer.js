@@ -1,228 +1,89 @@
-/**
- * Calculates the summation of an array of numeric values.
- * @param {Array<number|string>} values - An array of numbers or strings that can be parsed to numbers.
- * @returns {number} The sum of the values.
- */
-const summation = (values) => {
-    return values.reduce((sum, value) => sum + parseFloat(value), 0);
-};
-
-/**
- * Calculates the mean (average) of an array of numeric values.
- * @param {Array<number|string>} values - An array of numbers or strings that can be parsed to numbers.
- * @returns {number} The mean of the values.
- */
-const calculateMean = (values) => {
-    if (!Array.isArray(values) || values.length === 0) return 0;
-    return summation(values) / values.length;
-};
-
-/**
- * Calculates the squared differences of each data point from the mean.
- * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
- * @param {number} mean - The mean of the data.
- * @returns {Array<number>} An array of squared differences.
- */
-const getSquareDifferences = (data, mean) => {
-    return data.map(value => Math.pow(parseFloat(value) - mean, 2));
-};
+import {
+    calculateMean,
+    calculateSD,
+    calculateMeanCI,
+    calculateSkewness,
+    calculateTtest,
+    calculateOneWayAnova,
+    calculateTwoWayAnova,
+    calculateRepeatedMeasuresAnova,
+    calculateMixedAnova,
+    calculatePostHoc,
+    calculateMannWhitneyU,
+    calculateWilcoxonSignedRank,
+    calculateKruskalWallis,
+    calculateShapiroWilk,
+    calculateAssumptionChecks,
+    calculateCorrelationMatrix,
+    calculateLinearRegression,
+    calculateChiSquareGoodnessOfFit,
+    calculateChiSquareIndependence,
+    calculateFisherExact,
+    detectOutliers,
+    handleOutliers,
+    OUTLIER_DEFAULT_THRESHOLDS,
+    transformDatasets,
+    TRANSFORMS,
+    readFactorLevels
+} from "./stats/index.js";
+import {
+    buildWideDatasets,
+    buildLongDatasets,
+    buildSheetDatasets,
+    buildContingencyTable,
+    guessTableLayout,
+    getColumnName,
+    isNumericColumn,
+    readSheetTable,
+    alignSheetTables,
+    parseDelimitedText,
+    parseJsonTable,
+    parseMissingCodes,
+    readEnteredValues,
+    deleteIncompleteRows,
+    excludeFlaggedRows
+} from "./import.js";
+import { readSavFile } from "./sav.js";
+import { createDataGrid } from "./grid.js";
+import { createContingencyEditor } from "./contingency.js";
+import { ANALYSIS_PRESETS, recommendPreset, findDataProblems, findTableProblems } from "./presets.js";
+import { saveAnalysis, getAnalysis, listAnalyses, renameAnalysis, deleteAnalysis } from "./storage.js";
 
-/**
- * Calculates the standard deviation of a dataset.
- * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
- * @param {"population"|"sample"} type - The type of standard deviation to calculate ("population" or "sample").
- * @returns {string} The standard deviation, formatted to 3 decimal places.
- */
-const calculateSD = (data, type = "population") => {
-    if (!Array.isArray(data) || data.length === 0) return "0.000";
-    const mean = calculateMean(data);
-    const squaredDiffs = getSquareDifferences(data, mean);
-    const sumSquaredDiff = summation(squaredDiffs);
-    const variance = type === "population" 
-        ? sumSquaredDiff / data.length 
-        : sumSquaredDiff / (data.length - 1);
-    return Math.sqrt(variance).toFixed(3);
-};
+// === Helper Functions ===
 
 /**
- * Calculates the independent samples t-test.
- * @param {Array<number>} means - An array containing the means of two groups.
- * @param {Array<number>} noOfItems - An array containing the number of items in each of the two groups.
- * @param {Array<number>} SDs - An array containing the standard deviations of the two groups.
- * @returns {string} The calculated t-test value, formatted to 3 decimal places.
+ * Parses and validates a comma-separated string of numeric values.
+ * @param {string} fieldValue - The string containing comma-separated values.
+ * @param {Array<string>} missingCodes - The missing-value codes.
+ * @returns {Array<number>|null} An array of parsed numbers if valid, otherwise null.
  */
-const calculateTtest = (means, noOfItems, SDs) => {
-    if (means.length !== 2 || noOfItems.length !== 2 || SDs.length !== 2) {
-        return "N/A";
-    }
-    const meanDiff = means[0] - means[1];
-    const pooledSD = Math.sqrt(
-        (Math.pow(SDs[0], 2) / noOfItems[0]) +
-        (Math.pow(SDs[1], 2) / noOfItems[1])
-    );
-    if (pooledSD === 0) return "Infinity";
-    return (meanDiff / pooledSD).toFixed(3);
+const parseAndValidateFieldValues = (fieldValue, missingCodes) => {
+    const parsed = readEnteredValues(fieldValue, missingCodes).filter(entry => entry.reason === undefined).map(entry => entry.value);
+    return (parsed.length >= 3) ? parsed : null;
 };
 
 /**
- * Calculates the One-Way ANOVA F-value and related statistics.
- * @param {Array<Array<number>>} dataset - An array of arrays, where each inner array is a group's data.
- * @param {Array<number>} means - An array of means for each group.
- * @param {Array<number>} noOfItems - An array of the number of items in each group.
- * @returns {Object} An object containing ANOVA results.
+ * Finds the entries of a comma-separated string that are blank, missing-value codes or not numbers,
+ * and so are left out of the analysis. A trailing comma is not counted.
+ * @param {string} fieldValue - The string containing comma-separated values.
+ * @param {Array<string>} missingCodes - The missing-value codes.
+ * @returns {Array<{position: number, cell: string, reason: string}>} The excluded entries, with
+ *   their 1-based positions.
  */
-const calculateOneWayAnova = (dataset, means, noOfItems) => {
-    if (dataset.length < 2 || dataset.length !== means.length || dataset.length !== noOfItems.length) {
-        return { F: "N/A" };
-    }
-    const totalItems = summation(noOfItems);
-    const noOfGroups = dataset.length;
-    const grandMean = calculateMean(means);
-    const dfb = noOfGroups - 1;
-    const dfw = totalItems - noOfGroups;
-
-    let ssb = [];
-    let ssw = [];
-    for (let i = 0; i < noOfGroups; i++) {
-        ssb.push(noOfItems[i] * Math.pow(means[i] - grandMean, 2));
-        ssw.push(getSquareDifferences(dataset[i], means[i]));
-    }
-
-    const essb = summation(ssb);
-    const essw = summation(ssw.flat());
-    const mssb = essb / dfb;
-    const mssw = essw / dfw;
-    const f = (mssw === 0) ? "Infinity" : (mssb / mssw).toFixed(2);
-
-    return { 
-        F: f,
-        ESSb: essb.toFixed(3),   
-        ESSw: essw.toFixed(3),
-        MeanSSb: mssb.toFixed(3),
-        MeanSSw: mssw.toFixed(3),
-        DFb: dfb,
-        DFW: dfw,
-    };
-};
-
-// === New: Simple Two-Way ANOVA (Main Effects Only) ===
-const calculateTwoWayAnova = (dataArrays, labeledDatasets) => {
-    // Expect labels in format "LevelA-LevelB" e.g., "Control-DrugX", "Control-Placebo", "Treatment-DrugX"
-    const labelPattern = /^(.+?)-(.+)$/;
-    const factorALevels = new Set();
-    const factorBLevels = new Set();
-    const groupMap = {}; // "A-B" → data array
-
-    for (let i = 0; i < labeledDatasets.length; i++) {
-        const match = labeledDatasets[i].label.trim().match(labelPattern);
-        if (!match) {
-            return { error: "Two-Way ANOVA requires dataset labels in 'FactorA-FactorB' format (e.g., Control-DrugX)." };
-        }
-        const [_, a, b] = match;
-        factorALevels.add(a);
-        factorBLevels.add(b);
-        groupMap[`${a}-${b}`] = dataArrays[i];
-    }
-
-    const A = Array.from(factorALevels);
-    const B = Array.from(factorBLevels);
-    if (A.length < 2 || B.length < 2) {
-        return { error: "Two-Way ANOVA requires at least 2 levels for each factor." };
-    }
-    // Grand mean
-    const allData = dataArrays.flat();
-    const grandMean = calculateMean(allData);
-
-    // Means for each cell, row (A), column (B)
-    const cellMeans = {};
-    const rowMeans = {};
-    const colMeans = {};
-    const rowN = {};
-    const colN = {};
-
-    let totalN = 0;
-
-    A.forEach(a => {
-        rowMeans[a] = [];
-        rowN[a] = 0;
-    });
-    B.forEach(b => {
-        colMeans[b] = [];
-        colN[b] = 0;
-    });
-
-    for (const a of A) {
-        for (const b of B) {
-            const key = `${a}-${b}`;
-            if (!groupMap[key]) {
-                return { error: `Missing data for combination ${a}-${b}. All combinations must be present.` };
-            }
-            const data = groupMap[key];
-            const mean = calculateMean(data);
-            cellMeans[key] = mean;
-            rowMeans[a].push(...data);
-            colMeans[b].push(...data);
-            totalN += data.length;
-        }
-    }
-
-     // Compute row and column means
-    Object.keys(rowMeans).forEach(a => rowMeans[a] = calculateMean(rowMeans[a]));
-    Object.keys(colMeans).forEach(b => colMeans[b] = calculateMean(colMeans[b]));
-
-    // SS calculations (main effects only)
-    let SSA = 0, SSB = 0;
-    const nPerCell = dataArrays[0].length; // Assume equal sample sizes for simplicity
-
-    A.forEach(a => {
-        const nA = nPerCell * B.length;
-        SSA += nA * Math.pow(rowMeans[a] - grandMean, 2);
-    });
-    B.forEach(b => {
-        const nB = nPerCell * A.length;
-        SSB += nB * Math.pow(colMeans[b] - grandMean, 2);
-    });
-
-    // Degrees of freedom
-    const dfA = A.length - 1;
-    const dfB = B.length - 1;
-    const dfError = totalN - A.length * B.length;
-    
-    // Within-group SS (error)
-    let SSE = 0;
-    Object.keys(cellMeans).forEach(key => {
-        const [a, b] = key.split('-');
-        const data = groupMap[key];
-        const cellMean = cellMeans[key];
-        SSE += getSquareDifferences(data, cellMean).reduce((s, v) => s + v, 0);
-    });
-
-    const MSA = SSA / dfA;
-    const MSB = SSB / dfB;
-    const MSE = SSE / dfError;
-
-    const F_A = (MSE === 0) ? "Infinity" : (MSA / MSE).toFixed(3);
-    const F_B = (MSE === 0) ? "Infinity" : (MSB / MSE).toFixed(3);
-
-    return {
-        factorA_F: F_A,
-        factorB_F: F_B
-    };
-};
-
-// === Helper Functions ===
+const findExcludedValues = (fieldValue, missingCodes) => readEnteredValues(fieldValue, missingCodes)
+    .map((entry, i) => ({ ...entry, position: i + 1 }))
+    .filter(entry => entry.reason !== undefined);
 
 /**
- * Parses and validates a comma-separated string of numeric values.
- * @param {string} fieldValue - The string containing comma-separated values.
- * @returns {Array<number>|null} An array of parsed numbers if valid, otherwise null.
+ * Parses expected proportions or ratios such as "9:3:3:1" or "0.5, 0.25, 0.25".
+ * @param {string} text - The proportions, separated by colons, commas or semicolons.
+ * @returns {Array<number>|null} The proportions (NaN for entries that are not numbers), or null
+ *   when the text is blank.
  */
-const parseAndValidateFieldValues = (fieldValue) => {
-    const trimmed = fieldValue.trim();
+const parseExpectedProportions = (text) => {
+    const trimmed = text.trim();
     if (!trimmed) return null;
-    const rawValues = trimmed.split(",");
-    const parsed = rawValues.map(v => parseFloat(v.trim())).filter(v => !isNaN(v));
-    return (parsed.length >= 3) ? parsed : null;
+    return trimmed.split(/[:,;]/).map(v => v.trim() === "" ? NaN : Number(v.trim()));
 };
 
 document.addEventListener("DOMContentLoaded", () => {    
@@ -232,15 +93,84 @@ document.addEventListener("DOMContentLoaded", () => {
     const fileUploadWrapper = document.querySelector(".file-upload-wrapper");
     const filePreview = document.getElementById("file-preview");
     const importedDatasetsList = document.getElementById("imported-datasets-list");
+    const importMapping = document.getElementById("import-mapping");
+    const importWorkbookOptions = document.getElementById("import-workbook-options");
+    const importSheetsList = document.getElementById("import-sheets");
+    const importHeaderRowInput = document.getElementById("import-header-row");
+    const importRangeInput = document.getElementById("import-range");
+    const importTextOptions = document.getElementById("import-text-options");
+    const importDelimiterSelect = document.getElementById("import-delimiter");
+    const importDecimalSelect = document.getElementById("import-decimal");
+    const importTextDetected = document.getElementById("import-text-detected");
+    const importMissingCodesInput = document.getElementById("import-missing-codes");
+    const importMissingHandlingSelect = document.getElementById("import-missing-handling");
+    const importMissingReport = document.getElementById("import-missing-report");
+    const importLayoutSelect = document.getElementById("import-layout");
+    const importValueColumnSelect = document.getElementById("import-value-column");
+    const importGroupColumnSelect = document.getElementById("import-group-column");
+    const importFactorColumnSelect = document.getElementById("import-factor-column");
+    const importBetweenColumnSelect = document.getElementById("import-between-column");
+    const importRowVariableSelect = document.getElementById("import-row-variable");
+    const importColumnVariableSelect = document.getElementById("import-column-variable");
+    const importMappingSummary = document.getElementById("import-mapping-summary");
+    const importMappingPreview = document.getElementById("import-mapping-preview");
+    const importConfirmButton = document.getElementById("import-confirm");
+    const importCancelButton = document.getElementById("import-cancel");
     const submitBtn = document.querySelector(".run-analysis-btn");
     const resultsDisplay = document.querySelector("#results");
     const errorDisplay = document.querySelector("#errorDisplay");
+    const confidenceLevelInput = document.getElementById("confidence-level");
+    const confidenceLevelGroup = document.getElementById("confidence-level-group");
+    const significanceLevelInput = document.getElementById("significance-level");
+    const pValueCorrectionSelect = document.getElementById("p-value-correction");
+    const tTestOption = document.getElementById("option-t-test");
+    const tTestSettings = document.getElementById("t-test-settings");
+    const tTestTypeSelect = document.getElementById("t-test-type");
+    const tTestAlternativeSelect = document.getElementById("t-test-alternative");
+    const tTestMuInput = document.getElementById("t-test-mu");
+    const tTestMuGroup = document.getElementById("t-test-mu-group");
+    const tTestHint = document.getElementById("t-test-hint");
+    const repeatedMeasuresOption = document.getElementById("option-anova-repeated-measures");
+    const mixedAnovaOption = document.getElementById("option-anova-mixed");
+    const repeatedMeasuresSettings = document.getElementById("repeated-measures-settings");
+    const mixedWithinFactorSelect = document.getElementById("mixed-within-factor");
+    const repeatedMeasuresHint = document.getElementById("repeated-measures-hint");
+    const correlationOption = document.getElementById("option-correlation");
+    const correlationSettings = document.getElementById("correlation-settings");
+    const correlationMethodSelect = document.getElementById("correlation-method");
+    const correlationHint = document.getElementById("correlation-hint");
+    const regressionOption = document.getElementById("option-regression");
+    const regressionSettings = document.getElementById("regression-settings");
+    const regressionOutcomeSelect = document.getElementById("regression-outcome");
+    const regressionPredictorsList = document.getElementById("regression-predictors");
+    const goodnessOfFitOption = document.getElementById("option-chi-square-gof");
+    const goodnessOfFitSettings = document.getElementById("goodness-of-fit-settings");
+    const goodnessOfFitExpectedInput = document.getElementById("gof-expected");
+    const outlierSettingsPanel = document.getElementById("outlier-settings");
+    const outlierMethodSelect = document.getElementById("outlier-method");
+    const outlierThresholdInput = document.getElementById("outlier-threshold");
+    const outlierThresholdLabel = document.getElementById("outlier-threshold-label");
+    const outlierHandlingSelect = document.getElementById("outlier-handling");
+    const outlierHint = document.getElementById("outlier-hint");
+    const transformSettingsPanel = document.getElementById("transform-settings");
+    const transformAllSelect = document.getElementById("transform-all");
+    const boxCoxLambdaInput = document.getElementById("box-cox-lambda");
+    const boxCoxOption = transformSettingsPanel.querySelector(".box-cox-option");
+    const transformPreview = transformSettingsPanel.querySelector(".transform-preview");
+    const savedAnalysesList = document.getElementById("saved-analyses-list");
+    const savedAnalysesEmpty = document.getElementById("saved-analyses-empty");
     
     if (!datasetContainer || !addDatasetButton || !fileUploadInput || !submitBtn || !resultsDisplay || !errorDisplay) {
         console.error("Essential DOM elements are missing.");
     }
     
     let datasetCount = 3;
+
+    /**
+     * Reads the missing-value codes, which apply to entered values as well as imported cells.
+     * @returns {Array<string>} The codes.
+     */
+    const getMissingCodes = () => parseMissingCodes(importMissingCodesInput.value);
     
     /**
      * Validates a single data input field based on its content.
@@ -252,6 +182,7 @@ document.addEventListener("DOMContentLoaded", () => {
         const value = textareaElement.value.trim();
         const validationDiv = document.getElementById(validationMessageId);
         validationDiv.textContent = "";
+        validationDiv.classList.remove("validation-note");
         textareaElement.style.borderColor = "";
     
         if (value === "") {
@@ -260,13 +191,21 @@ document.addEventListener("DOMContentLoaded", () => {
             return false;
         }
     
-        const parsed = parseAndValidateFieldValues(value);
+        const parsed = parseAndValidateFieldValues(value, getMissingCodes());
         if (parsed === null) {
             validationDiv.textContent = "Please provide at least 3 valid numeric values, comma-separated.";
             textareaElement.style.borderColor = "#d64937";
             return false;
         }
     
+        // Say which entries will be left out rather than dropping them silently, as the import report does
+        const excluded = findExcludedValues(value, getMissingCodes());
+        if (excluded.length > 0) {
+            const shown = excluded.slice(0, 5).map(({ position, cell, reason }) => `value ${position}${cell ? ` "${cell}"` : ""} (${reason})`).join(", ");
+            validationDiv.textContent = `${excluded.length} ${excluded.length === 1 ? "entry" : "entries"} left out: ${shown}${excluded.length > 5 ? ", …" : ""}`;
+            validationDiv.classList.add("validation-note");
+        }
+
         textareaElement.style.borderColor = "#e0e4e8";
         return true;
     };
@@ -286,6 +225,8 @@ document.addEventListener("DOMContentLoaded", () => {
         const row = document.createElement("div");
         row.classList.add("dataset-field-row");
         row.setAttribute("data-id", id);
+        // New datasets get the transformation applied to every dataset
+        if (transformAllSelect.value !== "mixed") row.dataset.transform = transformAllSelect.value;
     
         row.innerHTML = `
             <div class="form-group dataset-label-input">
@@ -298,6 +239,7 @@ document.addEventListener("DOMContentLoaded", () => {
                 <textarea id="dataset-values-${id}" class="input-field" 
                           placeholder="e.g., 10, 12, 15, 11, 13"></textarea>
                 <div id="validation-${id}" class="validation-message"></div>
+                <div id="outliers-${id}" class="outlier-flags"></div>
             </div>
             <button type="button" class="remove-dataset-btn" data-id="${id}" 
                     aria-label="Remove Dataset ${id}">
@@ -323,12 +265,54 @@ document.addEventListener("DOMContentLoaded", () => {
         return row;
     };
     
+    /**
+     * Replaces every dataset row with the given datasets, restoring any values that outlier handling
+     * removed or replaced. Datasets with `cells` show them instead, keeping blank and missing entries
+     * in their rows. Factor levels from an import are kept on the row for two-way and mixed ANOVA,
+     * and the number of missing cells left out on import is kept so the results can report it.
+     * @param {Array<{label: string, values: Array<number>, rawValues?: Array<number>, cells?: Array<string>, factors?: Array<Object>, missing?: number}>} datasets - The datasets to show.
+     */
+    const fillDatasetRows = (datasets) => {
+        datasetContainer.innerHTML = "";
+        datasetCount = 0;
+        datasets.forEach(ds => {
+            datasetCount++;
+            const row = createDatasetRow(datasetCount);
+            row.querySelector(".dataset-label-input input").value = ds.label;
+            if (ds.factors) {
+                row.dataset.factors = JSON.stringify(ds.factors);
+                const factorInfo = document.createElement("div");
+                factorInfo.className = "dataset-factors";
+                factorInfo.textContent = ds.factors.map(factor => `${factor.name}: ${factor.level}`).join(" · ");
+                row.querySelector(".dataset-label-input").appendChild(factorInfo);
+            }
+            if (ds.missing) row.dataset.missing = ds.missing;
+            row.querySelector(".dataset-value-input textarea").value = (ds.cells || ds.rawValues || ds.values).join(", ");
+            datasetContainer.appendChild(row);
+            validateDataset(row.querySelector("textarea"), `validation-${datasetCount}`);
+            updateOutlierFlags(row);
+        });
+
+        // Ensure at least one row
+        if (datasetContainer.children.length === 0) {
+            datasetCount = 1;
+            const firstRow = createDatasetRow(1);
+            firstRow.querySelector(".remove-dataset-btn").remove();
+            datasetContainer.appendChild(firstRow);
+        }
+        refreshGrid();
+        updateDataFitWarnings();
+        updateRegressionVariables();
+        updateTransformPreview();
+    };
+    
     // === Event Listeners ===
     addDatasetButton.addEventListener("click", () => {
         datasetCount++;
         const newRow = createDatasetRow(datasetCount);
         datasetContainer.appendChild(newRow);
         newRow.querySelector(".dataset-label-input input").focus();
+        refreshGrid();
     });
     
     // Delegated remove (covers dynamic rows)
@@ -344,108 +328,620 @@ document.addEventListener("DOMContentLoaded", () => {
                 newRow.querySelector(".remove-dataset-btn").remove();
                 datasetContainer.appendChild(newRow);
             }
+            updateDataFitWarnings();
+            updateRegressionVariables();
+            updateTransformPreview();
         }
     });
     
-    // File upload simulation
+    // === Grid View ===
+    // The grid edits the same dataset rows as the list view: the rows stay the source of truth,
+    // so validation, outlier flags, saving and the analysis all work unchanged.
+    const dataGridContainer = document.getElementById("data-grid");
+    const viewToggleButtons = document.querySelectorAll("#dataset-view-toggle .view-toggle-btn");
+    const VIEW_STORAGE_KEY = "datasetView";
+    const gridRemovedRows = new Map(); // Rows removed in the grid, by id, so undo brings back the same row
+
+    /**
+     * Reads the dataset rows as grid columns.
+     * @returns {Array<{id: string, label: string, text: string}>} One column per dataset row.
+     */
+    const readGridColumns = () => Array.from(datasetContainer.querySelectorAll(".dataset-field-row")).map(row => ({
+        id: row.dataset.id,
+        label: row.querySelector(".dataset-label-input input").value,
+        text: row.querySelector(".dataset-value-input textarea").value
+    }));
+
+    /**
+     * Writes the grid's columns back to the dataset rows, adding, removing and reordering rows to match.
+     * @param {Array<{id: string|null, label: string, text: string}>} columns - The grid columns.
+     * @returns {Array<string>} The id of the row behind each column.
+     */
+    const applyGridColumns = (columns) => {
+        const changed = [];
+        const rows = columns.map(column => {
+            let row = column.id !== null
+                && (datasetContainer.querySelector(`.dataset-field-row[data-id="${column.id}"]`) || gridRemovedRows.get(column.id));
+            if (!row) {
+                datasetCount++;
+                row = createDatasetRow(datasetCount);
+            }
+            row.querySelector(".dataset-label-input input").value = column.label;
+            const textarea = row.querySelector(".dataset-value-input textarea");
+            if (textarea.value !== column.text || !row.isConnected) {
+                textarea.value = column.text;
+                changed.push(textarea);
+            }
+            return row;
+        });
+        datasetContainer.querySelectorAll(".dataset-field-row").forEach(row => {
+            if (rows.includes(row)) return;
+            gridRemovedRows.set(row.dataset.id, row);
+            row.remove();
+        });
+        rows.forEach(row => datasetContainer.appendChild(row));
+        // Validate and flag outliers as if the values had been typed
+        changed.forEach(textarea => textarea.dispatchEvent(new Event("input", { bubbles: true })));
+        updateDataFitWarnings();
+        updateRegressionVariables();
+        updateTransformPreview();
+        return rows.map(row => row.dataset.id);
+    };
+
+    const dataGrid = createDataGrid(dataGridContainer, applyGridColumns, getMissingCodes);
+    const isGridView = () => dataGridContainer.style.display !== "none";
+
+    /**
+     * Reloads the grid from the dataset rows after they change outside it (import, restore, add).
+     */
+    const refreshGrid = () => {
+        if (isGridView()) dataGrid.load(readGridColumns());
+    };
+
+    /**
+     * Switches between the list of comma-separated fields and the grid.
+     * @param {"list"|"grid"} view - The view to show.
+     */
+    const setDatasetView = (view) => {
+        dataGridContainer.style.display = view === "grid" ? "block" : "none";
+        datasetContainer.style.display = view === "grid" ? "none" : "";
+        viewToggleButtons.forEach(button => {
+            const active = button.dataset.view === view;
+            button.classList.toggle("active", active);
+            button.setAttribute("aria-pressed", String(active));
+        });
+        refreshGrid();
+    };
+
+    viewToggleButtons.forEach(button => button.addEventListener("click", () => {
+        setDatasetView(button.dataset.view);
+        try {
+            localStorage.setItem(VIEW_STORAGE_KEY, button.dataset.view);
+        } catch (e) {
+            console.warn("Could not save the data entry view:", e);
+        }
+    }));
+
+    // === Categorical Data ===
+    // Counts are entered as a contingency table instead of datasets. The mode decides which data
+    // entry, analysis options and settings are shown, and which options a run uses; the options
+    // of the other mode keep their selection for when the user switches back.
+    const contingencyEditorContainer = document.getElementById("contingency-editor");
+    const modeToggleButtons = document.querySelectorAll(".mode-toggle-btn");
+    const datasetViewToggle = document.getElementById("dataset-view-toggle");
+    let dataMode = "numeric";
+
+    const contingencyEditor = createContingencyEditor(contingencyEditorContainer, () => updateDataFitWarnings());
+
+    /**
+     * Checks whether an analysis option belongs to the current mode.
+     * @param {HTMLInputElement} checkbox - The option's checkbox.
+     * @returns {boolean} True when the option is shown for the current kind of data.
+     */
+    const isOptionForMode = (checkbox) =>
+        checkbox.closest(".checkbox-group").classList.contains("categorical-option") === (dataMode === "categorical");
+    const isSelected = (checkbox) => checkbox.checked && isOptionForMode(checkbox);
+
+    /**
+     * Reads the selected analysis options of the current mode.
+     * @returns {Array<string>} The option values.
+     */
+    const getSelectedOptions = () => Array.from(document.querySelectorAll(".analysis-options-grid input[type='checkbox']"))
+        .filter(isSelected)
+        .map(cb => cb.value);
+
+    /**
+     * Switches between measurements (datasets) and counts (a contingency table).
+     * @param {"numeric"|"categorical"} mode - The kind of data to enter.
+     */
+    const setDataMode = (mode) => {
+        dataMode = mode;
+        const categorical = mode === "categorical";
+        modeToggleButtons.forEach(button => {
+            const active = button.dataset.mode === mode;
+            button.classList.toggle("active", active);
+            button.setAttribute("aria-pressed", String(active));
+        });
+        document.querySelectorAll(".analysis-options-grid input[type='checkbox']").forEach(cb => {
+            cb.closest(".checkbox-group").style.display = isOptionForMode(cb) ? "" : "none";
+        });
+
+        contingencyEditorContainer.style.display = categorical ? "block" : "none";
+        [datasetViewToggle, addDatasetButton].forEach(element => {
+            element.style.display = categorical ? "none" : "";
+        });
+        [outlierSettingsPanel, transformSettingsPanel].forEach(panel => {
+            panel.style.display = categorical ? "none" : "block";
+        });
+        // Categorical tests have no confidence intervals but are still judged against alpha
+        confidenceLevelGroup.style.display = categorical ? "none" : "";
+        if (categorical) {
+            dataGridContainer.style.display = "none";
+            datasetContainer.style.display = "none";
+        } else {
+            setDatasetView(Array.from(viewToggleButtons).find(button => button.classList.contains("active")).dataset.view);
+        }
+
+        updateTtestSettings();
+        updateRepeatedMeasuresSettings();
+        updateCorrelationSettings();
+        updateRegressionSettings();
+        updateGoodnessOfFitSettings();
+        updateDataFitWarnings();
+    };
+
+    modeToggleButtons.forEach(button => button.addEventListener("click", () => {
+        if (button.dataset.mode !== dataMode) setDataMode(button.dataset.mode);
+    }));
+
+    // === File Import ===
+    let importedWorkbook = null; // SheetJS workbook of an XLSX or ODS file, for choosing sheets and ranges
+    let importedText = null; // Delimited text of a CSV/TSV file or pasted cells, for choosing the delimiter
+    let importedSheets = []; // [{ name, table }] awaiting column mapping; one entry unless read from a workbook
+    let importedTable = null; // All imported rows under the shared headers, for choosing columns
+    let importedFileName = ""; // Blank for pasted cells
+
+    const TEXT_FILE_TYPES = ["csv", "tsv", "txt"];
+    const WORKBOOK_FILE_TYPES = ["xlsx", "xls", "ods"];
+    const DELIMITER_NAMES = { ",": "comma", "\t": "tab", ";": "semicolon", "|": "pipe" };
+    const MISSING_CODES_STORAGE_KEY = "missingValueCodes";
+
+    /**
+     * Builds the datasets for the imported sheets from the current column mapping.
+     * @returns {{datasets: Array<Object>, dropped: Array<string>, skippedRows: number}} The datasets.
+     */
+    const buildImportedDatasets = () => {
+        const missing = {
+            codes: parseMissingCodes(importMissingCodesInput.value),
+            listwise: importMissingHandlingSelect.value === "listwise"
+        };
+        return buildSheetDatasets(importedSheets, table => {
+            if (importLayoutSelect.value === "wide") {
+                return buildWideDatasets(table, 3, { ...missing, groupColumn: Number(importBetweenColumnSelect.value) });
+            }
+            return buildLongDatasets(
+                table,
+                Number(importValueColumnSelect.value),
+                Number(importGroupColumnSelect.value),
+                Number(importFactorColumnSelect.value),
+                3,
+                missing
+            );
+        });
+    };
+
+    /**
+     * Counts the categories of the imported sheets into a contingency table from the current column mapping.
+     * @returns {{table: Object, skippedRows: number, problems: Array<Object>}} The contingency table.
+     */
+    const buildImportedTable = () => buildContingencyTable(
+        importedSheets,
+        Number(importRowVariableSelect.value),
+        Number(importColumnVariableSelect.value),
+        { codes: parseMissingCodes(importMissingCodesInput.value) }
+    );
+
+    /**
+     * Lists the cells left out of the import, by column, with their row numbers and reasons.
+     * @param {Array<{column: string, row: number, cell: string, reason: string}>} problems - The cells left out.
+     */
+    const showMissingReport = (problems) => {
+        const list = importMissingReport.querySelector("ul");
+        list.innerHTML = "";
+        importMissingReport.style.display = problems.length > 0 ? "block" : "none";
+        importMissingReport.querySelector("summary").textContent = `${problems.length} cell${problems.length === 1 ? "" : "s"} not imported`;
+
+        const byColumn = new Map();
+        problems.forEach(problem => {
+            if (!byColumn.has(problem.column)) byColumn.set(problem.column, []);
+            byColumn.get(problem.column).push(problem);
+        });
+        byColumn.forEach((cells, column) => {
+            const item = document.createElement("li");
+            const name = document.createElement("strong");
+            name.textContent = column;
+            const shown = cells.slice(0, 20).map(({ row, cell, reason }) => `row ${row}${cell ? ` "${cell}"` : ""} (${reason})`);
+            if (cells.length > 20) shown.push(`and ${cells.length - 20} more`);
+            item.append(name, `: ${shown.join(", ")}`);
+            list.appendChild(item);
+        });
+    };
+
+    /**
+     * Shows a problem with the import mapping in place of the preview.
+     * @param {string} message - The problem.
+     */
+    const showImportProblem = (message) => {
+        importMappingSummary.textContent = message;
+        importMappingPreview.innerHTML = "";
+        showMissingReport([]);
+        importConfirmButton.disabled = true;
+    };
+
+    /**
+     * Previews the contingency table the current column mapping would import.
+     */
+    const updateTablePreview = () => {
+        if (importRowVariableSelect.value === importColumnVariableSelect.value) {
+            showImportProblem("Choose a different column for the rows and the columns of the table.");
+            return;
+        }
+        const { table, skippedRows, problems } = buildImportedTable();
+        const n = table.counts.flat().reduce((sum, count) => sum + count, 0);
+        const shape = table.columnVariable
+            ? `A ${table.rowLevels.length} × ${table.columnLevels.length} table`
+            : `${table.rowLevels.length} categories`;
+        const notes = [`${shape} of ${n} observations from ${importedTable.rows.length} rows.`];
+        if (skippedRows) notes.push(`${skippedRows} row${skippedRows === 1 ? "" : "s"} skipped for a missing category.`);
+        importMappingSummary.textContent = notes.join(" ");
+        showMissingReport(problems);
+
+        importMappingPreview.innerHTML = "";
+        table.rowLevels.forEach((level, i) => {
+            const item = document.createElement("li");
+            const label = document.createElement("strong");
+            label.textContent = level;
+            const counts = document.createElement("span");
+            counts.className = "preview-values";
+            counts.textContent = table.columnVariable
+                ? `: ${table.columnLevels.map((column, j) => `${column} ${table.counts[i][j]}`).join(", ")}`
+                : `: ${table.counts[i][0]}`;
+            item.append(label, counts);
+            importMappingPreview.appendChild(item);
+        });
+        importConfirmButton.disabled = n === 0;
+    };
+
+    /**
+     * Previews the datasets the current column mapping would import.
+     */
+    const updateImportPreview = () => {
+        const layout = importLayoutSelect.value;
+        const isLong = layout === "long";
+        [["long-format-option", "long"], ["wide-format-option", "wide"], ["categorical-format-option", "categorical"]].forEach(([className, shownFor]) => {
+            importMapping.querySelectorAll(`.${className}`).forEach(group => {
+                group.style.display = layout === shownFor ? "block" : "none";
+            });
+        });
+        // Splitting the columns by group always deletes incomplete rows listwise
+        importMissingHandlingSelect.disabled = layout === "wide" && importBetweenColumnSelect.value !== "-1";
+        if (!importedTable) return;
+        if (layout === "categorical") {
+            updateTablePreview();
+            return;
+        }
+
+        if (isLong) {
+            const columns = [importValueColumnSelect.value, importGroupColumnSelect.value, importFactorColumnSelect.value].filter(c => c !== "-1");
+            if (new Set(columns).size !== columns.length) {
+                showImportProblem("Choose a different column for the values, the groups and the second factor.");
+                return;
+            }
+        }
+
+        const { datasets, dropped, skippedRows, problems } = buildImportedDatasets();
+        const notes = [];
+        const sheetCount = importedSheets.length > 1 ? ` on ${importedSheets.length} sheets` : "";
+        notes.push(`${datasets.length} dataset${datasets.length === 1 ? "" : "s"} from ${importedTable.rows.length} rows${sheetCount}.`);
+        if (skippedRows) notes.push(`${skippedRows} row${skippedRows === 1 ? "" : "s"} skipped for a missing group or value.`);
+        if (dropped.length > 0) notes.push(`Not imported (fewer than 3 values): ${dropped.join(", ")}.`);
+        importMappingSummary.textContent = notes.join(" ");
+        showMissingReport(problems);
+
+        importMappingPreview.innerHTML = "";
+        datasets.forEach(ds => {
+            const item = document.createElement("li");
+            const label = document.createElement("strong");
+            label.textContent = ds.label;
+            const values = document.createElement("span");
+            values.className = "preview-values";
+            values.textContent = ` (n = ${ds.values.length}): ${ds.values.slice(0, 8).join(", ")}${ds.values.length > 8 ? ", …" : ""}`;
+            item.append(label, values);
+            importMappingPreview.appendChild(item);
+        });
+        importConfirmButton.disabled = datasets.length === 0;
+    };
+
+    /**
+     * Offers the columns of the imported sheets in the column pickers. Columns chosen before keep
+     * their selection when their header is still present; otherwise the layout is guessed.
+     * @param {Array<{name: string, table: Object}>} sheets - The sheets to import from.
+     */
+    const setImportedSheets = (sheets) => {
+        const columnSelects = [importValueColumnSelect, importGroupColumnSelect, importFactorColumnSelect, importBetweenColumnSelect,
+            importRowVariableSelect, importColumnVariableSelect];
+        const optionalSelects = [importFactorColumnSelect, importBetweenColumnSelect, importColumnVariableSelect];
+        const previousHeaders = importedTable
+            ? columnSelects.map(select => select.selectedOptions[0]?.textContent)
+            : null;
+
+        importedSheets = alignSheetTables(sheets);
+        importedTable = { headers: importedSheets[0].table.headers, rows: importedSheets.flatMap(sheet => sheet.table.rows) };
+        const names = importedTable.headers.map((header, i) => getColumnName(importedTable, i));
+
+        columnSelects.forEach(select => {
+            select.innerHTML = optionalSelects.includes(select) ? `<option value="-1">None</option>` : "";
+            names.forEach((name, i) => {
+                const option = document.createElement("option");
+                option.value = i;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        });
+
+        const previous = previousHeaders && previousHeaders.map(name => names.indexOf(name));
+        if (previous && previous[0] >= 0 && previous[1] >= 0) {
+            columnSelects.forEach((select, i) => {
+                if (previous[i] >= 0 || optionalSelects.includes(select)) select.value = previous[i];
+            });
+        } else {
+            const guess = guessTableLayout(importedTable);
+            importLayoutSelect.value = guess.layout;
+            if (guess.valueColumn >= 0) importValueColumnSelect.value = guess.valueColumn;
+            if (guess.groupColumn >= 0) {
+                importGroupColumnSelect.value = guess.groupColumn;
+                importRowVariableSelect.value = guess.groupColumn;
+            }
+            importFactorColumnSelect.value = -1;
+            importBetweenColumnSelect.value = -1;
+            importColumnVariableSelect.value = guess.secondTextColumn;
+        }
+        updateImportPreview();
+    };
+
+    /**
+     * Reads the selected sheets of the imported workbook with the chosen header row and range.
+     */
+    const readSelectedSheets = () => {
+        const sheetNames = Array.from(importSheetsList.querySelectorAll("input:checked")).map(input => input.value);
+        if (sheetNames.length === 0) {
+            showImportProblem("Choose at least one sheet to import.");
+            return;
+        }
+        const headerRow = parseInt(importHeaderRowInput.value, 10);
+        const sheets = [];
+        for (const name of sheetNames) {
+            const table = readSheetTable(importedWorkbook.Sheets[name], headerRow > 0 ? headerRow : null, importRangeInput.value);
+            if (table.error) {
+                showImportProblem(`${name}: ${table.error}`);
+                return;
+            }
+            sheets.push({ name, table });
+        }
+        setImportedSheets(sheets);
+    };
+
+    /**
+     * Parses the imported text with the chosen delimiter and decimal separator.
+     */
+    const readImportedText = () => {
+        const parsed = parseDelimitedText(importedText, importDelimiterSelect.value, importDecimalSelect.value);
+        if (parsed.error) {
+            importTextDetected.textContent = "";
+            showImportProblem(parsed.error);
+            return;
+        }
+        const delimiterName = DELIMITER_NAMES[parsed.delimiter] || `"${parsed.delimiter}"`;
+        importTextDetected.textContent = `Reading ${delimiterName}-separated values with decimal ${parsed.decimalComma ? "commas" : "points"}.`;
+        setImportedSheets([{ name: importedFileName, table: parsed.table }]);
+    };
+
+    /**
+     * Shows the column mapping panel for a parsed file or pasted cells.
+     * @param {Object} source - `{ text, delimiter }` for delimited text ("" detects the delimiter),
+     *   `{ workbook }` for an XLSX or ODS file, or `{ table }` for a JSON or .sav file.
+     */
+    const openImportMapping = ({ table, workbook, text, delimiter = "" }) => {
+        importedWorkbook = workbook || null;
+        importedText = text ?? null;
+        importedTable = null;
+        importWorkbookOptions.style.display = workbook ? "block" : "none";
+        importTextOptions.style.display = importedText === null ? "none" : "block";
+        filePreview.style.display = "none";
+        importMapping.style.display = "block";
+
+        if (importedText !== null) {
+            importDelimiterSelect.value = delimiter;
+            importDecimalSelect.value = "";
+            readImportedText();
+            return;
+        }
+        if (!workbook) {
+            setImportedSheets([{ name: importedFileName, table }]);
+            return;
+        }
+
+        // Start from the first sheet with numeric data, skipping cover and notes sheets
+        const firstDataSheet = workbook.SheetNames.find(name => {
+            const sheetTable = readSheetTable(workbook.Sheets[name]);
+            return !sheetTable.error && sheetTable.headers.some((header, i) => isNumericColumn(sheetTable, i));
+        }) || workbook.SheetNames[0];
+
+        importSheetsList.innerHTML = "";
+        workbook.SheetNames.forEach(name => {
+            const label = document.createElement("label");
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.value = name;
+            checkbox.checked = name === firstDataSheet;
+            label.append(checkbox, ` ${name}`);
+            importSheetsList.appendChild(label);
+        });
+        importHeaderRowInput.value = "";
+        importRangeInput.value = "";
+        readSelectedSheets();
+    };
+
+    const closeImportMapping = () => {
+        importedWorkbook = null;
+        importedText = null;
+        importedSheets = [];
+        importedTable = null;
+        importMapping.style.display = "none";
+        fileUploadInput.value = "";
+    };
+
+    [importLayoutSelect, importValueColumnSelect, importGroupColumnSelect, importFactorColumnSelect, importBetweenColumnSelect,
+        importRowVariableSelect, importColumnVariableSelect].forEach(select => {
+        select.addEventListener("change", updateImportPreview);
+    });
+    importSheetsList.addEventListener("change", readSelectedSheets);
+    [importHeaderRowInput, importRangeInput].forEach(input => input.addEventListener("change", readSelectedSheets));
+    [importDelimiterSelect, importDecimalSelect].forEach(select => select.addEventListener("change", readImportedText));
+    importMissingHandlingSelect.addEventListener("change", updateImportPreview);
+    importMissingCodesInput.addEventListener("change", () => {
+        try {
+            localStorage.setItem(MISSING_CODES_STORAGE_KEY, importMissingCodesInput.value);
+        } catch (e) {
+            console.warn("Could not save the missing-value codes:", e);
+        }
+        updateImportPreview();
+        // The codes apply to the entered values too
+        datasetContainer.querySelectorAll(".dataset-value-input textarea").forEach(textarea => {
+            textarea.dispatchEvent(new Event("input", { bubbles: true }));
+        });
+        refreshGrid();
+    });
+    try {
+        const savedCodes = localStorage.getItem(MISSING_CODES_STORAGE_KEY);
+        if (savedCodes !== null) importMissingCodesInput.value = savedCodes;
+    } catch (e) {
+        console.warn("Could not read the saved missing-value codes:", e);
+    }
+
+    /**
+     * Lists what was imported below the file upload.
+     * @param {Array<string>} notes - The notes to show after the file name.
+     */
+    const showImportNotes = (notes) => {
+        filePreview.style.display = "block";
+        importedDatasetsList.innerHTML = "";
+        const source = importedFileName ? `File: ${importedFileName}` : "Pasted from the clipboard";
+        [source, ...notes].forEach(text => {
+            const item = document.createElement("li");
+            item.textContent = text;
+            importedDatasetsList.appendChild(item);
+        });
+    };
+
+    importConfirmButton.addEventListener("click", () => {
+        if (importLayoutSelect.value === "categorical") {
+            const { table, problems } = buildImportedTable();
+            const n = table.counts.flat().reduce((sum, count) => sum + count, 0);
+            contingencyEditor.load(table);
+            setDataMode("categorical");
+            const notes = [`Counted ${n} observations into a ${table.rowLevels.length} × ${table.columnLevels.length} table.`];
+            if (problems.length > 0) notes.push(`${problems.length} row${problems.length === 1 ? "" : "s"} skipped for a missing category.`);
+            showImportNotes(notes);
+            closeImportMapping();
+            return;
+        }
+
+        const { datasets, problems } = buildImportedDatasets();
+        const layout = importLayoutSelect.value === "wide" ? "columns" : "groups";
+        const sheetCount = importedSheets.length;
+        fillDatasetRows(datasets);
+        if (dataMode === "categorical") setDataMode("numeric");
+        closeImportMapping();
+
+        const sources = sheetCount > 1 ? `${layout} on ${sheetCount} sheets` : layout;
+        const notes = [`Imported ${datasets.length} datasets from ${sources}.`];
+        if (problems.length > 0) {
+            const columns = [...new Set(problems.map(problem => problem.column))];
+            notes.push(`${problems.length} cell${problems.length === 1 ? "" : "s"} not imported from ${columns.join(", ")}.`);
+        }
+        showImportNotes(notes);
+    });
+
+    importCancelButton.addEventListener("click", closeImportMapping);
+
+    /**
+     * Shows why a file could not be imported.
+     * @param {string} fileName - The file's name.
+     * @param {string} message - The problem.
+     */
+    const showFileProblem = (fileName, message) => {
+        closeImportMapping();
+        filePreview.style.display = "block";
+        importedDatasetsList.innerHTML = "";
+        const fileItem = document.createElement("li");
+        fileItem.innerHTML = "<strong>File:</strong> ";
+        fileItem.append(fileName);
+        const messageItem = document.createElement("li");
+        messageItem.innerHTML = `<em style="color: red;"></em>`;
+        messageItem.firstChild.textContent = message;
+        importedDatasetsList.append(fileItem, messageItem);
+    };
+
     fileUploadInput.addEventListener("change", (e) => {
         const file = e.target.files[0];
     
         if (!file) {
             filePreview.style.display = "none";
             importedDatasetsList.innerHTML = "";
+            return;
         }
     
         const fileType = file.name.split(".").pop().toLowerCase();
         const reader = new FileReader();
         
         reader.onload = (e) => {
-            let datasets = []; 
-            
-            if (fileType === "csv") {
-                const results = Papa.parse(e.target.result, {
-                    header: true,
-                    dynamicTyping: true, // Auto-convert to numbers
-                    skipEmptyLines: true
-                });
-    
-                if (results.errors.length > 0) {
-                    alert("CSV parsing errors: " + results.errors.map(err => err.message).join(", "));
-                    return;
-                }
-    
-                // Transpose to columns as datasets
-                const fields = results.meta.fields;
-                datasets = fields.map(field => ({
-                    label: field,
-                    values: results.data.map(row => row[field]).filter(v => typeof v === "number" && !isNaN(v)) // Numeric only
-                })).filter(ds => ds.values.length >= 3); // Min 3 values per your validation
-            } else if (fileType === "xlsx" || fileType === "xls") {
-                console.log("Parsing Excel file...");
-                
-                const workbook = XLSX.read(e.target.result, { type: "binary" });
-                const firstSheet = workbook.SheetNames[0];
-                const sheet = workbook.Sheets[firstSheet];
-                
-                // Convert to array of arrays (rows)
-                const data = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false }); // raw: false for type conversion
-    
-                if (data.length < 2) {
-                    alert("XLSX file has insufficient data.");
+            importedFileName = file.name;
+
+            if (WORKBOOK_FILE_TYPES.includes(fileType)) {
+                let workbook;
+                try {
+                    workbook = XLSX.read(e.target.result, { type: "binary" });
+                } catch (err) {
+                    console.error("Failed to read workbook:", err);
+                    showFileProblem(file.name, "The spreadsheet could not be read. It may be damaged or password-protected.");
                     return;
                 }
-                
-                // Transpose columns
-                const headers = data[0];
-                datasets = headers.map((header, colIndex) => ({
-                    label: header,
-                    values: data.slice(1).map(row => parseFloat(row[colIndex])).filter(v => !isNaN(v))
-                })).filter(ds => ds.values.length >= 3);
-            } else {
-                alert("Unsupported file type. Please upload CSV or XLSX.");
-                filePreview.style.display = "block";
-                importedDatasetsList.innerHTML = `
-                    <li><strong>File:</strong> ${file.name}</li>
-                    <li><em style="color: red;">Unsupported file type. Please upload CSV or XLSX.</em></li>
-                `;
+                openImportMapping({ workbook });
                 return;
             }
-    
-            // Preview and add to UI
-            filePreview.style.display = "block";
-            importedDatasetsList.innerHTML = `<li><strong>File:</strong> ${file.name}</li>`;
-            if (datasets.length === 0) {
-                importedDatasetsList.innerHTML += `<li><em>No valid numeric datasets found (need at least 3 values per column).</em></li>`;
+
+            if (TEXT_FILE_TYPES.includes(fileType)) {
+                openImportMapping({ text: e.target.result, delimiter: fileType === "tsv" ? "\t" : "" });
                 return;
             }
-    
-            // Clear existing datasets and add new ones
-            datasetContainer.innerHTML = "";
-            datasetCount = 0;
-            datasets.forEach(ds => {
-                datasetCount++;
-                const row = createDatasetRow(datasetCount);
-                row.querySelector(".dataset-label-input input").value = ds.label;
-                row.querySelector(".dataset-value-input textarea").value = ds.values.join(", ");
-                datasetContainer.appendChild(row);
-                validateDataset(row.querySelector("textarea"), `validation-${datasetCount}`);
-            });
-    
-            // Ensure at least one row
-            if (datasetContainer.children.length === 0) {
-                datasetCount = 1;
-                const firstRow = createDatasetRow(1);
-                firstRow.querySelector(".remove-dataset-btn").remove();
-                datasetContainer.appendChild(firstRow);
+
+            const table = fileType === "json" ? parseJsonTable(e.target.result) : readSavFile(e.target.result);
+            if (table.error) {
+                showFileProblem(file.name, table.error);
+                return;
             }
-    
-            importedDatasetsList.innerHTML += `<li><em>Imported ${datasets.length} datasets from columns.</em></li>`;
+            openImportMapping({ table });
         };
         
-        if (fileType === "csv" || fileType === "xlsx" || fileType === "xls") {
-            reader.readAsBinaryString(file); // For SheetJS; PapaParse can use text
+        if (WORKBOOK_FILE_TYPES.includes(fileType)) {
+            reader.readAsBinaryString(file); // For SheetJS
+        } else if (fileType === "sav") {
+            reader.readAsArrayBuffer(file);
+        } else if (TEXT_FILE_TYPES.includes(fileType) || fileType === "json") {
+            reader.readAsText(file);
         } else {
-            alert("Unsupported file type.");
+            showFileProblem(file.name, "Unsupported file type. Please upload a CSV, TSV, JSON, XLSX, ODS or SPSS .sav file.");
         }
     });
     
@@ -472,75 +968,801 @@ document.addEventListener("DOMContentLoaded", () => {
             }
         });
     });
-    
-    // === Enhanced Analysis Execution ===
-    const performAnalyses = (
-        fullDataArrays, 
-        means, 
-        sampleSDs, 
-        populationSDs, 
-        noOfItems, 
-        selectedOptions,
-        datasets
-    ) => {
-        const results = {};
-    
-        selectedOptions.forEach(option => {
+
+    // Cells copied from a spreadsheet arrive as tab-separated lines. Several rows and columns go
+    // through the column mapping like a file; a single row or column becomes this dataset's values.
+    datasetContainer.addEventListener("paste", (e) => {
+        if (e.target.tagName !== "TEXTAREA") return;
+        const text = e.clipboardData?.getData("text/plain") || "";
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
+        const columnCount = Math.max(0, ...lines.map(line => line.split("\t").length));
+        if (lines.length < 2 && columnCount < 2) return;
+        e.preventDefault();
+
+        if (lines.length > 1 && columnCount > 1) {
+            importedFileName = "";
+            openImportMapping({ text, delimiter: "\t" });
+            importMapping.scrollIntoView({ behavior: "smooth" });
+            return;
+        }
+
+        const parsed = parseDelimitedText(lines.length > 1 ? text : lines[0].split("\t").join("\n"), "\t");
+        if (parsed.error) return;
+        const cells = parsed.table.rows.map(row => String(row[0] ?? "").trim()).filter(cell => cell !== "");
+        const row = e.target.closest(".dataset-field-row");
+        const labelInput = row.querySelector(".dataset-label-input input");
+        const header = parsed.table.headers[0];
+        if (header !== "Column 1" && /^Dataset \d+$/.test(labelInput.value)) labelInput.value = header;
+
+        const textarea = e.target;
+        const before = textarea.value.slice(0, textarea.selectionStart).trim();
+        const separator = before !== "" && !before.endsWith(",") ? ", " : "";
+        textarea.setRangeText(separator + cells.join(", "), textarea.selectionStart, textarea.selectionEnd, "end");
+        textarea.dispatchEvent(new Event("input", { bubbles: true }));
+    });
+
+    // === Analysis Settings ===
+    const tTestHints = {
+        "student": "Compares the first two datasets. Student assumes equal variances; Welch does not.",
+        "welch": "Compares the first two datasets without assuming equal variances.",
+        "paired": "Compares the first two datasets value by value (e.g. before/after); both must have the same number of values, and a pair with a blank or missing entry is left out.",
+        "one-sample": "Tests every dataset against the hypothesised mean μ₀."
+    };
+
+    const updateTtestSettings = () => {
+        tTestSettings.style.display = isSelected(tTestOption) ? "block" : "none";
+        tTestMuGroup.style.display = tTestTypeSelect.value === "one-sample" ? "block" : "none";
+        tTestHint.textContent = tTestHints[tTestTypeSelect.value];
+    };
+
+    tTestOption.addEventListener("change", updateTtestSettings);
+    tTestTypeSelect.addEventListener("change", updateTtestSettings);
+    updateTtestSettings();
+
+    const correlationHints = {
+        "pearson": "Correlates every pair of datasets, matching values by position. Pearson's r measures linear association and assumes roughly normal data.",
+        "spearman": "Correlates every pair of datasets, matching values by position. Spearman's ρ correlates the ranks, so it captures any monotonic association and resists outliers.",
+        "kendall": "Correlates every pair of datasets, matching values by position. Kendall's τ-b counts concordant and discordant pairs, and suits small samples with many ties."
+    };
+
+    const updateCorrelationSettings = () => {
+        correlationSettings.style.display = isSelected(correlationOption) ? "block" : "none";
+        correlationHint.textContent = correlationHints[correlationMethodSelect.value];
+    };
+
+    correlationOption.addEventListener("change", updateCorrelationSettings);
+    correlationMethodSelect.addEventListener("change", updateCorrelationSettings);
+    updateCorrelationSettings();
+
+    const repeatedMeasuresHints = {
+        "anova-repeated-measures": "Repeated measures: each dataset is one condition or time point, with every subject's values in the same order, so all datasets need the same number of values.",
+        "anova-mixed": "Mixed ANOVA: enter one dataset per group and time point labelled \"Group-Condition\" (e.g. Control-Week1), with each group's subjects in the same order at every time point, or import wide data with a between-subjects group column."
+    };
+
+    const updateRepeatedMeasuresSettings = () => {
+        const selected = [repeatedMeasuresOption, mixedAnovaOption].filter(isSelected);
+        repeatedMeasuresSettings.style.display = selected.length > 0 ? "block" : "none";
+        repeatedMeasuresSettings.querySelectorAll(".mixed-anova-option").forEach(group => {
+            group.style.display = isSelected(mixedAnovaOption) ? "block" : "none";
+        });
+        repeatedMeasuresHint.textContent = selected.map(option => repeatedMeasuresHints[option.value]).join(" ");
+    };
+
+    [repeatedMeasuresOption, mixedAnovaOption].forEach(option => option.addEventListener("change", updateRepeatedMeasuresSettings));
+    updateRepeatedMeasuresSettings();
+
+    /**
+     * Finds the dataset rows that will be analysed, in the order the datasets are built on submit.
+     * @returns {Array<HTMLElement>} The rows with at least 3 numeric values.
+     */
+    const getAnalysedRows = () => Array.from(datasetContainer.querySelectorAll(".dataset-field-row"))
+        .filter(row => parseAndValidateFieldValues(row.querySelector("textarea").value, getMissingCodes()));
+
+    /**
+     * Lists the datasets as regression variables, keeping the outcome and predictors already chosen.
+     * Until an outcome is chosen, the last dataset is the outcome and every other dataset a predictor.
+     */
+    const updateRegressionVariables = () => {
+        const rows = getAnalysedRows();
+        const ids = rows.map(row => row.dataset.id);
+        const labelOf = (row) => row.querySelector(".dataset-label-input input").value.trim() || `Dataset ${row.dataset.id}`;
+        const previousOutcome = regressionOutcomeSelect.value;
+        const previousPredictors = new Map(Array.from(regressionPredictorsList.querySelectorAll("input"))
+            .map(input => [input.value, input.checked]));
+
+        regressionOutcomeSelect.innerHTML = "";
+        rows.forEach(row => regressionOutcomeSelect.appendChild(new Option(labelOf(row), row.dataset.id)));
+        const keepOutcome = regressionOutcomeSelect.dataset.chosen === "true" && ids.includes(previousOutcome);
+        if (ids.length > 0) regressionOutcomeSelect.value = keepOutcome ? previousOutcome : ids[ids.length - 1];
+
+        regressionPredictorsList.innerHTML = "";
+        if (rows.length < 2) {
+            regressionPredictorsList.textContent = "Enter at least two datasets.";
+            return;
+        }
+        rows.filter(row => row.dataset.id !== regressionOutcomeSelect.value).forEach(row => {
+            const label = document.createElement("label");
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.value = row.dataset.id;
+            checkbox.checked = previousPredictors.get(row.dataset.id) ?? true;
+            label.append(checkbox, ` ${labelOf(row)}`);
+            regressionPredictorsList.appendChild(label);
+        });
+    };
+
+    const updateRegressionSettings = () => {
+        regressionSettings.style.display = isSelected(regressionOption) ? "block" : "none";
+        updateRegressionVariables();
+    };
+
+    /**
+     * Reads the regression variables as positions among the analysed datasets.
+     * @returns {{outcome: number, predictors: Array<number>}} The outcome and predictor indices.
+     */
+    const getRegressionSettings = () => {
+        const ids = getAnalysedRows().map(row => row.dataset.id);
+        return {
+            outcome: ids.indexOf(regressionOutcomeSelect.value),
+            predictors: Array.from(regressionPredictorsList.querySelectorAll("input:checked"))
+                .map(input => ids.indexOf(input.value))
+                .filter(index => index !== -1)
+        };
+    };
+
+    regressionOption.addEventListener("change", updateRegressionSettings);
+    regressionOutcomeSelect.addEventListener("change", () => {
+        regressionOutcomeSelect.dataset.chosen = "true";
+        updateRegressionVariables();
+    });
+    datasetContainer.addEventListener("input", updateRegressionVariables);
+    updateRegressionSettings();
+
+    const updateGoodnessOfFitSettings = () => {
+        goodnessOfFitSettings.style.display = isSelected(goodnessOfFitOption) ? "block" : "none";
+    };
+
+    goodnessOfFitOption.addEventListener("change", updateGoodnessOfFitSettings);
+    updateGoodnessOfFitSettings();
+
+    // === Presets and Test Selection ===
+    const presetSelect = document.getElementById("preset-select");
+    const presetHint = document.getElementById("preset-hint");
+    const optionCheckboxes = document.querySelectorAll(".analysis-options-grid input[type='checkbox']");
+    const dataFitWarnings = document.getElementById("data-fit-warnings");
+    const wizardToggleButton = document.getElementById("wizard-toggle");
+    const testWizard = document.getElementById("test-wizard");
+    const wizardDataTypeSelect = document.getElementById("wizard-data-type");
+    const wizardGroupsSelect = document.getElementById("wizard-groups");
+    const wizardDesignSelect = document.getElementById("wizard-design");
+    const wizardFactorsSelect = document.getElementById("wizard-factors");
+    const wizardBetweenSelect = document.getElementById("wizard-between");
+    const wizardDesignGroup = document.getElementById("wizard-design-group");
+    const wizardFactorsGroup = document.getElementById("wizard-factors-group");
+    const wizardBetweenGroup = document.getElementById("wizard-between-group");
+    const wizardRecommendation = document.getElementById("wizard-recommendation");
+    const wizardApplyButton = document.getElementById("wizard-apply");
+    const wizardCloseButton = document.getElementById("wizard-close");
+
+    /**
+     * Checks whether an analysis pairs the datasets' values by position, one subject per row.
+     * @param {string} option - The analysis option.
+     * @returns {boolean} True for paired tests, repeated measures, correlation and regression.
+     */
+    const isRowAlignedOption = (option) => ["wilcoxon-signed-rank", "anova-repeated-measures", "anova-mixed", "correlation", "regression"].includes(option)
+        || (option === "t-test" && tTestTypeSelect.value === "paired");
+
+    /**
+     * Finds which datasets hold the same subjects row by row, when a selected analysis pairs values by position.
+     * @param {Array<{label: string, factors?: Array<Object>}>} entered - The datasets as entered.
+     * @param {Array<string>} selectedOptions - The selected analyses.
+     * @returns {Array<string>|null} The row key of each dataset, or null when no analysis matches rows.
+     */
+    const getRowKeys = (entered, selectedOptions) => {
+        if (!selectedOptions.some(isRowAlignedOption)) return null;
+        // In a mixed design only the repeated measures of the same group hold the same subjects
+        const { levels } = selectedOptions.includes("anova-mixed") ? readFactorLevels(entered) : {};
+        const betweenFactor = 1 - Number(mixedWithinFactorSelect.value);
+        return entered.map((ds, i) => levels ? levels[i][betweenFactor] : "");
+    };
+
+    /**
+     * Reads the entries of the datasets to analyse. When a selected analysis pairs values by
+     * position, a row with a missing entry is left out of every dataset, so a blank or missing-value
+     * code in one dataset cannot shift the values of the others.
+     * @param {Array<{label: string, factors?: Array<Object>, entries: Array<Object>}>} entered - The datasets as entered.
+     * @param {Array<string>} selectedOptions - The selected analyses.
+     * @returns {Array<Array<Object>>} Each dataset's entries.
+     */
+    const readAnalysedEntries = (entered, selectedOptions) => {
+        const entrySets = entered.map(ds => ds.entries);
+        const keys = getRowKeys(entered, selectedOptions);
+        return keys ? deleteIncompleteRows(entrySets, keys) : entrySets;
+    };
+
+    /**
+     * Detects and handles each dataset's outliers as the current outlier settings say. With matched
+     * rows, excluding a flagged value leaves its row out of every dataset with the same key, so the
+     * other datasets do not shift out of step.
+     * @param {Array<Array<Object>>} entrySets - Each dataset's entries, incomplete rows already left out.
+     * @param {Array<string>|null} keys - The row key of each dataset, or null when rows are not matched.
+     * @returns {Array<{values: Array<number>, parsed: Array<number>, entries: Array<Object>, detection?: Object, changes?: Array<Object>}>}
+     *   Each dataset's handled values, its values before handling, its entries (with outliers
+     *   excluded from matched rows marked), and the detection and changes when detection ran.
+     */
+    const handleEntryOutliers = (entrySets, keys) => {
+        const { method, threshold, handling } = getOutlierSettings();
+        const results = entrySets.map(entries => {
+            const parsed = entries.filter(entry => entry.reason === undefined).map(entry => entry.value);
+            if (method === "none") return { values: parsed, parsed, entries };
+            const detection = detectOutliers(parsed, method, threshold);
+            if (detection.error) return { values: parsed, parsed, entries, detection };
+            const handled = handleOutliers(parsed, detection.flagged, handling);
+            return { values: handled.values, parsed, entries, detection, changes: handled.changes };
+        });
+        if (!keys || handling !== "exclude") return results;
+
+        const flaggedSets = results.map(result => result.values.length < result.parsed.length ? result.detection.flagged : []);
+        return excludeFlaggedRows(entrySets, flaggedSets, keys).map((entries, i) => ({
+            ...results[i],
+            values: entries.filter(entry => entry.reason === undefined).map(entry => entry.value),
+            entries
+        }));
+    };
+
+    /**
+     * Reads the datasets entered so far, including ones too small to analyse, for checking them
+     * against the selected analyses. Empty rows are skipped; incomplete rows are left out as the
+     * analysis will leave them out.
+     * @returns {Array<{label: string, values: Array<number>, factors?: Array<Object>}>} The datasets.
+     */
+    const readEnteredDatasets = () => {
+        const entered = Array.from(datasetContainer.querySelectorAll(".dataset-field-row")).map(row => ({
+            label: row.querySelector(".dataset-label-input input").value.trim() || `Dataset ${row.dataset.id}`,
+            factors: row.dataset.factors ? JSON.parse(row.dataset.factors) : undefined,
+            entries: readEnteredValues(row.querySelector(".dataset-value-input textarea").value, getMissingCodes())
+        })).filter(ds => ds.entries.length > 0);
+        const analysedEntries = readAnalysedEntries(entered, getSelectedOptions());
+        return entered.map(({ label, factors }, i) => ({
+            label,
+            values: analysedEntries[i].filter(entry => entry.reason === undefined).map(entry => entry.value),
+            factors
+        })).filter(ds => ds.values.length > 0);
+    };
+
+    /**
+     * Warns when the entered data do not suit the selected analyses.
+     */
+    const updateDataFitWarnings = () => {
+        const selectedOptions = getSelectedOptions();
+        const warnings = dataMode === "categorical"
+            ? findTableProblems(selectedOptions, contingencyEditor.read())
+            : findDataProblems(selectedOptions, readEnteredDatasets(), tTestTypeSelect.value, Number(mixedWithinFactorSelect.value), getSignificanceLevel(), getOutlierSettings());
+        const list = dataFitWarnings.querySelector("ul");
+        list.innerHTML = "";
+        warnings.forEach(text => {
+            const item = document.createElement("li");
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        dataFitWarnings.style.display = warnings.length > 0 ? "block" : "none";
+    };
+
+    /**
+     * Switches to the preset's kind of data, selects its analyses and t-test type, and adds empty
+     * dataset rows until the design has enough.
+     * @param {string} key - The preset, or "custom"/"none" to leave the analyses as they are.
+     */
+    const applyPreset = (key) => {
+        presetSelect.value = key;
+        const preset = ANALYSIS_PRESETS[key];
+        presetHint.textContent = preset ? preset.layout : "";
+        if (!preset) return;
+
+        optionCheckboxes.forEach(cb => {
+            cb.checked = preset.options.includes(cb.value);
+        });
+        if (preset.tTestType) tTestTypeSelect.value = preset.tTestType;
+        setDataMode(preset.mode || "numeric");
+        if (preset.mode === "categorical") return;
+
+        for (let rows = datasetContainer.querySelectorAll(".dataset-field-row").length; rows < preset.minDatasets; rows++) {
+            datasetCount++;
+            datasetContainer.appendChild(createDatasetRow(datasetCount));
+        }
+        refreshGrid();
+        updateDataFitWarnings();
+    };
+
+    /**
+     * Changing the analyses by hand turns the preset into a custom analysis.
+     */
+    const markPresetCustom = () => {
+        const preset = ANALYSIS_PRESETS[presetSelect.value];
+        if (!preset) return;
+        const selectedOptions = getSelectedOptions();
+        const matches = (preset.mode || "numeric") === dataMode
+            && selectedOptions.length === preset.options.length
+            && preset.options.every(option => selectedOptions.includes(option))
+            && (!preset.tTestType || tTestTypeSelect.value === preset.tTestType);
+        if (!matches) applyPreset("custom");
+    };
+
+    presetSelect.addEventListener("change", () => applyPreset(presetSelect.value));
+    document.querySelector(".analysis-options-grid").addEventListener("change", () => {
+        markPresetCustom();
+        updateDataFitWarnings();
+    });
+    tTestTypeSelect.addEventListener("change", () => {
+        markPresetCustom();
+        updateDataFitWarnings();
+    });
+    datasetContainer.addEventListener("input", updateDataFitWarnings);
+    mixedWithinFactorSelect.addEventListener("change", updateDataFitWarnings);
+    significanceLevelInput.addEventListener("input", updateDataFitWarnings);
+
+    /**
+     * Shows the questions that apply to the answers so far and the analysis they lead to.
+     */
+    const updateWizard = () => {
+        const answers = {
+            dataType: wizardDataTypeSelect.value,
+            groups: wizardGroupsSelect.value,
+            design: wizardDesignSelect.value,
+            factors: wizardFactorsSelect.value,
+            betweenGroups: wizardBetweenSelect.value
+        };
+        wizardDesignGroup.style.display = answers.groups === "one" ? "none" : "block";
+        wizardFactorsGroup.style.display = answers.groups === "three" && answers.design === "independent" ? "block" : "none";
+        wizardBetweenGroup.style.display = answers.groups !== "one" && answers.design === "paired" ? "block" : "none";
+
+        const recommendation = recommendPreset(answers);
+        wizardRecommendation.classList.toggle("is-unavailable", Boolean(recommendation.error));
+        wizardApplyButton.disabled = Boolean(recommendation.error);
+        if (recommendation.error) {
+            wizardRecommendation.textContent = recommendation.error;
+            return;
+        }
+        wizardApplyButton.dataset.preset = recommendation.preset;
+        wizardRecommendation.innerHTML = "<strong></strong><p></p>";
+        wizardRecommendation.querySelector("strong").textContent = `Recommended: ${ANALYSIS_PRESETS[recommendation.preset].name}`;
+        wizardRecommendation.querySelector("p").textContent = recommendation.reason;
+    };
+
+    const setWizardOpen = (open) => {
+        testWizard.style.display = open ? "block" : "none";
+        wizardToggleButton.setAttribute("aria-expanded", String(open));
+        if (open) updateWizard();
+    };
+
+    [wizardDataTypeSelect, wizardGroupsSelect, wizardDesignSelect, wizardFactorsSelect, wizardBetweenSelect].forEach(select => {
+        select.addEventListener("change", updateWizard);
+    });
+    wizardToggleButton.addEventListener("click", () => setWizardOpen(testWizard.style.display === "none"));
+    wizardCloseButton.addEventListener("click", () => setWizardOpen(false));
+    wizardApplyButton.addEventListener("click", () => {
+        applyPreset(wizardApplyButton.dataset.preset);
+        setWizardOpen(false);
+        (dataMode === "categorical" ? contingencyEditorContainer : datasetContainer).scrollIntoView({ behavior: "smooth" });
+    });
+
+    /**
+     * Reads the confidence level input (a percentage) as a proportion, falling back to 95%.
+     * @returns {number} The confidence level, e.g. 0.95.
+     */
+    const getConfidenceLevel = () => {
+        const percent = parseFloat(confidenceLevelInput.value);
+        return (percent > 0 && percent < 100) ? percent / 100 : 0.95;
+    };
+
+    /**
+     * Reads the significance level input, falling back to 0.05.
+     * @returns {number} The significance level, e.g. 0.05.
+     */
+    const getSignificanceLevel = () => {
+        const alpha = parseFloat(significanceLevelInput.value);
+        return (alpha > 0 && alpha < 1) ? alpha : 0.05;
+    };
+
+    /**
+     * Reads the per-analysis settings from the settings panels.
+     * @returns {Object} The settings, keyed by analysis.
+     */
+    const getAnalysisSettings = () => ({
+        confidenceLevel: getConfidenceLevel(),
+        significance: {
+            alpha: getSignificanceLevel(),
+            correction: pValueCorrectionSelect.value
+        },
+        tTest: {
+            type: tTestTypeSelect.value,
+            alternative: tTestAlternativeSelect.value,
+            hypothesisedMean: tTestTypeSelect.value === "one-sample" ? (parseFloat(tTestMuInput.value) || 0) : 0
+        },
+        outliers: getOutlierSettings(),
+        transforms: getTransformSettings(),
+        mixedAnova: { withinFactor: Number(mixedWithinFactorSelect.value) },
+        correlation: { method: correlationMethodSelect.value },
+        regression: getRegressionSettings(),
+        goodnessOfFit: { expectedProportions: goodnessOfFitExpectedInput.value.trim() }
+    });
+
+    // === Outlier Detection ===
+    const outlierThresholdLabels = {
+        "iqr": "Fence multiplier (k)",
+        "z-score": "|z| threshold",
+        "modified-z": "|M| threshold",
+        "grubbs": "Significance level (α)"
+    };
+    const outlierHints = {
+        "none": "Flag suspicious values in each dataset before running the analysis.",
+        "iqr": "Flags values below Q1 − k·IQR or above Q3 + k·IQR (Tukey's fences). Needs at least 4 values.",
+        "z-score": "Flags values more than the threshold standard deviations from the mean. Below 11 values no value can reach |z| = 3.",
+        "modified-z": "Flags values whose median/MAD-based score exceeds the threshold, so the outliers cannot mask themselves. Iglewicz & Hoaglin recommend 3.5.",
+        "grubbs": "Repeats Grubbs' two-sided test, removing the most extreme value while it is significant. Assumes the remaining data is normal."
+    };
+
+    /**
+     * Reads the outlier settings, falling back to the method's default threshold when the input is invalid.
+     * @returns {{method: string, threshold: number|null, handling: string}} The outlier settings.
+     */
+    const getOutlierSettings = () => {
+        const method = outlierMethodSelect.value;
+        const threshold = parseFloat(outlierThresholdInput.value);
+        const valid = threshold > 0 && (method !== "grubbs" || threshold < 1);
+        return {
+            method,
+            threshold: method === "none" ? null : valid ? threshold : OUTLIER_DEFAULT_THRESHOLDS[method],
+            handling: outlierHandlingSelect.value
+        };
+    };
+
+    /**
+     * Highlights the values of a dataset row that the selected detection method flags.
+     * @param {HTMLElement} row - The dataset row.
+     */
+    const updateOutlierFlags = (row) => {
+        const flagsDiv = row.querySelector(".outlier-flags");
+        if (!flagsDiv) return;
+        flagsDiv.innerHTML = "";
+
+        const { method, threshold } = getOutlierSettings();
+        const values = parseAndValidateFieldValues(row.querySelector("textarea").value, getMissingCodes());
+        if (method === "none" || !values) return;
+
+        const detection = detectOutliers(values, method, threshold);
+        if (detection.error) {
+            flagsDiv.textContent = detection.error;
+        } else if (detection.flagged.length === 0) {
+            flagsDiv.textContent = "No outliers flagged.";
+        } else {
+            flagsDiv.innerHTML = `<i class="fas fa-triangle-exclamation"></i> ${detection.flagged.length} flagged:` +
+                detection.flagged.map(i => `<span class="outlier-chip" title="Value ${i + 1}">${values[i]}</span>`).join("");
+        }
+    };
+
+    const updateAllOutlierFlags = () => {
+        datasetContainer.querySelectorAll(".dataset-field-row").forEach(updateOutlierFlags);
+    };
+
+    const updateOutlierSettings = () => {
+        const method = outlierMethodSelect.value;
+        document.querySelectorAll("#outlier-settings .outlier-option").forEach(group => {
+            group.style.display = method === "none" ? "none" : "block";
+        });
+        if (method !== "none") outlierThresholdLabel.textContent = outlierThresholdLabels[method];
+        outlierHint.textContent = outlierHints[method];
+        updateAllOutlierFlags();
+    };
+
+    outlierMethodSelect.addEventListener("change", () => {
+        if (outlierMethodSelect.value !== "none") outlierThresholdInput.value = OUTLIER_DEFAULT_THRESHOLDS[outlierMethodSelect.value];
+        updateOutlierSettings();
+    });
+    outlierThresholdInput.addEventListener("input", updateAllOutlierFlags);
+    datasetContainer.addEventListener("input", (e) => {
+        const row = e.target.closest(".dataset-field-row");
+        if (row && e.target.tagName === "TEXTAREA") updateOutlierFlags(row);
+    });
+    updateOutlierSettings();
+
+    // === Data Transformations ===
+    // Each dataset row keeps its transformation in data-transform. Transformations are applied after
+    // outlier handling, so the preview handles outliers first as well.
+
+    /**
+     * Reads the transformation of a dataset row.
+     * @param {HTMLElement} row - The dataset row.
+     * @returns {string} A key of TRANSFORMS.
+     */
+    const getRowTransform = (row) => row.dataset.transform || "none";
+
+    /**
+     * Reads the transformation settings.
+     * @returns {{methods: Array<string>, lambda: number|null}} The transformation of each analysed
+     *   dataset, and the fixed Box–Cox λ (null to estimate it from the data).
+     */
+    const getTransformSettings = () => {
+        const lambda = parseFloat(boxCoxLambdaInput.value);
+        return {
+            methods: getAnalysedRows().map(getRowTransform),
+            lambda: Number.isFinite(lambda) ? lambda : null
+        };
+    };
+
+    /**
+     * Lists each analysed dataset with a choice of transformation, a few of its transformed values,
+     * and their n, mean, SD and skewness (against the skewness before transforming).
+     */
+    const updateTransformPreview = () => {
+        const rows = getAnalysedRows();
+        const { methods, lambda } = getTransformSettings();
+        if (rows.length > 0) transformAllSelect.value = new Set(methods).size > 1 ? "mixed" : methods[0];
+        boxCoxOption.style.display = methods.includes("box-cox") ? "block" : "none";
+
+        const formatValue = (value) => Number.isFinite(value) ? String(Number(value.toPrecision(4))) : "—";
+        // The values as a run would transform them, after leaving out incomplete rows and handling outliers
+        const analysed = rows.map(row => ({
+            label: row.querySelector(".dataset-label-input input").value.trim() || `Dataset ${row.dataset.id}`,
+            factors: row.dataset.factors ? JSON.parse(row.dataset.factors) : undefined,
+            entries: readEnteredValues(row.querySelector("textarea").value, getMissingCodes())
+        }));
+        const selectedOptions = getSelectedOptions();
+        const entered = handleEntryOutliers(readAnalysedEntries(analysed, selectedOptions), getRowKeys(analysed, selectedOptions))
+            .map(result => result.values);
+        const results = transformDatasets(entered, methods, { lambda });
+        const body = transformPreview.querySelector("tbody");
+        body.innerHTML = "";
+        rows.forEach((row, i) => {
+            const result = results[i];
+            const label = row.querySelector(".dataset-label-input input").value.trim() || `Dataset ${row.dataset.id}`;
+            const tr = document.createElement("tr");
+            const addCell = (text, className) => {
+                const td = document.createElement("td");
+                td.textContent = text;
+                if (className) td.className = className;
+                tr.appendChild(td);
+                return td;
+            };
+
+            addCell(label);
+            const select = document.createElement("select");
+            select.className = "input-field";
+            select.dataset.rowId = row.dataset.id;
+            select.setAttribute("aria-label", `Transformation of ${label}`);
+            Object.entries(TRANSFORMS).forEach(([key, name]) => select.appendChild(new Option(name, key)));
+            select.value = result.method;
+            const methodCell = addCell("");
+            methodCell.appendChild(select);
+            if (result.parameters && result.parameters.lambda !== undefined) {
+                methodCell.append(` λ = ${formatValue(result.parameters.lambda)}`);
+            }
+
+            if (result.error) {
+                addCell(result.error, "preview-error").colSpan = 5;
+            } else {
+                const { values } = result;
+                const shown = values.slice(0, 5).map(formatValue).join(", ");
+                addCell(values.length > 5 ? `${shown}, …` : shown, "preview-values");
+                addCell(String(values.length));
+                addCell(formatValue(calculateMean(values)));
+                addCell(formatValue(calculateSD(values, "sample")));
+                const skewness = formatValue(calculateSkewness(values));
+                addCell(result.method === "none" ? skewness : `${formatValue(calculateSkewness(entered[i]))} → ${skewness}`);
+            }
+            body.appendChild(tr);
+        });
+        transformPreview.style.display = rows.length > 0 ? "block" : "none";
+    };
+
+    transformAllSelect.addEventListener("change", () => {
+        datasetContainer.querySelectorAll(".dataset-field-row").forEach(row => { row.dataset.transform = transformAllSelect.value; });
+        updateTransformPreview();
+    });
+    transformPreview.addEventListener("change", (e) => {
+        const row = datasetContainer.querySelector(`.dataset-field-row[data-id="${e.target.dataset.rowId}"]`);
+        if (row) row.dataset.transform = e.target.value;
+        updateTransformPreview();
+    });
+    boxCoxLambdaInput.addEventListener("input", updateTransformPreview);
+    datasetContainer.addEventListener("input", updateTransformPreview);
+    [outlierMethodSelect, outlierThresholdInput, outlierHandlingSelect].forEach(input => input.addEventListener("change", updateTransformPreview));
+    [outlierMethodSelect, outlierThresholdInput, outlierHandlingSelect].forEach(input => input.addEventListener("change", updateDataFitWarnings));
+    updateTransformPreview();
+
+    // === Enhanced Analysis Execution ===
+    const performAnalyses = (
+        fullDataArrays, 
+        means, 
+        sampleSDs, 
+        populationSDs, 
+        selectedOptions,
+        datasets,
+        settings
+    ) => {
+        const results = {};
+    
+        selectedOptions.forEach(option => {
             switch (option) {
                 case "mean":
-                    results.mean = means.map(m => m.toFixed(3));
+                    results.mean = means;
                     break;
     
                 case "sample-std-dev":
-                    results.sampleSDs = sampleSDs.map(s => parseFloat(s))
+                    results.sampleSDs = sampleSDs;
                     break;
     
                 case "population-std-dev":
-                    results.populationSDs = populationSDs.map(p => parseFloat(p));
+                    results.populationSDs = populationSDs;
                     break;
     
                 case "t-test":
-                    if (fullDataArrays.length !== 2) {
+                    const { type, alternative, hypothesisedMean } = settings.tTest;
+                    const tTestGroups = type === "one-sample"
+                        ? fullDataArrays.map((data, i) => ({ samples: [data], comparison: `${datasets[i].label} vs μ₀ = ${hypothesisedMean}` }))
+                        : [{ samples: fullDataArrays.slice(0, 2), comparison: datasets.length >= 2 ? `${datasets[0].label} vs ${datasets[1].label}` : "" }];
+
+                    if (type !== "one-sample" && fullDataArrays.length !== 2) {
                         results.ttest = "N/A (requires exactly 2 datasets)";
                         errorDisplay.textContent = "T-Test requires exactly 2 datasets.";
+                        break;
+                    }
+
+                    const tTests = tTestGroups.map(group => ({
+                        ...calculateTtest(group.samples, type, alternative, hypothesisedMean, settings.confidenceLevel),
+                        comparison: group.comparison
+                    }));
+                    // A paired t-test assumes the differences, not the raw datasets, are normal
+                    if (type === "paired" && fullDataArrays[0].length === fullDataArrays[1].length) {
+                        const differences = fullDataArrays[0].map((value, i) => value - fullDataArrays[1][i]);
+                        tTests[0].differenceNormality = calculateShapiroWilk(differences);
+                    }
+                    const tTestError = tTests.find(test => test.error);
+                    if (tTestError) {
+                        results.ttest = tTestError.error;
+                        errorDisplay.textContent = tTestError.error;
                     } else {
-                        results.ttest = calculateTtest(means, noOfItems, populationSDs.map(p => parseFloat(p)));
+                        results.ttest = { type, alternative, hypothesisedMean, tests: tTests };
                         errorDisplay.textContent = "";
                     }
                     break;
     
                 case "anova-one-way":
-                    if (fullDataArrays.length < 2) {
-                        results.anovaOneWay = "N/A (requires 2+ datasets)";
-                        errorDisplay.textContent = "One-Way ANOVA requires at least 2 datasets.";
+                    const oneWayResult = calculateOneWayAnova(fullDataArrays);
+                    if (oneWayResult.error) {
+                        results.anovaOneWay = oneWayResult.error;
+                        errorDisplay.textContent = oneWayResult.error;
                     } else {
-                        const anovaFull = calculateOneWayAnova(fullDataArrays, means, noOfItems);
-                        results.anovaOneWay = {
-                            F: anovaFull.F,
-                            ssBetween: anovaFull.ESSb,
-                            ssWithin: anovaFull.ESSw,
-                            msBetween: anovaFull.MeanSSb,
-                            msWithin: anovaFull.MeanSSw,
-                            dfBetween: anovaFull.DFb,
-                            dfWithin: anovaFull.DFW,
-                            totalSS: parseFloat(anovaFull.ESSb + anovaFull.ESSw).toFixed(3),
-                            totalDf: anovaFull.DFb + anovaFull.DFW
-                        };
+                        results.anovaOneWay = oneWayResult;
                         errorDisplay.textContent = "";
                     }
                     break;
     
                 case "anova-two-way":
-                    // Simple two-way ANOVA (main effects only)
+                    // Full two-way ANOVA (main effects + interaction, Type III SS)
                     const twoWayResult = calculateTwoWayAnova(fullDataArrays, datasets); // datasets has labels
                     if (twoWayResult.error) {
                         results.anovaTwoWay = twoWayResult.error;
                         errorDisplay.textContent = twoWayResult.error;
                     } else {
-                        results.anovaTwoWay = {
-                            factorA_F: twoWayResult.factorA_F,
-                            factorB_F: twoWayResult.factorB_F,
-                            // interaction not implemented yet
+                        results.anovaTwoWay = twoWayResult;
+                        errorDisplay.textContent = "";
+                    }
+                    break;
+    
+                case "anova-repeated-measures":
+                    const repeatedResult = calculateRepeatedMeasuresAnova(fullDataArrays);
+                    if (repeatedResult.error) {
+                        errorDisplay.textContent = repeatedResult.error;
+                    } else {
+                        results.anovaRepeatedMeasures = { ...repeatedResult, conditionLabels: datasets.map(ds => ds.label) };
+                        errorDisplay.textContent = "";
+                    }
+                    break;
+
+                case "anova-mixed":
+                    const mixedResult = calculateMixedAnova(fullDataArrays, datasets, settings.mixedAnova.withinFactor);
+                    if (mixedResult.error) {
+                        errorDisplay.textContent = mixedResult.error;
+                    } else {
+                        results.anovaMixed = mixedResult;
+                        errorDisplay.textContent = "";
+                    }
+                    break;
+    
+                case "post-hoc-tukey":
+                case "post-hoc-bonferroni":
+                case "post-hoc-games-howell":
+                    const method = option.replace("post-hoc-", "");
+                    const postHocResult = calculatePostHoc(fullDataArrays, method, settings.confidenceLevel, settings.significance.alpha);
+                    if (postHocResult.error) {
+                        errorDisplay.textContent = postHocResult.error;
+                    } else {
+                        results.postHoc = results.postHoc || {};
+                        results.postHoc[method] = {
+                            ...postHocResult,
+                            comparisons: postHocResult.comparisons.map(c => ({
+                                ...c,
+                                comparison: `${datasets[c.groups[0]].label} vs ${datasets[c.groups[1]].label}`
+                            }))
+                        };
+                        errorDisplay.textContent = "";
+                    }
+                    break;
+    
+                case "mann-whitney":
+                case "wilcoxon-signed-rank":
+                    if (fullDataArrays.length !== 2) {
+                        errorDisplay.textContent = "Mann–Whitney U and Wilcoxon signed-rank tests require exactly 2 datasets.";
+                        break;
+                    }
+                    const rankTest = option === "mann-whitney"
+                        ? calculateMannWhitneyU(fullDataArrays[0], fullDataArrays[1])
+                        : calculateWilcoxonSignedRank(fullDataArrays[0], fullDataArrays[1]);
+                    if (rankTest.error) {
+                        errorDisplay.textContent = rankTest.error;
+                    } else {
+                        results[option === "mann-whitney" ? "mannWhitney" : "wilcoxon"] = {
+                            ...rankTest,
+                            comparison: `${datasets[0].label} vs ${datasets[1].label}`
+                        };
+                        errorDisplay.textContent = "";
+                    }
+                    break;
+    
+                case "kruskal-wallis":
+                    const kruskalResult = calculateKruskalWallis(fullDataArrays, settings.significance.alpha);
+                    if (kruskalResult.error) {
+                        errorDisplay.textContent = kruskalResult.error;
+                    } else {
+                        results.kruskalWallis = {
+                            ...kruskalResult,
+                            dunn: kruskalResult.dunn.map(c => ({
+                                ...c,
+                                comparison: `${datasets[c.groups[0]].label} vs ${datasets[c.groups[1]].label}`
+                            }))
+                        };
+                        errorDisplay.textContent = "";
+                    }
+                    break;
+    
+                case "correlation":
+                    const correlationResult = calculateCorrelationMatrix(fullDataArrays, settings.correlation.method, settings.confidenceLevel);
+                    if (correlationResult.error) {
+                        errorDisplay.textContent = correlationResult.error;
+                        break;
+                    }
+                    results.correlation = {
+                        ...correlationResult,
+                        pairs: correlationResult.pairs.map(pair => ({
+                            ...pair,
+                            comparison: `${datasets[pair.groups[0]].label} vs ${datasets[pair.groups[1]].label}`
+                        }))
+                    };
+                    const failedPair = results.correlation.pairs.find(pair => pair.error);
+                    errorDisplay.textContent = failedPair ? `${failedPair.comparison}: ${failedPair.error}` : "";
+                    break;
+
+                case "regression":
+                    const { outcome, predictors } = settings.regression;
+                    if (outcome === -1 || predictors.length === 0) {
+                        errorDisplay.textContent = "Choose an outcome and at least one predictor in the regression settings.";
+                        break;
+                    }
+                    const regressionResult = calculateLinearRegression(
+                        fullDataArrays[outcome],
+                        predictors.map(index => fullDataArrays[index]),
+                        settings.confidenceLevel
+                    );
+                    if (regressionResult.error) {
+                        errorDisplay.textContent = regressionResult.error;
+                    } else {
+                        results.regression = {
+                            ...regressionResult,
+                            outcomeIndex: outcome,
+                            predictorIndices: predictors,
+                            outcome: datasets[outcome].label,
+                            predictors: predictors.map(index => datasets[index].label)
                         };
                         errorDisplay.textContent = "";
                     }
@@ -563,11 +1785,294 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     }
     
+    // === Saved Analyses ===
+    /**
+     * Builds the default name for a new analysis from its dataset labels.
+     * @param {Array<{label: string}>} datasets - The analysed datasets.
+     * @returns {string} A name such as "Control vs Treatment".
+     */
+    const buildDefaultAnalysisName = (datasets) => {
+        const labels = datasets.map(ds => ds.label);
+        if (labels.length <= 3) return labels.join(" vs ");
+        return `${labels.slice(0, 3).join(", ")} and ${labels.length - 3} more`;
+    };
+
+    /**
+     * Builds the default name for a new analysis of a contingency table from its variables.
+     * @param {{rowVariable: string, columnVariable: string}} table - The analysed table.
+     * @returns {string} A name such as "Gender × Party".
+     */
+    const buildTableAnalysisName = ({ rowVariable, columnVariable }) => {
+        const rows = rowVariable || "Categories";
+        return columnVariable ? `${rows} × ${columnVariable}` : rows;
+    };
+
+    /**
+     * Loads a saved analysis's datasets, options and settings back into the form so it can be edited and re-run.
+     * @param {Object} analysis - The saved analysis.
+     */
+    const loadAnalysisIntoForm = (analysis) => {
+        const { selectedOptions, settings } = analysis.inputs;
+        // Analyses saved before outlier handling existed have no outlier settings
+        const outlierSettings = settings.outliers || { method: "none", threshold: null, handling: "keep" };
+
+        outlierMethodSelect.value = outlierSettings.method;
+        if (outlierSettings.threshold !== null) outlierThresholdInput.value = outlierSettings.threshold;
+        outlierHandlingSelect.value = outlierSettings.handling;
+        updateOutlierSettings();
+        // Analyses saved before transformations existed analysed the values as entered
+        const transformSettings = settings.transforms || { methods: [], lambda: null };
+        transformAllSelect.value = "none";
+        boxCoxLambdaInput.value = transformSettings.lambda ?? "";
+        const { contingencyTable } = analysis.payload;
+        if (contingencyTable) contingencyEditor.load(contingencyTable);
+        else fillDatasetRows(analysis.payload.datasets);
+        // fillDatasetRows numbers the rows 1…n in dataset order
+        transformSettings.methods.forEach((method, i) => {
+            const row = datasetContainer.querySelector(`.dataset-field-row[data-id="${i + 1}"]`);
+            if (row) row.dataset.transform = method;
+        });
+        updateTransformPreview();
+        document.querySelectorAll(".analysis-options-grid input[type='checkbox']").forEach(cb => {
+            cb.checked = selectedOptions.includes(cb.value);
+        });
+        // Analyses saved before categorical data existed have no goodness-of-fit settings
+        goodnessOfFitExpectedInput.value = settings.goodnessOfFit ? settings.goodnessOfFit.expectedProportions : "";
+        setDataMode(contingencyTable ? "categorical" : "numeric");
+        confidenceLevelInput.value = parseFloat((settings.confidenceLevel * 100).toFixed(1));
+        // Analyses saved before significance settings existed used 0.05 without a correction
+        const significance = settings.significance || { alpha: 0.05, correction: "none" };
+        significanceLevelInput.value = significance.alpha;
+        pValueCorrectionSelect.value = significance.correction;
+        tTestTypeSelect.value = settings.tTest.type;
+        tTestAlternativeSelect.value = settings.tTest.alternative;
+        tTestMuInput.value = settings.tTest.hypothesisedMean;
+        updateTtestSettings();
+        // Analyses saved before mixed ANOVA existed have no setting for its repeated factor
+        if (settings.mixedAnova) mixedWithinFactorSelect.value = String(settings.mixedAnova.withinFactor);
+        updateRepeatedMeasuresSettings();
+        // Analyses saved before correlation and regression existed have no settings for them
+        if (settings.correlation) correlationMethodSelect.value = settings.correlation.method;
+        updateCorrelationSettings();
+        if (settings.regression && settings.regression.outcome !== -1) {
+            // fillDatasetRows numbers the rows 1…n in dataset order
+            regressionOutcomeSelect.value = String(settings.regression.outcome + 1);
+            regressionOutcomeSelect.dataset.chosen = "true";
+            updateRegressionVariables();
+            regressionPredictorsList.querySelectorAll("input").forEach(input => {
+                input.checked = settings.regression.predictors.includes(Number(input.value) - 1);
+            });
+        }
+        updateRegressionSettings();
+        applyPreset("custom");
+        updateDataFitWarnings();
+
+        errorDisplay.textContent = "";
+        (contingencyTable ? contingencyEditorContainer : datasetContainer).scrollIntoView({ behavior: "smooth" });
+    };
+
+    /**
+     * Renders the "My Analyses" list from the saved analyses.
+     */
+    const renderSavedAnalyses = async () => {
+        let analyses;
+        try {
+            analyses = await listAnalyses();
+        } catch (err) {
+            console.error("Failed to load saved analyses:", err);
+            savedAnalysesList.innerHTML = "";
+            savedAnalysesEmpty.textContent = "Saved analyses are not available in this browser.";
+            savedAnalysesEmpty.style.display = "block";
+            return;
+        }
+
+        savedAnalysesEmpty.style.display = analyses.length === 0 ? "block" : "none";
+        savedAnalysesList.innerHTML = "";
+        analyses.forEach(analysis => {
+            const { payload } = analysis;
+            const table = payload.contingencyTable;
+            const size = table
+                ? `${table.rowLevels.length} × ${table.columnLevels.length} table`
+                : `${payload.datasetCount} datasets`;
+            const item = document.createElement("li");
+            item.className = "saved-analysis";
+            item.dataset.id = analysis.id;
+            item.innerHTML = `
+                <div class="saved-analysis-info">
+                    <a class="saved-analysis-name" href="./results.html?id=${analysis.id}" target="_blank"></a>
+                    <div class="saved-analysis-meta">${payload.date} at ${payload.time} • ${size}</div>
+                </div>
+                <div class="saved-analysis-actions">
+                    <button type="button" data-action="rename" title="Rename" aria-label="Rename"><i class="fas fa-pen"></i></button>
+                    <button type="button" data-action="duplicate" title="Duplicate into analyzer" aria-label="Duplicate into analyzer"><i class="fas fa-copy"></i></button>
+                    <button type="button" data-action="delete" title="Delete" aria-label="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+            item.querySelector(".saved-analysis-name").textContent = analysis.name;
+            savedAnalysesList.appendChild(item);
+        });
+    };
+
+    savedAnalysesList.addEventListener("click", async (e) => {
+        const btn = e.target.closest("button[data-action]");
+        if (!btn) return;
+        const id = Number(btn.closest(".saved-analysis").dataset.id);
+
+        try {
+            const analysis = await getAnalysis(id);
+            if (!analysis) {
+                renderSavedAnalyses();
+                return;
+            }
+
+            switch (btn.dataset.action) {
+                case "rename": {
+                    const name = prompt("Rename analysis", analysis.name);
+                    if (name && name.trim()) {
+                        await renameAnalysis(id, name.trim());
+                        renderSavedAnalyses();
+                    }
+                    break;
+                }
+                case "duplicate":
+                    loadAnalysisIntoForm(analysis);
+                    break;
+                case "delete":
+                    if (confirm(`Delete "${analysis.name}"? This cannot be undone.`)) {
+                        await deleteAnalysis(id);
+                        renderSavedAnalyses();
+                    }
+                    break;
+            }
+        } catch (err) {
+            console.error(`Failed to ${btn.dataset.action} analysis:`, err);
+            alert("Something went wrong while updating your saved analyses. Please try again.");
+        }
+    });
+
+    renderSavedAnalyses();
+
     // === Submit & Analysis ===
+    /**
+     * Saves an analysis and opens it on the results page.
+     * @param {Object} analysis - The analysis to save: `{ name, payload, inputs }`.
+     */
+    const saveAndOpenAnalysis = (analysis) => {
+        saveAnalysis(analysis)
+            .then(id => {
+                const url = `results.html?id=${id}`;
+                if (!window.open(url, '_blank')) window.location.href = url;
+                renderSavedAnalyses();
+            })
+            .catch(err => {
+                console.error("Failed to save analysis:", err);
+                errorDisplay.textContent = "Your analysis could not be saved in this browser, so the results cannot be opened.";
+            })
+            .finally(() => toggleSubmitButton("Run Analysis", false));
+    };
+
+    /**
+     * Runs the selected categorical analyses on a contingency table. As with the datasets, a test
+     * that cannot run shows its error and is left out of the results.
+     * @param {Object} table - The contingency table.
+     * @param {Array<string>} selectedOptions - The selected categorical options.
+     * @param {Object} settings - The analysis settings.
+     * @returns {Object} The results, keyed by test.
+     */
+    const performCategoricalAnalyses = (table, selectedOptions, settings) => {
+        const results = {};
+        selectedOptions.forEach(option => {
+            let result;
+            switch (option) {
+                case "chi-square-gof":
+                    result = table.columnLevels.length === 1
+                        ? calculateChiSquareGoodnessOfFit(
+                            table.counts.map(row => row[0]),
+                            parseExpectedProportions(settings.goodnessOfFit.expectedProportions)
+                        )
+                        : { error: "The goodness-of-fit test needs a single column of counts, one row per category." };
+                    if (result.error) errorDisplay.textContent = result.error;
+                    else results.chiSquareGoodnessOfFit = result;
+                    break;
+
+                case "chi-square-independence":
+                    result = calculateChiSquareIndependence(table.counts);
+                    if (result.error) errorDisplay.textContent = result.error;
+                    else results.chiSquareIndependence = result;
+                    break;
+
+                case "fisher-exact":
+                    result = calculateFisherExact(table.counts);
+                    if (result.error) errorDisplay.textContent = result.error;
+                    else results.fisherExact = result;
+                    break;
+            }
+        });
+        return results;
+    };
+
+    /**
+     * Analyses the contingency table entered in categorical mode.
+     */
+    const runCategoricalAnalysis = () => {
+        const table = contingencyEditor.read();
+        const selectedOptions = getSelectedOptions();
+        const counts = table.counts.flat();
+
+        if (counts.some(count => isNaN(count))) {
+            errorDisplay.textContent = "Please enter every count as a whole number of zero or more.";
+            return;
+        }
+        if (counts.every(count => count === 0)) {
+            errorDisplay.textContent = "Please enter the counts to analyse.";
+            return;
+        }
+        if (selectedOptions.length === 0) {
+            errorDisplay.textContent = "Please select at least one analysis option.";
+            return;
+        }
+
+        toggleSubmitButton("Running Analysis...", true);
+        errorDisplay.textContent = "";
+        resultsDisplay.style.display = "none";
+
+        setTimeout(() => {
+            const settings = getAnalysisSettings();
+            const analyses = performCategoricalAnalyses(table, selectedOptions, settings);
+            if (Object.keys(analyses).length === 0) {
+                toggleSubmitButton("Run Analysis", false);
+                return;
+            }
+            saveAndOpenAnalysis({
+                name: buildTableAnalysisName(table),
+                payload: {
+                    date: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
+                    time: new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }),
+                    datasetCount: 0,
+                    confidenceLevel: settings.confidenceLevel,
+                    significance: settings.significance,
+                    datasets: [],
+                    contingencyTable: table,
+                    analyses
+                },
+                inputs: { selectedOptions, settings }
+            });
+        }, 300); // Small delay for UX
+    };
+
     submitBtn.addEventListener("click", () => {
+        if (dataMode === "categorical") {
+            runCategoricalAnalysis();
+            return;
+        }
+
         let allValid = true;
         const datasets = []; // { label, values[] }
         const fullDataArrays = []; // For ANOVA: [[values...], ...]
+        const outlierSettings = getOutlierSettings();
+        const outlierReports = []; // One per dataset when outlier detection is on
+        const missingCodes = getMissingCodes();
+        const entered = [];
     
         document.querySelectorAll(".dataset-field-row").forEach((row) => {
             const id = row.dataset.id;
@@ -578,21 +2083,41 @@ document.addEventListener("DOMContentLoaded", () => {
                 allValid = false;
                 return;
             }
+            entered.push({
+                label: labelInput.value.trim() || `Dataset ${id}`,
+                factors: row.dataset.factors ? JSON.parse(row.dataset.factors) : undefined,
+                missing: Number(row.dataset.missing || 0),
+                entries: readEnteredValues(textarea.value, missingCodes)
+            });
+        });
     
-            const parsed = parseAndValidateFieldValues(textarea.value);
-            if (parsed) {
-                datasets.push({
-                    label: labelInput.value.trim() || `Dataset ${id}`,
-                    values: parsed
-                });
-                fullDataArrays.push(parsed);
+        const selectedOptions = getSelectedOptions();
+        const rowKeys = getRowKeys(entered, selectedOptions);
+        const handledSets = handleEntryOutliers(readAnalysedEntries(entered, selectedOptions), rowKeys);
+
+        entered.forEach(({ label, factors, missing }, i) => {
+            const { values, parsed, entries, detection, changes } = handledSets[i];
+            if (detection) {
+                outlierReports.push(detection.error
+                    ? { label, error: detection.error }
+                    : { label, lowerBound: detection.lowerBound, upperBound: detection.upperBound, changes });
             }
+            // Values of matched rows left out with another dataset's outlier count as excluded, like incomplete rows
+            const left = entries.filter(entry => entry.reason !== undefined && entry.reason !== "outlier").length;
+
+            datasets.push({
+                label,
+                values,
+                rawValues: values.length !== parsed.length || values.some((value, j) => value !== parsed[j]) ? parsed : undefined,
+                factors,
+                missing,
+                excluded: left + missing,
+                // The entries as typed, when some were left out, so the form can restore them in their rows
+                cells: left > 0 ? entries.map(entry => entry.cell) : undefined
+            });
+            fullDataArrays.push(values);
         });
     
-        const selectedOptions = Array.from(
-            document.querySelectorAll(".analysis-options-grid input[type='checkbox']:checked")
-        ).map(cb => cb.value);
-    
         if (!allValid || datasets.length === 0) {
             errorDisplay.textContent = "Please fix the errors in the datasets to continue.";
             toggleSubmitButton("Run Analysis", false);
@@ -604,6 +2129,31 @@ document.addEventListener("DOMContentLoaded", () => {
             toggleSubmitButton("Run Analysis", false);
             return;
         }
+
+        const tooFew = datasets.find(ds => ds.values.length < 3);
+        if (tooFew) {
+            errorDisplay.textContent = `${tooFew.label} has fewer than 3 values once incomplete rows and excluded outliers are left out.`;
+            toggleSubmitButton("Run Analysis", false);
+            return;
+        }
+
+        // Transform after outlier handling, keeping the values as entered so the form can restore them
+        const transformSettings = getTransformSettings();
+        const transformed = transformDatasets(fullDataArrays, transformSettings.methods, { lambda: transformSettings.lambda });
+        const failedTransform = transformed.findIndex(result => result.error);
+        if (failedTransform !== -1) {
+            errorDisplay.textContent = `${datasets[failedTransform].label}: ${transformed[failedTransform].error}`;
+            toggleSubmitButton("Run Analysis", false);
+            return;
+        }
+        transformed.forEach((result, i) => {
+            if (result.method === "none") return;
+            const ds = datasets[i];
+            ds.rawValues = ds.rawValues || ds.values;
+            ds.values = result.values;
+            ds.transform = { method: result.method, ...result.parameters };
+            fullDataArrays[i] = result.values;
+        });
     
         toggleSubmitButton("Running Analysis...", true);
         errorDisplay.textContent = "";
@@ -614,54 +2164,68 @@ document.addEventListener("DOMContentLoaded", () => {
             const means = datasets.map(d => calculateMean(d.values));
             const populationSDs = datasets.map(d => calculateSD(d.values, "population"));
             const sampleSDs = datasets.map(d => calculateSD(d.values, "sample"));
-            const noOfItems = datasets.map(d => d.values.length);
     
             const analysisResults = performAnalyses(
                 fullDataArrays,
                 means,
                 sampleSDs,
                 populationSDs,
-                noOfItems,
                 selectedOptions,
-                datasets
+                datasets,
+                getAnalysisSettings()
             );
     
             // === Prepare data to send to results page ===
+            const { confidenceLevel, significance } = getAnalysisSettings();
             const resultsPayload = {
                 date: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
                 time: new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }),
                 datasetCount: datasets.length,
+                confidenceLevel,
+                significance,
                 datasets: datasets.map(ds => ({
                     label: ds.label,
                     values: ds.values,
-                    mean: calculateMean(ds.values).toFixed(3),
-                    stdDev: parseFloat(calculateSD(ds.values, "sample")), // using sample SD
-                    n: ds.values.length
+                    mean: calculateMean(ds.values),
+                    meanCI: calculateMeanCI(ds.values, confidenceLevel),
+                    stdDev: calculateSD(ds.values, "sample"), // using sample SD
+                    n: ds.values.length,
+                    excluded: ds.excluded,
+                    missing: ds.missing || undefined, // Missing cells left out when the values were imported
+                    rawValues: ds.rawValues, // Only set when outlier handling or a transformation changed the values
+                    cells: ds.cells, // Only set when entries were left out
+                    transform: ds.transform, // Only set when the values were transformed
+                    factors: ds.factors // Only set for imports with two factors or a between-subjects group
                 })),
                 summaryStats: {
-                    means: means.map(m => parseFloat(m.toFixed(3))),
-                    sampleSDs: sampleSDs.map(s => parseFloat(s)),
-                    populationSDs: populationSDs.map(p => parseFloat(p))
+                    means,
+                    sampleSDs,
+                    populationSDs
                 },
                 analyses: {}
             };
+
+            if (outlierSettings.method !== "none") {
+                resultsPayload.outliers = { ...outlierSettings, datasets: outlierReports };
+            }
     
+            // Check normality / equal variances whenever a parametric test was requested
+            const parametricOptions = ["t-test", "anova-one-way", "anova-two-way", "anova-repeated-measures", "anova-mixed", "post-hoc-tukey", "post-hoc-bonferroni", "post-hoc-games-howell"];
+            if (selectedOptions.some(option => parametricOptions.includes(option))) {
+                resultsPayload.analyses.assumptions = calculateAssumptionChecks(datasets, significance.alpha);
+            }
+
             // Add selected analyses
             selectedOptions.forEach(option => {
                 switch (option) {
                     case "t-test":
-                        if (datasets.length === 2) {
-                            resultsPayload.analyses.tTest = {
-                                t: analysisResults.ttest,
-                                // We'll calculate p-value and CI in results.js if needed
-                                comparison: `${datasets[0].label} vs ${datasets[1].label}`
-                            };
+                        if (analysisResults.ttest && typeof analysisResults.ttest !== 'string') {
+                            resultsPayload.analyses.tTest = analysisResults.ttest;
                         }
                         break;
                     case "anova-one-way":
-                        if (datasets.length >= 2) {
+                        if (analysisResults.anovaOneWay && typeof analysisResults.anovaOneWay !== 'string') {
                             resultsPayload.analyses.anovaOneWay = analysisResults.anovaOneWay;
-                            // Full table will be computed in results.js
                         }
                         break;
                     case "anova-two-way":
@@ -669,16 +2233,43 @@ document.addEventListener("DOMContentLoaded", () => {
                             resultsPayload.analyses.anovaTwoWay = analysisResults.anovaTwoWay;
                         }
                         break;
+                    case "anova-repeated-measures":
+                        if (analysisResults.anovaRepeatedMeasures) {
+                            resultsPayload.analyses.anovaRepeatedMeasures = analysisResults.anovaRepeatedMeasures;
+                        }
+                        break;
+                    case "anova-mixed":
+                        if (analysisResults.anovaMixed) {
+                            resultsPayload.analyses.anovaMixed = analysisResults.anovaMixed;
+                        }
+                        break;
+                    case "post-hoc-tukey":
+                    case "post-hoc-bonferroni":
+                    case "post-hoc-games-howell":
+                        if (analysisResults.postHoc) {
+                            resultsPayload.analyses.postHoc = analysisResults.postHoc;
+                        }
+                        break;
+                    case "mann-whitney":
+                    case "wilcoxon-signed-rank":
+                    case "kruskal-wallis":
+                        ["mannWhitney", "wilcoxon", "kruskalWallis"].forEach(key => {
+                            if (analysisResults[key]) resultsPayload.analyses[key] = analysisResults[key];
+                        });
+                        break;
+                    case "correlation":
+                    case "regression":
+                        if (analysisResults[option]) resultsPayload.analyses[option] = analysisResults[option];
+                        break;
                 }
             });
     
-            // Encode and open results page
-            const jsonString = JSON.stringify(resultsPayload);
-            const encoded = encodeURIComponent(jsonString);
-            window.open(`results.html?data=${encoded}`, '_blank');
-    
-            // displayResults(analysisResults);
-            toggleSubmitButton("Run Analysis", false);
+            // Save the analysis and open it on the results page
+            saveAndOpenAnalysis({
+                name: buildDefaultAnalysisName(datasets),
+                payload: resultsPayload,
+                inputs: { selectedOptions, settings: getAnalysisSettings() }
+            });
         }, 300); // Small delay for UX
     });
     
@@ -687,4 +2278,10 @@ document.addEventListener("DOMContentLoaded", () => {
         datasetContainer.appendChild(createDatasetRow(1));
         datasetContainer.querySelector(".remove-dataset-btn")?.remove();
     }
+
+    try {
+        if (localStorage.getItem(VIEW_STORAGE_KEY) === "grid") setDatasetView("grid");
+    } catch (e) {
+        console.warn("Could not read the saved data entry view:", e);
+    }
 });
\ No newline at end of file
@@ -0,0 +1,443 @@
+import { calculateMean, calculateSD, calculateQuantile, normalInv } from "./stats/index.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_COLORS = ["#2d61a4", "#10b981", "#f59e0b", "#ef4444", "#7c3aed", "#5998d6", "#ec4899", "#14b8a6"];
+const CHART_MARGIN = { top: 24, right: 20, bottom: 56, left: 56 };
+
+/**
+ * Creates an SVG element with the given attributes.
+ * @param {string} tag - The SVG tag name.
+ * @param {Object} attributes - Attribute names and values.
+ * @param {string} [text] - Optional text content.
+ * @returns {SVGElement} The new element.
+ */
+const createSvgElement = (tag, attributes = {}, text = "") => {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    if (text) element.textContent = text;
+    return element;
+};
+
+/**
+ * Builds a linear scale mapping a data domain onto a pixel range.
+ * @param {Array<number>} domain - The [min, max] data values.
+ * @param {Array<number>} range - The [start, end] pixel positions.
+ * @returns {function(number): number} The scale function.
+ */
+const linearScale = ([d0, d1], [r0, r1]) => {
+    const span = d1 - d0 || 1;
+    return (value) => r0 + ((value - d0) / span) * (r1 - r0);
+};
+
+/**
+ * Chooses evenly spaced "nice" tick values (1, 2 or 5 × 10ⁿ steps) covering a range.
+ * @param {number} min - The smallest data value.
+ * @param {number} max - The largest data value.
+ * @param {number} count - The approximate number of ticks wanted.
+ * @returns {Array<number>} The tick values, which span at least [min, max].
+ */
+const niceTicks = (min, max, count = 5) => {
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const residual = rawStep / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+    const ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick <= max + step / 2; tick += step) {
+        ticks.push(parseFloat(tick.toPrecision(12)));
+    }
+    if (ticks[ticks.length - 1] < max) ticks.push(parseFloat((ticks[ticks.length - 1] + step).toPrecision(12)));
+    return ticks;
+};
+
+/**
+ * Creates an empty chart with a white background, a title and y-axis gridlines.
+ * @param {Object} options - The chart options.
+ * @param {string} options.title - The chart title, used for the accessible label.
+ * @param {number} options.width - The SVG width in pixels.
+ * @param {number} options.height - The SVG height in pixels.
+ * @param {Array<number>} options.yTicks - The y-axis tick values.
+ * @param {function(number): number} options.y - The y scale.
+ * @param {string} [options.yLabel] - The y-axis label.
+ * @param {string} [options.xLabel] - The x-axis label.
+ * @returns {SVGSVGElement} The chart's SVG element.
+ */
+const createChartFrame = ({ title, width, height, yTicks, y, yLabel = "", xLabel = "" }) => {
+    const svg = createSvgElement("svg", {
+        xmlns: SVG_NS,
+        viewBox: `0 0 ${width} ${height}`,
+        width,
+        height,
+        role: "img",
+        "aria-label": title,
+        "font-family": "Inter, Arial, sans-serif",
+        "font-size": 11
+    });
+    svg.appendChild(createSvgElement("rect", { x: 0, y: 0, width, height, fill: "#ffffff" }));
+
+    yTicks.forEach(tick => {
+        const ty = y(tick);
+        svg.appendChild(createSvgElement("line", {
+            x1: CHART_MARGIN.left, x2: width - CHART_MARGIN.right, y1: ty, y2: ty, stroke: "#e0e4e8"
+        }));
+        svg.appendChild(createSvgElement("text", {
+            x: CHART_MARGIN.left - 8, y: ty + 4, "text-anchor": "end", fill: "#5e6b7a"
+        }, String(tick)));
+    });
+
+    svg.appendChild(createSvgElement("line", {
+        x1: CHART_MARGIN.left, x2: CHART_MARGIN.left, y1: CHART_MARGIN.top, y2: height - CHART_MARGIN.bottom, stroke: "#5e6b7a"
+    }));
+    svg.appendChild(createSvgElement("line", {
+        x1: CHART_MARGIN.left, x2: width - CHART_MARGIN.right,
+        y1: height - CHART_MARGIN.bottom, y2: height - CHART_MARGIN.bottom, stroke: "#5e6b7a"
+    }));
+
+    if (yLabel) {
+        const cy = (CHART_MARGIN.top + height - CHART_MARGIN.bottom) / 2;
+        svg.appendChild(createSvgElement("text", {
+            x: 14, y: cy, "text-anchor": "middle", fill: "#202d3b", transform: `rotate(-90 14 ${cy})`
+        }, yLabel));
+    }
+    if (xLabel) {
+        svg.appendChild(createSvgElement("text", {
+            x: (CHART_MARGIN.left + width - CHART_MARGIN.right) / 2, y: height - 8, "text-anchor": "middle", fill: "#202d3b"
+        }, xLabel));
+    }
+    return svg;
+};
+
+/**
+ * Adds one category label per band along the x-axis.
+ * @param {SVGSVGElement} svg - The chart.
+ * @param {Array<string>} labels - The category labels.
+ * @param {function(number): number} bandCenter - Maps a category index to its x position.
+ * @param {number} height - The chart height.
+ */
+const addCategoryLabels = (svg, labels, bandCenter, height) => {
+    labels.forEach((label, i) => {
+        svg.appendChild(createSvgElement("text", {
+            x: bandCenter(i), y: height - CHART_MARGIN.bottom + 18, "text-anchor": "middle", fill: "#202d3b"
+        }, label.length > 18 ? `${label.slice(0, 17)}…` : label));
+    });
+};
+
+/**
+ * Draws side-by-side box plots. Whiskers extend to the most extreme values within 1.5 × IQR of
+ * the quartiles; values beyond that are drawn individually as outliers.
+ * @param {Array<{label: string, values: Array<number>}>} datasets - The datasets to plot.
+ * @param {number} [width] - The SVG width in pixels.
+ * @param {number} [height] - The SVG height in pixels.
+ * @returns {SVGSVGElement} The chart.
+ */
+export const createBoxPlotChart = (datasets, width = 560, height = 340) => {
+    const allValues = datasets.flatMap(ds => ds.values);
+    const yTicks = niceTicks(Math.min(...allValues), Math.max(...allValues));
+    const y = linearScale([yTicks[0], yTicks[yTicks.length - 1]], [height - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+    const svg = createChartFrame({ title: "Box plots", width, height, yTicks, y, yLabel: "Value" });
+
+    const bandWidth = (width - CHART_MARGIN.left - CHART_MARGIN.right) / datasets.length;
+    const bandCenter = (i) => CHART_MARGIN.left + bandWidth * (i + 0.5);
+    const boxWidth = Math.min(60, bandWidth * 0.5);
+
+    datasets.forEach((ds, i) => {
+        const sorted = [...ds.values].sort((a, b) => a - b);
+        const q1 = calculateQuantile(sorted, 0.25);
+        const median = calculateQuantile(sorted, 0.5);
+        const q3 = calculateQuantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        const lowerFence = q1 - 1.5 * iqr;
+        const upperFence = q3 + 1.5 * iqr;
+        const inside = sorted.filter(v => v >= lowerFence && v <= upperFence);
+        const whiskerLow = inside[0];
+        const whiskerHigh = inside[inside.length - 1];
+        const cx = bandCenter(i);
+        const color = CHART_COLORS[i % CHART_COLORS.length];
+
+        svg.appendChild(createSvgElement("line", { x1: cx, x2: cx, y1: y(whiskerLow), y2: y(q1), stroke: "#202d3b" }));
+        svg.appendChild(createSvgElement("line", { x1: cx, x2: cx, y1: y(q3), y2: y(whiskerHigh), stroke: "#202d3b" }));
+        [whiskerLow, whiskerHigh].forEach(v => svg.appendChild(createSvgElement("line", {
+            x1: cx - boxWidth / 4, x2: cx + boxWidth / 4, y1: y(v), y2: y(v), stroke: "#202d3b"
+        })));
+        svg.appendChild(createSvgElement("rect", {
+            x: cx - boxWidth / 2, y: y(q3), width: boxWidth, height: Math.max(1, y(q1) - y(q3)),
+            fill: color, "fill-opacity": 0.25, stroke: color, "stroke-width": 1.5
+        }));
+        svg.appendChild(createSvgElement("line", {
+            x1: cx - boxWidth / 2, x2: cx + boxWidth / 2, y1: y(median), y2: y(median), stroke: color, "stroke-width": 2.5
+        }));
+        sorted.filter(v => v < lowerFence || v > upperFence).forEach(v => {
+            svg.appendChild(createSvgElement("circle", {
+                cx, cy: y(v), r: 3.5, fill: "#ffffff", stroke: "#ef4444", "stroke-width": 1.5
+            }));
+        });
+    });
+
+    addCategoryLabels(svg, datasets.map(ds => ds.label), bandCenter, height);
+    return svg;
+};
+
+/**
+ * Draws a frequency histogram of one dataset.
+ * @param {{label: string, values: Array<number>}} dataset - The dataset to plot.
+ * @param {number} bins - The number of equal-width bins.
+ * @param {number} [width] - The SVG width in pixels.
+ * @param {number} [height] - The SVG height in pixels.
+ * @returns {SVGSVGElement} The chart.
+ */
+export const createHistogramChart = (dataset, bins, width = 560, height = 340) => {
+    const min = Math.min(...dataset.values);
+    const max = Math.max(...dataset.values);
+    const binWidth = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    dataset.values.forEach(v => {
+        counts[Math.min(bins - 1, Math.floor((v - min) / binWidth))]++;
+    });
+
+    const yTicks = niceTicks(0, Math.max(...counts), Math.min(5, Math.max(...counts)))
+        .filter(tick => Number.isInteger(tick));
+    const y = linearScale([0, yTicks[yTicks.length - 1]], [height - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+    const x = linearScale([min, min + binWidth * bins], [CHART_MARGIN.left, width - CHART_MARGIN.right]);
+    const svg = createChartFrame({ title: `Histogram of ${dataset.label}`, width, height, yTicks, y, yLabel: "Frequency", xLabel: dataset.label });
+
+    counts.forEach((count, i) => {
+        const x0 = x(min + i * binWidth);
+        const x1 = x(min + (i + 1) * binWidth);
+        svg.appendChild(createSvgElement("rect", {
+            x: x0 + 1, y: y(count), width: Math.max(1, x1 - x0 - 2), height: y(0) - y(count),
+            fill: CHART_COLORS[0], "fill-opacity": 0.8
+        }));
+    });
+
+    const labelEvery = Math.ceil((bins + 1) / 8);
+    for (let i = 0; i <= bins; i += labelEvery) {
+        const edge = min + i * binWidth;
+        svg.appendChild(createSvgElement("text", {
+            x: x(edge), y: height - CHART_MARGIN.bottom + 16, "text-anchor": "middle", fill: "#5e6b7a"
+        }, parseFloat(edge.toPrecision(4)).toString()));
+    }
+    return svg;
+};
+
+/**
+ * Draws each dataset's mean as a bar with error bars for its confidence interval.
+ * @param {Array<{label: string, mean: number, meanCI: Array<number>|null}>} datasets - The datasets to plot.
+ * @param {number} confidencePercent - The confidence level of the intervals, e.g. 95.
+ * @param {number} [width] - The SVG width in pixels.
+ * @param {number} [height] - The SVG height in pixels.
+ * @returns {SVGSVGElement} The chart.
+ */
+export const createMeanCIChart = (datasets, confidencePercent, width = 560, height = 340) => {
+    const points = datasets.map(ds => ({
+        label: ds.label,
+        mean: parseFloat(ds.mean),
+        low: ds.meanCI ? parseFloat(ds.meanCI[0]) : NaN,
+        high: ds.meanCI ? parseFloat(ds.meanCI[1]) : NaN
+    }));
+    const lows = points.map(p => (isNaN(p.low) ? p.mean : p.low));
+    const highs = points.map(p => (isNaN(p.high) ? p.mean : p.high));
+    const yTicks = niceTicks(Math.min(0, ...lows), Math.max(0, ...highs));
+    const y = linearScale([yTicks[0], yTicks[yTicks.length - 1]], [height - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+    const svg = createChartFrame({ title: `Means with ${confidencePercent}% confidence intervals`, width, height, yTicks, y, yLabel: `Mean ± ${confidencePercent}% CI` });
+
+    const bandWidth = (width - CHART_MARGIN.left - CHART_MARGIN.right) / points.length;
+    const bandCenter = (i) => CHART_MARGIN.left + bandWidth * (i + 0.5);
+    const barWidth = Math.min(64, bandWidth * 0.6);
+
+    points.forEach((p, i) => {
+        const cx = bandCenter(i);
+        const color = CHART_COLORS[i % CHART_COLORS.length];
+        svg.appendChild(createSvgElement("rect", {
+            x: cx - barWidth / 2, y: Math.min(y(p.mean), y(0)), width: barWidth, height: Math.abs(y(0) - y(p.mean)),
+            fill: color, "fill-opacity": 0.75
+        }));
+        if (!isNaN(p.low) && !isNaN(p.high)) {
+            svg.appendChild(createSvgElement("line", { x1: cx, x2: cx, y1: y(p.low), y2: y(p.high), stroke: "#202d3b", "stroke-width": 1.5 }));
+            [p.low, p.high].forEach(v => svg.appendChild(createSvgElement("line", {
+                x1: cx - barWidth / 5, x2: cx + barWidth / 5, y1: y(v), y2: y(v), stroke: "#202d3b", "stroke-width": 1.5
+            })));
+        }
+    });
+
+    addCategoryLabels(svg, points.map(p => p.label), bandCenter, height);
+    return svg;
+};
+
+/**
+ * Draws a normal Q-Q plot: sample values against theoretical standard normal quantiles, with the
+ * reference line mean + SD·z. Points close to the line indicate approximately normal data.
+ * @param {{label: string, values: Array<number>}} dataset - The dataset to plot.
+ * @param {number} [width] - The SVG width in pixels.
+ * @param {number} [height] - The SVG height in pixels.
+ * @returns {SVGSVGElement} The chart.
+ */
+export const createQQPlotChart = (dataset, width = 560, height = 340) => {
+    const sorted = [...dataset.values].sort((a, b) => a - b);
+    const n = sorted.length;
+    // Blom plotting positions
+    const theoretical = sorted.map((_, i) => normalInv((i + 1 - 0.375) / (n + 0.25)));
+    const mean = calculateMean(sorted);
+    const sd = calculateSD(sorted, "sample");
+
+    const yTicks = niceTicks(Math.min(...sorted), Math.max(...sorted));
+    const xTicks = niceTicks(Math.min(...theoretical), Math.max(...theoretical), 4);
+    const y = linearScale([yTicks[0], yTicks[yTicks.length - 1]], [height - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+    const x = linearScale([xTicks[0], xTicks[xTicks.length - 1]], [CHART_MARGIN.left, width - CHART_MARGIN.right]);
+    const svg = createChartFrame({
+        title: `Normal Q-Q plot of ${dataset.label}`, width, height, yTicks, y,
+        yLabel: "Sample quantiles", xLabel: "Theoretical normal quantiles"
+    });
+
+    xTicks.forEach(tick => svg.appendChild(createSvgElement("text", {
+        x: x(tick), y: height - CHART_MARGIN.bottom + 16, "text-anchor": "middle", fill: "#5e6b7a"
+    }, String(tick))));
+
+    // Clip the reference line to the plotting area
+    const zMin = xTicks[0];
+    const zMax = xTicks[xTicks.length - 1];
+    const clipId = `qq-clip-${Math.random().toString(36).slice(2, 8)}`;
+    const clip = createSvgElement("clipPath", { id: clipId });
+    clip.appendChild(createSvgElement("rect", {
+        x: CHART_MARGIN.left, y: CHART_MARGIN.top,
+        width: width - CHART_MARGIN.left - CHART_MARGIN.right, height: height - CHART_MARGIN.top - CHART_MARGIN.bottom
+    }));
+    svg.appendChild(clip);
+    svg.appendChild(createSvgElement("line", {
+        x1: x(zMin), y1: y(mean + sd * zMin), x2: x(zMax), y2: y(mean + sd * zMax),
+        stroke: "#ef4444", "stroke-width": 1.5, "stroke-dasharray": "6 4", "clip-path": `url(#${clipId})`
+    }));
+
+    sorted.forEach((v, i) => svg.appendChild(createSvgElement("circle", {
+        cx: x(theoretical[i]), cy: y(v), r: 3.5, fill: CHART_COLORS[0], "fill-opacity": 0.8
+    })));
+    return svg;
+};
+
+/**
+ * Draws a scatter plot with an optional straight line, such as a regression fit or a zero line
+ * for residuals.
+ * @param {Object} options - The chart options.
+ * @param {string} options.title - The chart title, used for the accessible label.
+ * @param {Array<{x: number, y: number}>} options.points - The points to plot.
+ * @param {string} options.xLabel - The x-axis label.
+ * @param {string} options.yLabel - The y-axis label.
+ * @param {{intercept: number, slope: number}} [options.line] - The line y = intercept + slope·x.
+ * @param {number} [width] - The SVG width in pixels.
+ * @param {number} [height] - The SVG height in pixels.
+ * @returns {SVGSVGElement} The chart.
+ */
+export const createScatterPlotChart = ({ title, points, xLabel, yLabel, line = null }, width = 560, height = 340) => {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const yTicks = niceTicks(Math.min(...ys), Math.max(...ys));
+    const xTicks = niceTicks(Math.min(...xs), Math.max(...xs), 5);
+    const y = linearScale([yTicks[0], yTicks[yTicks.length - 1]], [height - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+    const x = linearScale([xTicks[0], xTicks[xTicks.length - 1]], [CHART_MARGIN.left, width - CHART_MARGIN.right]);
+    const svg = createChartFrame({ title, width, height, yTicks, y, yLabel, xLabel });
+
+    xTicks.forEach(tick => svg.appendChild(createSvgElement("text", {
+        x: x(tick), y: height - CHART_MARGIN.bottom + 16, "text-anchor": "middle", fill: "#5e6b7a"
+    }, String(tick))));
+
+    if (line) {
+        // Clip the line to the plotting area
+        const xMin = xTicks[0];
+        const xMax = xTicks[xTicks.length - 1];
+        const clipId = `scatter-clip-${Math.random().toString(36).slice(2, 8)}`;
+        const clip = createSvgElement("clipPath", { id: clipId });
+        clip.appendChild(createSvgElement("rect", {
+            x: CHART_MARGIN.left, y: CHART_MARGIN.top,
+            width: width - CHART_MARGIN.left - CHART_MARGIN.right, height: height - CHART_MARGIN.top - CHART_MARGIN.bottom
+        }));
+        svg.appendChild(clip);
+        svg.appendChild(createSvgElement("line", {
+            x1: x(xMin), y1: y(line.intercept + line.slope * xMin), x2: x(xMax), y2: y(line.intercept + line.slope * xMax),
+            stroke: "#ef4444", "stroke-width": 1.5, "clip-path": `url(#${clipId})`
+        }));
+    }
+
+    points.forEach(p => svg.appendChild(createSvgElement("circle", {
+        cx: x(p.x), cy: y(p.y), r: 3.5, fill: CHART_COLORS[0], "fill-opacity": 0.7
+    })));
+    return svg;
+};
+
+/**
+ * Draws a power curve: power (0 to 1) against sample size or effect size, with a dashed line at
+ * the target power and the planned design marked.
+ * @param {Object} options - The chart options.
+ * @param {string} options.title - The chart title, used for the accessible label.
+ * @param {Array<{x: number, y: number}>} options.points - The curve, in increasing x order.
+ * @param {string} options.xLabel - The x-axis label.
+ * @param {{x: number, y: number}} options.marker - The planned design.
+ * @param {number} [width] - The SVG width in pixels.
+ * @param {number} [height] - The SVG height in pixels.
+ * @returns {SVGSVGElement} The chart.
+ */
+export const createPowerCurveChart = ({ title, points, xLabel, marker }, width = 560, height = 340) => {
+    const yTicks = [0, 0.2, 0.4, 0.6, 0.8, 1];
+    const xTicks = niceTicks(points[0].x, points[points.length - 1].x, 6);
+    const y = linearScale([0, 1], [height - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+    const x = linearScale([xTicks[0], xTicks[xTicks.length - 1]], [CHART_MARGIN.left, width - CHART_MARGIN.right]);
+    const svg = createChartFrame({ title, width, height, yTicks, y, yLabel: "Power", xLabel });
+
+    xTicks.forEach(tick => svg.appendChild(createSvgElement("text", {
+        x: x(tick), y: height - CHART_MARGIN.bottom + 16, "text-anchor": "middle", fill: "#5e6b7a"
+    }, String(tick))));
+
+    svg.appendChild(createSvgElement("line", {
+        x1: CHART_MARGIN.left, x2: width - CHART_MARGIN.right, y1: y(marker.y), y2: y(marker.y),
+        stroke: "#ef4444", "stroke-width": 1.5, "stroke-dasharray": "6 4"
+    }));
+    svg.appendChild(createSvgElement("polyline", {
+        points: points.map(p => `${x(p.x)},${y(p.y)}`).join(" "),
+        fill: "none", stroke: CHART_COLORS[0], "stroke-width": 2
+    }));
+    svg.appendChild(createSvgElement("circle", {
+        cx: x(marker.x), cy: y(marker.y), r: 5, fill: CHART_COLORS[1], stroke: "#ffffff", "stroke-width": 1.5
+    }));
+    return svg;
+};
+
+/**
+ * Serialises a chart to a standalone SVG file.
+ * @param {SVGSVGElement} svg - The chart.
+ * @returns {Blob} The SVG file.
+ */
+export const chartToSvgBlob = (svg) => {
+    const markup = new XMLSerializer().serializeToString(svg);
+    return new Blob([`<?xml version="1.0" encoding="UTF-8"?>\n${markup}`], { type: "image/svg+xml;charset=utf-8" });
+};
+
+/**
+ * Rasterises a chart to a PNG at twice its size for sharper output in reports.
+ * @param {SVGSVGElement} svg - The chart.
+ * @returns {Promise<Blob>} The PNG file.
+ */
+export const chartToPngBlob = (svg) => {
+    return new Promise((resolve, reject) => {
+        const scale = 2;
+        const width = parseFloat(svg.getAttribute("width"));
+        const height = parseFloat(svg.getAttribute("height"));
+        const url = URL.createObjectURL(chartToSvgBlob(svg));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext("2d");
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("PNG conversion failed"))), "image/png");
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error("Could not render chart image"));
+        };
+        image.src = url;
+    });
+};
@@ -0,0 +1,260 @@
+/**
+ * Editor for the analyzer's categorical data: a contingency table of counts, with editable
+ * variable names and category labels. Tables are exchanged with the page as
+ * `{ rowVariable, columnVariable, rowLevels, columnLevels, counts }`, where `counts` holds one
+ * array per row. A table with a single column (or row) is one categorical variable.
+ */
+
+/**
+ * Reads a count cell. Blank cells count as zero.
+ * @param {string} cell - The entered text.
+ * @returns {number} The count, or NaN when the cell is not a whole number of zero or more.
+ */
+const readCount = (cell) => {
+    const text = cell.trim();
+    if (text === "") return 0;
+    const count = Number(text);
+    return Number.isInteger(count) && count >= 0 ? count : NaN;
+};
+
+/**
+ * Creates the contingency table editor inside a container.
+ * @param {HTMLElement} container - The element to render the editor into.
+ * @param {function(Object): void} onChange - Called with the table after every edit.
+ * @returns {{load: function(Object): void, read: function(): Object}} The editor: `load`
+ *   replaces the table and `read` returns it, with unreadable counts as NaN.
+ */
+export const createContingencyEditor = (container, onChange) => {
+    let rowLevels = ["Row 1", "Row 2"];
+    let columnLevels = ["Column 1", "Column 2"];
+    let cells = [["", ""], ["", ""]];
+
+    container.innerHTML = `
+        <div class="analysis-settings-grid">
+            <div class="form-group">
+                <label for="contingency-row-variable">Row variable</label>
+                <input type="text" id="contingency-row-variable" class="input-field" placeholder="e.g. Gender">
+            </div>
+            <div class="form-group">
+                <label for="contingency-column-variable">Column variable</label>
+                <input type="text" id="contingency-column-variable" class="input-field" placeholder="e.g. Party (blank for one variable)">
+            </div>
+        </div>
+        <div class="data-grid-toolbar">
+            <button type="button" class="data-grid-btn" data-action="add-row"><i class="fas fa-plus"></i> Row</button>
+            <button type="button" class="data-grid-btn" data-action="add-column"><i class="fas fa-plus"></i> Column</button>
+            <span class="data-grid-hint">Enter the number of observations in each cell, or paste a block of counts.</span>
+        </div>
+        <div class="data-grid-scroll">
+            <table class="data-grid contingency-table">
+                <thead></thead>
+                <tbody></tbody>
+                <tfoot></tfoot>
+            </table>
+        </div>
+    `;
+    const rowVariableInput = container.querySelector("#contingency-row-variable");
+    const columnVariableInput = container.querySelector("#contingency-column-variable");
+    const table = container.querySelector(".contingency-table");
+
+    const read = () => ({
+        rowVariable: rowVariableInput.value.trim(),
+        columnVariable: columnVariableInput.value.trim(),
+        rowLevels: [...rowLevels],
+        columnLevels: [...columnLevels],
+        counts: cells.map(row => row.map(readCount))
+    });
+
+    /**
+     * Creates the input of a category label with a button removing its row or column.
+     * @param {"row"|"column"} kind - Whether the label names a row or a column.
+     * @param {number} index - The row or column index.
+     * @returns {HTMLTableCellElement} The header cell.
+     */
+    const createLabelCell = (kind, index) => {
+        const th = document.createElement("th");
+        th.scope = kind === "row" ? "row" : "col";
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = "data-grid-label";
+        input.value = kind === "row" ? rowLevels[index] : columnLevels[index];
+        input.dataset.kind = kind;
+        input.dataset.index = index;
+        input.setAttribute("aria-label", `${kind === "row" ? "Row" : "Column"} ${index + 1} category`);
+        const tools = document.createElement("div");
+        tools.className = "data-grid-column-tools";
+        const count = kind === "row" ? rowLevels.length : columnLevels.length;
+        tools.innerHTML = `<button type="button" data-action="remove-${kind}" data-index="${index}" title="Remove ${kind}" ${count === 1 ? "disabled" : ""}><i class="fas fa-times"></i></button>`;
+        th.append(input, tools);
+        return th;
+    };
+
+    /**
+     * Shows the row, column and grand totals.
+     */
+    const updateTotals = () => {
+        const counts = cells.map(row => row.map(readCount));
+        const format = (total) => isNaN(total) ? "—" : String(total);
+        table.tBodies[0].querySelectorAll(".contingency-row-total").forEach((td, i) => {
+            td.textContent = format(counts[i].reduce((sum, count) => sum + count, 0));
+        });
+        const footer = table.tFoot;
+        footer.innerHTML = "";
+        const tr = document.createElement("tr");
+        const label = document.createElement("th");
+        label.scope = "row";
+        label.textContent = "Total";
+        tr.appendChild(label);
+        columnLevels.forEach((_, j) => {
+            const td = document.createElement("td");
+            td.textContent = format(counts.reduce((sum, row) => sum + row[j], 0));
+            tr.appendChild(td);
+        });
+        const grand = document.createElement("td");
+        grand.textContent = format(counts.flat().reduce((sum, count) => sum + count, 0));
+        tr.appendChild(grand);
+        footer.appendChild(tr);
+    };
+
+    /**
+     * Draws the category labels, the count cells and the totals.
+     */
+    const render = () => {
+        const head = table.tHead;
+        head.innerHTML = "";
+        const headRow = document.createElement("tr");
+        headRow.appendChild(document.createElement("th"));
+        columnLevels.forEach((_, j) => headRow.appendChild(createLabelCell("column", j)));
+        const totalHeader = document.createElement("th");
+        totalHeader.scope = "col";
+        totalHeader.textContent = "Total";
+        headRow.appendChild(totalHeader);
+        head.appendChild(headRow);
+
+        const body = table.tBodies[0];
+        body.innerHTML = "";
+        rowLevels.forEach((_, i) => {
+            const tr = document.createElement("tr");
+            tr.appendChild(createLabelCell("row", i));
+            columnLevels.forEach((_, j) => {
+                const td = document.createElement("td");
+                const input = document.createElement("input");
+                input.type = "text";
+                input.inputMode = "numeric";
+                input.className = "data-grid-cell";
+                input.placeholder = "0";
+                input.value = cells[i][j];
+                input.dataset.row = i;
+                input.dataset.col = j;
+                input.setAttribute("aria-label", `${rowLevels[i]}, ${columnLevels[j]}`);
+                input.classList.toggle("is-invalid", isNaN(readCount(input.value)));
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+            const total = document.createElement("td");
+            total.className = "contingency-row-total";
+            tr.appendChild(total);
+            body.appendChild(tr);
+        });
+        updateTotals();
+    };
+
+    /**
+     * Applies a change to the table and redraws it.
+     * @param {function(): void} change - Mutates the labels and cells.
+     */
+    const commit = (change) => {
+        change();
+        render();
+        onChange(read());
+    };
+
+    const addRow = () => {
+        rowLevels.push(`Row ${rowLevels.length + 1}`);
+        cells.push(columnLevels.map(() => ""));
+    };
+    const addColumn = () => {
+        columnLevels.push(`Column ${columnLevels.length + 1}`);
+        cells.forEach(row => row.push(""));
+    };
+
+    container.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action]");
+        if (!button) return;
+        const index = Number(button.dataset.index);
+        switch (button.dataset.action) {
+            case "add-row":
+                commit(addRow);
+                break;
+            case "add-column":
+                commit(addColumn);
+                break;
+            case "remove-row":
+                commit(() => {
+                    rowLevels.splice(index, 1);
+                    cells.splice(index, 1);
+                });
+                break;
+            case "remove-column":
+                commit(() => {
+                    columnLevels.splice(index, 1);
+                    cells.forEach(row => row.splice(index, 1));
+                });
+                break;
+        }
+    });
+
+    [rowVariableInput, columnVariableInput].forEach(input => input.addEventListener("change", () => onChange(read())));
+
+    table.addEventListener("change", (e) => {
+        const input = e.target;
+        if (input.classList.contains("data-grid-label")) {
+            const levels = input.dataset.kind === "row" ? rowLevels : columnLevels;
+            const index = Number(input.dataset.index);
+            levels[index] = input.value.trim() || `${input.dataset.kind === "row" ? "Row" : "Column"} ${index + 1}`;
+            input.value = levels[index];
+            onChange(read());
+            return;
+        }
+        if (!input.classList.contains("data-grid-cell")) return;
+        input.value = input.value.trim();
+        cells[Number(input.dataset.row)][Number(input.dataset.col)] = input.value;
+        input.classList.toggle("is-invalid", isNaN(readCount(input.value)));
+        updateTotals();
+        onChange(read());
+    });
+
+    // A block of cells copied from a spreadsheet fills the table from the pasted cell, adding rows
+    // and columns as needed
+    table.addEventListener("paste", (e) => {
+        if (!e.target.classList.contains("data-grid-cell")) return;
+        const text = e.clipboardData?.getData("text/plain") || "";
+        if (!/[\t\n]/.test(text.replace(/\r?\n$/, ""))) return; // A single cell pastes as normal text
+        e.preventDefault();
+        const lines = text.replace(/\r?\n$/, "").split(/\r?\n/).map(line => line.split("\t"));
+        const startRow = Number(e.target.dataset.row);
+        const startColumn = Number(e.target.dataset.col);
+        commit(() => {
+            lines.forEach((values, r) => values.forEach((value, c) => {
+                while (rowLevels.length <= startRow + r) addRow();
+                while (columnLevels.length <= startColumn + c) addColumn();
+                cells[startRow + r][startColumn + c] = value.trim();
+            }));
+        });
+    });
+
+    render();
+
+    return {
+        load: (contingencyTable) => {
+            rowVariableInput.value = contingencyTable.rowVariable || "";
+            columnVariableInput.value = contingencyTable.columnVariable || "";
+            rowLevels = [...contingencyTable.rowLevels];
+            columnLevels = [...contingencyTable.columnLevels];
+            cells = contingencyTable.counts.map(row => row.map(count => String(count)));
+            render();
+            onChange(read());
+        },
+        read
+    };
+};
@@ -0,0 +1,310 @@
+import { P_VALUE_CORRECTIONS } from "./stats/index.js";
+
+/**
+ * Reads the visible text of an element, ignoring assumption badges and icons.
+ * @param {HTMLElement} element - The element to read.
+ * @returns {string} The trimmed, whitespace-collapsed text.
+ */
+const getCleanText = (element) => {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(".assumption-badge, i").forEach(el => el.remove());
+    return clone.textContent.replace(/\s+/g, " ").trim();
+};
+
+/**
+ * Builds an export model from the rendered results page, so every export format shows exactly
+ * the sections, cards and tables that are currently visible.
+ * @param {HTMLElement} root - The results container.
+ * @returns {Array<{title: string, tables: Array<{name: string, headers: Array<string>, rows: Array<Array<string>>}>, notes: Array<string>}>}
+ *   One entry per visible analysis section.
+ */
+export const buildExportModel = (root) => {
+    const sections = [];
+
+    root.querySelectorAll(".analysis-section").forEach(section => {
+        if (section.style.display === "none" || section.dataset.export === "false") return;
+
+        const title = getCleanText(section.querySelector(".section-header"));
+        const tables = [];
+        const notes = [];
+
+        // Test cards become two-column Statistic/Value tables
+        section.querySelectorAll(".test-result-card, .metric-card").forEach(card => {
+            const nameElement = card.querySelector(".test-name, .dataset-label");
+            const rows = Array.from(card.querySelectorAll(".stat-item, .metric-item")).map(item => [
+                getCleanText(item.querySelector(".stat-label, .metric-name")),
+                getCleanText(item.querySelector(".stat-value, .metric-value"))
+            ]);
+            if (rows.length === 0) return;
+            tables.push({
+                name: nameElement ? getCleanText(nameElement) : title,
+                headers: ["Statistic", "Value"],
+                rows
+            });
+            card.querySelectorAll(".interpretation, .assumption-note").forEach(note => notes.push(getCleanText(note)));
+        });
+
+        section.querySelectorAll(".results-table").forEach(table => {
+            const wrapper = table.closest(".table-responsive");
+            if (wrapper && wrapper.style.display === "none") return;
+            const caption = wrapper && wrapper.querySelector(".test-name");
+            const headers = Array.from(table.querySelectorAll("thead th")).map(th => getCleanText(th));
+            const rows = Array.from(table.querySelectorAll("tbody tr")).map(tr =>
+                Array.from(tr.querySelectorAll("td")).map(td => getCleanText(td))
+            );
+            if (rows.length === 0) return;
+            tables.push({ name: caption ? getCleanText(caption) : title, headers, rows });
+        });
+
+        if (tables.length > 0) sections.push({ title, tables, notes });
+    });
+
+    return sections;
+};
+
+/**
+ * Builds the raw data as rows, one column per dataset.
+ * @param {Array<{label: string, values: Array<number>}>} datasets - The analysed datasets.
+ * @returns {Array<Array<string|number>>} The header row followed by one row per observation.
+ */
+const buildRawDataRows = (datasets) => {
+    const longest = Math.max(...datasets.map(ds => ds.values.length));
+    const rows = [datasets.map(ds => ds.label)];
+    for (let i = 0; i < longest; i++) {
+        rows.push(datasets.map(ds => (i < ds.values.length ? ds.values[i] : "")));
+    }
+    return rows;
+};
+
+/**
+ * Builds the counts of a categorical analysis as rows, one column per column category.
+ * @param {{rowVariable: string, columnVariable: string, rowLevels: Array<string>, columnLevels: Array<string>, counts: Array<Array<number>>}} table - The contingency table.
+ * @returns {Array<Array<string|number>>} The header row followed by one row per row category.
+ */
+const buildContingencyRows = (table) => {
+    return [
+        [table.rowVariable, ...table.columnLevels],
+        ...table.rowLevels.map((level, i) => [level, ...table.counts[i]])
+    ];
+};
+
+/**
+ * Describes what was analysed, for report headers.
+ * @param {Object} payload - The results payload.
+ * @returns {string} E.g. "3 datasets analyzed" or "2 × 3 table analyzed".
+ */
+const describeAnalyzedData = (payload) => {
+    const table = payload.contingencyTable;
+    return table
+        ? `${table.rowLevels.length} × ${table.columnLevels.length} table analyzed`
+        : `${payload.datasetCount} datasets analyzed`;
+};
+
+/**
+ * Describes how significance was judged, for report headers.
+ * @param {Object} payload - The results payload.
+ * @returns {string} E.g. "α = 0.05, Holm-adjusted p-values".
+ */
+const describeSignificance = (payload) => {
+    // Analyses saved before the significance settings existed used 0.05 without a correction
+    const { alpha, correction } = payload.significance || { alpha: 0.05, correction: "none" };
+    return correction === "none" ? `α = ${alpha}` : `α = ${alpha}, ${P_VALUE_CORRECTIONS[correction]}-adjusted p-values`;
+};
+
+/**
+ * Builds a file name such as "analysis-results-2025-01-31.csv".
+ * @param {string} extension - The file extension without the dot.
+ * @returns {string} The file name.
+ */
+const buildExportFileName = (extension) => {
+    return `analysis-results-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
+
+/**
+ * Triggers a browser download of a Blob.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The name to save the file as.
+ */
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Escapes a value for use in a CSV cell.
+ * @param {string|number} value - The cell value.
+ * @returns {string} The escaped cell.
+ */
+const escapeCSVCell = (value) => {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Exports the descriptive and test tables as a single CSV file, one block per table.
+ * @param {Array<Object>} model - The export model from `buildExportModel`.
+ * @param {Object} payload - The results payload.
+ */
+export const exportToCSV = (model, payload) => {
+    const lines = [
+        ["Analysis Results"],
+        [`Analysis completed on ${payload.date} at ${payload.time}`],
+        [`Significance: ${describeSignificance(payload)}`],
+        []
+    ];
+    model.forEach(section => {
+        section.tables.forEach(table => {
+            lines.push([table.name === section.title ? section.title : `${section.title} - ${table.name}`]);
+            lines.push(table.headers);
+            table.rows.forEach(row => lines.push(row));
+            lines.push([]);
+        });
+    });
+
+    const csv = lines.map(line => line.map(escapeCSVCell).join(",")).join("\r\n");
+    // Prepend a BOM so Excel opens the UTF-8 symbols (η², μ₀, …) correctly
+    downloadBlob(new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8" }), buildExportFileName("csv"));
+};
+
+/**
+ * Makes a worksheet name that Excel accepts: at most 31 characters, no []:*?/\ and unique in the workbook.
+ * @param {string} name - The preferred name.
+ * @param {Array<string>} usedNames - Names already in the workbook.
+ * @returns {string} A valid, unique sheet name.
+ */
+const makeSheetName = (name, usedNames) => {
+    const base = name.replace(/[\[\]:*?\/\\]/g, " ").replace(/\s+/g, " ").trim().slice(0, 31) || "Sheet";
+    let candidate = base;
+    let suffix = 2;
+    while (usedNames.includes(candidate)) {
+        const tag = ` (${suffix++})`;
+        candidate = base.slice(0, 31 - tag.length) + tag;
+    }
+    usedNames.push(candidate);
+    return candidate;
+};
+
+/**
+ * Exports a multi-sheet XLSX workbook: the raw data, the descriptives and one sheet per test section.
+ * Requires the SheetJS (XLSX) library.
+ * @param {Array<Object>} model - The export model from `buildExportModel`.
+ * @param {Object} payload - The results payload.
+ */
+export const exportToXLSX = (model, payload) => {
+    const workbook = XLSX.utils.book_new();
+    const usedNames = [];
+
+    const rawRows = payload.contingencyTable ? buildContingencyRows(payload.contingencyTable) : buildRawDataRows(payload.datasets);
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rawRows), makeSheetName("Raw Data", usedNames));
+
+    model.forEach(section => {
+        const rows = [];
+        section.tables.forEach(table => {
+            if (table.name !== section.title) rows.push([table.name]);
+            rows.push(table.headers);
+            table.rows.forEach(row => rows.push(row.map(cell => (cell !== "" && !isNaN(cell) ? Number(cell) : cell))));
+            rows.push([]);
+        });
+        section.notes.forEach(note => rows.push([note]));
+
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        sheet["!cols"] = [{ wch: 32 }, ...Array(12).fill({ wch: 16 })];
+        XLSX.utils.book_append_sheet(workbook, sheet, makeSheetName(section.title.replace(/ Results$/, ""), usedNames));
+    });
+
+    XLSX.writeFile(workbook, buildExportFileName("xlsx"));
+};
+
+/**
+ * Replaces characters the standard PDF fonts cannot encode with readable ASCII equivalents.
+ * @param {string} text - The text to sanitise.
+ * @returns {string} Text that the built-in PDF fonts can render.
+ */
+export const toPdfText = (text) => {
+    const replacements = {
+        "η": "eta", "ω": "omega", "ε": "epsilon", "μ": "µ", "₀": "0", "₁": "1", "₂": "2",
+        "−": "-", "∞": "inf", "≠": "!=", "≥": ">=", "≤": "<=", "α": "alpha", "χ": "chi",
+        "λ": "lambda", "ρ": "rho", "τ": "tau", "√": "sqrt", "→": "->"
+    };
+    return String(text).replace(/[ηωεμ₀₁₂−∞≠≥≤αχλρτ√→]/g, ch => replacements[ch] ?? ch);
+};
+
+/**
+ * Exports a printable PDF report with every visible section, generated client-side with jsPDF
+ * and its AutoTable plugin. Falls back to the browser's print dialog if jsPDF is unavailable.
+ * @param {Array<Object>} model - The export model from `buildExportModel`.
+ * @param {Object} payload - The results payload.
+ */
+export const exportToPDF = (model, payload) => {
+    if (!window.jspdf || !window.jspdf.jsPDF) {
+        window.print();
+        return;
+    }
+
+    const doc = new window.jspdf.jsPDF({ unit: "pt", format: "a4" });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 40;
+    let y = margin;
+
+    const ensureSpace = (height) => {
+        if (y + height > pageHeight - margin) {
+            doc.addPage();
+            y = margin;
+        }
+    };
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(18);
+    doc.text("Analysis Results", margin, y + 10);
+    y += 30;
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    doc.text(toPdfText(`Analysis completed on ${payload.date} at ${payload.time} - ${describeAnalyzedData(payload)} - ${describeSignificance(payload)}`), margin, y);
+    y += 24;
+
+    model.forEach(section => {
+        ensureSpace(60);
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(14);
+        doc.text(toPdfText(section.title), margin, y);
+        y += 10;
+
+        section.tables.forEach(table => {
+            if (table.name !== section.title) {
+                ensureSpace(40);
+                doc.setFont("helvetica", "bold");
+                doc.setFontSize(11);
+                y += 12;
+                doc.text(toPdfText(table.name), margin, y);
+            }
+            doc.autoTable({
+                head: [table.headers.map(toPdfText)],
+                body: table.rows.map(row => row.map(toPdfText)),
+                startY: y + 6,
+                margin: { left: margin, right: margin },
+                styles: { fontSize: 8, cellPadding: 4 },
+                headStyles: { fillColor: [45, 97, 164] }
+            });
+            y = doc.lastAutoTable.finalY + 10;
+        });
+
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(9);
+        section.notes.forEach(note => {
+            const lines = doc.splitTextToSize(toPdfText(note), pageWidth - 2 * margin);
+            ensureSpace(lines.length * 12 + 4);
+            doc.text(lines, margin, y + 8);
+            y += lines.length * 12 + 4;
+        });
+        y += 16;
+    });
+
+    doc.save(buildExportFileName("pdf"));
+};
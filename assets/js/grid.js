@@ -0,0 +1,412 @@
+import { readObservation } from "./import.js";
+
+/**
+ * Spreadsheet-style editor for the analyzer's datasets: one column per dataset, one row per
+ * observation. Cells are kept as text, so entries that are not numbers stay visible (and
+ * highlighted) until they are fixed. A blank cell above a column's last value is a missing value
+ * that keeps its row. Columns are exchanged with the page as `{ id, label, text }`, where `text`
+ * is the dataset's comma-separated values.
+ */
+
+const HISTORY_LIMIT = 100;
+
+/**
+ * Splits comma-separated values into cells. A trailing comma does not make an extra cell.
+ * @param {string} text - The comma-separated values.
+ * @returns {Array<string>} The trimmed cells.
+ */
+const textToCells = (text) => {
+    if (text.trim() === "") return [];
+    const cells = text.split(",").map(cell => cell.trim());
+    if (cells[cells.length - 1] === "") cells.pop();
+    return cells;
+};
+
+/**
+ * Drops the blank cells at the end of a column.
+ * @param {Array<string>} cells - The cells.
+ * @returns {Array<string>} The cells up to the last non-blank one.
+ */
+const trimCells = (cells) => {
+    let end = cells.length;
+    while (end > 0 && cells[end - 1] === "") end--;
+    return cells.slice(0, end);
+};
+
+/**
+ * Cleans an entered cell. A decimal comma ("3,5") becomes a point; any other comma is removed,
+ * since commas separate the values of a dataset.
+ * @param {string} value - The entered text.
+ * @returns {string} The cell.
+ */
+const normaliseCell = (value) => {
+    const text = value.trim();
+    return /^[+-]?\d*,\d+$/.test(text) ? text.replace(",", ".") : text.replace(/,/g, "");
+};
+
+/**
+ * Creates the grid editor inside a container.
+ * @param {HTMLElement} container - The element to render the grid into.
+ * @param {function(Array<{id: string|null, label: string, text: string}>): Array<string>} onChange -
+ *   Called with the columns after every edit; returns the id given to each column, so columns
+ *   added in the grid keep the dataset created for them.
+ * @param {function(): Array<string>} getMissingCodes - Reads the missing-value codes, so cells are
+ *   judged as the analysis reads them.
+ * @returns {{load: function(Array<Object>): void, undo: function(): void, redo: function(): void}}
+ *   The grid: `load` replaces its columns (keeping the undo history), `undo` and `redo` step
+ *   through the edits.
+ */
+export const createDataGrid = (container, onChange, getMissingCodes = () => []) => {
+    let columns = []; // [{ id, label, cells }]
+    const undoStack = [];
+    const redoStack = [];
+    let sortState = { column: -1, descending: false };
+
+    const snapshot = () => columns.map(column => ({ ...column, cells: [...column.cells] }));
+    const rowCount = () => Math.max(0, ...columns.map(column => column.cells.length)) + 1; // plus a blank row to type into
+
+    container.innerHTML = `
+        <div class="data-grid-toolbar">
+            <button type="button" class="data-grid-btn" data-action="undo" title="Undo (Ctrl+Z)"><i class="fas fa-rotate-left"></i> Undo</button>
+            <button type="button" class="data-grid-btn" data-action="redo" title="Redo (Ctrl+Y)"><i class="fas fa-rotate-right"></i> Redo</button>
+            <span class="data-grid-hint">Paste cells from a spreadsheet, move with the arrow keys and Enter. Leave a cell blank for a missing value.</span>
+        </div>
+        <div class="data-grid-scroll">
+            <table class="data-grid">
+                <thead></thead>
+                <tbody></tbody>
+                <tfoot></tfoot>
+            </table>
+        </div>
+    `;
+    const table = container.querySelector(".data-grid");
+    const undoButton = container.querySelector('[data-action="undo"]');
+    const redoButton = container.querySelector('[data-action="redo"]');
+
+    /**
+     * Sends the columns to the page and records the ids it gives them.
+     */
+    const emit = () => {
+        const ids = onChange(columns.map(({ id, label, cells }) => ({ id, label, text: trimCells(cells).join(", ") })));
+        if (Array.isArray(ids)) ids.forEach((id, i) => { if (columns[i]) columns[i].id = id; });
+    };
+
+    const updateHistoryButtons = () => {
+        undoButton.disabled = undoStack.length === 0;
+        redoButton.disabled = redoStack.length === 0;
+    };
+
+    /**
+     * Applies an edit: records the state before it for undo, then updates the page.
+     * @param {function(): void} change - Mutates `columns`.
+     * @param {boolean} rerender - Whether the whole grid must be redrawn.
+     */
+    const commit = (change, rerender = true) => {
+        undoStack.push(snapshot());
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+        redoStack.length = 0;
+        change();
+        columns.forEach(column => { column.cells = trimCells(column.cells); });
+        emit();
+        if (rerender) render();
+        else updateStatus();
+        updateHistoryButtons();
+    };
+
+    const getCellInput = (row, column) => table.querySelector(`.data-grid-cell[data-row="${row}"][data-col="${column}"]`);
+
+    const focusCell = (row, column) => {
+        const input = getCellInput(row, column);
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    };
+
+    /**
+     * Creates the input of one cell.
+     * @param {number} row - The row index.
+     * @param {number} column - The column index.
+     * @returns {HTMLTableCellElement} The table cell.
+     */
+    const createCell = (row, column) => {
+        const td = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = "data-grid-cell";
+        input.dataset.row = row;
+        input.dataset.col = column;
+        input.value = columns[column].cells[row] ?? "";
+        input.setAttribute("aria-label", `${columns[column].label}, row ${row + 1}`);
+        td.appendChild(input);
+        return td;
+    };
+
+    /**
+     * Adds body rows until there is one blank row below the longest column.
+     */
+    const ensureRows = () => {
+        const body = table.tBodies[0];
+        for (let row = body.rows.length; row < rowCount(); row++) {
+            const tr = document.createElement("tr");
+            const th = document.createElement("th");
+            th.scope = "row";
+            th.textContent = row + 1;
+            tr.appendChild(th);
+            columns.forEach((column, c) => tr.appendChild(createCell(row, c)));
+            body.appendChild(tr);
+        }
+    };
+
+    /**
+     * Highlights the cells the analysis leaves out: entries that are not numbers, and missing values
+     * (blanks and missing-value codes) above the end of their column.
+     */
+    const flagCells = () => {
+        const codes = getMissingCodes();
+        table.querySelectorAll(".data-grid-cell").forEach(input => {
+            const { reason } = readObservation(input.value, codes);
+            const inColumn = Number(input.dataset.row) < columns[Number(input.dataset.col)].cells.length;
+            input.classList.toggle("is-invalid", reason === "not a number");
+            input.classList.toggle("is-missing", inColumn && reason !== undefined && reason !== "not a number");
+        });
+    };
+
+    /**
+     * Shows each column's number of values and of cells left out, and whether it has enough values
+     * for the analyses.
+     */
+    const updateStatus = () => {
+        ensureRows();
+        flagCells();
+        const codes = getMissingCodes();
+        const footer = table.tFoot;
+        footer.innerHTML = "";
+        const tr = document.createElement("tr");
+        tr.appendChild(document.createElement("th"));
+        columns.forEach(column => {
+            const td = document.createElement("td");
+            const reasons = column.cells.map(cell => readObservation(cell, codes).reason);
+            const n = reasons.filter(reason => reason === undefined).length;
+            const invalid = reasons.filter(reason => reason === "not a number").length;
+            const missing = reasons.length - n - invalid;
+            const notes = [`n = ${n}`];
+            if (missing > 0) notes.push(`${missing} missing`);
+            if (invalid > 0) notes.push(`${invalid} non-numeric`);
+            if (n < 3) notes.push("needs at least 3 values");
+            td.textContent = notes.join(" · ");
+            td.classList.toggle("is-invalid", n < 3 || invalid > 0);
+            tr.appendChild(td);
+        });
+        footer.appendChild(tr);
+    };
+
+    /**
+     * Draws the header (labels and column tools), the cells and the status row.
+     */
+    const render = () => {
+        const head = table.tHead;
+        head.innerHTML = "";
+        const tr = document.createElement("tr");
+        const corner = document.createElement("th");
+        corner.textContent = "#";
+        tr.appendChild(corner);
+        columns.forEach((column, c) => {
+            const th = document.createElement("th");
+            th.scope = "col";
+            const label = document.createElement("input");
+            label.type = "text";
+            label.className = "data-grid-label";
+            label.value = column.label;
+            label.dataset.col = c;
+            label.setAttribute("aria-label", `Dataset ${c + 1} label`);
+            const sortIcon = sortState.column === c
+                ? (sortState.descending ? "fa-arrow-down-wide-short" : "fa-arrow-up-short-wide")
+                : "fa-sort";
+            const tools = document.createElement("div");
+            tools.className = "data-grid-column-tools";
+            tools.innerHTML = `
+                <button type="button" data-action="move-left" data-col="${c}" title="Move left" ${c === 0 ? "disabled" : ""}><i class="fas fa-chevron-left"></i></button>
+                <button type="button" data-action="sort" data-col="${c}" title="Sort rows by this column"><i class="fas ${sortIcon}"></i></button>
+                <button type="button" data-action="move-right" data-col="${c}" title="Move right" ${c === columns.length - 1 ? "disabled" : ""}><i class="fas fa-chevron-right"></i></button>
+                <button type="button" data-action="remove" data-col="${c}" title="Remove dataset" ${columns.length === 1 ? "disabled" : ""}><i class="fas fa-times"></i></button>
+            `;
+            th.append(label, tools);
+            tr.appendChild(th);
+        });
+        head.appendChild(tr);
+
+        table.tBodies[0].innerHTML = "";
+        updateStatus();
+    };
+
+    /**
+     * Sorts the rows by one column, keeping each row's values together so paired data stay paired.
+     * Blank and non-numeric cells of that column go last.
+     * @param {number} column - The column to sort by.
+     * @param {boolean} descending - Whether to sort from largest to smallest.
+     */
+    const sortRows = (column, descending) => {
+        const count = rowCount() - 1;
+        const key = (row) => {
+            const value = parseFloat(columns[column].cells[row] ?? "");
+            return isNaN(value) ? null : value;
+        };
+        const order = Array.from({ length: count }, (_, row) => row).sort((a, b) => {
+            const ka = key(a);
+            const kb = key(b);
+            if (ka === null || kb === null) return (ka === null) - (kb === null);
+            return descending ? kb - ka : ka - kb;
+        });
+        columns.forEach(col => {
+            col.cells = order.map(row => col.cells[row] ?? "");
+        });
+    };
+
+    /**
+     * Writes pasted cells (tab-separated rows) into the grid from the given cell, adding rows and
+     * datasets as needed.
+     * @param {string} text - The pasted text.
+     * @param {number} startRow - The row of the top-left pasted cell.
+     * @param {number} startColumn - The column of the top-left pasted cell.
+     */
+    const pasteCells = (text, startRow, startColumn) => {
+        const lines = text.replace(/\r?\n$/, "").split(/\r?\n/).map(line => line.split("\t"));
+        commit(() => {
+            lines.forEach((cells, r) => cells.forEach((cell, c) => {
+                const column = startColumn + c;
+                while (columns.length <= column) {
+                    columns.push({ id: null, label: `Dataset ${columns.length + 1}`, cells: [] });
+                }
+                const target = columns[column].cells;
+                while (target.length < startRow + r) target.push("");
+                target[startRow + r] = normaliseCell(cell);
+            }));
+        });
+        focusCell(startRow, startColumn);
+    };
+
+    const restore = (from, to) => {
+        if (from.length === 0) return;
+        to.push(snapshot());
+        columns = from.pop();
+        emit();
+        render();
+        updateHistoryButtons();
+    };
+    const undo = () => restore(undoStack, redoStack);
+    const redo = () => restore(redoStack, undoStack);
+
+    container.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action]");
+        if (!button) return;
+        const c = Number(button.dataset.col);
+        switch (button.dataset.action) {
+            case "undo":
+                undo();
+                break;
+            case "redo":
+                redo();
+                break;
+            case "move-left":
+            case "move-right": {
+                const target = button.dataset.action === "move-left" ? c - 1 : c + 1;
+                commit(() => {
+                    [columns[c], columns[target]] = [columns[target], columns[c]];
+                    sortState = { column: -1, descending: false };
+                });
+                break;
+            }
+            case "sort": {
+                const descending = sortState.column === c && !sortState.descending;
+                commit(() => {
+                    sortRows(c, descending);
+                    sortState = { column: c, descending };
+                });
+                break;
+            }
+            case "remove":
+                commit(() => {
+                    columns.splice(c, 1);
+                    sortState = { column: -1, descending: false };
+                });
+                break;
+        }
+    });
+
+    table.addEventListener("change", (e) => {
+        const c = Number(e.target.dataset.col);
+        if (e.target.classList.contains("data-grid-label")) {
+            commit(() => { columns[c].label = e.target.value.trim() || `Dataset ${c + 1}`; }, false);
+            e.target.value = columns[c].label;
+            return;
+        }
+        if (!e.target.classList.contains("data-grid-cell")) return;
+        const row = Number(e.target.dataset.row);
+        const value = normaliseCell(e.target.value);
+        e.target.value = value;
+        if (value === (columns[c].cells[row] ?? "")) return;
+        commit(() => {
+            while (columns[c].cells.length <= row) columns[c].cells.push("");
+            columns[c].cells[row] = value;
+            if (sortState.column === c) sortState = { column: -1, descending: false };
+        }, false);
+    });
+
+    table.addEventListener("paste", (e) => {
+        if (!e.target.classList.contains("data-grid-cell")) return;
+        const text = e.clipboardData?.getData("text/plain") || "";
+        if (!/[\t\n]/.test(text.replace(/\r?\n$/, ""))) return; // A single cell pastes as normal text
+        e.preventDefault();
+        pasteCells(text, Number(e.target.dataset.row), Number(e.target.dataset.col));
+    });
+
+    table.addEventListener("keydown", (e) => {
+        const input = e.target;
+        if (!input.classList.contains("data-grid-cell")) return;
+        const row = Number(input.dataset.row);
+        const column = Number(input.dataset.col);
+        const stored = columns[column].cells[row] ?? "";
+
+        if ((e.ctrlKey || e.metaKey) && (e.key === "z" || e.key === "Z" || e.key === "y")) {
+            e.preventDefault();
+            if (input.value !== stored) {
+                input.value = stored; // Discard the edit in progress first
+            } else if (e.key === "y" || e.shiftKey) {
+                redo();
+                focusCell(row, column);
+            } else {
+                undo();
+                focusCell(row, column);
+            }
+            return;
+        }
+
+        const atStart = input.selectionStart === 0 && input.selectionEnd === 0;
+        const atEnd = input.selectionStart === input.value.length;
+        const moves = {
+            ArrowUp: [row - 1, column],
+            ArrowDown: [row + 1, column],
+            ArrowLeft: atStart ? [row, column - 1] : null,
+            ArrowRight: atEnd ? [row, column + 1] : null,
+            Enter: e.shiftKey ? [row - 1, column] : [row + 1, column]
+        };
+        const target = moves[e.key];
+        if (!target) return;
+        e.preventDefault();
+        input.dispatchEvent(new Event("change", { bubbles: true })); // Commit before moving
+        focusCell(...target);
+    });
+
+    updateHistoryButtons();
+
+    return {
+        load: (newColumns) => {
+            columns = newColumns.map(({ id, label, text }) => ({ id, label, cells: textToCells(text) }));
+            sortState = { column: -1, descending: false };
+            render();
+        },
+        undo,
+        redo
+    };
+};
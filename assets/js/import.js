@@ -0,0 +1,591 @@
+/**
+ * Turns imported spreadsheet tables into analyzer datasets. A table is the parsed file as
+ * `{ headers: Array<string>, rows: Array<Array<*>>, rowNumbers?: Array<number> }`, with one array
+ * of cells per data row and, when known, each row's number in the source file for reporting.
+ */
+
+/**
+ * Reads a cell as a number. Unlike parseFloat, text such as "12 mg" or "n/a" is not a number.
+ * @param {*} cell - The cell value.
+ * @returns {number} The number, or NaN for blank and non-numeric cells.
+ */
+const toNumber = (cell) => {
+    if (typeof cell === "number") return cell;
+    const text = String(cell ?? "").trim();
+    return text === "" ? NaN : Number(text);
+};
+
+/**
+ * Reads a cell as a group level.
+ * @param {*} cell - The cell value.
+ * @returns {string} The trimmed text of the cell ("" when blank).
+ */
+const toLevel = (cell) => String(cell ?? "").trim();
+
+/**
+ * Gives the number of a data row in the source file: its recorded row number, or its position
+ * below a header in row 1.
+ * @param {Object} table - The parsed table.
+ * @param {number} index - The index of the row in `table.rows`.
+ * @returns {number} The row number.
+ */
+const getRowNumber = (table, index) => table.rowNumbers ? table.rowNumbers[index] : index + 2;
+
+/**
+ * Splits a list of missing-value codes such as "NA, -, 999".
+ * @param {string} text - The comma-separated codes.
+ * @returns {Array<string>} The codes, without blanks.
+ */
+export const parseMissingCodes = (text) => text.split(",").map(code => code.trim()).filter(code => code !== "");
+
+/**
+ * Reads a cell as an observation, explaining why it cannot be used when it is not one. Blank
+ * cells are always missing; a cell matching a missing-value code is missing even when it is a
+ * number such as 999.
+ * @param {*} cell - The cell value.
+ * @param {Array<string>} missingCodes - The missing-value codes.
+ * @returns {{value: number}|{reason: string}} The number, or the reason the cell is left out.
+ */
+export const readObservation = (cell, missingCodes) => {
+    const text = toLevel(cell);
+    if (text === "") return { reason: "blank" };
+    const value = toNumber(cell);
+    const isCode = missingCodes.some(code => code.toLowerCase() === text.toLowerCase()
+        || (isFinite(value) && Number(code) === value));
+    if (isCode) return { reason: "missing-value code" };
+    return isFinite(value) ? { value } : { reason: "not a number" };
+};
+
+/**
+ * Reads the comma-separated values of a dataset as entered in the analyzer, one observation per
+ * entry, the same way as imported cells. Entries keep their position, so a blank or missing entry
+ * still holds its row. A trailing comma does not make an extra entry.
+ * @param {string} text - The comma-separated values.
+ * @param {Array<string>} missingCodes - The missing-value codes.
+ * @returns {Array<{cell: string, value?: number, reason?: string}>} Each entry's trimmed text with
+ *   its number, or the reason it is left out.
+ */
+export const readEnteredValues = (text, missingCodes) => {
+    const trimmed = text.trim().replace(/,\s*$/, "");
+    if (trimmed === "") return [];
+    return trimmed.split(",").map(entry => ({ cell: entry.trim(), ...readObservation(entry, missingCodes) }));
+};
+
+/**
+ * Leaves a row with a missing entry in any dataset out of every dataset (listwise deletion), for
+ * analyses that pair the datasets' values by position. Only datasets with the same key hold the
+ * same subjects, as the repeated measures of one group in a mixed design do.
+ * @param {Array<Array<Object>>} entrySets - Each dataset's entries, as read by readEnteredValues.
+ * @param {Array<string>} keys - The key of each dataset.
+ * @returns {Array<Array<Object>>} The entries, with the values of incomplete rows given the reason
+ *   "listwise deletion".
+ */
+export const deleteIncompleteRows = (entrySets, keys) => {
+    const incompleteRows = new Map(keys.map(key => [key, new Set()]));
+    entrySets.forEach((entries, i) => entries.forEach((entry, row) => {
+        if (entry.reason !== undefined) incompleteRows.get(keys[i]).add(row);
+    }));
+    return entrySets.map((entries, i) => entries.map((entry, row) =>
+        entry.reason === undefined && incompleteRows.get(keys[i]).has(row) ? { ...entry, reason: "listwise deletion" } : entry));
+};
+
+/**
+ * Leaves excluded outliers out of matched datasets: a row with a flagged value in one dataset is
+ * left out of every dataset with the same key, as an incomplete row is, so the pairs stay matched.
+ * @param {Array<Array<Object>>} entrySets - Each dataset's entries, as read by readEnteredValues.
+ * @param {Array<Array<number>>} flaggedSets - The indices, among each dataset's values, of its
+ *   excluded outliers.
+ * @param {Array<string>} keys - The key of each dataset.
+ * @returns {Array<Array<Object>>} The entries, with the outliers given the reason "outlier" and the
+ *   other values of their rows "listwise deletion".
+ */
+export const excludeFlaggedRows = (entrySets, flaggedSets, keys) => {
+    const marked = entrySets.map((entries, i) => {
+        const flagged = new Set(flaggedSets[i]);
+        let index = -1;
+        return entries.map(entry => entry.reason === undefined && flagged.has(++index) ? { ...entry, reason: "outlier" } : entry);
+    });
+    return deleteIncompleteRows(marked, keys);
+};
+
+/**
+ * Reads a cell as a group level, explaining why it cannot be used when it is blank or a missing-value code.
+ * @param {*} cell - The cell value.
+ * @param {Array<string>} missingCodes - The missing-value codes.
+ * @returns {{level: string}|{reason: string}} The level, or the reason the row is left out.
+ */
+const readLevel = (cell, missingCodes) => {
+    const level = toLevel(cell);
+    if (level === "") return { reason: "blank group" };
+    const isCode = missingCodes.some(code => code.toLowerCase() === level.toLowerCase());
+    return isCode ? { reason: "missing-value code" } : { level };
+};
+
+/**
+ * Turns rows of cells into a table. With `hasHeader` "auto", the first row is taken as the
+ * headers when it has text above a column of numbers, so headerless data copied from a spreadsheet
+ * keeps its first row even when a group column holds text. A table without any numbers has headers
+ * when any cell of its first row is text.
+ * @param {Array<Array<*>>} rows - The rows of cells.
+ * @param {boolean|"auto"} hasHeader - Whether the first row holds the column headers.
+ * @param {Array<number>} rowNumbers - The number of each row in the source file.
+ * @returns {Object} The table, with "Column 1", "Column 2", … headers when there is no header row.
+ */
+export const rowsToTable = (rows, hasHeader = "auto", rowNumbers = rows.map((row, i) => i + 1)) => {
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const isText = (cell) => toLevel(cell) !== "" && !isFinite(toNumber(cell));
+    const isValueColumn = (i) => rows.slice(1).some(row => isFinite(toNumber(row[i])));
+    const detectHeader = () => {
+        const columns = rows[0].map((cell, i) => i);
+        return columns.some(isValueColumn)
+            ? columns.some(i => isText(rows[0][i]) && isValueColumn(i))
+            : rows[0].some(isText);
+    };
+    const header = hasHeader === "auto" ? rows.length > 0 && detectHeader() : hasHeader;
+    return {
+        headers: Array.from({ length: width }, (_, i) => header ? (rows[0][i] ?? "") : `Column ${i + 1}`),
+        rows: header ? rows.slice(1) : rows,
+        rowNumbers: header ? rowNumbers.slice(1) : rowNumbers
+    };
+};
+
+const DECIMAL_COMMA_NUMBER = /^[+-]?(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/;
+
+/**
+ * Parses delimited text (CSV, TSV, semicolon- or pipe-separated) into a table. Requires PapaParse.
+ * The delimiter is detected unless given, and decimal commas ("3,14") are detected when the
+ * delimiter is not a comma; numbers written with them are converted, dropping "." thousands separators.
+ * @param {string} text - The text to parse.
+ * @param {string} delimiter - The delimiter, or "" to detect it.
+ * @param {"point"|"comma"|""} decimalSeparator - The decimal separator, or "" to detect it.
+ * @returns {Object} `{ table, delimiter, decimalComma }`, or an `error` message.
+ */
+export const parseDelimitedText = (text, delimiter = "", decimalSeparator = "") => {
+    // Only the end is trimmed: a leading delimiter is the empty top-left cell of a table with row labels
+    const results = Papa.parse(text.replace(/\s+$/, ""), {
+        delimiter,
+        delimitersToGuess: [",", "\t", ";", "|"]
+    });
+    const fatal = results.errors.filter(err => err.code !== "UndetectableDelimiter");
+    if (fatal.length > 0) {
+        return { error: "The text could not be parsed: " + fatal.map(err => err.message).join(", ") };
+    }
+
+    // Skip blank lines, keeping the line numbers of the others for the import report
+    const records = results.data
+        .map((row, i) => ({ row, number: i + 1 }))
+        .filter(({ row }) => row.some(cell => toLevel(cell) !== ""));
+
+    const detected = results.meta.delimiter;
+    const cells = records.flatMap(({ row }) => row).map(toLevel);
+    const decimalComma = decimalSeparator === ""
+        ? detected !== "," && cells.some(cell => /,/.test(cell) && DECIMAL_COMMA_NUMBER.test(cell))
+        : decimalSeparator === "comma";
+
+    const rows = records.map(({ row }) => decimalComma
+        ? row.map(cell => DECIMAL_COMMA_NUMBER.test(toLevel(cell))
+            ? Number(toLevel(cell).replace(/\./g, "").replace(",", "."))
+            : cell)
+        : row);
+
+    if (rows.length === 0) {
+        return { error: "There is no data to import." };
+    }
+    return { table: rowsToTable(rows, "auto", records.map(({ number }) => number)), delimiter: detected, decimalComma };
+};
+
+/**
+ * Parses JSON into a table. Accepted shapes:
+ *  - an array of records, e.g. [{"group": "A", "value": 1}, …] (long or wide)
+ *  - an array of rows whose first row holds the headers
+ *  - an object of columns, e.g. {"Control": [1, 2, 3], "Treatment": [4, 5, 6]}
+ *  - a list of datasets, e.g. [{"label": "Control", "values": [1, 2, 3]}, …], optionally under "datasets"
+ *  - a plain array of numbers
+ * Rows are numbered by their position in the JSON (records and array entries from 1).
+ * @param {string} text - The JSON text.
+ * @returns {Object} The table, or an `error` message.
+ */
+export const parseJsonTable = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { error: `The file is not valid JSON (${e.message}).` };
+    }
+
+    const isDatasetList = (list) => Array.isArray(list) && list.length > 0
+        && list.every(item => item && typeof item === "object" && Array.isArray(item.values));
+    const fromColumns = (columns) => {
+        const names = Object.keys(columns);
+        const length = Math.max(0, ...names.map(name => columns[name].length));
+        return {
+            headers: names,
+            rows: Array.from({ length }, (_, i) => names.map(name => columns[name][i] ?? "")),
+            rowNumbers: Array.from({ length }, (_, i) => i + 1)
+        };
+    };
+
+    if (data && isDatasetList(data.datasets)) data = data.datasets;
+
+    if (isDatasetList(data)) {
+        return fromColumns(Object.fromEntries(data.map((ds, i) => [ds.label ?? ds.name ?? `Dataset ${i + 1}`, ds.values])));
+    }
+    if (Array.isArray(data) && data.length > 0) {
+        if (data.every(item => typeof item === "number")) return fromColumns({ Values: data });
+        if (data.every(Array.isArray)) return rowsToTable(data, true);
+        if (data.every(item => item && typeof item === "object")) {
+            const headers = [...new Set(data.flatMap(Object.keys))];
+            return {
+                headers,
+                rows: data.map(record => headers.map(header => record[header] ?? "")),
+                rowNumbers: data.map((record, i) => i + 1)
+            };
+        }
+    }
+    if (data && typeof data === "object" && !Array.isArray(data)) {
+        const columns = Object.entries(data).filter(([, values]) => Array.isArray(values));
+        if (columns.length > 0) return fromColumns(Object.fromEntries(columns));
+    }
+    return { error: "The JSON does not contain a table of records, rows or columns." };
+};
+
+/**
+ * Names a column by its header, or by its position when the header is blank.
+ * @param {Object} table - The parsed table.
+ * @param {number} column - The column index.
+ * @returns {string} The column name.
+ */
+export const getColumnName = (table, column) => toLevel(table.headers[column]) || `Column ${column + 1}`;
+
+/**
+ * Checks whether most non-blank cells of a column are numeric.
+ * @param {Object} table - The parsed table.
+ * @param {number} column - The column index.
+ * @returns {boolean} True for a numeric column.
+ */
+export const isNumericColumn = (table, column) => {
+    const cells = table.rows.map(row => row[column]).filter(cell => toLevel(cell) !== "");
+    if (cells.length === 0) return false;
+    return cells.filter(cell => isFinite(toNumber(cell))).length >= cells.length * 0.8;
+};
+
+/**
+ * Guesses the layout of a table: long format when it has a text column to group by, with the
+ * numeric column with the most distinct values as the values (a numeric column with only a few,
+ * such as a dose, is more likely a factor) and the first text column as the groups. A table of
+ * text columns only is categorical, counting the first (and second) text column.
+ * @param {Object} table - The parsed table.
+ * @returns {{layout: "wide"|"long"|"categorical", valueColumn: number, groupColumn: number, secondTextColumn: number}}
+ *   The guessed mapping (column indices are -1 when there is no suitable column).
+ */
+export const guessTableLayout = (table) => {
+    const columns = table.headers.map((header, i) => i);
+    const numeric = columns.filter(i => isNumericColumn(table, i));
+    const text = columns.filter(i => !numeric.includes(i));
+    const distinctCount = (column) => new Set(table.rows.map(row => toNumber(row[column]))).size;
+    const valueColumn = numeric.reduce((best, i) => best < 0 || distinctCount(i) > distinctCount(best) ? i : best, -1);
+    let layout = "wide";
+    if (text.length > 0) layout = numeric.length > 0 ? "long" : "categorical";
+    return {
+        layout,
+        valueColumn,
+        groupColumn: text.length > 0 ? text[0] : -1,
+        secondTextColumn: text.length > 1 ? text[1] : -1
+    };
+};
+
+/**
+ * Builds one dataset per column (wide format), keeping the numeric cells. Blank cells below the
+ * end of a column are padding for shorter columns and are not reported.
+ * With a group column (the between-subjects factor of a mixed design), each column is split into
+ * one dataset per group, labelled "Group × Column" with both levels in `factors`. Each row is one
+ * subject, so rows with a missing cell or group are then always left out of every column.
+ * @param {Object} table - The parsed table.
+ * @param {number} minimumSize - The fewest values a dataset needs to be kept.
+ * @param {Object} missing - The missing-value handling: `codes`, the missing-value codes,
+ *   `listwise`, whether a row with a missing cell in any imported column is left out of every
+ *   column, and `groupColumn`, the index of the group column (-1 for none).
+ * @returns {{datasets: Array<Object>, dropped: Array<string>, problems: Array<Object>}} The datasets,
+ *   the names of the columns with too few numeric values, and the cells left out of the kept columns
+ *   as `{ column, row, cell, reason }`. With listwise deletion or a group column each dataset has the
+ *   number of `missing` cells left out of it. Otherwise its values are no longer matched row by row,
+ *   so it has its `cells` instead: the text of every cell down to the column's last value, missing
+ *   ones included, for the analyzer to leave out per analysis.
+ */
+export const buildWideDatasets = (table, minimumSize = 3, { codes = [], listwise = false, groupColumn = -1 } = {}) => {
+    const columns = table.headers.map((header, column) => {
+        const lastRow = table.rows.reduce((last, row, i) => toLevel(row[column]) !== "" ? i : last, -1);
+        const cells = table.rows.slice(0, lastRow + 1).map((row, i) => ({ i, cell: row[column], ...readObservation(row[column], codes) }));
+        return { label: getColumnName(table, column), cells };
+    }).filter((_, column) => column !== groupColumn);
+    const isKept = (column) => column.cells.filter(c => c.reason === undefined).length >= minimumSize;
+    const groupLevels = groupColumn >= 0 ? table.rows.map(row => readLevel(row[groupColumn], codes)) : null;
+    const problems = [];
+
+    // Listwise deletion: a row missing from any column that would be imported is dropped from all of them
+    const incompleteRows = new Set();
+    if (listwise || groupLevels) {
+        const kept = columns.filter(isKept);
+        const rowCount = Math.max(0, ...kept.map(column => column.cells.length));
+        kept.forEach(column => {
+            for (let i = 0; i < rowCount; i++) {
+                if (i >= column.cells.length || column.cells[i].reason !== undefined) incompleteRows.add(i);
+            }
+        });
+        if (groupLevels) {
+            groupLevels.slice(0, rowCount).forEach((level, i) => {
+                if (level.reason === undefined) return;
+                incompleteRows.add(i);
+                problems.push({ column: getColumnName(table, groupColumn), row: getRowNumber(table, i), cell: toLevel(table.rows[i][groupColumn]), reason: level.reason });
+            });
+        }
+        columns.forEach(column => column.cells.forEach(c => {
+            if (c.reason === undefined && incompleteRows.has(c.i)) c.reason = "listwise deletion";
+        }));
+    }
+
+    const datasets = [];
+    const dropped = [];
+    const keptColumns = [];
+    columns.forEach(column => {
+        const values = column.cells.filter(c => c.reason === undefined);
+        const left = column.cells.filter(c => c.reason !== undefined);
+        if (values.length < minimumSize) {
+            dropped.push(column.label);
+            return;
+        }
+        keptColumns.push({ label: column.label, values, left, cells: column.cells });
+        problems.push(...left.map(c => ({ column: column.label, row: getRowNumber(table, c.i), cell: toLevel(c.cell), reason: c.reason })));
+    });
+
+    if (!groupLevels) {
+        keptColumns.forEach(({ label, values, left, cells }) => {
+            const dataset = { label, values: values.map(c => c.value) };
+            if (listwise) dataset.missing = left.length;
+            // Commas separate the entered values, so they cannot stay in a cell's text
+            else dataset.cells = cells.map(c => c.reason === undefined ? String(c.value) : toLevel(c.cell).replace(/,/g, ";"));
+            datasets.push(dataset);
+        });
+        return { datasets, dropped, problems };
+    }
+
+    // Group-major order, so each group's repeated measures sit together
+    const groupName = getColumnName(table, groupColumn);
+    const levels = [...new Set(groupLevels.filter(level => level.reason === undefined).map(level => level.level))];
+    levels.forEach(level => {
+        const inGroup = (c) => groupLevels[c.i].level === level;
+        keptColumns.forEach(({ label, values, left }) => {
+            const dataset = {
+                label: `${level} × ${label}`,
+                values: values.filter(inGroup).map(c => c.value),
+                missing: left.filter(inGroup).length,
+                factors: [{ name: groupName, level }, { name: "Condition", level: label }]
+            };
+            if (dataset.values.length >= minimumSize) datasets.push(dataset);
+            else dropped.push(dataset.label);
+        });
+    });
+    return { datasets, dropped, problems };
+};
+
+/**
+ * Builds one dataset per group (long format: one row per observation). With a second factor
+ * column there is one dataset per combination of levels, and each dataset records its factor
+ * levels so a two-way ANOVA does not depend on the dataset labels.
+ * @param {Object} table - The parsed table.
+ * @param {number} valueColumn - The index of the column holding the observations.
+ * @param {number} groupColumn - The index of the grouping (first factor) column.
+ * @param {number} factorColumn - The index of the second factor column, or -1 for none.
+ * @param {number} minimumSize - The fewest values a dataset needs to be kept.
+ * @param {Object} missing - The missing-value handling: `codes`, the missing-value codes.
+ * @returns {{datasets: Array<Object>, dropped: Array<string>, skippedRows: number, problems: Array<Object>}}
+ *   The datasets in order of first appearance (with the number of `missing` values of each), the
+ *   labels of groups with too few values, the number of rows skipped for a missing group or value,
+ *   and each skipped row's problem cell as `{ column, row, cell, reason }`.
+ */
+export const buildLongDatasets = (table, valueColumn, groupColumn, factorColumn = -1, minimumSize = 3, { codes = [] } = {}) => {
+    const groups = new Map();
+    const problems = [];
+
+    table.rows.forEach((row, i) => {
+        const factorColumns = factorColumn >= 0 ? [groupColumn, factorColumn] : [groupColumn];
+        const levels = factorColumns.map(column => readLevel(row[column], codes));
+        const observation = readObservation(row[valueColumn], codes);
+
+        const problemColumn = [...factorColumns, valueColumn].find((column, j) => (levels[j] || observation).reason !== undefined);
+        if (problemColumn !== undefined) {
+            const j = factorColumns.indexOf(problemColumn);
+            problems.push({
+                column: getColumnName(table, problemColumn),
+                row: getRowNumber(table, i),
+                cell: toLevel(row[problemColumn]),
+                reason: (j >= 0 ? levels[j] : observation).reason
+            });
+        }
+        if (levels.some(level => level.reason !== undefined)) return;
+
+        const key = JSON.stringify(levels.map(l => l.level));
+        if (!groups.has(key)) groups.set(key, { levels: levels.map(l => l.level), values: [], missing: 0 });
+        if (observation.reason === undefined) groups.get(key).values.push(observation.value);
+        else groups.get(key).missing++;
+    });
+
+    const datasets = [];
+    const dropped = [];
+    groups.forEach(({ levels, values, missing }) => {
+        const dataset = { label: levels.join(" × "), values, missing };
+        if (factorColumn >= 0) {
+            dataset.factors = [
+                { name: getColumnName(table, groupColumn), level: levels[0] },
+                { name: getColumnName(table, factorColumn), level: levels[1] }
+            ];
+        }
+        if (values.length >= minimumSize) datasets.push(dataset);
+        else dropped.push(dataset.label);
+    });
+    return { datasets, dropped, skippedRows: problems.length, problems };
+};
+
+/**
+ * Counts the categories of one or two text columns (one row per observation) into a contingency
+ * table. Categories appear in order of first appearance, or in numeric order when every category
+ * is a number (e.g. 1–5 ratings). Rows with a blank or missing category are skipped.
+ * @param {Array<{name: string, table: Object}>} sheets - The aligned sheets; their rows are pooled.
+ * @param {number} rowColumn - The index of the column whose categories form the rows.
+ * @param {number} columnColumn - The index of the column whose categories form the columns, or -1
+ *   to count one variable (a single "Count" column).
+ * @param {Object} missing - The missing-value handling: `codes`, the missing-value codes.
+ * @returns {{table: Object, skippedRows: number, problems: Array<Object>}} The contingency table
+ *   as `{ rowVariable, columnVariable, rowLevels, columnLevels, counts }`, the number of rows
+ *   skipped, and each skipped row's problem cell as `{ column, row, cell, reason }`.
+ */
+export const buildContingencyTable = (sheets, rowColumn, columnColumn = -1, { codes = [] } = {}) => {
+    const prefix = (name, label) => sheets.length > 1 ? `${name}: ${label}` : label;
+    const columns = columnColumn >= 0 ? [rowColumn, columnColumn] : [rowColumn];
+    const observations = [];
+    const problems = [];
+
+    sheets.forEach(({ name, table }) => table.rows.forEach((row, i) => {
+        const levels = columns.map(column => {
+            const level = readLevel(row[column], codes);
+            return level.reason === "blank group" ? { reason: "blank" } : level;
+        });
+        const j = levels.findIndex(level => level.reason !== undefined);
+        if (j >= 0) {
+            problems.push({
+                column: prefix(name, getColumnName(table, columns[j])),
+                row: getRowNumber(table, i),
+                cell: toLevel(row[columns[j]]),
+                reason: levels[j].reason
+            });
+            return;
+        }
+        observations.push(levels.map(level => level.level));
+    }));
+
+    const orderLevels = (levels) => levels.every(level => isFinite(toNumber(level)))
+        ? [...levels].sort((a, b) => toNumber(a) - toNumber(b))
+        : levels;
+    const rowLevels = orderLevels([...new Set(observations.map(levels => levels[0]))]);
+    const columnLevels = columnColumn >= 0 ? orderLevels([...new Set(observations.map(levels => levels[1]))]) : ["Count"];
+    const counts = rowLevels.map(() => columnLevels.map(() => 0));
+    observations.forEach(([rowLevel, columnLevel]) => {
+        counts[rowLevels.indexOf(rowLevel)][columnColumn >= 0 ? columnLevels.indexOf(columnLevel) : 0]++;
+    });
+
+    const { table: firstTable } = sheets[0]; // Aligned sheets share their headers
+    return {
+        table: {
+            rowVariable: getColumnName(firstTable, rowColumn),
+            columnVariable: columnColumn >= 0 ? getColumnName(firstTable, columnColumn) : "",
+            rowLevels,
+            columnLevels,
+            counts
+        },
+        skippedRows: problems.length,
+        problems
+    };
+};
+
+/**
+ * Reads a worksheet into a table. Requires the SheetJS (XLSX) library.
+ * @param {Object} sheet - The SheetJS worksheet.
+ * @param {number|null} headerRow - The spreadsheet row number holding the column headers, or null
+ *   for the first row of the range. Rows above it are ignored.
+ * @param {string} range - An A1-style range such as "B3:F40", or "" for the sheet's used range.
+ * @returns {Object} The table, or an `error` message.
+ */
+export const readSheetTable = (sheet, headerRow = null, range = "") => {
+    const reference = range.trim().toUpperCase().replace(/\$/g, "");
+    if (reference && !/^[A-Z]{1,3}\d+(:[A-Z]{1,3}\d+)?$/.test(reference)) {
+        return { error: `"${range.trim()}" is not a cell range such as A1:D20.` };
+    }
+    if (!reference && !sheet["!ref"]) {
+        return { error: "The sheet is empty." };
+    }
+
+    const bounds = XLSX.utils.decode_range(reference || sheet["!ref"]);
+    if (headerRow !== null) {
+        if (headerRow - 1 < bounds.s.r || headerRow - 1 >= bounds.e.r) {
+            return { error: `Header row ${headerRow} must be inside the range and above its last row.` };
+        }
+        bounds.s.r = headerRow - 1;
+    }
+
+    // Skip blank rows, keeping the spreadsheet row numbers of the others for the import report
+    const records = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, blankrows: true, defval: "", range: bounds })
+        .map((row, i) => ({ row, number: bounds.s.r + i + 1 }))
+        .filter(({ row }) => row.some(cell => toLevel(cell) !== ""));
+    if (records.length < 2) {
+        return { error: "The range needs a header row and at least one row of data." };
+    }
+    return {
+        headers: records[0].row,
+        rows: records.slice(1).map(({ row }) => row),
+        rowNumbers: records.slice(1).map(({ number }) => number)
+    };
+};
+
+/**
+ * Lines up the tables of several sheets on the union of their headers, so one column mapping
+ * applies to all of them. Columns are matched by header name.
+ * @param {Array<{name: string, table: Object}>} sheets - The sheet names and tables.
+ * @returns {Array<{name: string, table: Object}>} The sheets, with tables sharing the same headers.
+ */
+export const alignSheetTables = (sheets) => {
+    if (sheets.length < 2) return sheets;
+    const headers = [];
+    sheets.forEach(({ table }) => table.headers.forEach((header, i) => {
+        const name = getColumnName(table, i);
+        if (!headers.includes(name)) headers.push(name);
+    }));
+    return sheets.map(({ name, table }) => {
+        const names = table.headers.map((header, i) => getColumnName(table, i));
+        const positions = headers.map(header => names.indexOf(header));
+        return {
+            name,
+            table: { headers, rows: table.rows.map(row => positions.map(p => p < 0 ? "" : row[p])), rowNumbers: table.rowNumbers }
+        };
+    });
+};
+
+/**
+ * Builds datasets from every sheet with the same mapping. When there are several sheets, labels
+ * are prefixed with the sheet name.
+ * @param {Array<{name: string, table: Object}>} sheets - The aligned sheets.
+ * @param {Function} buildDatasets - Builds `{datasets, dropped, skippedRows?, problems}` from one table.
+ * @returns {{datasets: Array<Object>, dropped: Array<string>, skippedRows: number, problems: Array<Object>}}
+ *   The combined result.
+ */
+export const buildSheetDatasets = (sheets, buildDatasets) => {
+    const prefix = (name, label) => sheets.length > 1 ? `${name}: ${label}` : label;
+    const combined = { datasets: [], dropped: [], skippedRows: 0, problems: [] };
+    sheets.forEach(({ name, table }) => {
+        const { datasets, dropped, skippedRows = 0, problems } = buildDatasets(table);
+        combined.datasets.push(...datasets.map(ds => ({ ...ds, label: prefix(name, ds.label) })));
+        combined.dropped.push(...dropped.map(label => prefix(name, label)));
+        combined.skippedRows += skippedRows;
+        combined.problems.push(...problems.map(problem => ({ ...problem, column: prefix(name, problem.column) })));
+    });
+    return combined;
+};
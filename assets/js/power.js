@@ -0,0 +1,238 @@
+import { calculatePower, solvePowerAnalysis } from "./stats/index.js";
+import { createPowerCurveChart, chartToSvgBlob, chartToPngBlob } from "./charts.js";
+import { downloadBlob } from "./export.js";
+
+// === Helper Functions ===
+
+// The effect size measure, Cohen's conventional benchmarks and the sample size unit of each test
+const TEST_DETAILS = {
+    "two-sample": { measure: "d", nLabel: "Sample size per group", nUnit: "per group" },
+    "paired": { measure: "d", nLabel: "Number of pairs", nUnit: "pairs" },
+    "one-sample": { measure: "d", nLabel: "Sample size", nUnit: "observations" },
+    "anova-one-way": { measure: "f", nLabel: "Sample size per group", nUnit: "per group" },
+    "anova-two-way": { measure: "f", nLabel: "Sample size per cell", nUnit: "per cell" }
+};
+const EFFECT_MEASURES = {
+    d: { label: "Effect size (Cohen's d)", medium: 0.5, hint: "Cohen's d is the mean difference in standard deviations: 0.2 is small, 0.5 medium and 0.8 large." },
+    f: { label: "Effect size (Cohen's f)", medium: 0.25, hint: "Cohen's f is the spread of the group means in standard deviations: 0.10 is small, 0.25 medium and 0.40 large." }
+};
+
+/**
+ * Reads a number input.
+ * @param {HTMLInputElement} input - The input.
+ * @returns {number} The value, or NaN when blank or not a number.
+ */
+const readNumber = (input) => input.value.trim() === "" ? NaN : Number(input.value);
+
+/**
+ * Formats a probability as a percentage.
+ * @param {number} value - The probability.
+ * @returns {string} E.g. "80.1%".
+ */
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+document.addEventListener("DOMContentLoaded", () => {
+    const form = document.getElementById("power-form");
+    const testSelect = document.getElementById("power-test");
+    const alternativeSelect = document.getElementById("power-alternative");
+    const groupsInput = document.getElementById("power-groups");
+    const levelsAInput = document.getElementById("power-levels-a");
+    const levelsBInput = document.getElementById("power-levels-b");
+    const effectSelect = document.getElementById("power-effect");
+    const solveRadios = document.querySelectorAll("input[name='power-solve']");
+    const effectSizeInput = document.getElementById("power-effect-size");
+    const effectSizeLabel = document.getElementById("power-effect-size-label");
+    const effectHint = document.getElementById("power-effect-hint");
+    const alphaInput = document.getElementById("power-alpha");
+    const powerInput = document.getElementById("power-power");
+    const nInput = document.getElementById("power-n");
+    const nLabel = document.getElementById("power-n-label");
+    const errorDisplay = document.getElementById("errorDisplay");
+    const observedEffectNote = document.getElementById("observed-effect-note");
+    const resultsSection = document.getElementById("power-results");
+    const summary = resultsSection.querySelector(".power-summary");
+    const interpretation = resultsSection.querySelector(".power-interpretation");
+    const chartBody = resultsSection.querySelector(".power-chart-body");
+
+    const valueInputs = { effectSize: effectSizeInput, alpha: alphaInput, power: powerInput, n: nInput };
+    let currentMeasure = "d";
+
+    const getSolvedFor = () => document.querySelector("input[name='power-solve']:checked").value;
+
+    /**
+     * Builds the study design from the design settings.
+     * @returns {Object} The design, as `solvePowerAnalysis` expects it.
+     */
+    const getDesign = () => {
+        const test = testSelect.value;
+        if (test === "anova-one-way") return { test, groups: readNumber(groupsInput) };
+        if (test === "anova-two-way") {
+            return { test, levelsA: readNumber(levelsAInput), levelsB: readNumber(levelsBInput), effect: effectSelect.value };
+        }
+        return { test: "t-test", type: test, alternative: alternativeSelect.value };
+    };
+
+    /**
+     * Shows the settings of the chosen test and relabels the effect size and sample size. Switching
+     * between a d and an f test resets the effect size to the new measure's medium benchmark.
+     */
+    const updateDesignSettings = () => {
+        const test = testSelect.value;
+        const details = TEST_DETAILS[test];
+        document.querySelectorAll(".t-test-design").forEach(el => { el.style.display = details.measure === "d" ? "block" : "none"; });
+        document.querySelectorAll(".one-way-design").forEach(el => { el.style.display = test === "anova-one-way" ? "block" : "none"; });
+        document.querySelectorAll(".two-way-design").forEach(el => { el.style.display = test === "anova-two-way" ? "block" : "none"; });
+
+        const measure = EFFECT_MEASURES[details.measure];
+        effectSizeLabel.textContent = measure.label;
+        effectHint.textContent = measure.hint;
+        nLabel.textContent = details.nLabel;
+        if (details.measure !== currentMeasure) {
+            effectSizeInput.value = measure.medium;
+            currentMeasure = details.measure;
+        }
+    };
+
+    /**
+     * Disables the input of the value being solved for.
+     */
+    const updateSolvedInput = () => {
+        const solvedFor = getSolvedFor();
+        Object.entries(valueInputs).forEach(([key, input]) => {
+            input.disabled = key === solvedFor;
+            input.classList.toggle("is-solved", key === solvedFor);
+        });
+    };
+
+    /**
+     * Draws power against sample size for the solved design, out to twice the planned size.
+     * @param {Object} design - The study design.
+     * @param {Object} result - The solved power analysis.
+     * @returns {SVGSVGElement} The chart.
+     */
+    const buildPowerCurve = (design, result) => {
+        const largest = Math.max(10, result.n * 2);
+        const step = Math.max(1, Math.ceil((largest - 2) / 60));
+        const points = [];
+        for (let n = 2; n <= largest; n += step) {
+            points.push({ x: n, y: calculatePower(design, result.effectSize, n, result.alpha) });
+        }
+        return createPowerCurveChart({
+            title: `Power against sample size for ${currentMeasure} = ${result.effectSize.toFixed(2)} at alpha = ${result.alpha}`,
+            points,
+            xLabel: TEST_DETAILS[testSelect.value].nLabel,
+            marker: { x: result.n, y: result.power }
+        });
+    };
+
+    /**
+     * Describes the solved analysis in a sentence.
+     * @param {Object} result - The solved power analysis.
+     * @returns {string} The interpretation.
+     */
+    const describeResult = (result) => {
+        const { nUnit } = TEST_DETAILS[testSelect.value];
+        const effect = `${currentMeasure} = ${result.effectSize.toFixed(2)}`;
+        const sides = testSelect.value.startsWith("anova") ? "" : ` (${alternativeSelect.value})`;
+        const sample = `${result.n} ${nUnit}${result.totalN !== result.n ? ` (${result.totalN} in total)` : ""}`;
+        switch (result.solvedFor) {
+            case "n":
+                return `To detect ${effect} with ${formatPercent(powerInput.valueAsNumber)} power at α = ${result.alpha}${sides}, you need ${sample}. `
+                    + `With that many the power is ${formatPercent(result.power)}.`;
+            case "power":
+                return `With ${sample}, a test at α = ${result.alpha}${sides} has a ${formatPercent(result.power)} chance of detecting ${effect}.`;
+            case "effectSize":
+                return `With ${sample} and α = ${result.alpha}${sides}, the smallest effect detected with ${formatPercent(result.power)} power is ${effect}.`;
+            default:
+                return `Detecting ${effect} with ${formatPercent(result.power)} power using ${sample} needs α = ${result.alpha.toFixed(4)}${sides}.`;
+        }
+    };
+
+    const calculate = () => {
+        errorDisplay.textContent = "";
+        const solvedFor = getSolvedFor();
+        const values = {};
+        Object.entries(valueInputs).forEach(([key, input]) => {
+            values[key] = key === solvedFor ? null : readNumber(input);
+        });
+
+        const design = getDesign();
+        const result = solvePowerAnalysis(design, values);
+        if (result.error) {
+            errorDisplay.textContent = result.error;
+            resultsSection.style.display = "none";
+            return;
+        }
+
+        // Show the solved value in its own input
+        const solvedInput = valueInputs[solvedFor];
+        solvedInput.value = solvedFor === "n" ? result.n : Number(result[solvedFor].toFixed(solvedFor === "alpha" ? 4 : 3));
+
+        const { nLabel: sampleLabel } = TEST_DETAILS[testSelect.value];
+        summary.innerHTML = [
+            ["effectSize", EFFECT_MEASURES[currentMeasure].label, result.effectSize.toFixed(3)],
+            ["alpha", "Alpha", solvedFor === "alpha" ? result.alpha.toFixed(4) : result.alpha],
+            ["power", solvedFor === "n" ? "Achieved Power" : "Power", result.power.toFixed(3)],
+            ["n", sampleLabel, result.n],
+            ["totalN", "Total Sample Size", result.totalN]
+        ].map(([key, label, value]) => `
+            <div class="power-metric ${key === solvedFor ? 'is-solved' : ''}">
+                <div class="power-metric-name">${label}</div>
+                <div class="power-metric-value">${value}</div>
+            </div>
+        `).join("");
+        interpretation.textContent = describeResult(result);
+
+        chartBody.innerHTML = "";
+        chartBody.appendChild(buildPowerCurve(design, result));
+        resultsSection.style.display = "block";
+    };
+
+    testSelect.addEventListener("change", updateDesignSettings);
+    solveRadios.forEach(radio => radio.addEventListener("change", updateSolvedInput));
+    form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        calculate();
+    });
+
+    resultsSection.querySelectorAll(".chart-download-btn").forEach(btn => {
+        btn.addEventListener("click", async () => {
+            const svg = chartBody.querySelector("svg");
+            const format = btn.dataset.format;
+            const fileName = `power-curve-${new Date().toISOString().slice(0, 10)}.${format}`;
+            try {
+                downloadBlob(format === "svg" ? chartToSvgBlob(svg) : await chartToPngBlob(svg), fileName);
+            } catch (err) {
+                console.error(`Error downloading chart as ${format}:`, err);
+                alert(`Downloading the chart as ${format.toUpperCase()} failed. Please try again.`);
+            }
+        });
+    });
+
+    // === Observed effect from a results page ===
+    // The results page links here with the test's design and observed effect size in the URL
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("test") && TEST_DETAILS[params.get("test")]) {
+        testSelect.value = params.get("test");
+        if (params.has("alternative")) alternativeSelect.value = params.get("alternative");
+        if (params.has("groups")) groupsInput.value = params.get("groups");
+        if (params.has("levelsA")) levelsAInput.value = params.get("levelsA");
+        if (params.has("levelsB")) levelsBInput.value = params.get("levelsB");
+        if (params.has("effect")) effectSelect.value = params.get("effect");
+    }
+    updateDesignSettings();
+    if (params.has("effectSize")) {
+        effectSizeInput.value = params.get("effectSize");
+        // The URL can come from anywhere, so its values are set as text
+        const source = params.get("source");
+        const heading = document.createElement("strong");
+        heading.textContent = `Observed effect${source ? ` from “${source}”` : ""}:`;
+        observedEffectNote.replaceChildren(heading, ` ${currentMeasure} = ${effectSizeInput.value}. Observed effects are `
+            + "estimates, and those from small or significant studies tend to be too large, so a smaller effect gives a "
+            + "safer plan. Power calculated for the data you already have adds nothing to its p-value; use the planner "
+            + "for the next study.");
+        observedEffectNote.style.display = "block";
+    }
+    updateSolvedInput();
+    if (params.has("effectSize")) calculate();
+});
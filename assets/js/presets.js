@@ -0,0 +1,304 @@
+import { calculateShapiroWilk, detectOutliers, readFactorLevels } from "./stats/index.js";
+
+/**
+ * Analysis presets. Each preset lists the analysis options to select, the t-test type when it
+ * includes a t-test, the number of datasets the design needs and how to lay them out. Presets for
+ * counts have the "categorical" mode, entering a contingency table instead of datasets.
+ */
+export const ANALYSIS_PRESETS = {
+    "two-group": {
+        name: "Two-group Comparison",
+        options: ["mean", "sample-std-dev", "t-test", "mann-whitney"],
+        tTestType: "welch",
+        minDatasets: 2,
+        maxDatasets: 2,
+        layout: "Enter each group as its own dataset. Welch's t-test does not assume equal variances; Mann–Whitney U is the rank-based check."
+    },
+    "paired": {
+        name: "Paired Comparison (before/after)",
+        options: ["mean", "sample-std-dev", "t-test", "wilcoxon-signed-rank"],
+        tTestType: "paired",
+        minDatasets: 2,
+        maxDatasets: 2,
+        layout: "Enter the two conditions as two datasets with the values of each subject in the same position (the grid view keeps pairs on one row)."
+    },
+    "anova-3-plus": {
+        name: "ANOVA (3+ groups)",
+        options: ["mean", "sample-std-dev", "anova-one-way", "post-hoc-tukey", "kruskal-wallis"],
+        minDatasets: 3,
+        layout: "Enter one dataset per group. Tukey's HSD shows which groups differ; Kruskal–Wallis is the rank-based check."
+    },
+    "two-way": {
+        name: "Two-way ANOVA (two factors)",
+        options: ["mean", "sample-std-dev", "anova-two-way"],
+        minDatasets: 4,
+        layout: "Enter one dataset per combination of levels, labelled \"LevelA-LevelB\" (e.g. Control-Male), or import long-format data with two factor columns."
+    },
+    "repeated-measures": {
+        name: "Repeated Measures (3+ time points)",
+        options: ["mean", "sample-std-dev", "anova-repeated-measures"],
+        minDatasets: 3,
+        layout: "Enter one dataset per condition or time point with each subject's values in the same position (the grid view keeps each subject on one row)."
+    },
+    "mixed": {
+        name: "Mixed ANOVA (groups × time points)",
+        options: ["mean", "sample-std-dev", "anova-mixed"],
+        minDatasets: 4,
+        layout: "Enter one dataset per group and time point, labelled \"Group-Condition\" (e.g. Control-Week1), or import wide data (one column per time point) with a between-subjects group column."
+    },
+    "one-sample": {
+        name: "One-sample Comparison",
+        options: ["mean", "sample-std-dev", "t-test"],
+        tTestType: "one-sample",
+        minDatasets: 1,
+        layout: "Enter the sample as a dataset and set the hypothesised mean μ₀ in the t-test settings."
+    },
+    "two-group-ranks": {
+        name: "Two Groups, Ranks or Ratings",
+        options: ["mean", "sample-std-dev", "mann-whitney"],
+        minDatasets: 2,
+        maxDatasets: 2,
+        layout: "Enter each group as its own dataset. Mann–Whitney U compares the groups without assuming normal data."
+    },
+    "paired-ranks": {
+        name: "Paired Ranks or Ratings",
+        options: ["mean", "sample-std-dev", "wilcoxon-signed-rank"],
+        minDatasets: 2,
+        maxDatasets: 2,
+        layout: "Enter the two conditions as two datasets with the values of each subject in the same position."
+    },
+    "three-plus-ranks": {
+        name: "3+ Groups, Ranks or Ratings",
+        options: ["mean", "sample-std-dev", "kruskal-wallis"],
+        minDatasets: 3,
+        layout: "Enter one dataset per group. Kruskal–Wallis compares the groups, with Dunn's test for pairs."
+    },
+    "goodness-of-fit": {
+        name: "Counts vs Expected Proportions",
+        options: ["chi-square-gof"],
+        mode: "categorical",
+        layout: "Enter one row per category with its count in a single column, and the expected proportions in the goodness-of-fit settings (blank for equal shares)."
+    },
+    "contingency": {
+        name: "Contingency Table (two categorical variables)",
+        options: ["chi-square-independence", "fisher-exact"],
+        mode: "categorical",
+        layout: "Enter the count of each combination of categories, or import one row per observation with two text columns. Fisher's exact test runs on 2×2 tables."
+    }
+};
+
+/**
+ * Recommends a preset from the answers of the "help me choose" questions.
+ * @param {Object} answers - The answers.
+ * @param {"measurement"|"ordinal"|"categorical"} answers.dataType - The kind of data.
+ * @param {"one"|"two"|"three"} answers.groups - The number of groups or conditions.
+ * @param {"independent"|"paired"} answers.design - Whether the same subjects are measured in each group.
+ * @param {"one"|"two"} answers.factors - The number of grouping factors.
+ * @param {"no"|"yes"} answers.betweenGroups - Whether subjects measured repeatedly also belong to different groups.
+ * @returns {{preset: string, reason: string}|{error: string}} The preset and why it fits, or why
+ *   no analysis offered here fits.
+ */
+export const recommendPreset = ({ dataType, groups, design, factors, betweenGroups }) => {
+    const ranks = dataType === "ordinal";
+    if (dataType === "categorical") {
+        if (groups === "one") {
+            return { preset: "goodness-of-fit", reason: "A chi-square goodness-of-fit test compares the counts in each category with the proportions you expect." };
+        }
+        return design === "paired"
+            ? { error: "Categories recorded twice on the same subjects need McNemar's or Cochran's Q test, which the analyzer does not offer yet." }
+            : { preset: "contingency", reason: "A chi-square test of independence checks whether the categories are associated across the groups; Fisher's exact test gives an exact p-value for 2×2 tables with small counts." };
+    }
+
+    if (groups === "one") {
+        return ranks
+            ? { error: "A one-sample test for ranks or ratings is not available. If the scores are roughly normal, the one-sample t-test is a reasonable approximation." }
+            : { preset: "one-sample", reason: "A one-sample t-test compares the mean of one sample with a known or hypothesised value." };
+    }
+
+    if (design === "paired" && betweenGroups === "yes") {
+        return ranks
+            ? { error: "There is no rank-based test here for groups measured repeatedly. If the scores are roughly normal, the mixed ANOVA is a reasonable approximation." }
+            : { preset: "mixed", reason: "A mixed ANOVA tests the difference between the groups, the change across the repeated measurements, and whether the groups change differently (the interaction)." };
+    }
+
+    if (groups === "two") {
+        if (design === "paired") {
+            return ranks
+                ? { preset: "paired-ranks", reason: "The Wilcoxon signed-rank test compares paired ranks or ratings without assuming normal differences." }
+                : { preset: "paired", reason: "A paired t-test compares the mean difference within subjects; the Wilcoxon signed-rank test checks it without assuming normal differences." };
+        }
+        return ranks
+            ? { preset: "two-group-ranks", reason: "Mann–Whitney U compares two independent groups of ranks or ratings." }
+            : { preset: "two-group", reason: "Welch's t-test compares two independent means without assuming equal variances; Mann–Whitney U checks the result without assuming normal data." };
+    }
+
+    if (design === "paired") {
+        return ranks
+            ? { error: "Three or more repeated ranks or ratings need a Friedman test, which the analyzer does not offer yet. If the scores are roughly normal, use the repeated-measures ANOVA." }
+            : { preset: "repeated-measures", reason: "A repeated-measures ANOVA compares three or more conditions measured on the same subjects. Mauchly's test checks sphericity, with Greenhouse–Geisser and Huynh–Feldt corrections when it fails." };
+    }
+    if (factors === "two") {
+        return ranks
+            ? { error: "There is no rank-based two-way test here. Analyse one factor at a time with Kruskal–Wallis, or use the two-way ANOVA if the scores are roughly normal." }
+            : { preset: "two-way", reason: "A two-way ANOVA tests both factors and their interaction." };
+    }
+    return ranks
+        ? { preset: "three-plus-ranks", reason: "Kruskal–Wallis compares three or more independent groups of ranks or ratings, with Dunn's test for pairs." }
+        : { preset: "anova-3-plus", reason: "A one-way ANOVA compares three or more independent means; Tukey's HSD shows which pairs differ and Kruskal–Wallis checks the result without assuming normal data." };
+};
+
+const TWO_DATASET_OPTIONS = { "mann-whitney": "Mann–Whitney U", "wilcoxon-signed-rank": "The Wilcoxon signed-rank test" };
+const PARAMETRIC_OPTIONS = ["t-test", "anova-one-way", "anova-two-way", "anova-repeated-measures", "anova-mixed", "post-hoc-tukey", "post-hoc-bonferroni", "post-hoc-games-howell"];
+
+/**
+ * Checks whether the entered datasets suit the selected analyses.
+ * @param {Array<string>} selectedOptions - The selected analysis options.
+ * @param {Array<{label: string, values: Array<number>, factors?: Array<Object>}>} datasets - The datasets.
+ * @param {string} tTestType - The selected t-test type.
+ * @param {0|1} withinFactor - Which factor level in the labels is the repeated measure of a mixed ANOVA.
+ * @param {number} alpha - The significance level below which a dataset is flagged as non-normal.
+ * @param {{method: string, threshold: number|null, handling: string}} outliers - The outlier settings.
+ * @returns {Array<string>} A warning for each problem found (empty when the data fit or none are entered).
+ */
+export const findDataProblems = (selectedOptions, datasets, tTestType, withinFactor = 1, alpha = 0.05, outliers = { method: "none" }) => {
+    const warnings = [];
+    const has = (option) => selectedOptions.includes(option);
+    const count = datasets.length;
+    if (count === 0) return warnings;
+
+    const twoDatasetTests = Object.keys(TWO_DATASET_OPTIONS).filter(has).map(option => TWO_DATASET_OPTIONS[option]);
+    if (has("t-test") && tTestType !== "one-sample") twoDatasetTests.unshift("The t-test");
+    twoDatasetTests.forEach(name => {
+        if (count !== 2) warnings.push(`${name} compares exactly two datasets, but there ${count === 1 ? "is 1" : `are ${count}`}.`);
+    });
+
+    const paired = (has("t-test") && tTestType === "paired") || has("wilcoxon-signed-rank");
+    if (paired && count === 2 && datasets[0].values.length !== datasets[1].values.length) {
+        warnings.push(`A paired test needs the same number of values in both datasets (${datasets[0].values.length} and ${datasets[1].values.length}).`);
+    }
+
+    if ((has("anova-one-way") || has("kruskal-wallis")) && count < 3) {
+        warnings.push(count === 2
+            ? "With two datasets, the t-test or Mann–Whitney U answers the same question as a one-way ANOVA or Kruskal–Wallis."
+            : "A one-way ANOVA or Kruskal–Wallis needs at least two datasets.");
+    }
+    if (["post-hoc-tukey", "post-hoc-bonferroni", "post-hoc-games-howell"].some(has) && count < 3) {
+        warnings.push("Post-hoc comparisons need at least three datasets.");
+    }
+
+    if (has("anova-two-way")) {
+        // Levels are read exactly as the ANOVA will read them; `levels` is undefined when a label has none
+        const { levels } = readFactorLevels(datasets);
+        if (!levels) {
+            warnings.push("Two-way ANOVA needs every dataset labelled \"LevelA-LevelB\" (e.g. Control-Male) or imported with two factor columns.");
+        } else {
+            const levelsA = new Set(levels.map(pair => pair[0]));
+            const levelsB = new Set(levels.map(pair => pair[1]));
+            if (levelsA.size < 2 || levelsB.size < 2 || levelsA.size * levelsB.size !== count) {
+                warnings.push(`Two-way ANOVA needs one dataset for every combination of levels (${levelsA.size} × ${levelsB.size} = ${levelsA.size * levelsB.size}, found ${count}).`);
+            }
+        }
+    }
+
+    if (has("anova-repeated-measures")) {
+        const sizes = datasets.map(ds => ds.values.length);
+        if (count < 2) {
+            warnings.push("A repeated-measures ANOVA needs at least two datasets, one per condition or time point.");
+        } else if (sizes.some(size => size !== sizes[0])) {
+            warnings.push(`A repeated-measures ANOVA matches values by position (one per subject), but the datasets have different numbers of values (${sizes.join(", ")}).`);
+        }
+    }
+
+    if (has("anova-mixed")) {
+        const { levels } = readFactorLevels(datasets);
+        if (!levels) {
+            warnings.push("Mixed ANOVA needs every dataset labelled \"Group-Condition\" (e.g. Control-Week1) or imported with a between-subjects group column.");
+        } else {
+            const sizesByGroup = new Map();
+            levels.forEach((pair, i) => {
+                const group = pair[1 - withinFactor];
+                if (!sizesByGroup.has(group)) sizesByGroup.set(group, []);
+                sizesByGroup.get(group).push(datasets[i].values.length);
+            });
+            const unmatched = [...sizesByGroup].filter(([, sizes]) => sizes.some(size => size !== sizes[0])).map(([group]) => group);
+            if (sizesByGroup.size < 2 || [...sizesByGroup.values()].some(sizes => sizes.length < 2)) {
+                warnings.push("Mixed ANOVA needs at least two groups, each measured at two or more conditions.");
+            } else if (unmatched.length > 0) {
+                warnings.push(`Mixed ANOVA matches each group's values by position (one per subject), but the conditions of ${unmatched.join(", ")} have different numbers of values.`);
+            }
+        }
+    }
+
+    if (has("correlation") || has("regression")) {
+        const sizes = datasets.map(ds => ds.values.length);
+        if (count < 2) {
+            warnings.push("Correlation and regression need at least two datasets, one per variable.");
+        } else if (sizes.some(size => size !== sizes[0])) {
+            warnings.push(`Correlation and regression match values by position, but the datasets have different numbers of values (${sizes.join(", ")}).`);
+        }
+    }
+
+    // Analyses that match values by position leave an excluded outlier's whole row out
+    const rowMatched = paired || ["anova-repeated-measures", "anova-mixed", "correlation", "regression"].some(has);
+    if (rowMatched && count > 1 && outliers.method !== "none" && outliers.handling === "exclude") {
+        datasets.forEach(ds => {
+            const detection = detectOutliers(ds.values, outliers.method, outliers.threshold);
+            const flagged = detection.error ? 0 : detection.flagged.length;
+            if (flagged > 0 && flagged < ds.values.length) {
+                warnings.push(`${ds.label}: excluding its ${flagged === 1 ? "flagged outlier" : `${flagged} flagged outliers`} also leaves ${flagged === 1 ? "that row" : "those rows"} out of the datasets matched with it.`);
+            }
+        });
+    }
+
+    if (PARAMETRIC_OPTIONS.some(has)) {
+        datasets.forEach(ds => {
+            if (ds.values.length < 3) return;
+            const normality = calculateShapiroWilk(ds.values);
+            if (!normality.error && normality.pValue < alpha) {
+                warnings.push(`${ds.label} does not look normally distributed (Shapiro–Wilk p = ${normality.pValue < 0.001 ? "< 0.001" : normality.pValue.toFixed(3)}); consider the rank-based tests.`);
+            }
+        });
+    }
+    return warnings;
+};
+
+/**
+ * Checks whether a contingency table suits the selected categorical analyses.
+ * @param {Array<string>} selectedOptions - The selected analysis options.
+ * @param {{counts: Array<Array<number>>}} table - The contingency table, with unreadable counts as NaN.
+ * @returns {Array<string>} A warning for each problem found (empty when the table fits or is empty).
+ */
+export const findTableProblems = (selectedOptions, { counts }) => {
+    const warnings = [];
+    const has = (option) => selectedOptions.includes(option);
+    const rows = counts.length;
+    const columns = rows > 0 ? counts[0].length : 0;
+    const cells = counts.flat();
+    if (cells.every(count => count === 0)) return warnings;
+
+    if (cells.some(count => isNaN(count))) {
+        warnings.push("Every count must be a whole number of zero or more.");
+        return warnings;
+    }
+    if (has("chi-square-gof") && columns !== 1) {
+        warnings.push("The goodness-of-fit test needs a single column of counts, one row per category.");
+    }
+    if (has("chi-square-independence") && (rows < 2 || columns < 2)) {
+        warnings.push("The test of independence needs at least two rows and two columns of categories.");
+    }
+    if (has("fisher-exact") && (rows !== 2 || columns !== 2)) {
+        warnings.push(`Fisher's exact test runs on 2×2 tables, but this one is ${rows}×${columns}.`);
+    }
+
+    // Cochran's rule: the chi-square approximation needs most expected counts of 5 or more
+    if (has("chi-square-independence") && rows >= 2 && columns >= 2) {
+        const rowTotals = counts.map(row => row.reduce((sum, count) => sum + count, 0));
+        const columnTotals = counts[0].map((_, j) => counts.reduce((sum, row) => sum + row[j], 0));
+        const n = rowTotals.reduce((sum, total) => sum + total, 0);
+        const small = rowTotals.flatMap(r => columnTotals.map(c => r * c / n)).filter(e => e < 5).length;
+        if (small > 0.2 * rows * columns) {
+            warnings.push(`${small} of ${rows * columns} expected counts are below 5, so the chi-square p-value may be inaccurate${rows === 2 && columns === 2 ? "; use Fisher's exact test" : "; consider combining categories"}.`);
+        }
+    }
+    return warnings;
+};
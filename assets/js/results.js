@@ -1,30 +1,246 @@
-document.addEventListener("DOMContentLoaded", () => {
+import { adjustPValues, calculateDescriptiveSummary, fSurvival, P_VALUE_CORRECTIONS, TRANSFORMS } from "./stats/index.js";
+import { createBoxPlotChart, createHistogramChart, createMeanCIChart, createQQPlotChart, createScatterPlotChart, chartToSvgBlob, chartToPngBlob } from "./charts.js";
+import { buildExportModel, downloadBlob, exportToCSV, exportToXLSX, exportToPDF } from "./export.js";
+import { getAnalysis } from "./storage.js";
+
+/**
+ * Formats a statistic for display. Analyses saved before the statistics library returned raw
+ * numbers stored pre-formatted strings, so values are coerced first.
+ * @param {number|string|null} value - The value to format.
+ * @param {number} digits - The number of decimal places.
+ * @returns {string} The formatted value, "∞"/"−∞" for infinities, or "—" when missing.
+ */
+const formatNumber = (value, digits = 3) => {
+    if (value === null || value === undefined) return "—";
+    const number = Number(value);
+    if (number === Infinity) return "∞";
+    if (number === -Infinity) return "−∞";
+    if (isNaN(number)) return "—";
+    return number.toFixed(digits);
+};
+
+/**
+ * Formats degrees of freedom: whole numbers as-is, Welch–Satterthwaite df to 2 decimal places.
+ * @param {number|string} df - The degrees of freedom.
+ * @returns {string} The formatted degrees of freedom.
+ */
+const formatDf = (df) => Number.isInteger(Number(df)) ? String(Number(df)) : formatNumber(df, 2);
+
+document.addEventListener("DOMContentLoaded", async () => {
     const oneWayAnovaSection     = document.querySelector(".analysis-section.one-way-anova-section");
+    const twoWayAnovaSection     = document.querySelector(".analysis-section.two-way-anova-section");
+    const repeatedMeasuresSection = document.querySelector(".analysis-section.repeated-measures-section");
+    const mixedAnovaSection      = document.querySelector(".analysis-section.mixed-anova-section");
+    const postHocSection         = document.querySelector(".analysis-section.post-hoc-section");
+    const nonParametricSection   = document.querySelector(".analysis-section.non-parametric-section");
     const tTestSection           = document.querySelector(".analysis-section.t-test-section");
     const descriptiveStatSection = document.querySelector(".analysis-section.descriptive-stat-section");
     const summaryStatSection     = document.querySelector(".analysis-section.summary-stat-section");
+    const outliersSection        = document.querySelector(".analysis-section.outliers-section");
+    const transformsSection      = document.querySelector(".analysis-section.transforms-section");
+    const assumptionsSection     = document.querySelector(".analysis-section.assumptions-section");
+    const correlationSection     = document.querySelector(".analysis-section.correlation-section");
+    const regressionSection      = document.querySelector(".analysis-section.regression-section");
+    const categoricalSection     = document.querySelector(".analysis-section.categorical-section");
     const sharePageBtn           = document.getElementById("sharePageBtn");
 
     const params = new URLSearchParams(window.location.search);
-    const dataParam = params.get("data");
+    const analysisId = Number(params.get("id"));
 
-    if (!dataParam) {
+    if (!analysisId) {
         document.body.innerHTML = "<h1 style='text-align:center;margin-top:100px;'>No results data found.</h1>";
         return;
     }
 
-    let payload;
+    let analysis;
     try {
-        payload = JSON.parse(decodeURIComponent(dataParam));
+        analysis = await getAnalysis(analysisId);
     } catch (e) {
-        console.error("Failed to parse results data:", e);
-        document.body.innerHTML = "<h1 style='text-align:center;margin-top:100px;'>Invalid results data.</h1>";
+        console.error("Failed to load saved analysis:", e);
+        document.body.innerHTML = "<h1 style='text-align:center;margin-top:100px;'>Saved analyses are not available in this browser.</h1>";
+        return;
+    }
+
+    if (!analysis) {
+        document.body.innerHTML = "<h1 style='text-align:center;margin-top:100px;'>This analysis no longer exists. It may have been deleted.</h1>";
         return;
     }
 
+    const { payload } = analysis;
+
+    const confidencePercent = parseFloat(((payload.confidenceLevel || 0.95) * 100).toFixed(1));
+    const formatPValue = (pValue) => pValue < 0.0001 ? "< 0.0001" : pValue.toFixed(4);
+
+    /**
+     * Adds a link opening the power planner with a test's observed effect size filled in, to plan
+     * a follow-up study.
+     * @param {HTMLElement} container - The element to add the link to.
+     * @param {Object} design - The planner's design settings (test, alternative, groups, …).
+     * @param {number} effectSize - The observed Cohen's d or f.
+     * @param {string} [label] - The link text.
+     */
+    const addPowerPlannerLink = (container, design, effectSize, label = "Use observed effect in the power planner") => {
+        if (!(effectSize > 0 && isFinite(effectSize))) return;
+        const params = new URLSearchParams({ ...design, effectSize: effectSize.toFixed(3), source: analysis.name });
+        const link = document.createElement("a");
+        link.className = "power-planner-link";
+        link.href = `./power.html?${params}`;
+        link.innerHTML = `<i class="fas fa-calculator"></i> ${label}`;
+        container.appendChild(link);
+    };
+
+    // === Significance ===
+    // Analyses saved before the significance settings existed used 0.05 without a correction
+    const { alpha, correction } = payload.significance || { alpha: 0.05, correction: "none" };
+    const correctionName = P_VALUE_CORRECTIONS[correction];
+
+    const SPHERICITY_CORRECTIONS = [
+        { key: null, name: "Sphericity assumed" },
+        { key: "greenhouseGeisser", name: "Greenhouse–Geisser" },
+        { key: "huynhFeldt", name: "Huynh–Feldt" }
+    ];
+
+    /**
+     * Chooses the test to report for a within-subjects effect: sphericity assumed unless Mauchly's
+     * test rejects it (or cannot be run), otherwise Greenhouse–Geisser, or Huynh–Feldt when the
+     * Greenhouse–Geisser epsilon exceeds 0.75 and the correction would be too conservative.
+     * @param {Object} effect - The effect row, with its corrected degrees of freedom and p-values.
+     * @param {number} dfError - The uncorrected error degrees of freedom.
+     * @param {Object} sphericity - The sphericity statistics.
+     * @returns {{name: string, source: Object, df: number, dfError: number, pValue: number}} The test to
+     *   report, with `source` the result object its p-value comes from.
+     */
+    const chooseSphericityCorrection = (effect, dfError, sphericity) => {
+        const { mauchly } = sphericity;
+        const needsCorrection = mauchly ? mauchly.pValue < alpha : sphericity.lowerBound < 1;
+        if (!needsCorrection) return { name: "Sphericity assumed", source: effect, df: effect.df, dfError, pValue: effect.pValue };
+        const correction = SPHERICITY_CORRECTIONS[sphericity.greenhouseGeisser > 0.75 ? 2 : 1];
+        return { name: correction.name, source: effect[correction.key], ...effect[correction.key] };
+    };
+
+    /**
+     * Collects the p-value of every test reported in the run, so they can be adjusted as one family.
+     * Assumption checks are left out, as they only decide how a test is reported, and so is the
+     * regression intercept. Post-hoc and Dunn's comparisons are left out too: their p-values are
+     * already adjusted within their own family, and adjusting them again would inflate them.
+     * @param {Object} analyses - The payload's analyses.
+     * @returns {Array<{source: Object, pValue: number}>} Each test's result object and p-value.
+     */
+    const collectReportedTests = (analyses) => {
+        const tests = [];
+        const add = (source, pValue = source.pValue) => tests.push({ source, pValue });
+        const { tTest, anovaOneWay, anovaTwoWay, anovaRepeatedMeasures, anovaMixed, mannWhitney, wilcoxon, kruskalWallis,
+            correlation, regression, chiSquareGoodnessOfFit, chiSquareIndependence, fisherExact } = analyses;
+
+        if (tTest) tTest.tests.forEach(test => add(test));
+        if (anovaOneWay) add(anovaOneWay);
+        if (anovaTwoWay) ["factorA", "factorB", "interaction"].forEach(key => add(anovaTwoWay[key]));
+        if (anovaRepeatedMeasures) {
+            const reported = chooseSphericityCorrection(anovaRepeatedMeasures.conditions, anovaRepeatedMeasures.residual.df, anovaRepeatedMeasures.sphericity);
+            add(reported.source, reported.pValue);
+        }
+        if (anovaMixed) {
+            add(anovaMixed.between);
+            [anovaMixed.within, anovaMixed.interaction].forEach(effect => {
+                const reported = chooseSphericityCorrection(effect, anovaMixed.withinError.df, anovaMixed.sphericity);
+                add(reported.source, reported.pValue);
+            });
+        }
+        [mannWhitney, wilcoxon, kruskalWallis].filter(Boolean).forEach(test => add(test));
+        if (correlation) correlation.pairs.filter(pair => !pair.error).forEach(pair => add(pair));
+        if (regression) {
+            add(regression, regression.fPValue);
+            regression.coefficients.slice(1).forEach(c => add(c));
+        }
+        [chiSquareGoodnessOfFit, chiSquareIndependence, fisherExact].filter(Boolean).forEach(test => add(test));
+        return tests.filter(test => Number.isFinite(test.pValue));
+    };
+
+    const reportedTests = collectReportedTests(payload.analyses);
+    const adjustedPValues = new Map();
+    if (correction !== "none") {
+        const adjusted = adjustPValues(reportedTests.map(test => test.pValue), correction);
+        reportedTests.forEach((test, i) => adjustedPValues.set(test.source, adjusted[i]));
+    }
+
+    /**
+     * Judges a p-value against alpha. A test reported in the run is judged by its adjusted p-value
+     * when a correction is set; other p-values (e.g. the unreported sphericity corrections) as they are.
+     * @param {Object} source - The result object the p-value comes from.
+     * @param {number} [pValue] - The raw p-value, if not `source.pValue`.
+     * @returns {{pValue: number, adjusted: number|null, isSignificant: boolean}} The judged p-value.
+     */
+    const judge = (source, pValue = source.pValue) => {
+        const adjusted = adjustedPValues.has(source) ? adjustedPValues.get(source) : null;
+        return { pValue, adjusted, isSignificant: (adjusted ?? pValue) < alpha };
+    };
+
+    const pLabel = (judged) => judged.adjusted === null ? "p" : `${correctionName}-adjusted p`;
+
+    /**
+     * Describes a significant p-value for an interpretation, e.g. "p = 0.0123" or "Holm-adjusted p < 0.0001".
+     * @param {Object} judged - The judged p-value.
+     * @returns {string} The description.
+     */
+    const describePValue = (judged) => {
+        const p = judged.adjusted ?? judged.pValue;
+        return `${pLabel(judged)} ${p < 0.0001 ? formatPValue(p) : `= ${formatPValue(p)}`}`;
+    };
+
+    const describeNotSignificant = (judged) => `${pLabel(judged)} ≥ ${alpha}`;
+
+    /**
+     * Builds the stat item of an adjusted p-value.
+     * @param {Object} judged - The judged p-value.
+     * @param {string} [label] - The stat label.
+     * @returns {string} The stat item, or "" when the p-value is not adjusted.
+     */
+    const buildAdjustedPValueStat = (judged, label = `Adjusted p-value (${correctionName})`) => judged.adjusted === null ? "" : `
+        <div class="stat-item"><span class="stat-label">${label}</span><span class="stat-value p-value ${judged.isSignificant ? 'significant' : ''}">${formatPValue(judged.adjusted)}</span></div>
+    `;
+
+    /**
+     * Builds the stat items of a p-value and, when it is adjusted, its adjusted value.
+     * @param {Object} judged - The judged p-value.
+     * @param {string} [label] - The label of the raw p-value.
+     * @param {string} [adjustedLabel] - The label of the adjusted p-value.
+     * @returns {string} The stat items.
+     */
+    const buildPValueStats = (judged, label = "p-value", adjustedLabel) => `
+        <div class="stat-item"><span class="stat-label">${label}</span><span class="stat-value p-value ${judged.isSignificant ? 'significant' : ''}">${formatPValue(judged.pValue)}</span></div>
+        ${buildAdjustedPValueStat(judged, adjustedLabel)}
+    `;
+
+    /**
+     * Builds a table cell with a p-value, followed by its adjusted value when there is one.
+     * @param {Object} judged - The judged p-value.
+     * @param {string} [note] - Text to show after the raw p-value, e.g. " (exact)".
+     * @returns {string} The table cell.
+     */
+    const buildPValueCell = (judged, note = "") => `
+        <td class="p-value ${judged.isSignificant ? 'significant' : ''}">${formatPValue(judged.pValue)}${note}${judged.adjusted === null ? "" : ` (${correctionName}: ${formatPValue(judged.adjusted)})`}</td>
+    `;
+
     // Header & Footer
+    document.title = `${analysis.name} - Analysis Results`;
+    // Categorical analyses carry a contingency table instead of datasets
+    const contingencyTable = payload.contingencyTable;
+    const dataDescription = contingencyTable
+        ? `${contingencyTable.rowLevels.length} × ${contingencyTable.columnLevels.length} table of ${contingencyTable.counts.flat().reduce((sum, count) => sum + count, 0)} observations analyzed`
+        : `${payload.datasetCount} datasets analyzed`;
     document.querySelector(".page-subtitle").textContent = 
-        `Analysis completed on ${payload.date} at ${payload.time} • ${payload.datasetCount} datasets analyzed`;
+        `${analysis.name} • Analysis completed on ${payload.date} at ${payload.time} • ${dataDescription}`;
+
+    const significanceNote = document.querySelector(".significance-note");
+    const hasComparisonFamilies = Boolean(payload.analyses.postHoc || payload.analyses.kruskalWallis);
+    if (reportedTests.length > 0) {
+        significanceNote.textContent = correction === "none"
+            ? `Tests are judged significant at α = ${alpha}, without a multiple-testing correction.`
+            : `Tests are judged significant at α = ${alpha} after ${correctionName} adjustment of their p-values across the ${reportedTests.length === 1 ? "1 test" : `${reportedTests.length} tests`} in this run. Assumption checks are not adjusted`
+                + `${hasComparisonFamilies ? ", and post-hoc and Dunn's comparisons keep the adjustment made within their own family" : ""}.`;
+    } else {
+        significanceNote.style.display = "none";
+    }
 
     document.querySelector(".timestamp").innerHTML = 
         `<i class="fas fa-clock"></i> Last updated: ${payload.date} at ${payload.time}`;
@@ -37,65 +253,323 @@ document.addEventListener("DOMContentLoaded", () => {
         card.className = "metric-card";
         card.innerHTML = `
             <div class="dataset-label">${ds.label}</div>
-            <div class="metric-item"><div class="metric-name">Mean</div><div class="metric-value">${ds.mean}</div></div>
-            <div class="metric-item"><div class="metric-name">Std Dev</div><div class="metric-value">${ds.stdDev.toFixed(3)}</div></div>
+            <div class="metric-item"><div class="metric-name">Mean</div><div class="metric-value">${formatNumber(ds.mean)}</div></div>
+            <div class="metric-item"><div class="metric-name">Std Dev</div><div class="metric-value">${formatNumber(ds.stdDev)}</div></div>
             <div class="metric-item"><div class="metric-name">Sample Size</div><div class="metric-value">${ds.n}</div></div>
         `;
         grid.appendChild(card);
     });
 
     // === Descriptive Statistics Table ===
-    const descTableBody = descriptiveStatSection.querySelector(".results-table tbody");
-    descTableBody.innerHTML = "";
-    payload.datasets.forEach(ds => {
-        const values = ds.values;
-        const sorted = [...values].sort((a, b) => a - b);
-        const median = sorted.length % 2 === 0
-            ? (sorted[sorted.length/2 - 1] + sorted[sorted.length/2]) / 2
-            : sorted[Math.floor(sorted.length/2)];
-
-        const row = document.createElement("tr");
-        row.innerHTML = `
-            <td>${ds.label}</td>
-            <td>${ds.mean}</td>
-            <td>${median.toFixed(3)}</td>
-            <td>${ds.stdDev.toFixed(3)}</td>
-            <td>${Math.min(...values).toFixed(3)}</td>
-            <td>${Math.max(...values).toFixed(3)}</td>
-            <td>${(Math.max(...values) - Math.min(...values)).toFixed(3)}</td>
-        `;
-        descTableBody.appendChild(row);
+    // Each column reads from the dataset and its full descriptive summary. The selection is
+    // remembered across analyses, and exports follow it because they read the rendered table.
+    const DESCRIPTIVE_COLUMNS = [
+        { key: "n", label: "n", value: (stats) => String(stats.n) },
+        { key: "excluded", label: "Missing/Excluded", value: (stats, ds) => String(ds.excluded ?? 0) },
+        { key: "mean", label: "Mean", value: (stats) => formatNumber(stats.mean) },
+        { key: "meanCI", label: `${confidencePercent}% CI (Mean)`, value: (stats, ds) => ds.meanCI ? `[${formatNumber(ds.meanCI[0])}, ${formatNumber(ds.meanCI[1])}]` : "—" },
+        { key: "se", label: "SE Mean", value: (stats) => formatNumber(stats.se) },
+        { key: "trimmedMean", label: "10% Trimmed Mean", value: (stats) => formatNumber(stats.trimmedMean) },
+        { key: "geometricMean", label: "Geometric Mean", value: (stats) => formatNumber(stats.geometricMean) },
+        { key: "harmonicMean", label: "Harmonic Mean", value: (stats) => formatNumber(stats.harmonicMean) },
+        { key: "median", label: "Median", value: (stats) => formatNumber(stats.median) },
+        { key: "mode", label: "Mode", value: (stats) => stats.modes.length === 0 ? "—"
+            : stats.modes.slice(0, 3).map(mode => formatNumber(mode)).join(", ") + (stats.modes.length > 3 ? ", …" : "") },
+        { key: "q1", label: "Q1", value: (stats) => formatNumber(stats.q1) },
+        { key: "q3", label: "Q3", value: (stats) => formatNumber(stats.q3) },
+        { key: "iqr", label: "IQR", value: (stats) => formatNumber(stats.iqr) },
+        { key: "sd", label: "Std Dev", value: (stats) => formatNumber(stats.sd) },
+        { key: "variance", label: "Variance", value: (stats) => formatNumber(stats.variance) },
+        { key: "cv", label: "CV (%)", value: (stats) => formatNumber(stats.cv * 100, 1) },
+        { key: "skewness", label: "Skewness", value: (stats) => formatNumber(stats.skewness) },
+        { key: "kurtosis", label: "Excess Kurtosis", value: (stats) => formatNumber(stats.kurtosis) },
+        { key: "min", label: "Min", value: (stats) => formatNumber(stats.min) },
+        { key: "max", label: "Max", value: (stats) => formatNumber(stats.max) },
+        { key: "range", label: "Range", value: (stats) => formatNumber(stats.range) }
+    ];
+    const DEFAULT_DESCRIPTIVE_COLUMNS = ["mean", "meanCI", "median", "sd", "min", "max", "range"];
+    const COLUMN_STORAGE_KEY = "descriptiveColumns";
+
+    const loadDescriptiveColumns = () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(COLUMN_STORAGE_KEY));
+            if (Array.isArray(saved)) return saved.filter(key => DESCRIPTIVE_COLUMNS.some(column => column.key === key));
+        } catch (e) {
+            console.warn("Could not read the saved descriptive columns:", e);
+        }
+        return DEFAULT_DESCRIPTIVE_COLUMNS;
+    };
+
+    const saveDescriptiveColumns = (keys) => {
+        try {
+            localStorage.setItem(COLUMN_STORAGE_KEY, JSON.stringify(keys));
+        } catch (e) {
+            console.warn("Could not save the descriptive columns:", e);
+        }
+    };
+
+    const descriptiveSummaries = payload.datasets.map(ds => calculateDescriptiveSummary(ds.values));
+    const descTable = descriptiveStatSection.querySelector(".results-table");
+    let selectedColumns = loadDescriptiveColumns();
+
+    const renderDescriptiveTable = () => {
+        const columns = DESCRIPTIVE_COLUMNS.filter(column => selectedColumns.includes(column.key));
+        descTable.querySelector("thead tr").innerHTML = `<th>Dataset</th>${columns.map(column => `<th>${column.label}</th>`).join("")}`;
+        descTable.querySelector("tbody").innerHTML = payload.datasets.map((ds, i) => `
+            <tr>
+                <td>${ds.label}</td>
+                ${columns.map(column => `<td>${column.value(descriptiveSummaries[i], ds)}</td>`).join("")}
+            </tr>
+        `).join("");
+    };
+
+    const columnOptions = descriptiveStatSection.querySelector(".column-picker-options");
+    columnOptions.innerHTML = DESCRIPTIVE_COLUMNS.map(column => `
+        <label><input type="checkbox" value="${column.key}" ${selectedColumns.includes(column.key) ? "checked" : ""}> ${column.label}</label>
+    `).join("");
+    columnOptions.addEventListener("change", () => {
+        selectedColumns = [...columnOptions.querySelectorAll("input:checked")].map(input => input.value);
+        saveDescriptiveColumns(selectedColumns);
+        renderDescriptiveTable();
+    });
+    renderDescriptiveTable();
+
+    // The dataset summaries and charts have nothing to show for a contingency table
+    [summaryStatSection, descriptiveStatSection, document.querySelector(".analysis-section.visual-insights")].forEach(section => {
+        section.style.display = payload.datasets.length === 0 ? "none" : "block";
     });
 
+    // === Outlier Handling ===
+    const outliers = payload.outliers;
+    if (outliers) {
+        const methodNames = {
+            "iqr": `IQR fences (k = ${outliers.threshold})`,
+            "z-score": `Z-score (|z| > ${outliers.threshold})`,
+            "modified-z": `Modified z-score (|M| > ${outliers.threshold})`,
+            "grubbs": `Grubbs' test (α = ${outliers.threshold})`
+        };
+        const handlingNames = {
+            "keep": "flagged values kept in the analysis",
+            "exclude": "flagged values excluded from the analysis",
+            "winsorize": "flagged values winsorized to the nearest retained value"
+        };
+        outliersSection.querySelector(".outlier-method").textContent =
+            `${methodNames[outliers.method]} • ${handlingNames[outliers.handling]}`;
+
+        outliersSection.querySelector("tbody").innerHTML = outliers.datasets.map((report, i) => {
+            if (report.error) {
+                return `<tr><td>${report.label}</td><td colspan="3">${report.error}</td><td>${payload.datasets[i].n}</td></tr>`;
+            }
+            const bounds = report.lowerBound === null ? "—" : `[${formatNumber(report.lowerBound)}, ${formatNumber(report.upperBound)}]`;
+            const flagged = report.changes.length === 0 ? "None" : report.changes.map(change => change.value).join(", ");
+            let action = "—";
+            if (report.changes.length > 0) {
+                if (outliers.handling === "exclude") action = `Excluded ${report.changes.length}`;
+                else if (outliers.handling === "winsorize") action = report.changes.map(change => `${change.value} → ${change.replacement}`).join(", ");
+                else action = "Kept";
+            }
+            return `
+                <tr>
+                    <td>${report.label}</td>
+                    <td>${bounds}</td>
+                    <td>${flagged}</td>
+                    <td>${action}</td>
+                    <td>${payload.datasets[i].n}</td>
+                </tr>
+            `;
+        }).join("");
+        outliersSection.style.display = "block";
+    } else {
+        outliersSection.style.display = "none";
+    }
+
+    // === Data Transformations ===
+    // Analyses saved before transformations existed have no transform on their datasets
+    if (payload.datasets.some(ds => ds.transform)) {
+        const describeParameters = (transform) => {
+            switch (transform.method) {
+                case "log": return "ln(y)";
+                case "sqrt": return "√(y)";
+                case "box-cox": return `λ = ${formatNumber(transform.lambda)} (${transform.estimated ? "maximum likelihood" : "fixed"})`;
+                case "z-score": return `(y − ${formatNumber(transform.mean)}) / ${formatNumber(transform.sd)}`;
+                case "min-max": return `(y − ${formatNumber(transform.min)}) / ${formatNumber(transform.max - transform.min)}`;
+                case "rank": return `Ranked among ${transform.pooledN} pooled values`;
+                default: return "—";
+            }
+        };
+        transformsSection.querySelector(".transform-scale").textContent =
+            "Statistics, charts and tests are on the transformed scale of each dataset";
+        transformsSection.querySelector("tbody").innerHTML = payload.datasets.map(ds => `
+            <tr>
+                <td>${ds.label}</td>
+                <td>${ds.transform ? TRANSFORMS[ds.transform.method] : TRANSFORMS.none}</td>
+                <td>${ds.transform ? describeParameters(ds.transform) : "—"}</td>
+                <td>${ds.n}</td>
+            </tr>
+        `).join("");
+        transformsSection.style.display = "block";
+    } else {
+        transformsSection.style.display = "none";
+    }
+
+    // === Assumption Checks ===
+    const assumptions = payload.analyses.assumptions;
+
+    /**
+     * Adds a pass/warn badge to a test card's title and, when an assumption is violated,
+     * a note suggesting a more appropriate alternative.
+     * @param {HTMLElement} card - The card (or wrapper) containing a `.test-name` element.
+     * @param {Object} options - Which assumptions the test relies on.
+     * @param {Array<string>} [options.normalityLabels] - Datasets that must be normally distributed.
+     * @param {Object} [options.normalityResult] - A separate Shapiro–Wilk result (e.g. paired differences).
+     * @param {boolean} [options.needsEqualVariance] - Whether the test assumes equal variances.
+     * @param {string} [options.normalityAlternative] - Suggested alternative when normality fails.
+     * @param {string} [options.varianceAlternative] - Suggested alternative when equal variances fail.
+     */
+    const addAssumptionBadge = (card, {
+        normalityLabels = [],
+        normalityResult = null,
+        needsEqualVariance = false,
+        normalityAlternative = "",
+        varianceAlternative = ""
+    }) => {
+        if (!assumptions) return;
+
+        const problems = [];
+        const nonNormal = assumptions.normality
+            .filter(check => normalityLabels.includes(check.label) && check.passed === false)
+            .map(check => check.label);
+        if (normalityResult && !normalityResult.error && normalityResult.pValue < assumptions.alpha) {
+            nonNormal.push("paired differences");
+        }
+        if (nonNormal.length > 0) {
+            problems.push(`Normality is doubtful for ${nonNormal.join(", ")} (Shapiro–Wilk p < ${assumptions.alpha}).`
+                + (normalityAlternative ? ` Consider the ${normalityAlternative} instead.` : ""));
+        }
+        if (needsEqualVariance && assumptions.homogeneity && assumptions.homogeneity.passed === false) {
+            problems.push(`Variances appear unequal (Brown–Forsythe p = ${formatPValue(assumptions.homogeneity.brownForsythe.pValue)}).`
+                + (varianceAlternative ? ` Consider the ${varianceAlternative} instead.` : ""));
+        }
+
+        const badge = document.createElement("span");
+        badge.className = `assumption-badge ${problems.length === 0 ? 'pass' : 'warn'}`;
+        badge.innerHTML = problems.length === 0
+            ? '<i class="fas fa-check"></i> Assumptions met'
+            : '<i class="fas fa-triangle-exclamation"></i> Check assumptions';
+        card.querySelector(".test-name").appendChild(badge);
+
+        if (problems.length > 0) {
+            const note = document.createElement("div");
+            note.className = "assumption-note";
+            note.innerHTML = problems.join("<br>");
+            card.appendChild(note);
+        }
+    };
+
+    if (assumptions) {
+        assumptionsSection.querySelector(".normality-table tbody").innerHTML = assumptions.normality.map(check => `
+            <tr>
+                <td>${check.label}</td>
+                <td>${check.error ? "—" : check.n}</td>
+                <td>${check.error ? "—" : formatNumber(check.W, 4)}</td>
+                <td>${check.error ? "—" : formatPValue(check.pValue)}</td>
+                <td>${check.error ? check.error : check.passed ? "Pass" : "Warn"}</td>
+            </tr>
+        `).join("");
+
+        const homogeneityWrapper = assumptionsSection.querySelector(".homogeneity-table-wrapper");
+        if (assumptions.homogeneity) {
+            const rows = [
+                ["Levene (mean-centred)", assumptions.homogeneity.levene],
+                ["Brown–Forsythe (median-centred)", assumptions.homogeneity.brownForsythe]
+            ];
+            homogeneityWrapper.querySelector("tbody").innerHTML = rows.map(([name, test]) => test.error ? `
+                <tr><td>${name}</td><td colspan="4">${test.error}</td></tr>
+            ` : `
+                <tr>
+                    <td>${name}</td>
+                    <td>${formatNumber(test.F)}</td>
+                    <td>${test.df1}, ${test.df2}</td>
+                    <td>${formatPValue(test.pValue)}</td>
+                    <td>${test.pValue >= assumptions.alpha ? "Pass" : "Warn"}</td>
+                </tr>
+            `).join("");
+            homogeneityWrapper.style.display = "block";
+        } else {
+            homogeneityWrapper.style.display = "none";
+        }
+        assumptionsSection.style.display = "block";
+    } else {
+        assumptionsSection.style.display = "none";
+    }
+
     // === T-Test Results ===
-    if (payload.analyses.tTest && payload.datasetCount === 2) {
-        const container = tTestSection.querySelector(".test-result-card");
-        container.innerHTML = ""; // Clear placeholder structure
-
-        const tValue = parseFloat(payload.analyses.tTest.t);
-        const df = payload.datasets[0].n + payload.datasets[1].n - 2;
-        const pValue = jstat.ttest(tValue, df, 2); // 2-sided
-
-        const isSignificant = pValue < 0.05;
-        container.className = `test-result-card ${isSignificant ? 'significant' : ''}`;
-
-        const pDisplay = pValue < 0.0001 ? "< 0.0001" : pValue.toFixed(4);
-
-        container.innerHTML = `
-            <div class="test-name">${payload.analyses.tTest.comparison}</div>
-            <div class="test-stats">
-                <div class="stat-item"><span class="stat-label">t-statistic</span><span class="stat-value">${tValue.toFixed(3)}</span></div>
-                <div class="stat-item"><span class="stat-label">p-value</span><span class="stat-value p-value ${isSignificant ? 'significant' : ''}">${pDisplay}</span></div>
-                <div class="stat-item"><span class="stat-label">Degrees of Freedom</span><span class="stat-value">${df}</span></div>
-                <div class="stat-item"><span class="stat-label">95% CI</span><span class="stat-value">Not implemented</span></div>
-            </div>
-            <div class="interpretation">
-                <strong>Interpretation:</strong> 
-                ${isSignificant 
-                    ? `Statistically significant difference detected (p ${pValue < 0.001 ? '< 0.001' : `< ${pDisplay}`}).` 
-                    : 'No statistically significant difference (p ≥ 0.05).'}
-            </div>
-        `;
+    if (payload.analyses.tTest) {
+        const tTest = payload.analyses.tTest;
+        const testNames = {
+            "student": "Student's t-test (pooled variance)",
+            "welch": "Welch's t-test (unequal variances)",
+            "paired": "Paired t-test",
+            "one-sample": "One-sample t-test"
+        };
+        const alternativeSymbols = { "two-sided": "≠", "greater": ">", "less": "<" };
+        const alternativeLabels = { "two-sided": "two-sided", "greater": "one-sided, greater", "less": "one-sided, less" };
+        const estimateLabel = {
+            "student": "Mean Difference",
+            "welch": "Mean Difference",
+            "paired": "Mean of Differences",
+            "one-sample": "Sample Mean"
+        }[tTest.type];
+
+        tTestSection.querySelector(".section-header").textContent = `${testNames[tTest.type]} Results`;
+        tTestSection.querySelectorAll(".test-result-card").forEach(card => card.remove());
+
+        tTest.tests.forEach((test, index) => {
+            const container = document.createElement("div");
+            const judged = judge(test);
+            container.className = `test-result-card ${judged.isSignificant ? 'significant' : ''}`;
+
+            const hypothesis = `H₁: ${tTest.type === "one-sample" ? "μ" : tTest.type === "paired" ? "μ_d" : "μ₁ − μ₂"} ${alternativeSymbols[tTest.alternative]} ${tTest.hypothesisedMean}`;
+
+            container.innerHTML = `
+                <div class="test-name">${test.comparison}</div>
+                <div class="test-stats">
+                    <div class="stat-item"><span class="stat-label">t-statistic</span><span class="stat-value">${formatNumber(test.t)}</span></div>
+                    ${buildPValueStats(judged, `p-value (${alternativeLabels[tTest.alternative]})`)}
+                    <div class="stat-item"><span class="stat-label">Degrees of Freedom</span><span class="stat-value">${formatDf(test.df)}</span></div>
+                    <div class="stat-item"><span class="stat-label">${estimateLabel}</span><span class="stat-value">${formatNumber(test.estimate)}</span></div>
+                    <div class="stat-item"><span class="stat-label">${confidencePercent}% CI</span><span class="stat-value">[${formatNumber(test.ciLower)}, ${formatNumber(test.ciUpper)}]</span></div>
+                    <div class="stat-item"><span class="stat-label">${tTest.type === "paired" ? "Cohen's d_z" : "Cohen's d"}</span><span class="stat-value">${formatNumber(test.cohensD)}</span></div>
+                    <div class="stat-item"><span class="stat-label">Hedges' g</span><span class="stat-value">${formatNumber(test.hedgesG)}</span></div>
+                </div>
+                <div class="interpretation">
+                    <strong>Interpretation:</strong> 
+                    ${judged.isSignificant 
+                        ? `Statistically significant result for ${hypothesis} (${describePValue(judged)}).` 
+                        : `No statistically significant evidence for ${hypothesis} (${describeNotSignificant(judged)}).`}
+                </div>
+            `;
+            const testedLabels = tTest.type === "one-sample"
+                ? [payload.datasets[index].label]
+                : payload.datasets.slice(0, 2).map(ds => ds.label);
+            addAssumptionBadge(container, {
+                normalityLabels: tTest.type === "paired" ? [] : testedLabels,
+                normalityResult: tTest.type === "paired" ? test.differenceNormality : null,
+                needsEqualVariance: tTest.type === "student",
+                normalityAlternative: {
+                    "student": "Mann–Whitney U test",
+                    "welch": "Mann–Whitney U test",
+                    "paired": "Wilcoxon signed-rank test",
+                    "one-sample": ""
+                }[tTest.type],
+                varianceAlternative: "Welch t-test"
+            });
+            addPowerPlannerLink(container, {
+                test: tTest.type === "student" || tTest.type === "welch" ? "two-sample" : tTest.type,
+                alternative: tTest.alternative === "two-sided" ? "two-sided" : "one-sided"
+            }, Math.abs(Number(test.cohensD)));
+            tTestSection.appendChild(container);
+        });
         tTestSection.style.display = "block";
     } else {
         tTestSection.style.display = "none";
@@ -106,50 +580,63 @@ document.addEventListener("DOMContentLoaded", () => {
         const anova = payload.analyses.anovaOneWay;
         const card = oneWayAnovaSection.querySelector(".test-result-card");
 
-        const F = parseFloat(anova.F);
+        const F = Number(anova.F);
         const dfBetween = anova.dfBetween;
         const dfWithin = anova.dfWithin;
-        const pValue = jStat.anovaftest(...payload.datasets.map(ds => ds.values)); // Direct jstat call for accurate p
+        // Older saved analyses did not store the p-value or totals
+        const pValue = anova.pValue ?? (isFinite(F) ? fSurvival(F, dfBetween, dfWithin) : 0);
+        const ssTotal = anova.ssTotal ?? Number(anova.ssBetween) + Number(anova.ssWithin);
+        const dfTotal = anova.dfTotal ?? dfBetween + dfWithin;
 
-        const isSignificant = pValue < 0.05;
-        card.className = `test-result-card ${isSignificant ? 'significant' : ''}`;
+        const judged = judge(anova, pValue);
+        card.className = `test-result-card ${judged.isSignificant ? 'significant' : ''}`;
 
-        const pDisplay = pValue < 0.0001 ? "< 0.0001" : pValue.toFixed(4);
-
-        card.querySelector(".f-value").textContent = F.toFixed(3);
-        card.querySelector(".p-value").innerHTML = pDisplay;
-        card.querySelector(".p-value").className = `stat-value p-value ${isSignificant ? 'significant' : ''}`;
+        card.querySelector(".f-value").textContent = formatNumber(F);
+        card.querySelector(".p-value").innerHTML = formatPValue(pValue);
+        card.querySelector(".p-value").className = `stat-value p-value ${judged.isSignificant ? 'significant' : ''}`;
+        card.querySelector(".p-value").closest(".stat-item").insertAdjacentHTML("afterend", buildAdjustedPValueStat(judged));
         card.querySelector(".between-groups-df").textContent = dfBetween;
         card.querySelector(".within-groups-df").textContent = dfWithin;
+        card.querySelector(".eta-squared").textContent = formatNumber(anova.etaSquared);
+        card.querySelector(".omega-squared").textContent = formatNumber(anova.omegaSquared);
 
         card.querySelector(".interpretation").innerHTML = `
             <strong>Interpretation:</strong> 
-            ${isSignificant 
-                ? `There is a statistically significant difference between at least two groups (p ${pDisplay}). Post-hoc tests recommended.` 
-                : 'No statistically significant difference between groups (p ≥ 0.05).'}
+            ${judged.isSignificant 
+                ? `There is a statistically significant difference between at least two groups (${describePValue(judged)}). ${payload.analyses.postHoc ? 'See the post-hoc comparisons below to locate the differences.' : 'Post-hoc tests recommended.'}` 
+                : `No statistically significant difference between groups (${describeNotSignificant(judged)}).`}
         `;
+        addAssumptionBadge(card, {
+            normalityLabels: payload.datasets.map(ds => ds.label),
+            needsEqualVariance: true,
+            normalityAlternative: "Kruskal–Wallis test",
+            varianceAlternative: "Games-Howell post-hoc comparisons, which do not assume equal variances"
+        });
+        // Cohen's f = √(η² / (1 − η²))
+        const etaSquared = Number(anova.etaSquared);
+        addPowerPlannerLink(card, { test: "anova-one-way", groups: dfBetween + 1 }, Math.sqrt(etaSquared / (1 - etaSquared)));
 
         // Populate full ANOVA table
         const anovaTableBody = oneWayAnovaSection.querySelector(".results-table tbody");
         anovaTableBody.innerHTML = `
             <tr>
                 <td>Between Groups</td>
-                <td>${anova.ssBetween}</td>
+                <td>${formatNumber(anova.ssBetween)}</td>
                 <td>${anova.dfBetween}</td>
-                <td>${anova.msBetween}</td>
-                <td>${F.toFixed(3)}</td>
+                <td>${formatNumber(anova.msBetween)}</td>
+                <td>${formatNumber(F)}</td>
             </tr>
             <tr>
                 <td>Within Groups</td>
-                <td>${anova.ssWithin}</td>
+                <td>${formatNumber(anova.ssWithin)}</td>
                 <td>${anova.dfWithin}</td>
-                <td>${anova.msWithin}</td>
+                <td>${formatNumber(anova.msWithin)}</td>
                 <td>—</td>
             </tr>
             <tr>
                 <td><strong>Total</strong></td>
-                <td><strong>${anova.totalSS}</strong></td>
-                <td><strong>${anova.totalDf}</strong></td>
+                <td><strong>${formatNumber(ssTotal)}</strong></td>
+                <td><strong>${dfTotal}</strong></td>
                 <td>—</td>
                 <td>—</td>
             </tr>
@@ -160,16 +647,936 @@ document.addEventListener("DOMContentLoaded", () => {
         oneWayAnovaSection.style.display = "none";
     }
 
-    // Existing export/share/back functionality (unchanged)
+    // === Post-hoc Pairwise Comparisons ===
+    if (payload.analyses.postHoc) {
+        const methodNames = {
+            "tukey": { title: "Tukey HSD", statLabel: "q" },
+            "bonferroni": { title: "Bonferroni", statLabel: "t" },
+            "games-howell": { title: "Games-Howell", statLabel: "q" }
+        };
+        const tablesContainer = postHocSection.querySelector(".post-hoc-tables");
+        tablesContainer.innerHTML = "";
+
+        Object.entries(payload.analyses.postHoc).forEach(([method, postHoc]) => {
+            const { title, statLabel } = methodNames[method];
+            const confidence = parseFloat((postHoc.confidenceLevel * 100).toFixed(1));
+            const wrapper = document.createElement("div");
+            wrapper.className = "table-responsive";
+            wrapper.style.marginTop = "24px";
+            wrapper.innerHTML = `
+                <div class="test-name">${title}</div>
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>Comparison</th>
+                            <th>Mean Difference</th>
+                            <th>${statLabel}</th>
+                            <th>df</th>
+                            <th>Adjusted p-value</th>
+                            <th>${confidence}% CI</th>
+                            <th>Significant</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${postHoc.comparisons.map(c => {
+                            const judged = judge(c);
+                            return `
+                                <tr>
+                                    <td>${c.comparison}</td>
+                                    <td>${formatNumber(c.meanDiff)}</td>
+                                    <td>${formatNumber(c.statistic)}</td>
+                                    <td>${formatDf(c.df)}</td>
+                                    ${buildPValueCell(judged)}
+                                    <td>[${formatNumber(c.ciLower)}, ${formatNumber(c.ciUpper)}]</td>
+                                    <td>${judged.isSignificant ? 'Yes' : 'No'}</td>
+                                </tr>
+                            `;
+                        }).join("")}
+                    </tbody>
+                </table>
+            `;
+            addAssumptionBadge(wrapper, {
+                normalityLabels: payload.datasets.map(ds => ds.label),
+                needsEqualVariance: method !== "games-howell",
+                normalityAlternative: "Kruskal–Wallis test with Dunn's comparisons",
+                varianceAlternative: "Games-Howell procedure"
+            });
+            tablesContainer.appendChild(wrapper);
+        });
+
+        postHocSection.style.display = "block";
+    } else {
+        postHocSection.style.display = "none";
+    }
+
+    // === Non-parametric Test Results ===
+    const { mannWhitney, wilcoxon, kruskalWallis } = payload.analyses;
+    if (mannWhitney || wilcoxon || kruskalWallis) {
+        const cardsContainer = nonParametricSection.querySelector(".non-parametric-cards");
+        cardsContainer.innerHTML = "";
+
+        const addCard = (title, stats, judged, interpretation) => {
+            const card = document.createElement("div");
+            card.className = `test-result-card ${judged.isSignificant ? 'significant' : ''}`;
+            card.innerHTML = `
+                <div class="test-name">${title}</div>
+                <div class="test-stats">
+                    ${stats.map(([label, value]) => `
+                        <div class="stat-item"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>
+                    `).join("")}
+                    ${buildPValueStats(judged)}
+                </div>
+                <div class="interpretation">
+                    <strong>Interpretation:</strong>
+                    ${judged.isSignificant ? interpretation.significant : interpretation.notSignificant}
+                </div>
+            `;
+            cardsContainer.appendChild(card);
+        };
+
+        if (mannWhitney) {
+            const judged = judge(mannWhitney);
+            addCard(`Mann–Whitney U: ${mannWhitney.comparison}`, [
+                ["U", formatNumber(mannWhitney.U, 1)],
+                ...(mannWhitney.z !== null ? [["z", formatNumber(mannWhitney.z)]] : []),
+                ["Rank-biserial r", formatNumber(mannWhitney.rankBiserial)],
+                ["Method", mannWhitney.method]
+            ], judged, {
+                significant: `The two distributions differ significantly in location (${describePValue(judged)}).`,
+                notSignificant: `No statistically significant difference between the two distributions (${describeNotSignificant(judged)}).`
+            });
+        }
+
+        if (wilcoxon) {
+            const judged = judge(wilcoxon);
+            addCard(`Wilcoxon Signed-Rank: ${wilcoxon.comparison}`, [
+                ["W+", formatNumber(wilcoxon.wPlus, 1)],
+                ["W−", formatNumber(wilcoxon.wMinus, 1)],
+                ...(wilcoxon.z !== null ? [["z", formatNumber(wilcoxon.z)]] : []),
+                ["Rank-biserial r", formatNumber(wilcoxon.rankBiserial)],
+                ["Method", wilcoxon.method]
+            ], judged, {
+                significant: `The paired differences are significantly shifted away from zero (${describePValue(judged)}).`
+                    + (wilcoxon.zeros > 0 ? ` ${wilcoxon.zeros} zero difference(s) were dropped.` : ""),
+                notSignificant: `No statistically significant shift in the paired differences (${describeNotSignificant(judged)}).`
+                    + (wilcoxon.zeros > 0 ? ` ${wilcoxon.zeros} zero difference(s) were dropped.` : "")
+            });
+        }
+
+        const dunnWrapper = nonParametricSection.querySelector(".dunn-table-wrapper");
+        if (kruskalWallis) {
+            const judged = judge(kruskalWallis);
+            addCard("Kruskal–Wallis H Test Across All Groups", [
+                ["H", formatNumber(kruskalWallis.H)],
+                ["Degrees of Freedom", kruskalWallis.df],
+                ["Epsilon²", formatNumber(kruskalWallis.epsilonSquared)],
+                ["Method", kruskalWallis.method]
+            ], judged, {
+                significant: `At least one group's distribution differs significantly (${describePValue(judged)}). See Dunn's comparisons below.`,
+                notSignificant: `No statistically significant difference between the groups' distributions (${describeNotSignificant(judged)}).`
+            });
+
+            dunnWrapper.querySelector("tbody").innerHTML = kruskalWallis.dunn.map(c => {
+                const judged = judge(c, c.adjustedPValue);
+                return `
+                    <tr>
+                        <td>${c.comparison}</td>
+                        <td>${formatNumber(c.meanRankDiff)}</td>
+                        <td>${formatNumber(c.z)}</td>
+                        <td>${formatPValue(c.pValue)}</td>
+                        ${buildPValueCell(judged)}
+                        <td>${judged.isSignificant ? 'Yes' : 'No'}</td>
+                    </tr>
+                `;
+            }).join("");
+            dunnWrapper.style.display = "block";
+        } else {
+            dunnWrapper.style.display = "none";
+        }
+
+        nonParametricSection.style.display = "block";
+    } else {
+        nonParametricSection.style.display = "none";
+    }
+
+    // === Two-Way ANOVA Results ===
+    if (payload.analyses.anovaTwoWay) {
+        const anova = payload.analyses.anovaTwoWay;
+        const card = twoWayAnovaSection.querySelector(".test-result-card");
+        const dfError = anova.residual.df;
+        // Older saved analyses did not store factor names
+        const [nameA, nameB] = anova.factorNames || ["Factor A", "Factor B"];
+        const interactionName = anova.factorNames ? `${nameA} × ${nameB}` : "A × B";
+
+        const effects = [
+            { key: "factorA", name: nameA },
+            { key: "factorB", name: nameB },
+            { key: "interaction", name: `${interactionName} Interaction` }
+        ].map(effect => {
+            const F = Number(anova[effect.key].F);
+            // Older saved analyses did not store the p-value
+            const pValue = anova[effect.key].pValue ?? (isFinite(F) ? fSurvival(F, anova[effect.key].df, dfError) : 0);
+            return {
+                ...effect,
+                ...anova[effect.key],
+                F,
+                ...judge(anova[effect.key], pValue)
+            };
+        });
+
+        const anySignificant = effects.some(effect => effect.isSignificant);
+        card.className = `test-result-card ${anySignificant ? 'significant' : ''}`;
+
+        card.querySelector(".test-stats").innerHTML = effects.map(effect => `
+            <div class="stat-item"><span class="stat-label">${effect.name} F(${effect.df}, ${dfError})</span><span class="stat-value">${formatNumber(effect.F)}</span></div>
+            ${buildPValueStats(effect, `${effect.name} p-value`, `${effect.name} adjusted p-value (${correctionName})`)}
+        `).join("");
+
+        const [factorA, factorB, interaction] = effects;
+        const describeEffect = (effect) => effect.isSignificant
+            ? `significant (${describePValue(effect)})`
+            : `not significant (${describeNotSignificant(effect)})`;
+
+        card.querySelector(".interpretation").innerHTML = `
+            <strong>Interpretation:</strong>
+            ${anova.factorALevels.length} × ${anova.factorBLevels.length} ${anova.balanced ? 'balanced' : 'unbalanced'} design.
+            The main effect of ${nameA} (${anova.factorALevels.join(", ")}) is ${describeEffect(factorA)};
+            the main effect of ${nameB} (${anova.factorBLevels.join(", ")}) is ${describeEffect(factorB)};
+            the ${interactionName} interaction is ${describeEffect(interaction)}.
+            ${interaction.isSignificant ? 'Because the interaction is significant, interpret the main effects with caution and compare cell means directly.' : ''}
+        `;
+        addAssumptionBadge(card, {
+            normalityLabels: payload.datasets.map(ds => ds.label),
+            needsEqualVariance: true,
+            normalityAlternative: "analysis on transformed (e.g. log or rank) data",
+            varianceAlternative: "analysis on transformed (e.g. log) data"
+        });
+        // Each effect's Cohen's f comes from its partial η²
+        const powerLinks = document.createElement("div");
+        powerLinks.className = "power-planner-links";
+        effects.forEach(effect => {
+            const partialEtaSquared = Number(effect.partialEtaSquared);
+            addPowerPlannerLink(powerLinks, {
+                test: "anova-two-way",
+                levelsA: anova.factorALevels.length,
+                levelsB: anova.factorBLevels.length,
+                effect: effect.key
+            }, Math.sqrt(partialEtaSquared / (1 - partialEtaSquared)), `Plan for ${effect.name}`);
+        });
+        card.appendChild(powerLinks);
+
+        // Populate full ANOVA table
+        twoWayAnovaSection.querySelector(".anova-table tbody").innerHTML = `
+            ${effects.map(effect => `
+                <tr>
+                    <td>${effect.name}</td>
+                    <td>${formatNumber(effect.ss)}</td>
+                    <td>${effect.df}</td>
+                    <td>${formatNumber(effect.ms)}</td>
+                    <td>${formatNumber(effect.F)}</td>
+                    ${buildPValueCell(effect)}
+                    <td>${formatNumber(effect.etaSquared)}</td>
+                    <td>${formatNumber(effect.partialEtaSquared)}</td>
+                    <td>${formatNumber(effect.omegaSquared)}</td>
+                </tr>
+            `).join("")}
+            <tr>
+                <td>Error (Within Cells)</td>
+                <td>${formatNumber(anova.residual.ss)}</td>
+                <td>${anova.residual.df}</td>
+                <td>${formatNumber(anova.residual.ms)}</td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+            </tr>
+            <tr>
+                <td><strong>Total (Corrected)</strong></td>
+                <td><strong>${formatNumber(anova.total.ss)}</strong></td>
+                <td><strong>${anova.total.df}</strong></td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+            </tr>
+        `;
+
+        // Cell means: Factor A levels as rows, Factor B levels as columns
+        const cellMeansTable = twoWayAnovaSection.querySelector(".cell-means-table");
+        cellMeansTable.querySelector("thead").innerHTML = `
+            <tr>
+                <th>Cell Means (n)${anova.factorNames ? `: ${nameA} \\ ${nameB}` : ""}</th>
+                ${anova.factorBLevels.map(b => `<th>${b}</th>`).join("")}
+            </tr>
+        `;
+        cellMeansTable.querySelector("tbody").innerHTML = anova.factorALevels.map(a => `
+            <tr>
+                <td>${a}</td>
+                ${anova.factorBLevels.map(b => {
+                    const cell = anova.cells.find(c => c.a === a && c.b === b);
+                    return `<td>${formatNumber(cell.mean)} (${cell.n})</td>`;
+                }).join("")}
+            </tr>
+        `).join("");
+
+        twoWayAnovaSection.style.display = "block";
+    } else {
+        twoWayAnovaSection.style.display = "none";
+    }
+
+    // === Repeated-Measures and Mixed ANOVA Results ===
+    /**
+     * Explains the sphericity check behind the reported test.
+     * @param {Object} sphericity - The sphericity statistics.
+     * @param {{name: string}} reported - The reported test.
+     * @returns {string} The explanation.
+     */
+    const describeSphericity = (sphericity, reported) => {
+        const { mauchly } = sphericity;
+        if (sphericity.lowerBound === 1) return "With two repeated measures sphericity always holds, so no correction is needed.";
+        if (!mauchly) return `There are too few subjects to test sphericity, so the ${reported.name} correction (ε = ${formatNumber(sphericity.greenhouseGeisser)}) is reported.`;
+        return mauchly.pValue < alpha
+            ? `Mauchly's test indicates that sphericity does not hold (W = ${formatNumber(mauchly.W)}, p ${mauchly.pValue < 0.0001 ? formatPValue(mauchly.pValue) : `= ${formatPValue(mauchly.pValue)}`}), so the ${reported.name} correction is reported.`
+            : `Mauchly's test does not reject sphericity (W = ${formatNumber(mauchly.W)}, p = ${formatPValue(mauchly.pValue)}).`;
+    };
+
+    /**
+     * Fills a table of within-subjects effects with one row per sphericity correction of each
+     * effect, followed by the error term under each correction.
+     * @param {HTMLElement} table - The table.
+     * @param {Array<{name: string, effect: Object}>} effects - The within-subjects effects.
+     * @param {{ss: number, df: number}} error - The within-subjects error term.
+     * @param {string} errorName - The name of the error term.
+     * @param {Object} sphericity - The sphericity statistics.
+     */
+    const fillWithinSubjectsTable = (table, effects, error, errorName, sphericity) => {
+        const epsilon = (key) => key ? sphericity[key] : 1;
+        const effectRows = effects.flatMap(({ name, effect }) => SPHERICITY_CORRECTIONS.map(({ key, name: correction }, i) => {
+            const df = key ? effect[key].df : effect.df;
+            const pValue = key ? effect[key].pValue : effect.pValue;
+            return `
+                <tr>
+                    <td>${i === 0 ? name : ""}</td>
+                    <td>${correction}</td>
+                    <td>${formatNumber(effect.ss)}</td>
+                    <td>${formatDf(df)}</td>
+                    <td>${formatNumber(effect.ss / df)}</td>
+                    <td>${formatNumber(effect.F)}</td>
+                    ${buildPValueCell(judge(key ? effect[key] : effect, pValue))}
+                    <td>${formatNumber(effect.partialEtaSquared)}</td>
+                    <td>${formatNumber(effect.generalizedEtaSquared)}</td>
+                </tr>
+            `;
+        }));
+        const errorRows = SPHERICITY_CORRECTIONS.map(({ key, name: correction }, i) => {
+            const df = error.df * epsilon(key);
+            return `
+                <tr>
+                    <td>${i === 0 ? errorName : ""}</td>
+                    <td>${correction}</td>
+                    <td>${formatNumber(error.ss)}</td>
+                    <td>${formatDf(df)}</td>
+                    <td>${formatNumber(error.ss / df)}</td>
+                    <td>—</td>
+                    <td>—</td>
+                    <td>—</td>
+                    <td>—</td>
+                </tr>
+            `;
+        });
+        table.querySelector("tbody").innerHTML = [...effectRows, ...errorRows].join("");
+    };
+
+    /**
+     * Builds a row of Mauchly's test table.
+     * @param {string} name - The within-subjects effect.
+     * @param {Object} sphericity - The sphericity statistics.
+     * @returns {string} The table row.
+     */
+    const buildSphericityRow = (name, sphericity) => {
+        const { mauchly } = sphericity;
+        return `
+            <tr>
+                <td>${name}</td>
+                <td>${mauchly ? formatNumber(mauchly.W, 4) : "—"}</td>
+                <td>${mauchly ? formatNumber(mauchly.chiSquare) : "—"}</td>
+                <td>${mauchly ? mauchly.df : "—"}</td>
+                <td class="p-value ${mauchly && mauchly.pValue < alpha ? 'significant' : ''}">${mauchly ? formatPValue(mauchly.pValue) : "—"}</td>
+                <td>${formatNumber(sphericity.greenhouseGeisser)}</td>
+                <td>${formatNumber(sphericity.huynhFeldt)}</td>
+                <td>${formatNumber(sphericity.lowerBound)}</td>
+            </tr>
+        `;
+    };
+
+    const repeatedMeasures = payload.analyses.anovaRepeatedMeasures;
+    if (repeatedMeasures) {
+        const card = repeatedMeasuresSection.querySelector(".test-result-card");
+        const effect = repeatedMeasures.conditions;
+        const reported = chooseSphericityCorrection(effect, repeatedMeasures.residual.df, repeatedMeasures.sphericity);
+        const judged = judge(reported.source, reported.pValue);
+
+        card.className = `test-result-card ${judged.isSignificant ? 'significant' : ''}`;
+        card.querySelector(".test-stats").innerHTML = [
+            [`F(${formatDf(reported.df)}, ${formatDf(reported.dfError)})`, formatNumber(effect.F)],
+            ["Correction", reported.name],
+            ["Partial η²", formatNumber(effect.partialEtaSquared)],
+            ["Generalised η²", formatNumber(effect.generalizedEtaSquared)],
+            ["Subjects", repeatedMeasures.n]
+        ].map(([label, value]) => `
+            <div class="stat-item"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>
+        `).join("") + buildPValueStats(judged);
+        card.querySelector(".interpretation").innerHTML = `
+            <strong>Interpretation:</strong>
+            ${describeSphericity(repeatedMeasures.sphericity, reported)}
+            ${judged.isSignificant
+                ? `The means of the ${repeatedMeasures.conditionCount} conditions differ significantly within subjects (${describePValue(judged)}).`
+                : `No statistically significant difference between the conditions (${describeNotSignificant(judged)}).`}
+        `;
+        addAssumptionBadge(card, {
+            normalityLabels: repeatedMeasures.conditionLabels,
+            normalityAlternative: "analysis on transformed (e.g. log or rank) data"
+        });
+
+        fillWithinSubjectsTable(
+            repeatedMeasuresSection.querySelector(".within-subjects-table"),
+            [{ name: "Condition", effect }],
+            repeatedMeasures.residual,
+            "Error (Condition)",
+            repeatedMeasures.sphericity
+        );
+        repeatedMeasuresSection.querySelector(".sphericity-table tbody").innerHTML = buildSphericityRow("Condition", repeatedMeasures.sphericity);
+        repeatedMeasuresSection.querySelector(".condition-means-table tbody").innerHTML = repeatedMeasures.conditionLabels.map((label, i) => {
+            const dataset = payload.datasets[i];
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${formatNumber(repeatedMeasures.conditionMeans[i])}</td>
+                    <td>${formatNumber(dataset ? dataset.stdDev : null)}</td>
+                    <td>${repeatedMeasures.n}</td>
+                </tr>
+            `;
+        }).join("");
+
+        repeatedMeasuresSection.style.display = "block";
+    } else {
+        repeatedMeasuresSection.style.display = "none";
+    }
+
+    const mixedAnova = payload.analyses.anovaMixed;
+    if (mixedAnova) {
+        const card = mixedAnovaSection.querySelector(".test-result-card");
+        const [betweenName, withinName] = mixedAnova.factorNames;
+        const interactionName = `${betweenName} × ${withinName}`;
+        const { sphericity } = mixedAnova;
+
+        const reportedWithin = chooseSphericityCorrection(mixedAnova.within, mixedAnova.withinError.df, sphericity);
+        const effects = [
+            { name: betweenName, effect: mixedAnova.between, test: { source: mixedAnova.between, df: mixedAnova.between.df, dfError: mixedAnova.betweenError.df, pValue: mixedAnova.between.pValue } },
+            { name: withinName, effect: mixedAnova.within, test: reportedWithin },
+            { name: `${interactionName} Interaction`, effect: mixedAnova.interaction, test: chooseSphericityCorrection(mixedAnova.interaction, mixedAnova.withinError.df, sphericity) }
+        ].map(effect => ({ ...effect, ...judge(effect.test.source, effect.test.pValue) }));
+
+        card.className = `test-result-card ${effects.some(effect => effect.isSignificant) ? 'significant' : ''}`;
+        card.querySelector(".test-stats").innerHTML = effects.map(judged => `
+            <div class="stat-item"><span class="stat-label">${judged.name} F(${formatDf(judged.test.df)}, ${formatDf(judged.test.dfError)})</span><span class="stat-value">${formatNumber(judged.effect.F)}</span></div>
+            ${buildPValueStats(judged, `${judged.name} p-value`, `${judged.name} adjusted p-value (${correctionName})`)}
+        `).join("");
+
+        const [between, within, interaction] = effects;
+        const describeEffect = (effect) => effect.isSignificant
+            ? `significant (${describePValue(effect)})`
+            : `not significant (${describeNotSignificant(effect)})`;
+        card.querySelector(".interpretation").innerHTML = `
+            <strong>Interpretation:</strong>
+            ${mixedAnova.betweenLevels.length} groups (n = ${mixedAnova.groupSizes.join(", ")}) × ${mixedAnova.withinLevels.length} repeated measures.
+            The main effect of ${betweenName} (${mixedAnova.betweenLevels.join(", ")}) is ${describeEffect(between)};
+            the main effect of ${withinName} (${mixedAnova.withinLevels.join(", ")}) is ${describeEffect(within)};
+            the ${interactionName} interaction is ${describeEffect(interaction)}.
+            ${describeSphericity(sphericity, reportedWithin)}
+            ${interaction.isSignificant ? `Because the interaction is significant, the groups change differently across ${withinName}; compare the cell means directly.` : ''}
+        `;
+        addAssumptionBadge(card, {
+            normalityLabels: payload.datasets.map(ds => ds.label),
+            needsEqualVariance: true,
+            normalityAlternative: "analysis on transformed (e.g. log or rank) data",
+            varianceAlternative: "analysis on transformed (e.g. log) data"
+        });
+
+        mixedAnovaSection.querySelector(".between-subjects-table tbody").innerHTML = `
+            <tr>
+                <td>${betweenName}</td>
+                <td>${formatNumber(mixedAnova.between.ss)}</td>
+                <td>${mixedAnova.between.df}</td>
+                <td>${formatNumber(mixedAnova.between.ms)}</td>
+                <td>${formatNumber(mixedAnova.between.F)}</td>
+                ${buildPValueCell(between)}
+                <td>${formatNumber(mixedAnova.between.partialEtaSquared)}</td>
+                <td>${formatNumber(mixedAnova.between.generalizedEtaSquared)}</td>
+            </tr>
+            <tr>
+                <td>Error (Subjects within ${betweenName})</td>
+                <td>${formatNumber(mixedAnova.betweenError.ss)}</td>
+                <td>${mixedAnova.betweenError.df}</td>
+                <td>${formatNumber(mixedAnova.betweenError.ms)}</td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+                <td>—</td>
+            </tr>
+        `;
+        fillWithinSubjectsTable(
+            mixedAnovaSection.querySelector(".within-subjects-table"),
+            [{ name: withinName, effect: mixedAnova.within }, { name: interactionName, effect: mixedAnova.interaction }],
+            mixedAnova.withinError,
+            `Error (${withinName})`,
+            sphericity
+        );
+        mixedAnovaSection.querySelector(".sphericity-table tbody").innerHTML = buildSphericityRow(withinName, sphericity);
+
+        // Cell means: groups as rows, repeated measures as columns
+        const cellMeansTable = mixedAnovaSection.querySelector(".cell-means-table");
+        cellMeansTable.querySelector("thead").innerHTML = `
+            <tr>
+                <th>Cell Means (n): ${betweenName} \\ ${withinName}</th>
+                ${mixedAnova.withinLevels.map(b => `<th>${b}</th>`).join("")}
+            </tr>
+        `;
+        cellMeansTable.querySelector("tbody").innerHTML = mixedAnova.betweenLevels.map(a => `
+            <tr>
+                <td>${a}</td>
+                ${mixedAnova.withinLevels.map(b => {
+                    const cell = mixedAnova.cells.find(c => c.a === a && c.b === b);
+                    return `<td>${formatNumber(cell.mean)} (${cell.n})</td>`;
+                }).join("")}
+            </tr>
+        `).join("");
+
+        mixedAnovaSection.style.display = "block";
+    } else {
+        mixedAnovaSection.style.display = "none";
+    }
+
+    // === Correlation Results ===
+    const correlation = payload.analyses.correlation;
+    if (correlation) {
+        const coefficientNames = { pearson: "Pearson's r", spearman: "Spearman's ρ", kendall: "Kendall's τ-b" };
+        const coefficientName = coefficientNames[correlation.method];
+        const labels = payload.datasets.map(ds => ds.label);
+        const findPair = (i, j) => correlation.pairs.find(pair => pair.groups[0] === Math.min(i, j) && pair.groups[1] === Math.max(i, j));
+
+        correlationSection.querySelector(".correlation-matrix-caption").textContent = `Correlation Matrix (${coefficientName})`;
+        const matrixTable = correlationSection.querySelector(".correlation-matrix-table");
+        matrixTable.querySelector("thead").innerHTML = `<tr><th></th>${labels.map(label => `<th>${label}</th>`).join("")}</tr>`;
+        matrixTable.querySelector("tbody").innerHTML = labels.map((rowLabel, i) => `
+            <tr>
+                <td>${rowLabel}</td>
+                ${labels.map((_, j) => {
+                    if (i === j) return "<td>1</td>";
+                    const pair = findPair(i, j);
+                    if (pair.error) return "<td>—</td>";
+                    return `<td class="p-value ${judge(pair).isSignificant ? 'significant' : ''}">${formatNumber(pair.coefficient)}</td>`;
+                }).join("")}
+            </tr>
+        `).join("");
+
+        const hasInterval = correlation.pairs.some(pair => pair.ciLower !== undefined);
+        const intervalPercent = hasInterval ? parseFloat((correlation.pairs.find(pair => pair.ciLower !== undefined).confidenceLevel * 100).toFixed(1)) : null;
+        const pairsTable = correlationSection.querySelector(".correlation-pairs-table");
+        pairsTable.querySelector("thead").innerHTML = `
+            <tr>
+                <th>Pair</th>
+                <th>${coefficientName}</th>
+                ${hasInterval ? `<th>${intervalPercent}% CI</th>` : ""}
+                <th>Test Statistic</th>
+                <th>p-value</th>
+                <th>n</th>
+                <th>Significant</th>
+            </tr>
+        `;
+        pairsTable.querySelector("tbody").innerHTML = correlation.pairs.map(pair => {
+            if (pair.error) {
+                return `
+                    <tr>
+                        <td>${pair.comparison}</td>
+                        <td colspan="${hasInterval ? 6 : 5}">${pair.error}</td>
+                    </tr>
+                `;
+            }
+            const judged = judge(pair);
+            return `
+                <tr>
+                    <td>${pair.comparison}</td>
+                    <td>${formatNumber(pair.coefficient)}</td>
+                    ${hasInterval ? `<td>${pair.ciLower === undefined ? "—" : `[${formatNumber(pair.ciLower)}, ${formatNumber(pair.ciUpper)}]`}</td>` : ""}
+                    <td>${pair.statisticName}${pair.df !== undefined ? `(${pair.df})` : ""} = ${formatNumber(pair.statistic, pair.statisticName === "S" ? 0 : 3)}</td>
+                    ${buildPValueCell(judged, pair.pMethod === "exact" ? " (exact)" : "")}
+                    <td>${pair.n}</td>
+                    <td>${judged.isSignificant ? 'Yes' : 'No'}</td>
+                </tr>
+            `;
+        }).join("");
+
+        correlationSection.style.display = "block";
+    } else {
+        correlationSection.style.display = "none";
+    }
+
+    // === Regression Results ===
+    const regression = payload.analyses.regression;
+    if (regression) {
+        const card = regressionSection.querySelector(".test-result-card");
+        const judged = judge(regression, regression.fPValue);
+        const regressionPercent = parseFloat((regression.confidenceLevel * 100).toFixed(1));
+        const terms = ["(Intercept)", ...regression.predictors];
+
+        card.className = `test-result-card ${judged.isSignificant ? 'significant' : ''}`;
+        card.querySelector(".test-name").textContent = `${regression.outcome} ~ ${regression.predictors.join(" + ")}`;
+        card.querySelector(".test-stats").innerHTML = [
+            ["R²", formatNumber(regression.rSquared)],
+            ["Adjusted R²", formatNumber(regression.adjustedRSquared)],
+            [`F(${regression.dfModel}, ${regression.dfResidual})`, formatNumber(regression.F)],
+            ["Residual Std. Error", formatNumber(regression.residualSE)],
+            ["Observations", regression.n]
+        ].map(([label, value]) => `
+            <div class="stat-item"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>
+        `).join("") + buildPValueStats(judged);
+
+        const [intercept, ...slopes] = regression.coefficients;
+        const equation = `${regression.outcome} = ${formatNumber(intercept.estimate)}` + slopes.map((c, i) =>
+            ` ${c.estimate < 0 ? "−" : "+"} ${formatNumber(Math.abs(c.estimate))} × ${regression.predictors[i]}`
+        ).join("");
+        const slopeNote = slopes.length === 1
+            ? `Each unit increase in ${regression.predictors[0]} changes ${regression.outcome} by ${formatNumber(slopes[0].estimate)} on average (${regressionPercent}% CI ${formatNumber(slopes[0].ciLower)} to ${formatNumber(slopes[0].ciUpper)}).`
+            : "Each coefficient is the change in the outcome per unit of its predictor with the other predictors held constant.";
+        card.querySelector(".interpretation").innerHTML = `
+            <strong>Interpretation:</strong>
+            ${equation}. The model explains ${formatNumber(regression.rSquared * 100, 1)}% of the variance in ${regression.outcome}
+            ${judged.isSignificant ? `and is statistically significant (${describePValue(judged)}).` : `but is not statistically significant (${describeNotSignificant(judged)}).`}
+            ${slopeNote}
+        `;
+
+        const coefficientsTable = regressionSection.querySelector(".coefficients-table");
+        coefficientsTable.querySelector("thead").innerHTML = `
+            <tr>
+                <th>Term</th>
+                <th>Estimate</th>
+                <th>Std. Error</th>
+                <th>t</th>
+                <th>p-value</th>
+                <th>${regressionPercent}% CI</th>
+                ${regression.vif ? "<th>VIF</th>" : ""}
+            </tr>
+        `;
+        coefficientsTable.querySelector("tbody").innerHTML = regression.coefficients.map((c, i) => `
+            <tr>
+                <td>${terms[i]}</td>
+                <td>${formatNumber(c.estimate)}</td>
+                <td>${formatNumber(c.standardError)}</td>
+                <td>${formatNumber(c.t)}</td>
+                ${buildPValueCell(judge(c))}
+                <td>[${formatNumber(c.ciLower)}, ${formatNumber(c.ciUpper)}]</td>
+                ${regression.vif ? `<td>${i === 0 ? "—" : formatNumber(regression.vif[i - 1], 2)}</td>` : ""}
+            </tr>
+        `).join("");
+
+        // Residual diagnostics
+        const diagnostics = [];
+        const normality = regression.residualNormality;
+        diagnostics.push(normality.error
+            ? ["Normality of residuals (Shapiro–Wilk)", "—", "—", normality.error]
+            : ["Normality of residuals (Shapiro–Wilk)", `W = ${formatNumber(normality.W, 4)}`, formatPValue(normality.pValue),
+                normality.pValue < alpha ? "Residuals depart from normality; check the Q-Q pattern and consider transforming the outcome." : "Passed"]);
+        const bp = regression.breuschPagan;
+        diagnostics.push(bp
+            ? ["Constant variance (Breusch–Pagan)", `BP(${bp.df}) = ${formatNumber(bp.statistic)}`, formatPValue(bp.pValue),
+                bp.pValue < alpha ? "The residual spread changes with the predictors; standard errors may be unreliable." : "Passed"]
+            : ["Constant variance (Breusch–Pagan)", "—", "—", "Not computed (the residuals are all zero)."]);
+        if (regression.durbinWatson !== null) {
+            const dw = regression.durbinWatson;
+            diagnostics.push(["Independence (Durbin–Watson)", `DW = ${formatNumber(dw)}`, "—",
+                dw < 1.5 || dw > 2.5 ? "Possible autocorrelation, if the observations are in time order." : "No sign of autocorrelation (close to 2)."]);
+        }
+        const cooks = regression.cooksDistance.map((d, i) => ({ d, i })).filter(({ d }) => d !== null);
+        if (cooks.length > 0) {
+            const largest = cooks.reduce((max, c) => (c.d > max.d ? c : max));
+            const cutoff = 4 / regression.n;
+            const influential = cooks.filter(({ d }) => d > cutoff).length;
+            diagnostics.push(["Influential observations (Cook's distance)", `max D = ${formatNumber(largest.d)} (observation ${largest.i + 1})`, "—",
+                influential === 0 ? `None above 4/n = ${formatNumber(cutoff)}.` : `${influential} observation(s) above 4/n = ${formatNumber(cutoff)}; check them before relying on the fit.`]);
+        }
+        const outlying = regression.standardizedResiduals.filter(r => r !== null && Math.abs(r) > 3).length;
+        diagnostics.push(["Outlying residuals (|standardised| > 3)", String(outlying), "—", outlying === 0 ? "None" : "Check these observations for data entry errors."]);
+        if (regression.vif) {
+            const maxVif = Math.max(...regression.vif);
+            diagnostics.push(["Multicollinearity (largest VIF)", formatNumber(maxVif, 2), "—",
+                maxVif > 10 ? "Severe: the predictors overlap and their coefficients are unstable." : maxVif > 5 ? "Moderate overlap between predictors." : "Passed"]);
+        }
+        regressionSection.querySelector(".regression-diagnostics").innerHTML = diagnostics.map(row => `
+            <tr>${row.map(cell => `<td>${cell}</td>`).join("")}</tr>
+        `).join("");
+
+        regressionSection.querySelector(".regression-fit-title").textContent = slopes.length === 1 ? "Fitted Line" : "Observed vs Fitted";
+        regressionSection.style.display = "block";
+    } else {
+        regressionSection.style.display = "none";
+    }
+
+    // === Categorical Data Results ===
+    const { chiSquareGoodnessOfFit, chiSquareIndependence, fisherExact } = payload.analyses;
+    if (contingencyTable) {
+        const { rowLevels, columnLevels, counts } = contingencyTable;
+        const rowVariable = contingencyTable.rowVariable || "the row variable";
+        const columnVariable = contingencyTable.columnVariable || "the column variable";
+        const variablesTitle = contingencyTable.rowVariable && contingencyTable.columnVariable ? `: ${rowVariable} × ${columnVariable}` : "";
+        const cardsContainer = categoricalSection.querySelector(".categorical-cards");
+        cardsContainer.innerHTML = "";
+
+        const addCard = (title, stats, judged, interpretation, note) => {
+            const card = document.createElement("div");
+            card.className = `test-result-card ${judged.isSignificant ? 'significant' : ''}`;
+            card.innerHTML = `
+                <div class="test-name">${title}</div>
+                <div class="test-stats">
+                    ${stats.map(([label, value]) => `
+                        <div class="stat-item"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>
+                    `).join("")}
+                    ${buildPValueStats(judged)}
+                </div>
+                <div class="interpretation">
+                    <strong>Interpretation:</strong>
+                    ${interpretation}
+                </div>
+                ${note ? `<div class="assumption-note">${note}</div>` : ""}
+            `;
+            cardsContainer.appendChild(card);
+        };
+
+        /**
+         * Describes expected counts below 5, which make the chi-square approximation unreliable.
+         * @param {Object} result - A chi-square result with `smallExpectedCount` and `minExpected`.
+         * @param {number} cells - The number of expected counts.
+         * @param {string} advice - What to do instead.
+         * @returns {string} The note, or "" when fewer than 20% of the expected counts are below 5.
+         */
+        const describeSmallExpected = (result, cells, advice) => result.smallExpectedCount / cells <= 0.2 ? ""
+            : `${result.smallExpectedCount} of ${cells} expected counts are below 5 (smallest ${formatNumber(result.minExpected, 2)}), so the chi-square approximation may be unreliable. ${advice}`;
+
+        if (chiSquareGoodnessOfFit) {
+            const gof = chiSquareGoodnessOfFit;
+            const isEqualShares = gof.expectedProportions.every(share => Math.abs(share - 1 / gof.expectedProportions.length) < 1e-12);
+            const target = isEqualShares ? "equal proportions" : "the expected proportions";
+            const judged = judge(gof);
+            addCard("Chi-Square Goodness of Fit", [
+                [`χ²(${gof.df})`, formatNumber(gof.statistic)],
+                ["Degrees of Freedom", gof.df],
+                ["Observations", gof.n]
+            ], judged, judged.isSignificant
+                ? `The observed counts differ significantly from ${target} (${describePValue(judged)}). The residuals below show which categories depart most.`
+                : `The observed counts are consistent with ${target} (${describeNotSignificant(judged)}).`,
+            describeSmallExpected(gof, gof.expected.length, "Consider combining sparse categories."));
+        }
+
+        if (chiSquareIndependence) {
+            const chi = chiSquareIndependence;
+            const v = chi.cramersV;
+            const strength = v < 0.1 ? "negligible" : v < 0.3 ? "small" : v < 0.5 ? "medium" : "large";
+            const judged = judge(chi);
+            addCard(`Chi-Square Test of Independence${variablesTitle}`, [
+                [`χ²(${chi.df})`, formatNumber(chi.statistic)],
+                ["Degrees of Freedom", chi.df],
+                ["Cramér's V", formatNumber(v)],
+                ...(chi.yates ? [["Yates-corrected χ²", formatNumber(chi.yates.statistic)], ["Yates-corrected p-value", formatPValue(chi.yates.pValue)]] : []),
+                ["Observations", chi.n]
+            ], judged, judged.isSignificant
+                ? `There is a significant association between ${rowVariable} and ${columnVariable} (${describePValue(judged)}), with a ${strength} effect (Cramér's V = ${formatNumber(v)}). The adjusted residuals below show which cells drive the association.`
+                : `No statistically significant association between ${rowVariable} and ${columnVariable} (${describeNotSignificant(judged)}).`,
+            describeSmallExpected(chi, rowLevels.length * columnLevels.length,
+                rowLevels.length === 2 && columnLevels.length === 2 ? "Fisher's exact test is more reliable here." : "Consider combining sparse categories."));
+        }
+
+        if (fisherExact) {
+            const judged = judge(fisherExact);
+            const oddsNote = fisherExact.oddsRatio === null ? ""
+                : ` The odds ratio is ${formatNumber(fisherExact.oddsRatio)} (the odds of ${columnLevels[0]} for ${rowLevels[0]} relative to ${rowLevels[1]}).`;
+            addCard(`Fisher's Exact Test${variablesTitle}`, [
+                ["Odds Ratio", formatNumber(fisherExact.oddsRatio)],
+                ["Observations", fisherExact.n]
+            ], judged, (judged.isSignificant
+                ? `There is a significant association between ${rowVariable} and ${columnVariable} (two-sided exact test, ${describePValue(judged)}).`
+                : `No statistically significant association (two-sided exact test, ${describeNotSignificant(judged)}).`) + oddsNote);
+        }
+
+        // Observed counts with their totals
+        const isSingleVariable = columnLevels.length === 1;
+        const rowTotals = counts.map(row => row.reduce((sum, count) => sum + count, 0));
+        const columnTotals = columnLevels.map((_, j) => counts.reduce((sum, row) => sum + row[j], 0));
+        const grandTotal = rowTotals.reduce((sum, total) => sum + total, 0);
+        const observedTable = categoricalSection.querySelector(".observed-table");
+        observedTable.querySelector("thead").innerHTML = isSingleVariable
+            ? `<tr><th>${contingencyTable.rowVariable || "Category"}</th><th>Count</th><th>Proportion</th></tr>`
+            : `<tr><th>${[contingencyTable.rowVariable, contingencyTable.columnVariable].filter(Boolean).join(" \\ ")}</th>${columnLevels.map(level => `<th>${level}</th>`).join("")}<th>Total</th></tr>`;
+        observedTable.querySelector("tbody").innerHTML = (isSingleVariable
+            ? rowLevels.map((level, i) => `<tr><td>${level}</td><td>${counts[i][0]}</td><td>${formatNumber(counts[i][0] / grandTotal)}</td></tr>`).join("")
+                + `<tr class="total-row"><td>Total</td><td>${grandTotal}</td><td>${formatNumber(1)}</td></tr>`
+            : rowLevels.map((level, i) => `<tr><td>${level}</td>${counts[i].map(count => `<td>${count}</td>`).join("")}<td class="total-cell">${rowTotals[i]}</td></tr>`).join("")
+                + `<tr class="total-row"><td>Total</td>${columnTotals.map(total => `<td>${total}</td>`).join("")}<td>${grandTotal}</td></tr>`);
+
+        // Expected counts: per category for goodness of fit, per cell for independence
+        const expectedWrapper = categoricalSection.querySelector(".expected-table-wrapper");
+        const expectedTable = categoricalSection.querySelector(".expected-table");
+        if (chiSquareGoodnessOfFit) {
+            const gof = chiSquareGoodnessOfFit;
+            expectedTable.querySelector("thead").innerHTML = `
+                <tr><th>${contingencyTable.rowVariable || "Category"}</th><th>Expected Proportion</th><th>Expected</th><th>Observed</th><th>Pearson Residual</th></tr>
+            `;
+            expectedTable.querySelector("tbody").innerHTML = rowLevels.map((level, i) => `
+                <tr>
+                    <td>${level}</td>
+                    <td>${formatNumber(gof.expectedProportions[i])}</td>
+                    <td>${formatNumber(gof.expected[i], 2)}</td>
+                    <td>${gof.observed[i]}</td>
+                    <td class="${gof.residuals[i] > 1.96 ? 'residual-high' : gof.residuals[i] < -1.96 ? 'residual-low' : ''}">${formatNumber(gof.residuals[i])}</td>
+                </tr>
+            `).join("");
+            expectedWrapper.style.display = "block";
+        } else if (chiSquareIndependence) {
+            expectedTable.querySelector("thead").innerHTML = observedTable.querySelector("thead").innerHTML.replace(/<th>Total<\/th>/, "");
+            expectedTable.querySelector("tbody").innerHTML = rowLevels.map((level, i) => `
+                <tr><td>${level}</td>${chiSquareIndependence.expected[i].map(e => `<td>${formatNumber(e, 2)}</td>`).join("")}</tr>
+            `).join("");
+            expectedWrapper.style.display = "block";
+        } else {
+            expectedWrapper.style.display = "none";
+        }
+
+        const residualsWrapper = categoricalSection.querySelector(".residuals-table-wrapper");
+        if (chiSquareIndependence) {
+            const residualsTable = categoricalSection.querySelector(".residuals-table");
+            residualsTable.querySelector("thead").innerHTML = expectedTable.querySelector("thead").innerHTML;
+            residualsTable.querySelector("tbody").innerHTML = rowLevels.map((level, i) => `
+                <tr><td>${level}</td>${chiSquareIndependence.adjustedResiduals[i].map(r => `
+                    <td class="${r > 1.96 ? 'residual-high' : r < -1.96 ? 'residual-low' : ''}">${formatNumber(r)}</td>
+                `).join("")}</tr>
+            `).join("");
+            residualsWrapper.style.display = "block";
+        } else {
+            residualsWrapper.style.display = "none";
+        }
+
+        categoricalSection.style.display = "block";
+    } else {
+        categoricalSection.style.display = "none";
+    }
+
+    // === Visual Insights ===
+    const chartRenderers = {
+        "box-plot": () => createBoxPlotChart(payload.datasets),
+        "mean-ci": () => createMeanCIChart(payload.datasets, confidencePercent),
+        "histogram": (card) => {
+            const dataset = payload.datasets[card.querySelector(".chart-dataset-select").value];
+            const binsInput = card.querySelector(".histogram-bins");
+            const bins = Math.min(50, Math.max(1, parseInt(binsInput.value, 10) || 1));
+            return createHistogramChart(dataset, bins);
+        },
+        "qq-plot": (card) => createQQPlotChart(payload.datasets[card.querySelector(".chart-dataset-select").value]),
+        "regression-fit": () => {
+            const observed = payload.datasets[regression.outcomeIndex].values;
+            if (regression.predictorIndices.length === 1) {
+                const [intercept, slope] = regression.coefficients.map(c => c.estimate);
+                return createScatterPlotChart({
+                    title: `${regression.outcome} against ${regression.predictors[0]} with the fitted line`,
+                    points: payload.datasets[regression.predictorIndices[0]].values.map((x, i) => ({ x, y: observed[i] })),
+                    xLabel: regression.predictors[0],
+                    yLabel: regression.outcome,
+                    line: { intercept, slope }
+                });
+            }
+            return createScatterPlotChart({
+                title: `Observed against fitted ${regression.outcome}`,
+                points: regression.fitted.map((x, i) => ({ x, y: observed[i] })),
+                xLabel: "Fitted values",
+                yLabel: `Observed ${regression.outcome}`,
+                line: { intercept: 0, slope: 1 }
+            });
+        },
+        "regression-residuals": () => createScatterPlotChart({
+            title: "Residuals against fitted values",
+            points: regression.fitted.map((x, i) => ({ x, y: regression.residuals[i] })),
+            xLabel: "Fitted values",
+            yLabel: "Residuals",
+            line: { intercept: 0, slope: 0 }
+        })
+    };
+
+    const renderChart = (card) => {
+        const body = card.querySelector(".chart-body");
+        body.innerHTML = "";
+        body.appendChild(chartRenderers[card.dataset.chart](card));
+    };
+
+    document.querySelectorAll(".analysis-section .chart-card").forEach(card => {
+        if (card.closest(".analysis-section").style.display === "none") return;
+        const datasetSelect = card.querySelector(".chart-dataset-select");
+        const binsInput = card.querySelector(".histogram-bins");
+
+        if (datasetSelect) {
+            datasetSelect.innerHTML = payload.datasets
+                .map((ds, i) => `<option value="${i}">${ds.label}</option>`)
+                .join("");
+            datasetSelect.addEventListener("change", () => {
+                // Reset the bin count to Sturges' rule for the newly selected dataset
+                if (binsInput) binsInput.value = Math.ceil(Math.log2(payload.datasets[datasetSelect.value].n) + 1);
+                renderChart(card);
+            });
+        }
+        if (binsInput) {
+            binsInput.value = Math.ceil(Math.log2(payload.datasets[0].n) + 1);
+            binsInput.addEventListener("input", () => renderChart(card));
+        }
+
+        card.querySelectorAll(".chart-download-btn").forEach(btn => {
+            btn.addEventListener("click", async () => {
+                const svg = card.querySelector(".chart-body svg");
+                const format = btn.dataset.format;
+                const fileName = `${card.dataset.chart}-${new Date().toISOString().slice(0, 10)}.${format}`;
+                try {
+                    downloadBlob(format === "svg" ? chartToSvgBlob(svg) : await chartToPngBlob(svg), fileName);
+                } catch (err) {
+                    console.error(`Error downloading chart as ${format}:`, err);
+                    alert(`Downloading the chart as ${format.toUpperCase()} failed. Please try again.`);
+                }
+            });
+        });
+
+        renderChart(card);
+    });
+
+    // === Export / share / back ===
     const exportPDFBtn = document.getElementById("exportPDFBtn");
     const exportCSVBtn = document.getElementById("exportCSVBtn");
     const exportXLSXBtn = document.getElementById("exportXLSXBtn");
     const backButtons = document.querySelectorAll(".analysis-back-button");
+    const resultsContainer = document.querySelector(".results-container");
+
+    const exporters = {
+        "pdf": exportToPDF,
+        "csv": exportToCSV,
+        "xlsx": exportToXLSX
+    };
 
     [exportPDFBtn, exportCSVBtn, exportXLSXBtn].forEach((btn) => {
         btn.addEventListener("click", function () {
-            const type = this.classList[1].toUpperCase();
-            alert(`Exporting results as ${type}... (feature coming soon)`);
+            const type = this.classList[1];
+            try {
+                exporters[type](buildExportModel(resultsContainer), payload);
+            } catch (err) {
+                console.error(`Error exporting ${type}:`, err);
+                alert(`Exporting results as ${type.toUpperCase()} failed. Please try again.`);
+            }
         });
     });
 
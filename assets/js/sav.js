@@ -0,0 +1,262 @@
+/**
+ * Reader for SPSS system files (.sav), following the record layout documented in the GNU PSPP
+ * manual ("System File Format"). Supports uncompressed and bytecode-compressed files in either
+ * byte order; zlib-compressed (.zsav) files are rejected.
+ */
+
+const SYSMIS = -Number.MAX_VALUE;
+const SEGMENT = 8;
+
+/**
+ * Wraps a DataView with a cursor and the file's byte order.
+ * @param {ArrayBuffer} buffer - The file contents.
+ * @returns {Object} The reader.
+ */
+const createReader = (buffer) => {
+    const view = new DataView(buffer);
+    const reader = {
+        offset: 0,
+        littleEndian: true,
+        decoder: new TextDecoder("windows-1252"),
+        int32() {
+            const value = view.getInt32(reader.offset, reader.littleEndian);
+            reader.offset += 4;
+            return value;
+        },
+        float64() {
+            const value = view.getFloat64(reader.offset, reader.littleEndian);
+            reader.offset += 8;
+            return value;
+        },
+        bytes(length) {
+            if (reader.offset + length > buffer.byteLength) throw new Error("The file ends unexpectedly.");
+            const bytes = new Uint8Array(buffer, reader.offset, length);
+            reader.offset += length;
+            return bytes;
+        },
+        text(length) {
+            return reader.decoder.decode(reader.bytes(length));
+        },
+        remaining: () => buffer.byteLength - reader.offset
+    };
+    return reader;
+};
+
+/**
+ * Reads a variable record (type 2). String variables wider than 8 bytes are followed by
+ * continuation records, which occupy a case segment but are not variables of their own.
+ * @param {Object} reader - The file reader.
+ * @returns {Object} The variable's short name, width (0 for numeric) and missing values.
+ */
+const readVariableRecord = (reader) => {
+    const width = reader.int32();
+    const hasLabel = reader.int32();
+    const missingCount = reader.int32();
+    reader.int32(); // print format
+    reader.int32(); // write format
+    const name = reader.text(8).trim();
+    if (hasLabel) {
+        const labelLength = reader.int32();
+        reader.bytes(Math.ceil(labelLength / 4) * 4);
+    }
+    const missing = Array.from({ length: Math.abs(missingCount) }, () => reader.float64());
+    return {
+        name,
+        width,
+        // -2 is a range, -3 a range plus one discrete value; 1 to 3 are discrete values
+        missingRange: missingCount < 0 ? [missing[0], missing[1]] : null,
+        missingValues: missingCount < 0 ? missing.slice(2) : missing
+    };
+};
+
+/**
+ * Reads a value label record (type 3) and the variable index record (type 4) that follows it.
+ * @param {Object} reader - The file reader.
+ * @returns {{labels: Array<{raw: Uint8Array, label: string}>, segments: Array<number>}} The labels
+ *   (values as raw bytes, since their type depends on the variable) and the 1-based segment indices
+ *   of the variables they apply to.
+ */
+const readValueLabels = (reader) => {
+    const count = reader.int32();
+    const labels = [];
+    for (let i = 0; i < count; i++) {
+        const raw = reader.bytes(SEGMENT).slice();
+        const length = reader.bytes(1)[0];
+        labels.push({ raw, label: reader.text(length).trim() });
+        reader.bytes((SEGMENT - ((length + 1) % SEGMENT)) % SEGMENT);
+    }
+    if (reader.int32() !== 4) throw new Error("A value label record is not followed by its variable list.");
+    const segments = Array.from({ length: reader.int32() }, () => reader.int32());
+    return { labels, segments };
+};
+
+/**
+ * Reads every case of the data section, as one array of 8-byte segments per case.
+ * @param {Object} reader - The file reader.
+ * @param {number} segmentCount - The number of segments per case.
+ * @param {boolean} compressed - Whether the data are bytecode-compressed.
+ * @param {number} bias - The compression bias (normally 100).
+ * @returns {Array<Array<number|Uint8Array>>} The cases: numbers for numeric segments, raw bytes otherwise.
+ */
+const readCases = (reader, segmentCount, compressed, bias) => {
+    const cases = [];
+    let current = [];
+    const push = (segment) => {
+        current.push(segment);
+        if (current.length === segmentCount) {
+            cases.push(current);
+            current = [];
+        }
+    };
+
+    if (!compressed) {
+        while (reader.remaining() >= SEGMENT) push(reader.bytes(SEGMENT).slice());
+        return cases;
+    }
+
+    const spaces = new Uint8Array(SEGMENT).fill(0x20);
+    while (reader.remaining() >= SEGMENT) {
+        const codes = reader.bytes(SEGMENT).slice();
+        for (const code of codes) {
+            if (code === 0) continue;
+            if (code === 252) return cases;
+            if (code === 253) push(reader.bytes(SEGMENT).slice());
+            else if (code === 254) push(spaces);
+            else if (code === 255) push(SYSMIS);
+            else push(code - bias);
+        }
+    }
+    return cases;
+};
+
+/**
+ * Reads an SPSS system file into a table. Numeric variables whose every value carries a value
+ * label (coded categories such as 1 = "Control") are read as their labels; system-missing and
+ * user-missing values become blank cells.
+ * @param {ArrayBuffer} buffer - The contents of the .sav file.
+ * @returns {Object} The table `{ headers, rows, rowNumbers }`, or an `error` message.
+ */
+export const readSavFile = (buffer) => {
+    try {
+        const reader = createReader(buffer);
+        const signature = reader.text(4);
+        if (signature === "$FL3") return { error: "Compressed .zsav files are not supported. Save the file as an uncompressed or standard .sav file." };
+        if (signature !== "$FL2") return { error: "This is not an SPSS .sav file." };
+
+        reader.bytes(60); // product name
+        const layoutOffset = reader.offset;
+        let layout = reader.int32();
+        if (layout !== 2 && layout !== 3) {
+            reader.littleEndian = false;
+            reader.offset = layoutOffset;
+            layout = reader.int32();
+            if (layout !== 2 && layout !== 3) return { error: "The .sav file header is not recognised." };
+        }
+        reader.int32(); // nominal case size
+        const compression = reader.int32();
+        if (compression === 2) return { error: "Compressed .zsav files are not supported. Save the file as an uncompressed or standard .sav file." };
+        reader.int32(); // weight variable
+        reader.int32(); // number of cases (-1 when unknown)
+        const bias = reader.float64();
+        reader.bytes(9 + 8 + 64 + 3); // creation date and time, file label, padding
+
+        const segments = []; // one entry per case segment: a variable, or null for a continuation
+        const valueLabelSets = [];
+        const longNames = {};
+        let sysmis = SYSMIS;
+
+        let recordType = reader.int32();
+        while (recordType !== 999) {
+            switch (recordType) {
+                case 2: {
+                    const variable = readVariableRecord(reader);
+                    segments.push(variable.width === -1 ? null : variable);
+                    break;
+                }
+                case 3:
+                    valueLabelSets.push(readValueLabels(reader));
+                    break;
+                case 6:
+                    reader.bytes(reader.int32() * 80); // documents
+                    break;
+                case 7: {
+                    const subtype = reader.int32();
+                    const size = reader.int32();
+                    const count = reader.int32();
+                    const start = reader.offset;
+                    if (subtype === 4 && size === 8) {
+                        sysmis = reader.float64();
+                    } else if (subtype === 13) {
+                        reader.text(size * count).split("\t").forEach(pair => {
+                            const [short, long] = pair.split("=");
+                            if (short && long) longNames[short.trim()] = long.trim();
+                        });
+                    } else if (subtype === 20) {
+                        const encoding = reader.text(size * count).trim();
+                        try {
+                            reader.decoder = new TextDecoder(encoding);
+                        } catch (e) {
+                            console.warn(`Unknown .sav text encoding ${encoding}; reading it as windows-1252.`);
+                        }
+                    }
+                    reader.offset = start + size * count;
+                    break;
+                }
+                default:
+                    return { error: `The .sav file contains an unknown record type (${recordType}).` };
+            }
+            recordType = reader.int32();
+        }
+        reader.int32(); // filler
+
+        const cases = readCases(reader, segments.length, compression === 1, bias);
+        const toNumber = (segment) => typeof segment === "number"
+            ? segment
+            : new DataView(segment.buffer, segment.byteOffset, SEGMENT).getFloat64(0, reader.littleEndian);
+
+        const variables = [];
+        segments.forEach((variable, index) => {
+            if (variable) variables.push({ ...variable, index, segmentCount: variable.width > 0 ? Math.ceil(variable.width / SEGMENT) : 1 });
+        });
+
+        const columns = variables.map(variable => {
+            if (variable.width > 0) {
+                return cases.map(segmentsOfCase => {
+                    const bytes = new Uint8Array(variable.segmentCount * SEGMENT);
+                    for (let i = 0; i < variable.segmentCount; i++) {
+                        const segment = segmentsOfCase[variable.index + i];
+                        bytes.set(typeof segment === "number" ? new Uint8Array(SEGMENT).fill(0x20) : segment, i * SEGMENT);
+                    }
+                    return reader.decoder.decode(bytes.subarray(0, variable.width)).trim();
+                });
+            }
+
+            const isMissing = (x) => x === sysmis || x === SYSMIS || variable.missingValues.includes(x)
+                || (variable.missingRange && x >= variable.missingRange[0] && x <= variable.missingRange[1]);
+            const values = cases.map(segmentsOfCase => {
+                const x = toNumber(segmentsOfCase[variable.index]);
+                return isMissing(x) ? "" : x;
+            });
+
+            // Replace coded categories by their labels
+            const labelSet = valueLabelSets.find(set => set.segments.includes(variable.index + 1));
+            if (!labelSet) return values;
+            const labels = new Map(labelSet.labels.map(({ raw, label }) => [
+                new DataView(raw.buffer, raw.byteOffset, SEGMENT).getFloat64(0, reader.littleEndian),
+                label
+            ]));
+            const present = values.filter(x => x !== "");
+            if (present.length === 0 || !present.every(x => labels.has(x))) return values;
+            return values.map(x => x === "" ? "" : labels.get(x));
+        });
+
+        return {
+            headers: variables.map(variable => longNames[variable.name] || variable.name),
+            rows: cases.map((c, row) => columns.map(column => column[row])),
+            rowNumbers: cases.map((c, row) => row + 1) // SPSS case numbers
+        };
+    } catch (e) {
+        console.error("Failed to read .sav file:", e);
+        return { error: "The .sav file could not be read. It may be damaged or use an unsupported variant." };
+    }
+};
@@ -0,0 +1,487 @@
+import { fSurvival, chiSquareSurvival } from "./distributions.js";
+import { summation, calculateMean, calculateSumOfSquares } from "./descriptive.js";
+import { solveLinearSystem, kroneckerProduct, calculateDeterminant } from "./matrix.js";
+
+/**
+ * Calculates the F statistic and its p-value, treating a zero error mean square as an exact fit.
+ * @param {number} ms - The effect mean square.
+ * @param {number} msError - The error mean square.
+ * @param {number} df - The effect degrees of freedom.
+ * @param {number} dfError - The error degrees of freedom.
+ * @returns {{F: number, pValue: number}} The F statistic and its p-value.
+ */
+const calculateFTest = (ms, msError, df, dfError) => {
+    if (msError === 0) {
+        return ms === 0 ? { F: 0, pValue: 1 } : { F: Infinity, pValue: 0 };
+    }
+    const F = ms / msError;
+    return { F, pValue: fSurvival(F, df, dfError) };
+};
+
+/**
+ * Calculates a one-way ANOVA.
+ * @param {Array<Array<number>>} groups - An array of arrays, where each inner array is a group's data.
+ * @returns {Object} An object containing the ANOVA table, its p-value and effect sizes, or an `error` message.
+ */
+export const calculateOneWayAnova = (groups) => {
+    if (!Array.isArray(groups) || groups.length < 2) {
+        return { error: "One-Way ANOVA requires at least 2 datasets." };
+    }
+    const sizes = groups.map(group => group.length);
+    const totalItems = summation(sizes);
+    const noOfGroups = groups.length;
+    const dfBetween = noOfGroups - 1;
+    const dfWithin = totalItems - noOfGroups;
+    if (dfWithin <= 0) {
+        return { error: "One-Way ANOVA requires more values than datasets." };
+    }
+
+    // Centre on an observed value first: differences of nearby values are exact, so large
+    // offsets (e.g. 1000000.4, 1000000.3, …) do not swamp the group mean differences
+    const shift = parseFloat(groups.find(group => group.length > 0)[0]);
+    const means = groups.map(group => calculateMean(group.map(v => parseFloat(v) - shift)));
+    const grandMean = calculateMean(groups.flat().map(v => parseFloat(v) - shift));
+    const ssBetween = summation(means.map((mean, i) => sizes[i] * Math.pow(mean - grandMean, 2)));
+    const ssWithin = summation(groups.map(group => calculateSumOfSquares(group)));
+    const msBetween = ssBetween / dfBetween;
+    const msWithin = ssWithin / dfWithin;
+    const { F, pValue } = calculateFTest(msBetween, msWithin, dfBetween, dfWithin);
+
+    // Effect sizes (in a one-way design partial eta² equals eta²)
+    const ssTotal = ssBetween + ssWithin;
+    const etaSquared = ssTotal === 0 ? 0 : ssBetween / ssTotal;
+    const omegaSquared = ssTotal === 0 ? 0 : Math.max(0, (ssBetween - dfBetween * msWithin) / (ssTotal + msWithin));
+
+    return {
+        F,
+        pValue,
+        ssBetween,
+        ssWithin,
+        ssTotal,
+        msBetween,
+        msWithin,
+        dfBetween,
+        dfWithin,
+        dfTotal: totalItems - 1,
+        etaSquared,
+        partialEtaSquared: etaSquared,
+        omegaSquared
+    };
+};
+
+/**
+ * Builds the (k - 1) × k contrast matrix comparing each level against the last one.
+ * @param {number} k - The number of factor levels.
+ * @returns {Array<Array<number>>} The contrast matrix.
+ */
+const buildContrastMatrix = (k) => {
+    return Array.from({ length: k - 1 }, (_, i) =>
+        Array.from({ length: k }, (_, j) => (j === i ? 1 : j === k - 1 ? -1 : 0))
+    );
+};
+
+/**
+ * Calculates the Type III sum of squares for the hypothesis L·μ = 0 in a cell-means model.
+ * @param {Array<Array<number>>} L - The hypothesis matrix (one row per contrast, one column per cell).
+ * @param {Array<number>} cellMeans - The observed mean of each cell.
+ * @param {Array<number>} cellSizes - The number of observations in each cell.
+ * @returns {number} The sum of squares for the hypothesis.
+ */
+const calculateHypothesisSS = (L, cellMeans, cellSizes) => {
+    const estimates = L.map(row => row.reduce((sum, l, c) => sum + l * cellMeans[c], 0));
+    const covariance = L.map(rowI =>
+        L.map(rowJ => rowI.reduce((sum, l, c) => sum + (l * rowJ[c]) / cellSizes[c], 0))
+    );
+    const solution = solveLinearSystem(covariance, estimates);
+    if (!solution) return 0;
+    return estimates.reduce((sum, e, i) => sum + e * solution[i], 0);
+};
+
+/**
+ * Reads the two factor levels of each dataset from its `factors` (as built by import) or, when it
+ * has none, from a "LevelA-LevelB" label.
+ * @param {Array<{label: string, factors?: Array<{name: string, level: string}>}>} labeledDatasets - The datasets.
+ * @param {string} [formatError] - The error to return when a label is not in "LevelA-LevelB" format.
+ * @returns {{factorNames: Array<string>, levels: Array<Array<string>>}|{error: string}} The factor
+ *   names and the [a, b] levels of each dataset, or an `error` message.
+ */
+export const readFactorLevels = (labeledDatasets, formatError = "Dataset labels must be in 'LevelA-LevelB' format.") => {
+    // Labels without factors are expected as "LevelA-LevelB" e.g., "Control-DrugX", "Treatment-DrugX"
+    const labelPattern = /^(.+?)-(.+)$/;
+    const factorNames = ["Factor A", "Factor B"];
+    const levels = [];
+    for (const { label, factors } of labeledDatasets) {
+        if (factors && factors.length === 2) {
+            levels.push(factors.map(factor => factor.level));
+            factors.forEach((factor, j) => { if (factor.name) factorNames[j] = factor.name; });
+            continue;
+        }
+        const match = label.trim().match(labelPattern);
+        if (!match) return { error: formatError };
+        levels.push(match.slice(1));
+    }
+    return { factorNames, levels };
+};
+
+/**
+ * Calculates a full two-way ANOVA (both main effects and the A×B interaction).
+ * Sums of squares are Type III, so unequal cell sizes are handled correctly;
+ * for balanced designs they coincide with the classical sums of squares.
+ * @param {Array<Array<number>>} dataArrays - An array of arrays, one per cell.
+ * @param {Array<{label: string, factors?: Array<{name: string, level: string}>}>} labeledDatasets - The
+ *   datasets. Each cell's levels come from its `factors` (as built by long-format import) or, when
+ *   it has none, from a "LevelA-LevelB" label.
+ * @returns {Object} An object containing the factor names and levels, the ANOVA table and cell means, or an `error` message.
+ */
+export const calculateTwoWayAnova = (dataArrays, labeledDatasets) => {
+    const parsed = readFactorLevels(labeledDatasets, "Two-Way ANOVA requires dataset labels in 'FactorA-FactorB' format (e.g., Control-DrugX), or data imported in long format with two factor columns.");
+    if (parsed.error) return parsed;
+    const { factorNames } = parsed;
+    const factorALevels = new Set();
+    const factorBLevels = new Set();
+    const groupMap = new Map(); // [a, b] → data array
+    const cellKey = (a, b) => JSON.stringify([a, b]);
+
+    for (let i = 0; i < labeledDatasets.length; i++) {
+        const [a, b] = parsed.levels[i];
+        if (groupMap.has(cellKey(a, b))) {
+            return { error: `Duplicate dataset for combination ${a}-${b}. Each combination must appear once.` };
+        }
+        factorALevels.add(a);
+        factorBLevels.add(b);
+        groupMap.set(cellKey(a, b), dataArrays[i]);
+    }
+
+    const A = Array.from(factorALevels);
+    const B = Array.from(factorBLevels);
+    if (A.length < 2 || B.length < 2) {
+        return { error: "Two-Way ANOVA requires at least 2 levels for each factor." };
+    }
+
+    // Cells are ordered A-major so they line up with the Kronecker-built hypothesis matrices
+    const cells = [];
+    for (const a of A) {
+        for (const b of B) {
+            if (!groupMap.has(cellKey(a, b))) {
+                return { error: `Missing data for combination ${a}-${b}. All combinations must be present.` };
+            }
+            const data = groupMap.get(cellKey(a, b)).map(v => parseFloat(v));
+            if (data.length === 0) {
+                return { error: `No observations for combination ${a}-${b}. Every combination needs at least one value.` };
+            }
+            cells.push({ a, b, n: data.length, mean: calculateMean(data), data });
+        }
+    }
+
+    const cellMeans = cells.map(c => c.mean);
+    const cellSizes = cells.map(c => c.n);
+    const totalN = summation(cellSizes);
+
+    // Degrees of freedom
+    const dfA = A.length - 1;
+    const dfB = B.length - 1;
+    const dfAB = dfA * dfB;
+    const dfError = totalN - cells.length;
+    const dfTotal = totalN - 1;
+
+    if (dfError <= 0) {
+        return { error: "Two-Way ANOVA requires more than one observation in at least one cell." };
+    }
+
+    // Within-cell SS (error) and corrected total SS
+    const SSE = summation(cells.map(c => calculateSumOfSquares(c.data)));
+    const SST = calculateSumOfSquares(cells.flatMap(c => c.data));
+
+    // Type III hypotheses on unweighted marginal means
+    const contrastsA = buildContrastMatrix(A.length);
+    const contrastsB = buildContrastMatrix(B.length);
+    const averageA = [new Array(A.length).fill(1 / A.length)];
+    const averageB = [new Array(B.length).fill(1 / B.length)];
+
+    const SSA = calculateHypothesisSS(kroneckerProduct(contrastsA, averageB), cellMeans, cellSizes);
+    const SSB = calculateHypothesisSS(kroneckerProduct(averageA, contrastsB), cellMeans, cellSizes);
+    const SSAB = calculateHypothesisSS(kroneckerProduct(contrastsA, contrastsB), cellMeans, cellSizes);
+
+    const MSE = SSE / dfError;
+    const buildEffectRow = (ss, df) => {
+        const ms = ss / df;
+        return {
+            ss,
+            df,
+            ms,
+            ...calculateFTest(ms, MSE, df, dfError),
+            etaSquared: SST === 0 ? 0 : ss / SST,
+            partialEtaSquared: ss + SSE === 0 ? 0 : ss / (ss + SSE),
+            omegaSquared: SST === 0 ? 0 : Math.max(0, (ss - df * MSE) / (SST + MSE))
+        };
+    };
+
+    return {
+        factorNames,
+        factorALevels: A,
+        factorBLevels: B,
+        balanced: cellSizes.every(n => n === cellSizes[0]),
+        cells: cells.map(c => ({ a: c.a, b: c.b, n: c.n, mean: c.mean })),
+        factorA: buildEffectRow(SSA, dfA),
+        factorB: buildEffectRow(SSB, dfB),
+        interaction: buildEffectRow(SSAB, dfAB),
+        residual: { ss: SSE, df: dfError, ms: MSE },
+        total: { ss: SST, df: dfTotal }
+    };
+};
+
+/**
+ * Builds k − 1 orthonormal (normalised Helmert) contrasts between k repeated measures.
+ * @param {number} k - The number of repeated measures.
+ * @returns {Array<Array<number>>} The (k − 1) × k contrast matrix.
+ */
+const buildOrthonormalContrasts = (k) => {
+    return Array.from({ length: k - 1 }, (_, i) => {
+        const norm = Math.sqrt((i + 1) * (i + 2));
+        return Array.from({ length: k }, (_, j) => (j <= i ? 1 : j === i + 1 ? -(i + 1) : 0) / norm);
+    });
+};
+
+/**
+ * Tests sphericity from the covariance matrix of the orthonormal contrast scores: Mauchly's W
+ * with its chi-square approximation, and the Greenhouse–Geisser and Huynh–Feldt estimates of
+ * epsilon. Huynh–Feldt uses Lecoutre's correction (as R's car and afex packages do), which only
+ * differs from the original when there are between-subjects groups.
+ * @param {Array<Array<number>>} S - The (k − 1) × (k − 1) covariance matrix of the contrast scores.
+ * @param {number} df - Its degrees of freedom (subjects minus groups).
+ * @returns {Object} Mauchly's test (null with two measures, or with too few subjects to estimate
+ *   S) and the Greenhouse–Geisser, Huynh–Feldt and lower-bound epsilons.
+ */
+const testSphericity = (S, df) => {
+    const p = S.length;
+    const trace = summation(S.map((row, i) => row[i]));
+    if (p === 1 || trace === 0) {
+        return { mauchly: null, greenhouseGeisser: 1, huynhFeldt: 1, lowerBound: 1 / p };
+    }
+
+    const traceOfSquare = summation(S.map(row => summation(row.map(v => v * v))));
+    const greenhouseGeisser = (trace * trace) / (p * traceOfSquare);
+    const hfDenominator = p * (df - p * greenhouseGeisser);
+    const huynhFeldt = hfDenominator > 0
+        ? Math.min(1, ((df + 1) * p * greenhouseGeisser - 2) / hfDenominator)
+        : 1;
+
+    let mauchly = null;
+    if (df >= p) {
+        const W = Math.max(0, Math.min(1, calculateDeterminant(S) / Math.pow(trace / p, p)));
+        const chiSquare = W === 0 ? Infinity : -(df - (2 * p * p + p + 2) / (6 * p)) * Math.log(W);
+        const chiDf = p * (p + 1) / 2 - 1;
+        mauchly = { W, chiSquare, df: chiDf, pValue: W === 0 ? 0 : chiSquareSurvival(chiSquare, chiDf) };
+    }
+    return { mauchly, greenhouseGeisser, huynhFeldt, lowerBound: 1 / p };
+};
+
+/**
+ * Partitions the variation of a design in which every subject is measured k times, optionally in
+ * groups of different subjects. The within-subjects effects are tested on orthonormal contrasts
+ * of each subject's measures, so unequal group sizes give Type III sums of squares.
+ * @param {Array<Array<Array<number>>>} groups - For each group, one array per measure, with the
+ *   values of each subject in the same position.
+ * @returns {Object} The sums of squares of each source and the sphericity statistics.
+ */
+const partitionRepeatedMeasures = (groups) => {
+    const k = groups[0].length;
+    const g = groups.length;
+    // Centre on an observed value, as in the one-way ANOVA, and hold each subject's measures as a row
+    const shift = parseFloat(groups[0][0][0]);
+    const subjects = groups.map(measures => measures[0].map((_, s) => measures.map(m => parseFloat(m[s]) - shift)));
+    const sizes = subjects.map(group => group.length);
+    const N = summation(sizes);
+
+    // Between subjects: the subject means, compared between groups
+    const subjectMeans = subjects.map(group => group.map(row => calculateMean(row)));
+    const groupMeans = subjectMeans.map(means => calculateMean(means));
+    const grandMean = summation(subjectMeans.flat()) / N;
+    const ssBetween = k * summation(groupMeans.map((mean, i) => sizes[i] * Math.pow(mean - grandMean, 2)));
+    const ssSubjects = k * summation(subjectMeans.map(means => calculateSumOfSquares(means)));
+
+    // Within subjects: the contrast scores, whose average over the groups (weighting each group
+    // equally) tests the repeated factor and whose differences between groups test the interaction
+    const contrasts = buildOrthonormalContrasts(k);
+    const scores = subjects.map(group => group.map(row => contrasts.map(c => summation(c.map((w, j) => w * row[j])))));
+    const scoreMeans = scores.map(group => contrasts.map((_, c) => calculateMean(group.map(s => s[c]))));
+    const averageVariance = summation(sizes.map(n => 1 / (g * g * n)));
+    const ssWithin = summation(contrasts.map((_, c) => Math.pow(summation(scoreMeans.map(m => m[c])) / g, 2) / averageVariance));
+    const ssInteraction = summation(contrasts.map((_, c) => {
+        const weightedMean = summation(scoreMeans.map((m, i) => sizes[i] * m[c])) / N;
+        return summation(scoreMeans.map((m, i) => sizes[i] * Math.pow(m[c] - weightedMean, 2)));
+    }));
+
+    // Pooled within-group cross-products of the contrast scores
+    const crossProducts = contrasts.map((_, a) => contrasts.map((_, b) =>
+        summation(scores.flatMap((group, i) => group.map(s => (s[a] - scoreMeans[i][a]) * (s[b] - scoreMeans[i][b]))))
+    ));
+    const ssError = summation(crossProducts.map((row, c) => row[c]));
+    const dfSubjects = N - g;
+
+    return {
+        ssBetween,
+        ssSubjects,
+        ssWithin,
+        ssInteraction,
+        ssError,
+        ssTotal: calculateSumOfSquares(subjects.flat(2)),
+        sphericity: testSphericity(crossProducts.map(row => row.map(v => v / dfSubjects)), dfSubjects)
+    };
+};
+
+/**
+ * Builds an effect row of a repeated-measures ANOVA table. Within-subjects effects also get
+ * p-values with both degrees of freedom multiplied by the Greenhouse–Geisser and Huynh–Feldt epsilons.
+ * @param {number} ss - The effect sum of squares.
+ * @param {number} df - The effect degrees of freedom.
+ * @param {{ss: number, df: number, ms: number}} error - The error term the effect is tested against.
+ * @param {number} allErrorSS - The sum of every error term's SS, for generalised eta².
+ * @param {Object|null} sphericity - The sphericity statistics, or null for a between-subjects effect.
+ * @returns {Object} The effect row.
+ */
+const buildRepeatedEffectRow = (ss, df, error, allErrorSS, sphericity) => {
+    const ms = ss / df;
+    const row = {
+        ss,
+        df,
+        ms,
+        ...calculateFTest(ms, error.ms, df, error.df),
+        partialEtaSquared: ss + error.ss === 0 ? 0 : ss / (ss + error.ss),
+        generalizedEtaSquared: ss + allErrorSS === 0 ? 0 : ss / (ss + allErrorSS)
+    };
+    if (sphericity) {
+        const correct = (epsilon) => ({
+            epsilon,
+            df: df * epsilon,
+            dfError: error.df * epsilon,
+            pValue: isFinite(row.F) ? fSurvival(row.F, df * epsilon, error.df * epsilon) : row.pValue
+        });
+        row.greenhouseGeisser = correct(sphericity.greenhouseGeisser);
+        row.huynhFeldt = correct(sphericity.huynhFeldt);
+    }
+    return row;
+};
+
+/**
+ * Calculates a one-way repeated-measures ANOVA, in which every subject is measured under every
+ * condition, with Mauchly's test of sphericity and the Greenhouse–Geisser and Huynh–Feldt
+ * corrections for when sphericity does not hold.
+ * @param {Array<Array<number>>} conditions - One array per condition, with each subject's values in the same position.
+ * @returns {Object} An object containing the ANOVA table, condition means and sphericity statistics, or an `error` message.
+ */
+export const calculateRepeatedMeasuresAnova = (conditions) => {
+    if (!Array.isArray(conditions) || conditions.length < 2) {
+        return { error: "Repeated-Measures ANOVA requires at least 2 datasets (conditions)." };
+    }
+    const n = conditions[0].length;
+    if (conditions.some(condition => condition.length !== n)) {
+        return { error: "Repeated-Measures ANOVA pairs values by position (one per subject), so every dataset needs the same number of values." };
+    }
+    if (n < 2) {
+        return { error: "Repeated-Measures ANOVA requires at least 2 subjects." };
+    }
+
+    const k = conditions.length;
+    const parts = partitionRepeatedMeasures([conditions]);
+    const dfError = (n - 1) * (k - 1);
+    const residual = { ss: parts.ssError, df: dfError, ms: parts.ssError / dfError };
+
+    return {
+        n,
+        conditionCount: k,
+        conditionMeans: conditions.map(condition => calculateMean(condition.map(v => parseFloat(v)))),
+        conditions: buildRepeatedEffectRow(parts.ssWithin, k - 1, residual, parts.ssSubjects + parts.ssError, parts.sphericity),
+        subjects: { ss: parts.ssSubjects, df: n - 1, ms: parts.ssSubjects / (n - 1) },
+        residual,
+        total: { ss: parts.ssTotal, df: n * k - 1 },
+        sphericity: parts.sphericity
+    };
+};
+
+/**
+ * Calculates a two-factor mixed ANOVA: a between-subjects factor (each subject in one group)
+ * crossed with a within-subjects factor (each subject measured at every level). The within-subjects
+ * effects come with Mauchly's test and the Greenhouse–Geisser and Huynh–Feldt corrections. Sums of
+ * squares are Type III, so the groups may differ in size.
+ * @param {Array<Array<number>>} dataArrays - An array of arrays, one per combination of levels. The
+ *   cells of a group hold its subjects' values in the same order.
+ * @param {Array<{label: string, factors?: Array<{name: string, level: string}>}>} labeledDatasets - The
+ *   datasets, with their levels in `factors` or a "LevelA-LevelB" label as for the two-way ANOVA.
+ * @param {0|1} withinFactor - Which of the two factors is measured within subjects.
+ * @returns {Object} An object containing the factor names and levels, the between- and within-subjects
+ *   tables, cell means and sphericity statistics, or an `error` message.
+ */
+export const calculateMixedAnova = (dataArrays, labeledDatasets, withinFactor = 1) => {
+    const parsed = readFactorLevels(labeledDatasets, "Mixed ANOVA requires dataset labels in 'Group-Condition' format (e.g., Control-Week1), or data imported with a between-subjects group column.");
+    if (parsed.error) return parsed;
+    const betweenFactor = 1 - withinFactor;
+    const factorNames = [parsed.factorNames[betweenFactor], parsed.factorNames[withinFactor]];
+
+    const betweenLevels = [];
+    const withinLevels = [];
+    const cellMap = new Map(); // [group, measure] → data array
+    const cellKey = (a, b) => JSON.stringify([a, b]);
+    for (let i = 0; i < labeledDatasets.length; i++) {
+        const a = parsed.levels[i][betweenFactor];
+        const b = parsed.levels[i][withinFactor];
+        if (cellMap.has(cellKey(a, b))) {
+            return { error: `Duplicate dataset for combination ${a}-${b}. Each combination must appear once.` };
+        }
+        if (!betweenLevels.includes(a)) betweenLevels.push(a);
+        if (!withinLevels.includes(b)) withinLevels.push(b);
+        cellMap.set(cellKey(a, b), dataArrays[i]);
+    }
+    if (betweenLevels.length < 2 || withinLevels.length < 2) {
+        return { error: "Mixed ANOVA requires at least 2 groups and 2 repeated measures." };
+    }
+
+    const groups = [];
+    for (const a of betweenLevels) {
+        const measures = [];
+        for (const b of withinLevels) {
+            if (!cellMap.has(cellKey(a, b))) {
+                return { error: `Missing data for combination ${a}-${b}. All combinations must be present.` };
+            }
+            measures.push(cellMap.get(cellKey(a, b)));
+        }
+        if (measures.some(data => data.length !== measures[0].length)) {
+            return { error: `Mixed ANOVA pairs values by position within each group, so every ${factorNames[1]} level of ${a} needs the same number of values.` };
+        }
+        groups.push(measures);
+    }
+
+    const g = groups.length;
+    const k = withinLevels.length;
+    const groupSizes = groups.map(measures => measures[0].length);
+    const N = summation(groupSizes);
+    if (N - g < 1) {
+        return { error: "Mixed ANOVA requires more than one subject in at least one group." };
+    }
+
+    const parts = partitionRepeatedMeasures(groups);
+    const betweenError = { ss: parts.ssSubjects, df: N - g, ms: parts.ssSubjects / (N - g) };
+    const withinError = { ss: parts.ssError, df: (N - g) * (k - 1), ms: parts.ssError / ((N - g) * (k - 1)) };
+    const allErrorSS = parts.ssSubjects + parts.ssError;
+
+    return {
+        factorNames,
+        betweenLevels,
+        withinLevels,
+        groupSizes,
+        balanced: groupSizes.every(n => n === groupSizes[0]),
+        cells: groups.flatMap((measures, i) => measures.map((data, j) => ({
+            a: betweenLevels[i],
+            b: withinLevels[j],
+            n: data.length,
+            mean: calculateMean(data.map(v => parseFloat(v)))
+        }))),
+        between: buildRepeatedEffectRow(parts.ssBetween, g - 1, betweenError, allErrorSS, null),
+        betweenError,
+        within: buildRepeatedEffectRow(parts.ssWithin, k - 1, withinError, allErrorSS, parts.sphericity),
+        interaction: buildRepeatedEffectRow(parts.ssInteraction, (g - 1) * (k - 1), withinError, allErrorSS, parts.sphericity),
+        withinError,
+        total: { ss: parts.ssTotal, df: N * k - 1 },
+        sphericity: parts.sphericity
+    };
+};
@@ -0,0 +1,156 @@
+import { normalCdf, normalInv, fSurvival } from "./distributions.js";
+import { summation, calculateMean, calculateMedian, calculateSumOfSquares } from "./descriptive.js";
+
+/**
+ * Evaluates the polynomial c[0] + c[1]·x + c[2]·x² + …
+ * @param {Array<number>} coefficients - The polynomial coefficients, lowest order first.
+ * @param {number} x - The point at which to evaluate the polynomial.
+ * @returns {number} The value of the polynomial at x.
+ */
+const evaluatePolynomial = (coefficients, x) => {
+    return coefficients.reduceRight((result, c) => result * x + c, 0);
+};
+
+/**
+ * Calculates the Shapiro–Wilk W test for normality using Royston's (1995) algorithm AS R94,
+ * valid for 3 ≤ n ≤ 5000.
+ * @param {Array<number>} data - The sample to test.
+ * @returns {Object} An object containing W and its p-value, or an `error` message.
+ */
+export const calculateShapiroWilk = (data) => {
+    const x = data.map(v => parseFloat(v)).sort((a, b) => a - b);
+    const n = x.length;
+    if (n < 3 || n > 5000) {
+        return { error: "The Shapiro–Wilk test requires between 3 and 5000 values." };
+    }
+    if (x[n - 1] - x[0] < 1e-19) {
+        return { error: "The Shapiro–Wilk test is undefined when all values are identical." };
+    }
+
+    // Coefficients a[1..n/2] for the differences x[n+1-i] - x[i]
+    const half = Math.floor(n / 2);
+    const a = new Array(half + 1).fill(0);
+    if (n === 3) {
+        a[1] = Math.SQRT1_2;
+    } else {
+        let summ2 = 0;
+        for (let i = 1; i <= half; i++) {
+            a[i] = normalInv((i - 0.375) / (n + 0.25));
+            summ2 += a[i] * a[i];
+        }
+        summ2 *= 2;
+        const ssumm2 = Math.sqrt(summ2);
+        const rsn = 1 / Math.sqrt(n);
+        const a1 = evaluatePolynomial([0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056], rsn) - a[1] / ssumm2;
+
+        let firstScaled, fac;
+        if (n > 5) {
+            firstScaled = 3;
+            const a2 = -a[2] / ssumm2 + evaluatePolynomial([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], rsn);
+            fac = Math.sqrt((summ2 - 2 * a[1] * a[1] - 2 * a[2] * a[2]) / (1 - 2 * a1 * a1 - 2 * a2 * a2));
+            a[2] = a2;
+        } else {
+            firstScaled = 2;
+            fac = Math.sqrt((summ2 - 2 * a[1] * a[1]) / (1 - 2 * a1 * a1));
+        }
+        a[1] = a1;
+        for (let i = firstScaled; i <= half; i++) a[i] /= -fac;
+    }
+
+    const ss = calculateSumOfSquares(x);
+    let numerator = 0;
+    for (let i = 1; i <= half; i++) numerator += a[i] * (x[n - i] - x[i - 1]);
+    const W = Math.min(1, (numerator * numerator) / ss);
+
+    // p-value
+    let pValue;
+    if (n === 3) {
+        pValue = Math.max(0, (6 / Math.PI) * (Math.asin(Math.sqrt(W)) - Math.PI / 3));
+    } else {
+        let y = Math.log(1 - W);
+        let m, s;
+        if (n <= 11) {
+            const gamma = evaluatePolynomial([-2.273, 0.459], n);
+            if (y >= gamma) {
+                return { W, pValue: 0, n };
+            }
+            y = -Math.log(gamma - y);
+            m = evaluatePolynomial([0.544, -0.39978, 0.025054, -6.714e-4], n);
+            s = Math.exp(evaluatePolynomial([1.3822, -0.77857, 0.062767, -0.0020322], n));
+        } else {
+            const logN = Math.log(n);
+            m = evaluatePolynomial([-1.5861, -0.31082, -0.083751, 0.0038915], logN);
+            s = Math.exp(evaluatePolynomial([-0.4803, -0.082676, 0.0030302], logN));
+        }
+        pValue = 1 - normalCdf(y, m, s);
+    }
+
+    return { W, pValue: Math.min(1, Math.max(0, pValue)), n };
+};
+
+/**
+ * Calculates Levene's test for homogeneity of variance: a one-way ANOVA on the absolute
+ * deviations from each group's centre. Centring on the median gives the Brown–Forsythe test.
+ * @param {Array<Array<number>>} dataArrays - An array of arrays, where each inner array is a group's data.
+ * @param {"mean"|"median"} center - The group centre ("mean" for Levene, "median" for Brown–Forsythe).
+ * @returns {Object} An object containing F, df1, df2 and the p-value, or an `error` message.
+ */
+export const calculateLeveneTest = (dataArrays, center = "median") => {
+    if (dataArrays.length < 2) {
+        return { error: "Homogeneity of variance tests require at least 2 datasets." };
+    }
+    const deviations = dataArrays.map(group => {
+        const c = center === "mean" ? calculateMean(group) : calculateMedian(group);
+        return group.map(v => Math.abs(parseFloat(v) - c));
+    });
+
+    const k = deviations.length;
+    const sizes = deviations.map(group => group.length);
+    const N = summation(sizes);
+    const groupMeans = deviations.map(group => calculateMean(group));
+    const grandMean = calculateMean(deviations.flat());
+    const ssBetween = summation(groupMeans.map((m, i) => sizes[i] * Math.pow(m - grandMean, 2)));
+    const ssWithin = summation(deviations.map(group => calculateSumOfSquares(group)));
+    const df1 = k - 1;
+    const df2 = N - k;
+
+    if (df2 <= 0) {
+        return { error: "Homogeneity of variance tests require more values than datasets." };
+    }
+    if (ssWithin === 0) {
+        return { F: ssBetween === 0 ? 0 : Infinity, df1, df2, pValue: ssBetween === 0 ? 1 : 0, center };
+    }
+    const F = (ssBetween / df1) / (ssWithin / df2);
+    return { F, df1, df2, pValue: fSurvival(F, df1, df2), center };
+};
+
+/**
+ * Runs the assumption checks for the parametric tests: Shapiro–Wilk normality for each dataset
+ * and Levene / Brown–Forsythe homogeneity of variance across datasets.
+ * @param {Array<{label: string, values: Array<number>}>} datasets - The labelled datasets.
+ * @param {number} alpha - The significance level below which an assumption is flagged.
+ * @returns {Object} An object with per-dataset normality results and the homogeneity results.
+ */
+export const calculateAssumptionChecks = (datasets, alpha = 0.05) => {
+    const normality = datasets.map(ds => {
+        const result = calculateShapiroWilk(ds.values);
+        return result.error
+            ? { label: ds.label, error: result.error, passed: null }
+            : { label: ds.label, ...result, passed: result.pValue >= alpha };
+    });
+
+    let homogeneity = null;
+    if (datasets.length >= 2) {
+        const dataArrays = datasets.map(ds => ds.values);
+        const levene = calculateLeveneTest(dataArrays, "mean");
+        const brownForsythe = calculateLeveneTest(dataArrays, "median");
+        homogeneity = {
+            levene,
+            brownForsythe,
+            // Brown–Forsythe is robust to non-normality, so it drives the pass/warn decision
+            passed: brownForsythe.error ? null : brownForsythe.pValue >= alpha
+        };
+    }
+
+    return { alpha, normality, homogeneity };
+};
@@ -0,0 +1,170 @@
+import { chiSquareSurvival, logGamma } from "./distributions.js";
+import { summation } from "./descriptive.js";
+
+/**
+ * Checks that counts are whole numbers of observations.
+ * @param {Array<number>} counts - The counts.
+ * @returns {boolean} True when every count is a non-negative integer.
+ */
+const areValidCounts = (counts) => counts.every(count => Number.isInteger(count) && count >= 0);
+
+/**
+ * Calculates ln C(n, k).
+ * @param {number} n - The number of items.
+ * @param {number} k - The number chosen.
+ * @returns {number} The log of the binomial coefficient.
+ */
+const logChoose = (n, k) => logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+
+/**
+ * Calculates the chi-square goodness-of-fit test of one categorical variable's counts against
+ * expected proportions.
+ * @param {Array<number>} observed - The count of each category.
+ * @param {Array<number>|null} expectedProportions - The expected share of each category, as
+ *   proportions or ratios (e.g. 9:3:3:1), which are rescaled to sum to 1. Equal shares when null.
+ * @returns {Object} The statistic, df and p-value with the expected counts and Pearson residuals,
+ *   or an `error` message.
+ */
+export const calculateChiSquareGoodnessOfFit = (observed, expectedProportions = null) => {
+    const k = observed.length;
+    if (k < 2) {
+        return { error: "The goodness-of-fit test requires at least 2 categories." };
+    }
+    if (!areValidCounts(observed)) {
+        return { error: "Counts must be whole numbers of zero or more." };
+    }
+    const n = summation(observed);
+    if (n === 0) {
+        return { error: "The goodness-of-fit test requires at least one observation." };
+    }
+
+    const shares = expectedProportions ?? new Array(k).fill(1);
+    if (shares.length !== k) {
+        return { error: `There are ${k} categories but ${shares.length} expected proportions.` };
+    }
+    if (shares.some(share => !(share > 0) || !isFinite(share))) {
+        return { error: "Every expected proportion must be a number greater than zero." };
+    }
+    const totalShare = summation(shares);
+    const expected = shares.map(share => n * share / totalShare);
+    const residuals = observed.map((count, i) => (count - expected[i]) / Math.sqrt(expected[i]));
+    const statistic = summation(residuals.map(r => r * r));
+    const df = k - 1;
+
+    return {
+        n,
+        observed,
+        expectedProportions: shares.map(share => share / totalShare),
+        expected,
+        residuals,
+        statistic,
+        df,
+        pValue: chiSquareSurvival(statistic, df),
+        smallExpectedCount: expected.filter(e => e < 5).length,
+        minExpected: Math.min(...expected)
+    };
+};
+
+/**
+ * Calculates Pearson's chi-square test of independence for a contingency table, with the expected
+ * counts, Pearson residuals (O − E) / √E, adjusted standardized residuals (which are approximately
+ * standard normal under independence) and Cramér's V. A 2×2 table also gets the Yates
+ * continuity-corrected statistic, as R's chisq.test reports by default.
+ * @param {Array<Array<number>>} table - The counts, one array per row.
+ * @returns {Object} The test and cell statistics, or an `error` message.
+ */
+export const calculateChiSquareIndependence = (table) => {
+    const rows = table.length;
+    const columns = rows > 0 ? table[0].length : 0;
+    if (rows < 2 || columns < 2) {
+        return { error: "The test of independence requires a table with at least 2 rows and 2 columns." };
+    }
+    if (table.some(row => row.length !== columns)) {
+        return { error: "Every row of the table needs the same number of columns." };
+    }
+    if (!table.every(areValidCounts)) {
+        return { error: "Counts must be whole numbers of zero or more." };
+    }
+
+    const rowTotals = table.map(row => summation(row));
+    const columnTotals = table[0].map((_, j) => summation(table.map(row => row[j])));
+    const n = summation(rowTotals);
+    if (rowTotals.includes(0) || columnTotals.includes(0)) {
+        return { error: "Every row and column of the table needs at least one observation." };
+    }
+
+    const expected = rowTotals.map(rowTotal => columnTotals.map(columnTotal => rowTotal * columnTotal / n));
+    const residuals = table.map((row, i) => row.map((count, j) => (count - expected[i][j]) / Math.sqrt(expected[i][j])));
+    const adjustedResiduals = table.map((row, i) => row.map((count, j) =>
+        (count - expected[i][j]) / Math.sqrt(expected[i][j] * (1 - rowTotals[i] / n) * (1 - columnTotals[j] / n))
+    ));
+    const statistic = summation(residuals.flat().map(r => r * r));
+    const df = (rows - 1) * (columns - 1);
+
+    const result = {
+        n,
+        rowTotals,
+        columnTotals,
+        expected,
+        residuals,
+        adjustedResiduals,
+        statistic,
+        df,
+        pValue: chiSquareSurvival(statistic, df),
+        cramersV: Math.sqrt(statistic / (n * (Math.min(rows, columns) - 1))),
+        smallExpectedCount: expected.flat().filter(e => e < 5).length,
+        minExpected: Math.min(...expected.flat())
+    };
+
+    if (rows === 2 && columns === 2) {
+        // The correction never moves a cell past its expected count (as in R)
+        const corrected = summation(table.flat().map((count, c) => {
+            const e = expected[Math.floor(c / 2)][c % 2];
+            const difference = Math.abs(count - e);
+            return Math.pow(difference - Math.min(0.5, difference), 2) / e;
+        }));
+        result.yates = { statistic: corrected, pValue: chiSquareSurvival(corrected, df) };
+    }
+    return result;
+};
+
+/**
+ * Calculates Fisher's exact test of independence for a 2×2 table. With the margins fixed, the
+ * top-left count follows a hypergeometric distribution; the two-sided p-value sums the
+ * probabilities of every table no more likely than the one observed (as R's fisher.test does).
+ * @param {Array<Array<number>>} table - The counts, [[a, b], [c, d]].
+ * @returns {Object} The two-sided p-value and the sample odds ratio ad / bc, or an `error` message.
+ */
+export const calculateFisherExact = (table) => {
+    if (table.length !== 2 || table.some(row => row.length !== 2)) {
+        return { error: "Fisher's exact test is available for 2×2 tables only." };
+    }
+    if (!table.every(areValidCounts)) {
+        return { error: "Counts must be whole numbers of zero or more." };
+    }
+    const [[a, b], [c, d]] = table;
+    const row1 = a + b;
+    const row2 = c + d;
+    const column1 = a + c;
+    const n = row1 + row2;
+    if (n === 0) {
+        return { error: "Fisher's exact test requires at least one observation." };
+    }
+
+    const logDenominator = logChoose(n, column1);
+    const probability = (x) => Math.exp(logChoose(row1, x) + logChoose(row2, column1 - x) - logDenominator);
+    const observedProbability = probability(a);
+    // Allow for rounding so tables exactly as likely as the observed one are counted
+    const threshold = observedProbability * (1 + 1e-7);
+    let pValue = 0;
+    for (let x = Math.max(0, column1 - row2); x <= Math.min(row1, column1); x++) {
+        const p = probability(x);
+        if (p <= threshold) pValue += p;
+    }
+
+    let oddsRatio = null;
+    if (b * c > 0) oddsRatio = (a * d) / (b * c);
+    else if (a * d > 0) oddsRatio = Infinity;
+
+    return { n, pValue: Math.min(1, pValue), oddsRatio };
+};
@@ -0,0 +1,164 @@
+import { normalCdf, normalInv, studentTCdf } from "./distributions.js";
+import { summation, calculateMean, rankWithTies } from "./descriptive.js";
+
+/**
+ * Calculates Pearson's product-moment correlation coefficient.
+ * @param {Array<number>} x - The first variable.
+ * @param {Array<number>} y - The second variable, the same length as `x`.
+ * @returns {number} r, or NaN when either variable is constant.
+ */
+const pearsonR = (x, y) => {
+    const meanX = calculateMean(x);
+    const meanY = calculateMean(y);
+    const sxy = summation(x.map((v, i) => (v - meanX) * (y[i] - meanY)));
+    const sxx = summation(x.map(v => Math.pow(v - meanX, 2)));
+    const syy = summation(y.map(v => Math.pow(v - meanY, 2)));
+    return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+};
+
+/**
+ * Tests a correlation coefficient with t = r·√((n − 2) / (1 − r²)) on n − 2 degrees of freedom.
+ * @param {number} r - The correlation coefficient.
+ * @param {number} n - The number of pairs.
+ * @returns {{t: number, df: number, pValue: number}} The t statistic and two-sided p-value.
+ */
+const correlationTTest = (r, n) => {
+    const df = n - 2;
+    if (Math.abs(r) === 1) return { t: Math.sign(r) * Infinity, df, pValue: 0 };
+    const t = r * Math.sqrt(df / (1 - r * r));
+    return { t, df, pValue: Math.min(1, 2 * studentTCdf(-Math.abs(t), df)) };
+};
+
+/**
+ * Computes the exact null distribution of the number of discordant pairs among n untied pairs,
+ * i.e. the number of inversions of a random permutation (the Mahonian numbers).
+ * @param {number} n - The number of pairs.
+ * @returns {Array<number>} The probability of each count from 0 to n(n−1)/2.
+ */
+const kendallExactDistribution = (n) => {
+    let distribution = [1];
+    for (let m = 2; m <= n; m++) {
+        // Inserting the m-th element adds between 0 and m − 1 inversions, each equally likely
+        const next = new Array(distribution.length + m - 1).fill(0);
+        distribution.forEach((probability, k) => {
+            for (let j = 0; j < m; j++) next[k + j] += probability / m;
+        });
+        distribution = next;
+    }
+    return distribution;
+};
+
+/**
+ * Calculates Kendall's tau-b. The exact p-value is used for fewer than 50 pairs without ties (as
+ * R's cor.test does); otherwise the normal approximation with the tie-corrected variance of S.
+ * @param {Array<number>} x - The first variable.
+ * @param {Array<number>} y - The second variable.
+ * @returns {Object} tau-b, S (concordant minus discordant pairs), z and the p-value.
+ */
+const kendallTau = (x, y) => {
+    const n = x.length;
+    let concordant = 0, discordant = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const sign = Math.sign(x[i] - x[j]) * Math.sign(y[i] - y[j]);
+            if (sign > 0) concordant++;
+            else if (sign < 0) discordant++;
+        }
+    }
+    const S = concordant - discordant;
+    const tiesX = rankWithTies(x).tieSizes;
+    const tiesY = rankWithTies(y).tieSizes;
+    const pairs = n * (n - 1) / 2;
+    const tiedPairs = (sizes) => summation(sizes.map(t => t * (t - 1) / 2));
+    const tau = S / Math.sqrt((pairs - tiedPairs(tiesX)) * (pairs - tiedPairs(tiesY)));
+
+    if (tiesX.length === 0 && tiesY.length === 0 && n < 50) {
+        const distribution = kendallExactDistribution(n);
+        const lower = summation(distribution.slice(0, discordant + 1));
+        const upper = summation(distribution.slice(discordant));
+        return { tau, S, z: null, pValue: Math.min(1, 2 * Math.min(lower, upper)), method: "exact" };
+    }
+
+    const term = (sizes, f) => summation(sizes.map(f));
+    const v0 = n * (n - 1) * (2 * n + 5);
+    const vt = term(tiesX, t => t * (t - 1) * (2 * t + 5));
+    const vu = term(tiesY, u => u * (u - 1) * (2 * u + 5));
+    const v1 = term(tiesX, t => t * (t - 1)) * term(tiesY, u => u * (u - 1));
+    const v2 = term(tiesX, t => t * (t - 1) * (t - 2)) * term(tiesY, u => u * (u - 1) * (u - 2));
+    const variance = (v0 - vt - vu) / 18 + v1 / (2 * n * (n - 1)) + (n > 2 ? v2 / (9 * n * (n - 1) * (n - 2)) : 0);
+    const z = S / Math.sqrt(variance);
+    return { tau, S, z, pValue: Math.min(1, 2 * normalCdf(-Math.abs(z))), method: "normal approximation" };
+};
+
+/**
+ * Calculates a correlation between two variables, paired by position, with a two-sided test of
+ * zero correlation.
+ * - "pearson": Pearson's r, tested with t on n − 2 df, with a Fisher z confidence interval.
+ * - "spearman": Spearman's ρ (Pearson's r of the ranks), tested with the same t approximation.
+ * - "kendall": Kendall's tau-b, with an exact or normal-approximation p-value.
+ * @param {Array<number>} x - The first variable.
+ * @param {Array<number>} y - The second variable, the same length as `x`.
+ * @param {"pearson"|"spearman"|"kendall"} method - The correlation coefficient.
+ * @param {number} confidenceLevel - The confidence level of Pearson's interval, e.g. 0.95.
+ * @returns {Object} An object containing the coefficient, its test statistic and p-value, or an `error` message.
+ */
+export const calculateCorrelation = (x, y, method = "pearson", confidenceLevel = 0.95) => {
+    if (x.length !== y.length) {
+        return { error: "Correlation pairs values by position, so both datasets need the same number of values." };
+    }
+    const n = x.length;
+    if (n < 3) {
+        return { error: "Correlation requires at least 3 pairs of values." };
+    }
+    const xs = x.map(v => parseFloat(v));
+    const ys = y.map(v => parseFloat(v));
+    if (xs.every(v => v === xs[0]) || ys.every(v => v === ys[0])) {
+        return { error: "Correlation is undefined when a dataset has the same value throughout." };
+    }
+
+    if (method === "kendall") {
+        const { tau, S, z, pValue, method: pMethod } = kendallTau(xs, ys);
+        return { method, n, coefficient: tau, statistic: z ?? S, statisticName: z === null ? "S" : "z", pValue, pMethod };
+    }
+    if (method !== "pearson" && method !== "spearman") {
+        return { error: `Unknown correlation method: ${method}` };
+    }
+
+    const r = method === "spearman"
+        ? pearsonR(rankWithTies(xs).ranks, rankWithTies(ys).ranks)
+        : pearsonR(xs, ys);
+    const { t, df, pValue } = correlationTTest(r, n);
+    const result = { method, n, coefficient: r, statistic: t, statisticName: "t", df, pValue, pMethod: "t approximation" };
+
+    // Fisher's z transformation gives the interval for Pearson's r
+    if (method === "pearson" && n > 3) {
+        const z = Math.atanh(r);
+        const margin = normalInv(1 - (1 - confidenceLevel) / 2) / Math.sqrt(n - 3);
+        result.confidenceLevel = confidenceLevel;
+        result.ciLower = Math.tanh(z - margin);
+        result.ciUpper = Math.tanh(z + margin);
+    }
+    return result;
+};
+
+/**
+ * Calculates the correlation of every pair of variables.
+ * @param {Array<Array<number>>} variables - One array per variable.
+ * @param {"pearson"|"spearman"|"kendall"} method - The correlation coefficient.
+ * @param {number} confidenceLevel - The confidence level of Pearson's intervals.
+ * @returns {Object} The method and one entry per pair, with the indices of the two variables in
+ *   `groups`; pairs that cannot be correlated carry an `error` instead, or an `error` message
+ *   when there are fewer than two variables.
+ */
+export const calculateCorrelationMatrix = (variables, method = "pearson", confidenceLevel = 0.95) => {
+    if (!Array.isArray(variables) || variables.length < 2) {
+        return { error: "Correlation requires at least 2 datasets." };
+    }
+    const pairs = [];
+    for (let i = 0; i < variables.length; i++) {
+        for (let j = i + 1; j < variables.length; j++) {
+            pairs.push({ groups: [i, j], ...calculateCorrelation(variables[i], variables[j], method, confidenceLevel) });
+        }
+    }
+    return { method, pairs };
+};
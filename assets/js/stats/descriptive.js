@@ -0,0 +1,265 @@
+import { studentTInv } from "./distributions.js";
+
+/**
+ * Calculates the summation of an array of numeric values, using Neumaier's compensated
+ * summation to keep rounding error independent of the number of values.
+ * @param {Array<number|string>} values - An array of numbers or strings that can be parsed to numbers.
+ * @returns {number} The sum of the values.
+ */
+export const summation = (values) => {
+    let sum = 0;
+    let compensation = 0;
+    values.forEach(value => {
+        const x = parseFloat(value);
+        const t = sum + x;
+        compensation += Math.abs(sum) >= Math.abs(x) ? (sum - t) + x : (x - t) + sum;
+        sum = t;
+    });
+    return sum + compensation;
+};
+
+/**
+ * Calculates the mean (average) of an array of numeric values.
+ * @param {Array<number|string>} values - An array of numbers or strings that can be parsed to numbers.
+ * @returns {number} The mean of the values.
+ */
+export const calculateMean = (values) => {
+    if (!Array.isArray(values) || values.length === 0) return 0;
+    return summation(values) / values.length;
+};
+
+/**
+ * Calculates the squared differences of each data point from the mean.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @param {number} mean - The mean of the data.
+ * @returns {Array<number>} An array of squared differences.
+ */
+export const getSquareDifferences = (data, mean) => {
+    return data.map(value => Math.pow(parseFloat(value) - mean, 2));
+};
+
+/**
+ * Calculates the sum of squared deviations from the mean with the corrected two-pass algorithm,
+ * which cancels most of the rounding error left in the computed mean.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @returns {number} Σ(x - mean)².
+ */
+export const calculateSumOfSquares = (data) => {
+    if (!Array.isArray(data) || data.length === 0) return 0;
+    const mean = calculateMean(data);
+    const deviations = data.map(value => parseFloat(value) - mean);
+    const correction = summation(deviations);
+    return summation(deviations.map(d => d * d)) - (correction * correction) / data.length;
+};
+
+/**
+ * Calculates the variance of a dataset.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @param {"population"|"sample"} type - The type of variance to calculate.
+ * @returns {number} The variance (NaN for a sample variance of fewer than 2 values).
+ */
+export const calculateVariance = (data, type = "sample") => {
+    if (!Array.isArray(data) || data.length === 0) return NaN;
+    const divisor = type === "population" ? data.length : data.length - 1;
+    return divisor > 0 ? calculateSumOfSquares(data) / divisor : NaN;
+};
+
+/**
+ * Calculates the standard deviation of a dataset.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @param {"population"|"sample"} type - The type of standard deviation to calculate ("population" or "sample").
+ * @returns {number} The standard deviation.
+ */
+export const calculateSD = (data, type = "population") => {
+    if (!Array.isArray(data) || data.length === 0) return 0;
+    return Math.sqrt(calculateVariance(data, type));
+};
+
+/**
+ * Calculates a quantile of sorted data using linear interpolation between order statistics
+ * (the default method of R and Excel's QUARTILE.INC).
+ * @param {Array<number>} sorted - The data, sorted in ascending order.
+ * @param {number} p - The probability, between 0 and 1.
+ * @returns {number} The quantile.
+ */
+export const calculateQuantile = (sorted, p) => {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Calculates the median of a dataset.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @returns {number} The median (NaN for an empty dataset).
+ */
+export const calculateMedian = (data) => {
+    if (!Array.isArray(data) || data.length === 0) return NaN;
+    return calculateQuantile(data.map(v => parseFloat(v)).sort((a, b) => a - b), 0.5);
+};
+
+/**
+ * Calculates the t-based confidence interval for the mean of a dataset.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @param {number} confidenceLevel - The confidence level, e.g. 0.95.
+ * @returns {Array<number>|null} The lower and upper bounds, or null for fewer than 2 values.
+ */
+export const calculateMeanCI = (data, confidenceLevel = 0.95) => {
+    if (!Array.isArray(data) || data.length < 2) return null;
+    const mean = calculateMean(data);
+    const se = Math.sqrt(calculateVariance(data, "sample") / data.length);
+    const margin = studentTInv(1 - (1 - confidenceLevel) / 2, data.length - 1) * se;
+    return [mean - margin, mean + margin];
+};
+
+/**
+ * Finds the most frequent value(s) of a dataset.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @returns {Array<number>} The modes in ascending order, or an empty array when no value repeats.
+ */
+export const calculateMode = (data) => {
+    const counts = new Map();
+    data.forEach(value => {
+        const x = parseFloat(value);
+        counts.set(x, (counts.get(x) || 0) + 1);
+    });
+    const highest = Math.max(0, ...counts.values());
+    if (highest < 2) return [];
+    return [...counts.keys()].filter(x => counts.get(x) === highest).sort((a, b) => a - b);
+};
+
+/**
+ * Sums the standardised deviations ((x - mean) / s)^power, using the sample standard deviation.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @param {number} power - The power of the standardised deviations.
+ * @returns {number} The sum (NaN when the standard deviation is zero).
+ */
+const sumOfStandardisedPowers = (data, power) => {
+    const mean = calculateMean(data);
+    const sd = calculateSD(data, "sample");
+    if (!(sd > 0)) return NaN;
+    return summation(data.map(value => Math.pow((parseFloat(value) - mean) / sd, power)));
+};
+
+/**
+ * Calculates the adjusted Fisher–Pearson skewness G1 (as reported by SPSS and Excel's SKEW).
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @returns {number} The skewness (NaN for fewer than 3 values or constant data).
+ */
+export const calculateSkewness = (data) => {
+    const n = data.length;
+    if (n < 3) return NaN;
+    return (n / ((n - 1) * (n - 2))) * sumOfStandardisedPowers(data, 3);
+};
+
+/**
+ * Calculates the sample excess kurtosis G2 (as reported by SPSS and Excel's KURT).
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @returns {number} The excess kurtosis (NaN for fewer than 4 values or constant data).
+ */
+export const calculateKurtosis = (data) => {
+    const n = data.length;
+    if (n < 4) return NaN;
+    return ((n * (n + 1)) / ((n - 1) * (n - 2) * (n - 3))) * sumOfStandardisedPowers(data, 4)
+        - (3 * Math.pow(n - 1, 2)) / ((n - 2) * (n - 3));
+};
+
+/**
+ * Calculates the trimmed mean, dropping floor(n · proportion) values from each end (like R's mean(x, trim)).
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @param {number} proportion - The proportion trimmed from each end, between 0 and 0.5.
+ * @returns {number} The trimmed mean (NaN for an empty dataset).
+ */
+export const calculateTrimmedMean = (data, proportion = 0.1) => {
+    if (!Array.isArray(data) || data.length === 0) return NaN;
+    const sorted = data.map(v => parseFloat(v)).sort((a, b) => a - b);
+    const trim = Math.floor(sorted.length * proportion);
+    if (2 * trim >= sorted.length) return calculateMedian(sorted);
+    return calculateMean(sorted.slice(trim, sorted.length - trim));
+};
+
+/**
+ * Calculates the geometric mean.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @returns {number} The geometric mean (NaN unless every value is positive).
+ */
+export const calculateGeometricMean = (data) => {
+    const values = data.map(v => parseFloat(v));
+    if (values.length === 0 || values.some(x => !(x > 0))) return NaN;
+    return Math.exp(calculateMean(values.map(x => Math.log(x))));
+};
+
+/**
+ * Calculates the harmonic mean.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @returns {number} The harmonic mean (NaN unless every value is positive).
+ */
+export const calculateHarmonicMean = (data) => {
+    const values = data.map(v => parseFloat(v));
+    if (values.length === 0 || values.some(x => !(x > 0))) return NaN;
+    return values.length / summation(values.map(x => 1 / x));
+};
+
+/**
+ * Calculates the full set of descriptive statistics for a dataset.
+ * @param {Array<number|string>} data - An array of numbers or strings that can be parsed to numbers.
+ * @returns {Object} n, mean, median, quartiles, IQR, modes, variance, SD, SEM, coefficient of
+ *   variation (as a proportion of the mean), skewness, excess kurtosis, 10% trimmed mean,
+ *   geometric and harmonic means, min, max and range. Undefined statistics are NaN.
+ */
+export const calculateDescriptiveSummary = (data) => {
+    const sorted = data.map(v => parseFloat(v)).sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = calculateMean(sorted);
+    const variance = calculateVariance(sorted, "sample");
+    const sd = Math.sqrt(variance);
+    const q1 = n > 0 ? calculateQuantile(sorted, 0.25) : NaN;
+    const q3 = n > 0 ? calculateQuantile(sorted, 0.75) : NaN;
+
+    return {
+        n,
+        mean,
+        median: n > 0 ? calculateQuantile(sorted, 0.5) : NaN,
+        q1,
+        q3,
+        iqr: q3 - q1,
+        modes: calculateMode(sorted),
+        variance,
+        sd,
+        se: sd / Math.sqrt(n),
+        cv: mean === 0 ? NaN : sd / Math.abs(mean),
+        skewness: calculateSkewness(sorted),
+        kurtosis: calculateKurtosis(sorted),
+        trimmedMean: calculateTrimmedMean(sorted, 0.1),
+        geometricMean: calculateGeometricMean(sorted),
+        harmonicMean: calculateHarmonicMean(sorted),
+        min: n > 0 ? sorted[0] : NaN,
+        max: n > 0 ? sorted[n - 1] : NaN,
+        range: n > 0 ? sorted[n - 1] - sorted[0] : NaN
+    };
+};
+
+/**
+ * Ranks values in ascending order, giving tied values the average of their ranks.
+ * @param {Array<number>} values - The values to rank.
+ * @returns {{ranks: Array<number>, tieSizes: Array<number>}} The rank of each value (in input order)
+ *   and the size of every group of tied values.
+ */
+export const rankWithTies = (values) => {
+    const order = values.map((value, index) => ({ value: parseFloat(value), index }))
+        .sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+    const tieSizes = [];
+
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+        const averageRank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+        if (j > i) tieSizes.push(j - i + 1);
+        i = j + 1;
+    }
+    return { ranks, tieSizes };
+};
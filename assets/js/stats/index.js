@@ -0,0 +1,19 @@
+/**
+ * Framework-free statistics library shared by the analyzer and results pages. Every function takes
+ * plain arrays of numbers and returns raw numbers; formatting is left to the caller.
+ */
+export * from "./distributions.js";
+export * from "./descriptive.js";
+export * from "./matrix.js";
+export * from "./ttest.js";
+export * from "./anova.js";
+export * from "./posthoc.js";
+export * from "./nonparametric.js";
+export * from "./assumptions.js";
+export * from "./outliers.js";
+export * from "./correlation.js";
+export * from "./regression.js";
+export * from "./categorical.js";
+export * from "./power.js";
+export * from "./multiplicity.js";
+export * from "./transforms.js";
@@ -0,0 +1,105 @@
+/**
+ * Solves the linear system A·x = b using Gaussian elimination with partial pivoting.
+ * @param {Array<Array<number>>} A - A square coefficient matrix.
+ * @param {Array<number>} b - The right-hand side vector.
+ * @returns {Array<number>|null} The solution vector, or null if the matrix is singular.
+ */
+export const solveLinearSystem = (A, b) => {
+    const n = A.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let r = col + 1; r < n; r++) {
+            const factor = m[r][col] / m[col][col];
+            for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = m[r][n];
+        for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+        x[r] = sum / m[r][r];
+    }
+    return x;
+};
+
+/**
+ * Computes the Kronecker product of two matrices.
+ * @param {Array<Array<number>>} P - The left matrix.
+ * @param {Array<Array<number>>} Q - The right matrix.
+ * @returns {Array<Array<number>>} The Kronecker product P ⊗ Q.
+ */
+export const kroneckerProduct = (P, Q) => {
+    const result = [];
+    P.forEach(pRow => {
+        Q.forEach(qRow => {
+            result.push(pRow.flatMap(p => qRow.map(q => p * q)));
+        });
+    });
+    return result;
+};
+
+/**
+ * Inverts a square matrix using Gauss–Jordan elimination with partial pivoting.
+ * @param {Array<Array<number>>} A - A square matrix.
+ * @returns {Array<Array<number>>|null} The inverse, or null if the matrix is singular.
+ */
+export const invertMatrix = (A) => {
+    const n = A.length;
+    const m = A.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        const divisor = m[col][col];
+        for (let c = 0; c < 2 * n; c++) m[col][c] /= divisor;
+        for (let r = 0; r < n; r++) {
+            if (r === col || m[r][col] === 0) continue;
+            const factor = m[r][col];
+            for (let c = 0; c < 2 * n; c++) m[r][c] -= factor * m[col][c];
+        }
+    }
+    return m.map(row => row.slice(n));
+};
+
+/**
+ * Calculates the determinant of a square matrix by Gaussian elimination with partial pivoting.
+ * @param {Array<Array<number>>} A - A square matrix.
+ * @returns {number} The determinant.
+ */
+export const calculateDeterminant = (A) => {
+    const n = A.length;
+    const m = A.map(row => [...row]);
+    let determinant = 1;
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (m[pivot][col] === 0) return 0;
+        if (pivot !== col) {
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+            determinant = -determinant;
+        }
+        determinant *= m[col][col];
+        for (let r = col + 1; r < n; r++) {
+            const factor = m[r][col] / m[col][col];
+            for (let c = col; c < n; c++) m[r][c] -= factor * m[col][c];
+        }
+    }
+    return determinant;
+};
@@ -0,0 +1,49 @@
+/**
+ * The multiple-testing corrections and their display names. Bonferroni and Holm control the
+ * family-wise error rate; Benjamini–Hochberg controls the false discovery rate.
+ */
+export const P_VALUE_CORRECTIONS = {
+    "none": "No correction",
+    "bonferroni": "Bonferroni",
+    "holm": "Holm",
+    "benjamini-hochberg": "Benjamini–Hochberg"
+};
+
+/**
+ * Adjusts a family of p-values for multiple testing, as R's p.adjust does. Missing (non-finite)
+ * p-values are returned unchanged and do not count towards the size of the family.
+ * @param {Array<number>} pValues - The p-values, in any order.
+ * @param {string} method - "none", "bonferroni", "holm" or "benjamini-hochberg".
+ * @returns {Array<number>|{error: string}} The adjusted p-values, in the order given, or an `error` message.
+ */
+export const adjustPValues = (pValues, method) => {
+    if (!P_VALUE_CORRECTIONS[method]) return { error: `Unknown p-value correction: ${method}` };
+    const adjusted = [...pValues];
+    const indices = pValues.map((p, i) => i).filter(i => Number.isFinite(pValues[i]));
+    const m = indices.length;
+    if (method === "none" || m === 0) return adjusted;
+
+    if (method === "bonferroni") {
+        indices.forEach(i => { adjusted[i] = Math.min(1, pValues[i] * m); });
+        return adjusted;
+    }
+
+    // Step-down (Holm) from the smallest p-value, step-up (Benjamini–Hochberg) from the largest;
+    // the running maximum/minimum keeps the adjusted p-values in the same order as the raw ones
+    const ascending = [...indices].sort((a, b) => pValues[a] - pValues[b]);
+    if (method === "holm") {
+        let running = 0;
+        ascending.forEach((index, rank) => {
+            running = Math.max(running, Math.min(1, (m - rank) * pValues[index]));
+            adjusted[index] = running;
+        });
+    } else {
+        let running = 1;
+        for (let rank = m - 1; rank >= 0; rank--) {
+            const index = ascending[rank];
+            running = Math.min(running, pValues[index] * m / (rank + 1));
+            adjusted[index] = running;
+        }
+    }
+    return adjusted;
+};
@@ -0,0 +1,231 @@
+import { normalCdf, chiSquareSurvival } from "./distributions.js";
+import { summation, calculateMean, rankWithTies } from "./descriptive.js";
+
+/**
+ * Calculates the tie correction term Σ(t³ - t) over groups of tied values.
+ * @param {Array<number>} tieSizes - The size of each group of tied values.
+ * @returns {number} The tie correction term.
+ */
+const tieCorrectionTerm = (tieSizes) => summation(tieSizes.map(t => Math.pow(t, 3) - t));
+
+/**
+ * Computes the exact null distribution of the Mann–Whitney U statistic (no ties).
+ * Uses the Gaussian binomial recurrence [N, k] = [N-1, k-1] + q^k [N-1, k].
+ * @param {number} n1 - The size of the first sample.
+ * @param {number} n2 - The size of the second sample.
+ * @returns {Array<number>} The probability of each value of U from 0 to n1·n2.
+ */
+const mannWhitneyExactDistribution = (n1, n2) => {
+    // row[k] holds the polynomial coefficients of [N, k]_q for the current N
+    let row = [[1]];
+    for (let N = 1; N <= n1 + n2; N++) {
+        const next = [];
+        for (let k = 0; k <= Math.min(N, n1); k++) {
+            const degree = k * (N - k);
+            const poly = new Array(degree + 1).fill(0);
+            const withLast = k > 0 ? row[k - 1] : null;
+            const withoutLast = k <= N - 1 ? row[k] : null;
+            if (withLast) withLast.forEach((c, u) => { poly[u] += c; });
+            if (withoutLast) withoutLast.forEach((c, u) => { poly[u + k] += c; });
+            next.push(poly);
+        }
+        row = next;
+    }
+    const counts = row[n1];
+    const total = summation(counts);
+    return counts.map(c => c / total);
+};
+
+/**
+ * Computes the exact null distribution of the Wilcoxon signed-rank statistic W+ (no ties or zeros).
+ * @param {number} n - The number of non-zero differences.
+ * @returns {Array<number>} The probability of each value of W+ from 0 to n(n+1)/2.
+ */
+const wilcoxonExactDistribution = (n) => {
+    const maxW = (n * (n + 1)) / 2;
+    const counts = new Array(maxW + 1).fill(0);
+    counts[0] = 1;
+    for (let rank = 1; rank <= n; rank++) {
+        for (let w = maxW; w >= rank; w--) counts[w] += counts[w - rank];
+    }
+    const total = Math.pow(2, n);
+    return counts.map(c => c / total);
+};
+
+/**
+ * Calculates a two-sided p-value from an exact discrete null distribution.
+ * @param {Array<number>} distribution - The probability of each integer statistic value.
+ * @param {number} statistic - The observed statistic.
+ * @returns {number} The two-sided p-value.
+ */
+const exactTwoSidedPValue = (distribution, statistic) => {
+    const lower = summation(distribution.slice(0, Math.floor(statistic) + 1));
+    const upper = summation(distribution.slice(Math.ceil(statistic)));
+    return Math.min(1, 2 * Math.min(lower, upper));
+};
+
+/**
+ * Calculates a two-sided normal-approximation p-value with continuity correction.
+ * @param {number} statistic - The observed statistic.
+ * @param {number} mean - The mean of the statistic under the null hypothesis.
+ * @param {number} variance - The variance of the statistic under the null hypothesis.
+ * @returns {{z: number, pValue: number}} The z-score and two-sided p-value.
+ */
+const normalApproximation = (statistic, mean, variance) => {
+    if (variance <= 0) return { z: 0, pValue: 1 };
+    const deviation = Math.max(0, Math.abs(statistic - mean) - 0.5);
+    const z = Math.sign(statistic - mean) * deviation / Math.sqrt(variance);
+    return { z, pValue: Math.min(1, 2 * normalCdf(-Math.abs(z))) };
+};
+
+/**
+ * Calculates the Mann–Whitney U test (Wilcoxon rank-sum) for two independent samples.
+ * The exact p-value is used for samples of up to 50 values each without ties; otherwise a
+ * tie-corrected normal approximation with continuity correction is used.
+ * @param {Array<number>} sample1 - The first sample.
+ * @param {Array<number>} sample2 - The second sample.
+ * @returns {Object} An object containing U, the p-value and the rank-biserial correlation.
+ */
+export const calculateMannWhitneyU = (sample1, sample2) => {
+    const n1 = sample1.length;
+    const n2 = sample2.length;
+    const N = n1 + n2;
+    const { ranks, tieSizes } = rankWithTies([...sample1, ...sample2]);
+    const rankSum1 = summation(ranks.slice(0, n1));
+    const U1 = rankSum1 - (n1 * (n1 + 1)) / 2;
+    const U2 = n1 * n2 - U1;
+
+    let pValue, z = null, method;
+    if (tieSizes.length === 0 && n1 <= 50 && n2 <= 50) {
+        pValue = exactTwoSidedPValue(mannWhitneyExactDistribution(n1, n2), U1);
+        method = "exact";
+    } else {
+        const variance = (n1 * n2 / 12) * ((N + 1) - tieCorrectionTerm(tieSizes) / (N * (N - 1)));
+        ({ z, pValue } = normalApproximation(U1, (n1 * n2) / 2, variance));
+        method = "normal approximation";
+    }
+
+    return {
+        U: Math.min(U1, U2),
+        U1,
+        rankSum1,
+        z,
+        pValue,
+        method,
+        rankBiserial: (2 * U1) / (n1 * n2) - 1,
+        ties: tieSizes.length > 0
+    };
+};
+
+/**
+ * Calculates the Wilcoxon signed-rank test for paired samples.
+ * Zero differences are dropped. The exact p-value is used for up to 50 non-zero differences
+ * without ties; otherwise a tie-corrected normal approximation with continuity correction is used.
+ * @param {Array<number>} sample1 - The first sample (e.g. "before").
+ * @param {Array<number>} sample2 - The second sample (e.g. "after"), the same length as `sample1`.
+ * @returns {Object} An object containing W+, the p-value and the matched-pairs rank-biserial
+ *   correlation, or an `error` message.
+ */
+export const calculateWilcoxonSignedRank = (sample1, sample2) => {
+    if (sample1.length !== sample2.length) {
+        return { error: "The Wilcoxon signed-rank test requires both datasets to have the same number of values." };
+    }
+    const differences = sample1.map((value, i) => parseFloat(value) - parseFloat(sample2[i]))
+        .filter(d => d !== 0);
+    const n = differences.length;
+    const zeros = sample1.length - n;
+    if (n === 0) {
+        return { error: "The Wilcoxon signed-rank test requires at least one non-zero difference." };
+    }
+
+    const { ranks, tieSizes } = rankWithTies(differences.map(d => Math.abs(d)));
+    const wPlus = summation(ranks.filter((_, i) => differences[i] > 0));
+    const wMinus = (n * (n + 1)) / 2 - wPlus;
+
+    let pValue, z = null, method;
+    if (tieSizes.length === 0 && zeros === 0 && n <= 50) {
+        pValue = exactTwoSidedPValue(wilcoxonExactDistribution(n), wPlus);
+        method = "exact";
+    } else {
+        const variance = (n * (n + 1) * (2 * n + 1)) / 24 - tieCorrectionTerm(tieSizes) / 48;
+        ({ z, pValue } = normalApproximation(wPlus, (n * (n + 1)) / 4, variance));
+        method = "normal approximation";
+    }
+
+    return {
+        wPlus,
+        wMinus,
+        n,
+        zeros,
+        z,
+        pValue,
+        method,
+        rankBiserial: (wPlus - wMinus) / (wPlus + wMinus),
+        ties: tieSizes.length > 0
+    };
+};
+
+/**
+ * Calculates the Kruskal–Wallis H test with tie correction, followed by Dunn's pairwise
+ * comparisons (Bonferroni-adjusted).
+ * @param {Array<Array<number>>} dataArrays - An array of arrays, where each inner array is a group's data.
+ * @param {number} alpha - The family-wise significance level used to flag Dunn comparisons.
+ * @returns {Object} An object containing H, df, the chi-square p-value, epsilon² and Dunn's
+ *   comparisons, or an `error` message.
+ */
+export const calculateKruskalWallis = (dataArrays, alpha = 0.05) => {
+    if (dataArrays.length < 2) {
+        return { error: "The Kruskal–Wallis test requires at least 2 datasets." };
+    }
+    const k = dataArrays.length;
+    const sizes = dataArrays.map(group => group.length);
+    const N = summation(sizes);
+    const { ranks, tieSizes } = rankWithTies(dataArrays.flat());
+
+    // Split the pooled ranks back into their groups
+    let offset = 0;
+    const meanRanks = sizes.map(size => {
+        const groupRanks = ranks.slice(offset, offset + size);
+        offset += size;
+        return calculateMean(groupRanks);
+    });
+
+    const tieCorrection = 1 - tieCorrectionTerm(tieSizes) / (Math.pow(N, 3) - N);
+    const hUncorrected = (12 / (N * (N + 1))) * summation(meanRanks.map((r, i) => sizes[i] * r * r)) - 3 * (N + 1);
+    const H = tieCorrection === 0 ? 0 : hUncorrected / tieCorrection;
+    const df = k - 1;
+    const pValue = chiSquareSurvival(Math.max(0, H), df);
+
+    // Dunn's test with the tie-adjusted variance of the mean rank difference
+    const noOfComparisons = (k * (k - 1)) / 2;
+    const rankVariance = (N * (N + 1)) / 12 - tieCorrectionTerm(tieSizes) / (12 * (N - 1));
+    const dunn = [];
+    for (let i = 0; i < k; i++) {
+        for (let j = i + 1; j < k; j++) {
+            const diff = meanRanks[i] - meanRanks[j];
+            const se = Math.sqrt(rankVariance * (1 / sizes[i] + 1 / sizes[j]));
+            const z = se === 0 ? 0 : diff / se;
+            const p = 2 * normalCdf(-Math.abs(z));
+            const adjustedP = Math.min(1, p * noOfComparisons);
+            dunn.push({
+                groups: [i, j],
+                meanRankDiff: diff,
+                z,
+                pValue: p,
+                adjustedPValue: adjustedP,
+                significant: adjustedP < alpha
+            });
+        }
+    }
+
+    return {
+        H,
+        df,
+        pValue,
+        method: "chi-square approximation",
+        epsilonSquared: H / (N - 1),
+        meanRanks,
+        ties: tieSizes.length > 0,
+        dunn
+    };
+};
@@ -0,0 +1,156 @@
+import { studentTCdf, studentTInv } from "./distributions.js";
+import { calculateMean, calculateSD, calculateQuantile } from "./descriptive.js";
+
+/**
+ * The default threshold of each detection method: the IQR fence multiplier k, the |z| and
+ * modified |M| cut-offs (Iglewicz & Hoaglin recommend 3.5), and the significance level of Grubbs' test.
+ */
+export const OUTLIER_DEFAULT_THRESHOLDS = {
+    "iqr": 1.5,
+    "z-score": 3,
+    "modified-z": 3.5,
+    "grubbs": 0.05
+};
+
+/**
+ * Runs the two-sided Grubbs test for a single outlier: the value furthest from the mean, in
+ * sample standard deviations, is compared with the critical value at the given significance level.
+ * @param {Array<number>} data - The sample, assumed otherwise normal.
+ * @param {number} alpha - The significance level.
+ * @returns {Object} The statistic G, its critical value and p-value, the index of the suspect
+ *   value and whether it is an outlier, or an `error` message.
+ */
+export const calculateGrubbsTest = (data, alpha = 0.05) => {
+    const values = data.map(v => parseFloat(v));
+    const n = values.length;
+    if (n < 3) {
+        return { error: "Grubbs' test requires at least 3 values." };
+    }
+    const mean = calculateMean(values);
+    const sd = calculateSD(values, "sample");
+    if (!(sd > 0)) {
+        return { error: "Grubbs' test is undefined when all values are identical." };
+    }
+
+    let index = 0;
+    values.forEach((x, i) => {
+        if (Math.abs(x - mean) > Math.abs(values[index] - mean)) index = i;
+    });
+    const G = Math.abs(values[index] - mean) / sd;
+
+    const tCritical = studentTInv(1 - alpha / (2 * n), n - 2);
+    const critical = ((n - 1) / Math.sqrt(n)) * Math.sqrt((tCritical * tCritical) / (n - 2 + tCritical * tCritical));
+
+    // G is bounded by (n - 1)/√n, where the equivalent t statistic becomes infinite
+    const denominator = (n - 1) * (n - 1) - n * G * G;
+    const t = denominator > 0 ? Math.sqrt((n * (n - 2) * G * G) / denominator) : Infinity;
+    const pValue = Math.min(1, 2 * n * studentTCdf(-t, n - 2));
+
+    return { G, critical, pValue, index, value: values[index], outlier: G > critical };
+};
+
+/**
+ * Flags outliers in a dataset.
+ *  - "iqr": values outside Tukey's fences Q1 - k·IQR and Q3 + k·IQR
+ *  - "z-score": values more than the threshold sample standard deviations from the mean
+ *  - "modified-z": values whose modified z-score 0.6745·(x - median)/MAD exceeds the threshold
+ *  - "grubbs": Grubbs' test repeated until the most extreme remaining value is not significant
+ * @param {Array<number>} data - The dataset.
+ * @param {"iqr"|"z-score"|"modified-z"|"grubbs"} method - The detection method.
+ * @param {number} threshold - The method's threshold (see OUTLIER_DEFAULT_THRESHOLDS).
+ * @returns {Object} The indices of the flagged values (ascending), the bounds outside which values
+ *   are flagged (null for Grubbs' test, which reports its `steps` instead), or an `error` message.
+ */
+export const detectOutliers = (data, method, threshold = OUTLIER_DEFAULT_THRESHOLDS[method]) => {
+    const values = data.map(v => parseFloat(v));
+    const flagOutside = (lowerBound, upperBound) => ({
+        method,
+        threshold,
+        lowerBound,
+        upperBound,
+        flagged: values.map((x, i) => (x < lowerBound || x > upperBound) ? i : -1).filter(i => i >= 0)
+    });
+
+    switch (method) {
+        case "iqr": {
+            if (values.length < 4) return { error: "IQR fences require at least 4 values." };
+            const sorted = [...values].sort((a, b) => a - b);
+            const q1 = calculateQuantile(sorted, 0.25);
+            const q3 = calculateQuantile(sorted, 0.75);
+            return flagOutside(q1 - threshold * (q3 - q1), q3 + threshold * (q3 - q1));
+        }
+
+        case "z-score": {
+            if (values.length < 3) return { error: "Z-scores require at least 3 values." };
+            const mean = calculateMean(values);
+            const sd = calculateSD(values, "sample");
+            return flagOutside(mean - threshold * sd, mean + threshold * sd);
+        }
+
+        case "modified-z": {
+            if (values.length < 3) return { error: "Modified z-scores require at least 3 values." };
+            const sorted = [...values].sort((a, b) => a - b);
+            const median = calculateQuantile(sorted, 0.5);
+            let spread = calculateQuantile(values.map(x => Math.abs(x - median)).sort((a, b) => a - b), 0.5) / 0.6745;
+            // With more than half the values tied the MAD is 0; fall back to the mean absolute deviation
+            if (spread === 0) spread = 1.253314 * calculateMean(values.map(x => Math.abs(x - median)));
+            return flagOutside(median - threshold * spread, median + threshold * spread);
+        }
+
+        case "grubbs": {
+            const remaining = values.map((value, index) => ({ value, index }));
+            const steps = [];
+            while (remaining.length >= 3) {
+                const test = calculateGrubbsTest(remaining.map(r => r.value), threshold);
+                if (test.error) {
+                    if (steps.length === 0) return test;
+                    break;
+                }
+                steps.push({ value: test.value, G: test.G, critical: test.critical, pValue: test.pValue, outlier: test.outlier });
+                if (!test.outlier) break;
+                remaining.splice(test.index, 1);
+            }
+            const kept = new Set(remaining.map(r => r.index));
+            return {
+                method,
+                threshold,
+                lowerBound: null,
+                upperBound: null,
+                steps,
+                flagged: values.map((x, i) => kept.has(i) ? -1 : i).filter(i => i >= 0)
+            };
+        }
+
+        default:
+            return { error: `Unknown outlier detection method: ${method}` };
+    }
+};
+
+/**
+ * Applies the chosen handling to flagged outliers. Winsorizing replaces each flagged value with
+ * the nearest value that was not flagged on the same side of the data.
+ * @param {Array<number>} data - The dataset.
+ * @param {Array<number>} flagged - The indices of the flagged values.
+ * @param {"keep"|"exclude"|"winsorize"} handling - What to do with the flagged values.
+ * @returns {{values: Array<number>, changes: Array<{value: number, replacement: number|null}>}}
+ *   The handled dataset and, for each flagged value, its replacement (null when it was excluded).
+ */
+export const handleOutliers = (data, flagged, handling) => {
+    const values = data.map(v => parseFloat(v));
+    const isFlagged = new Set(flagged);
+    const retained = values.filter((x, i) => !isFlagged.has(i));
+    if (handling === "keep" || flagged.length === 0 || retained.length === 0) {
+        return { values, changes: flagged.map(i => ({ value: values[i], replacement: values[i] })) };
+    }
+    if (handling === "exclude") {
+        return { values: retained, changes: flagged.map(i => ({ value: values[i], replacement: null })) };
+    }
+
+    const low = Math.min(...retained);
+    const high = Math.max(...retained);
+    const winsorized = values.map((x, i) => !isFlagged.has(i) ? x : x > high ? high : x < low ? low : x);
+    return {
+        values: winsorized,
+        changes: flagged.map(i => ({ value: values[i], replacement: winsorized[i] }))
+    };
+};
@@ -0,0 +1,84 @@
+import { studentTCdf, studentTInv, studentizedRangeCdf, studentizedRangeInv } from "./distributions.js";
+import { summation, calculateMean, calculateVariance } from "./descriptive.js";
+
+/**
+ * Calculates pairwise post-hoc comparisons between every pair of groups.
+ * - "tukey": Tukey HSD (Tukey–Kramer for unequal group sizes), pooled within-group variance.
+ * - "bonferroni": pooled-variance t-tests with Bonferroni-adjusted p-values.
+ * - "games-howell": separate variances with Welch–Satterthwaite df; does not assume equal variances.
+ * @param {Array<Array<number>>} dataArrays - An array of arrays, where each inner array is a group's data.
+ * @param {"tukey"|"bonferroni"|"games-howell"} method - The multiple-comparison procedure to use.
+ * @param {number} confidenceLevel - The simultaneous confidence level of the intervals, e.g. 0.95.
+ * @param {number} alpha - The family-wise significance level used to flag comparisons.
+ * @returns {Object} An object with the method and an array of comparisons, or an `error` message.
+ */
+export const calculatePostHoc = (dataArrays, method, confidenceLevel = 0.95, alpha = 0.05) => {
+    if (dataArrays.length < 2) {
+        return { error: "Post-hoc comparisons require at least 2 datasets." };
+    }
+    if (dataArrays.some(group => group.length < 2)) {
+        return { error: "Post-hoc comparisons require at least 2 values per dataset." };
+    }
+
+    const k = dataArrays.length;
+    const means = dataArrays.map(group => calculateMean(group));
+    const sizes = dataArrays.map(group => group.length);
+    const variances = dataArrays.map(group => calculateVariance(group));
+
+    // Pooled within-group mean square (MSW) from the one-way ANOVA
+    const dfWithin = summation(sizes) - k;
+    const msWithin = summation(variances.map((v, i) => v * (sizes[i] - 1))) / dfWithin;
+    const noOfComparisons = (k * (k - 1)) / 2;
+    const intervalAlpha = 1 - confidenceLevel;
+
+    const comparisons = [];
+    for (let i = 0; i < k; i++) {
+        for (let j = i + 1; j < k; j++) {
+            const meanDiff = means[i] - means[j];
+            let se, statistic, df, pValue, margin;
+
+            if (method === "tukey") {
+                se = Math.sqrt((msWithin / 2) * (1 / sizes[i] + 1 / sizes[j]));
+                df = dfWithin;
+                statistic = Math.abs(meanDiff) / se;
+                pValue = 1 - studentizedRangeCdf(statistic, k, df);
+                margin = studentizedRangeInv(confidenceLevel, k, df) * se;
+            } else if (method === "bonferroni") {
+                se = Math.sqrt(msWithin * (1 / sizes[i] + 1 / sizes[j]));
+                df = dfWithin;
+                statistic = meanDiff / se;
+                pValue = Math.min(1, 2 * studentTCdf(-Math.abs(statistic), df) * noOfComparisons);
+                margin = studentTInv(1 - intervalAlpha / (2 * noOfComparisons), df) * se;
+            } else if (method === "games-howell") {
+                const vi = variances[i] / sizes[i];
+                const vj = variances[j] / sizes[j];
+                se = Math.sqrt(vi + vj);
+                df = Math.pow(vi + vj, 2) / (Math.pow(vi, 2) / (sizes[i] - 1) + Math.pow(vj, 2) / (sizes[j] - 1));
+                statistic = (Math.abs(meanDiff) / se) * Math.SQRT2;
+                pValue = 1 - studentizedRangeCdf(statistic, k, df);
+                margin = (studentizedRangeInv(confidenceLevel, k, df) / Math.SQRT2) * se;
+            } else {
+                return { error: `Unknown post-hoc method: ${method}` };
+            }
+
+            if (se === 0 || isNaN(se)) {
+                statistic = meanDiff === 0 ? 0 : Infinity;
+                pValue = meanDiff === 0 ? 1 : 0;
+                margin = 0;
+            }
+
+            comparisons.push({
+                groups: [i, j],
+                meanDiff,
+                statistic,
+                df,
+                pValue: Math.max(0, Math.min(1, pValue)),
+                ciLower: meanDiff - margin,
+                ciUpper: meanDiff + margin,
+                significant: pValue < alpha
+            });
+        }
+    }
+
+    return { method, alpha, confidenceLevel, comparisons };
+};
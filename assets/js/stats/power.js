@@ -0,0 +1,182 @@
+import { studentTInv, fInv, noncentralTCdf, noncentralFCdf } from "./distributions.js";
+
+/**
+ * Describes a study design for power analysis:
+ * - `{ test: "t-test", type: "two-sample"|"paired"|"one-sample", alternative: "two-sided"|"one-sided" }`,
+ *   with Cohen's d as the effect size and n per group (two-sample), pairs (paired) or observations.
+ * - `{ test: "anova-one-way", groups }`, with Cohen's f and n per group.
+ * - `{ test: "anova-two-way", levelsA, levelsB, effect: "factorA"|"factorB"|"interaction" }`, with
+ *   Cohen's f of the tested effect and n per cell.
+ * @typedef {Object} PowerDesign
+ */
+
+/**
+ * Finds the degrees of freedom of a design and its power as a function of effect size, n and alpha.
+ * @param {PowerDesign} design - The study design.
+ * @returns {{minN: number, describe: function(number): Object, power: function(number, number, number): number}|{error: string}}
+ *   `describe(n)` gives the degrees of freedom and total sample size at n.
+ */
+const buildPowerModel = (design) => {
+    if (design.test === "t-test") {
+        if (!["two-sample", "paired", "one-sample"].includes(design.type)) {
+            return { error: `Unknown t-test type: ${design.type}` };
+        }
+        const isTwoSample = design.type === "two-sample";
+        const isTwoSided = design.alternative !== "one-sided";
+        const describe = (n) => ({ df: isTwoSample ? 2 * n - 2 : n - 1, totalN: isTwoSample ? 2 * n : n });
+        return {
+            minN: 2,
+            describe,
+            power: (effectSize, n, alpha) => {
+                const { df } = describe(n);
+                const ncp = effectSize * Math.sqrt(isTwoSample ? n / 2 : n);
+                const criticalT = studentTInv(1 - (isTwoSided ? alpha / 2 : alpha), df);
+                // A two-sided test also rejects in the wrong direction, rarely for real effects
+                return 1 - noncentralTCdf(criticalT, df, ncp) + (isTwoSided ? noncentralTCdf(-criticalT, df, ncp) : 0);
+            }
+        };
+    }
+
+    let cells, df1;
+    if (design.test === "anova-one-way") {
+        if (!(Number.isInteger(design.groups) && design.groups >= 2)) {
+            return { error: "One-way ANOVA needs at least 2 groups." };
+        }
+        cells = design.groups;
+        df1 = design.groups - 1;
+    } else if (design.test === "anova-two-way") {
+        const { levelsA, levelsB } = design;
+        if (![levelsA, levelsB].every(levels => Number.isInteger(levels) && levels >= 2)) {
+            return { error: "Each factor of a two-way ANOVA needs at least 2 levels." };
+        }
+        cells = levelsA * levelsB;
+        df1 = { factorA: levelsA - 1, factorB: levelsB - 1, interaction: (levelsA - 1) * (levelsB - 1) }[design.effect];
+        if (df1 === undefined) return { error: `Unknown two-way ANOVA effect: ${design.effect}` };
+    } else {
+        return { error: `Power analysis is not available for ${design.test}.` };
+    }
+
+    const describe = (n) => ({ df1, df2: cells * (n - 1), totalN: cells * n });
+    return {
+        minN: 2,
+        describe,
+        // λ = f² × N, as in G*Power and the pwr package
+        power: (effectSize, n, alpha) => {
+            const { df2, totalN } = describe(n);
+            const criticalF = fInv(1 - alpha, df1, df2);
+            return 1 - noncentralFCdf(criticalF, df1, df2, effectSize * effectSize * totalN);
+        }
+    };
+};
+
+/**
+ * Finds where an increasing function reaches a target, doubling the upper bound until it is
+ * bracketed and then bisecting.
+ * @param {function(number): number} f - The increasing function.
+ * @param {number} target - The value to reach.
+ * @param {number} lower - A point at which f is below the target.
+ * @param {number} upper - A first guess at a point above it.
+ * @param {number} limit - The largest upper bound to try.
+ * @returns {number|null} The solution, or null when f stays below the target up to `limit`.
+ */
+const solveIncreasing = (f, target, lower, upper, limit) => {
+    while (f(upper) < target) {
+        if (upper >= limit) return null;
+        lower = upper;
+        upper = Math.min(limit, upper * 2);
+    }
+    for (let i = 0; i < 200 && upper - lower > 1e-10 * upper; i++) {
+        const middle = (lower + upper) / 2;
+        if (f(middle) < target) lower = middle;
+        else upper = middle;
+    }
+    return upper;
+};
+
+/**
+ * Calculates the power of a design, the probability of a significant result when the true effect
+ * is the given size.
+ * @param {PowerDesign} design - The study design.
+ * @param {number} effectSize - Cohen's d (t-tests) or f (ANOVA).
+ * @param {number} n - The sample size per group, pair count or per-cell size.
+ * @param {number} alpha - The significance level.
+ * @returns {number} The power, or NaN for an invalid design.
+ */
+export const calculatePower = (design, effectSize, n, alpha) => {
+    const model = buildPowerModel(design);
+    return model.error ? NaN : model.power(Math.abs(effectSize), n, alpha);
+};
+
+/**
+ * Solves a power analysis: given three of the effect size, alpha, power and sample size, finds
+ * the fourth. A solved sample size is rounded up to whole subjects, and the power reported is
+ * the power actually achieved with that many.
+ * @param {PowerDesign} design - The study design.
+ * @param {Object} values - The known values; leave exactly one null.
+ * @param {number|null} values.effectSize - Cohen's d (t-tests) or f (ANOVA).
+ * @param {number|null} values.alpha - The significance level.
+ * @param {number|null} values.power - The desired power.
+ * @param {number|null} values.n - The sample size per group, pair count or per-cell size.
+ * @returns {Object} The four values with `solvedFor`, the degrees of freedom and total sample
+ *   size, or an `error` message. A solved sample size also has `exactN`, the fractional size at
+ *   which the power equals the target (as R's pwr package reports it).
+ */
+export const solvePowerAnalysis = (design, { effectSize = null, alpha = null, power = null, n = null }) => {
+    const model = buildPowerModel(design);
+    if (model.error) return model;
+
+    const unknowns = Object.entries({ effectSize, alpha, power, n }).filter(([, value]) => value === null || value === undefined);
+    if (unknowns.length !== 1) {
+        return { error: "Leave exactly one of the effect size, alpha, power and sample size blank to solve for it." };
+    }
+    const solvedFor = unknowns[0][0];
+    if (effectSize !== null && !(effectSize > 0 && isFinite(effectSize))) {
+        return { error: "The effect size must be a number greater than zero." };
+    }
+    if (alpha !== null && !(alpha > 0 && alpha < 1)) {
+        return { error: "Alpha must be between 0 and 1." };
+    }
+    if (power !== null && !(power > 0 && power < 1)) {
+        return { error: "Power must be between 0 and 1." };
+    }
+    if (n !== null && !(Number.isInteger(n) && n >= model.minN)) {
+        return { error: `The sample size must be a whole number of at least ${model.minN}.` };
+    }
+
+    const result = { solvedFor, effectSize, alpha, power, n };
+    switch (solvedFor) {
+        case "power":
+            break;
+        case "n": {
+            const exactN = solveIncreasing(size => model.power(effectSize, size, alpha), power, model.minN, 16, 1e7);
+            if (exactN === null) {
+                return { error: "The desired power is out of reach with fewer than 10 million subjects per group." };
+            }
+            result.exactN = exactN;
+            result.n = Math.max(model.minN, Math.ceil(exactN - 1e-6));
+            break;
+        }
+        case "effectSize": {
+            // With no effect, tests reject at the rate alpha
+            if (power <= alpha) {
+                return { error: "The desired power must be greater than alpha." };
+            }
+            result.effectSize = solveIncreasing(size => model.power(size, n, alpha), power, 0, 1, 1e3);
+            if (result.effectSize === null) {
+                return { error: "No effect size reaches the desired power with this sample size." };
+            }
+            break;
+        }
+        case "alpha": {
+            const solved = solveIncreasing(level => model.power(effectSize, n, level), power, 0, 1e-6, 0.5);
+            if (solved === null) {
+                return { error: "The desired power needs an alpha above 0.5; increase the sample size or effect size instead." };
+            }
+            result.alpha = solved;
+            break;
+        }
+    }
+
+    result.power = model.power(result.effectSize, result.n, result.alpha);
+    return { ...result, ...model.describe(result.n) };
+};
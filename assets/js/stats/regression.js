@@ -0,0 +1,165 @@
+import { studentTCdf, studentTInv, fSurvival, chiSquareSurvival } from "./distributions.js";
+import { summation, calculateMean, calculateSD, calculateSumOfSquares } from "./descriptive.js";
+import { invertMatrix } from "./matrix.js";
+import { calculateShapiroWilk } from "./assumptions.js";
+
+/**
+ * Fits y = b0 + b1·x1 + … + bp·xp by ordinary least squares. The predictors are centred and
+ * scaled before the normal equations are solved, so their units do not affect the conditioning.
+ * @param {Array<number>} y - The outcome.
+ * @param {Array<Array<number>>} predictors - One array per predictor, each the length of `y`.
+ * @returns {Object} The coefficients (intercept first), the variance of each coefficient per unit
+ *   of error variance, the fitted values, residuals and leverages, or an `error` message.
+ */
+const fitLeastSquares = (y, predictors) => {
+    const n = y.length;
+    const means = predictors.map(x => calculateMean(x));
+    const sds = predictors.map(x => calculateSD(x, "sample"));
+    if (sds.some(sd => !(sd > 0))) {
+        return { error: "A predictor has the same value in every observation, so its effect cannot be estimated." };
+    }
+
+    const design = Array.from({ length: n }, (_, i) => [1, ...predictors.map((x, j) => (x[i] - means[j]) / sds[j])]);
+    const k = design[0].length;
+    const crossProducts = Array.from({ length: k }, (_, a) =>
+        Array.from({ length: k }, (_, b) => summation(design.map(row => row[a] * row[b])))
+    );
+    const inverse = invertMatrix(crossProducts);
+    if (!inverse) {
+        return { error: "The predictors are perfectly collinear (one is a linear combination of the others)." };
+    }
+    const scaled = inverse.map(row => summation(row.map((v, b) => v * summation(design.map((r, i) => r[b] * y[i])))));
+
+    // Back to the original units: b_j = γ_j / s_j and b0 = γ0 − Σ b_j·m_j
+    const transform = [
+        [1, ...means.map((m, j) => -m / sds[j])],
+        ...sds.map((sd, j) => Array.from({ length: k }, (_, b) => (b === j + 1 ? 1 / sd : 0)))
+    ];
+    const coefficients = transform.map(row => summation(row.map((t, b) => t * scaled[b])));
+    const quadraticForm = (v) => summation(v.map((a, r) => a * summation(v.map((b, c) => inverse[r][c] * b))));
+
+    const fitted = design.map(row => summation(row.map((z, b) => z * scaled[b])));
+    return {
+        coefficients,
+        unscaledVariances: transform.map(quadraticForm),
+        fitted,
+        residuals: y.map((v, i) => v - fitted[i]),
+        leverage: design.map(quadraticForm)
+    };
+};
+
+/**
+ * Calculates an ordinary least-squares linear regression with one or more predictors, with
+ * residual diagnostics: Shapiro–Wilk normality of the residuals, the studentised (Koenker)
+ * Breusch–Pagan test for constant variance, the Durbin–Watson statistic, Cook's distances and,
+ * with several predictors, variance inflation factors.
+ * Observations are paired by position, so every array must have the same length.
+ * @param {Array<number>} y - The outcome (dependent variable).
+ * @param {Array<Array<number>>} predictors - One array per predictor (independent variable).
+ * @param {number} confidenceLevel - The confidence level of the coefficient intervals, e.g. 0.95.
+ * @returns {Object} An object containing the coefficients (intercept first), fit statistics and
+ *   diagnostics, or an `error` message.
+ */
+export const calculateLinearRegression = (y, predictors, confidenceLevel = 0.95) => {
+    if (!Array.isArray(predictors) || predictors.length === 0) {
+        return { error: "Regression requires at least one predictor." };
+    }
+    const n = y.length;
+    if (predictors.some(x => x.length !== n)) {
+        return { error: "Regression pairs values by position, so the outcome and every predictor need the same number of values." };
+    }
+    const p = predictors.length;
+    const dfResidual = n - p - 1;
+    if (dfResidual < 1) {
+        return { error: `Regression with ${p} predictor${p > 1 ? "s" : ""} requires at least ${p + 2} observations.` };
+    }
+
+    const outcome = y.map(v => parseFloat(v));
+    const columns = predictors.map(x => x.map(v => parseFloat(v)));
+    const fit = fitLeastSquares(outcome, columns);
+    if (fit.error) return fit;
+
+    const sst = calculateSumOfSquares(outcome);
+    if (sst === 0) {
+        return { error: "The outcome has the same value in every observation, so there is nothing to explain." };
+    }
+    const sse = summation(fit.residuals.map(e => e * e));
+    const mse = sse / dfResidual;
+    const residualSE = Math.sqrt(mse);
+    const rSquared = Math.max(0, 1 - sse / sst);
+    const adjustedRSquared = 1 - (1 - rSquared) * (n - 1) / dfResidual;
+    const F = mse === 0 ? Infinity : ((sst - sse) / p) / mse;
+
+    const criticalT = studentTInv(1 - (1 - confidenceLevel) / 2, dfResidual);
+    const coefficients = fit.coefficients.map((estimate, j) => {
+        const se = Math.sqrt(mse * fit.unscaledVariances[j]);
+        const t = se === 0 ? (estimate === 0 ? 0 : Math.sign(estimate) * Infinity) : estimate / se;
+        const pValue = isFinite(t) ? 2 * studentTCdf(-Math.abs(t), dfResidual) : (t === 0 ? 1 : 0);
+        return {
+            estimate,
+            standardError: se,
+            t,
+            pValue: Math.max(0, Math.min(1, pValue)),
+            ciLower: estimate - criticalT * se,
+            ciUpper: estimate + criticalT * se
+        };
+    });
+
+    // Standardised (internally studentised) residuals and Cook's distances
+    const standardizedResiduals = fit.residuals.map((e, i) =>
+        fit.leverage[i] < 1 && residualSE > 0 ? e / (residualSE * Math.sqrt(1 - fit.leverage[i])) : null
+    );
+    const cooksDistance = standardizedResiduals.map((r, i) =>
+        r === null ? null : (r * r * fit.leverage[i]) / ((p + 1) * (1 - fit.leverage[i]))
+    );
+
+    // Koenker's Breusch–Pagan test: n·R² of the squared residuals regressed on the predictors
+    let breuschPagan = null;
+    const squared = fit.residuals.map(e => e * e);
+    const squaredSS = calculateSumOfSquares(squared);
+    if (squaredSS > 0) {
+        const auxiliary = fitLeastSquares(squared, columns);
+        if (!auxiliary.error) {
+            const statistic = n * Math.max(0, 1 - summation(auxiliary.residuals.map(e => e * e)) / squaredSS);
+            breuschPagan = { statistic, df: p, pValue: chiSquareSurvival(statistic, p) };
+        }
+    }
+
+    const durbinWatson = sse === 0 ? null
+        : summation(fit.residuals.slice(1).map((e, i) => Math.pow(e - fit.residuals[i], 2))) / sse;
+
+    // Variance inflation factors: 1 / (1 − R²) of each predictor regressed on the others
+    const vif = p < 2 ? null : columns.map((x, j) => {
+        const others = columns.filter((_, k) => k !== j);
+        const auxiliary = fitLeastSquares(x, others);
+        if (auxiliary.error) return Infinity;
+        const r2 = 1 - summation(auxiliary.residuals.map(e => e * e)) / calculateSumOfSquares(x);
+        return r2 >= 1 ? Infinity : 1 / (1 - r2);
+    });
+
+    return {
+        n,
+        predictorCount: p,
+        coefficients,
+        rSquared,
+        adjustedRSquared,
+        residualSE,
+        F,
+        dfModel: p,
+        dfResidual,
+        fPValue: isFinite(F) ? fSurvival(F, p, dfResidual) : 0,
+        ssRegression: sst - sse,
+        ssResidual: sse,
+        ssTotal: sst,
+        confidenceLevel,
+        fitted: fit.fitted,
+        residuals: fit.residuals,
+        standardizedResiduals,
+        leverage: fit.leverage,
+        cooksDistance,
+        residualNormality: calculateShapiroWilk(fit.residuals),
+        breuschPagan,
+        durbinWatson,
+        vif
+    };
+};
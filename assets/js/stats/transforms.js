@@ -0,0 +1,171 @@
+import { calculateMean, calculateSD, rankWithTies, summation } from "./descriptive.js";
+
+/**
+ * The transformations that can be applied to a dataset before analysis, and their display names.
+ */
+export const TRANSFORMS = {
+    "none": "None",
+    "log": "Natural log",
+    "sqrt": "Square root",
+    "box-cox": "Box–Cox",
+    "z-score": "Z-score",
+    "min-max": "Min–max (0 to 1)",
+    "rank": "Rank"
+};
+
+/**
+ * Applies the Box–Cox transformation (y^λ - 1)/λ, which is the natural log when λ = 0.
+ * @param {number} y - A positive value.
+ * @param {number} lambda - The power λ.
+ * @returns {number} The transformed value.
+ */
+const boxCox = (y, lambda) => Math.abs(lambda) < 1e-10 ? Math.log(y) : (Math.pow(y, lambda) - 1) / lambda;
+
+/**
+ * Estimates the Box–Cox λ by maximum likelihood, as MASS::boxcox(y ~ group) does: the groups may
+ * have different means but share one λ and one variance. The profile log-likelihood
+ * -(N/2)·log(SSE/N) + (λ - 1)·Σ log y is maximised by golden-section search over [-5, 5].
+ * @param {Array<Array<number>>} groups - The positive values of each group.
+ * @returns {Object} The estimated `lambda` and its `logLikelihood`, or an `error` message.
+ */
+export const estimateBoxCoxLambda = (groups) => {
+    const samples = groups.map(group => group.map(v => parseFloat(v)));
+    const all = samples.flat();
+    if (all.some(y => !(y > 0))) {
+        return { error: "The Box–Cox transformation requires every value to be positive." };
+    }
+    if (all.length - samples.length < 2 || samples.every(group => new Set(group).size < 2)) {
+        return { error: "Estimating the Box–Cox λ requires varying values." };
+    }
+
+    const N = all.length;
+    const sumLog = summation(all.map(Math.log));
+    const logLikelihood = (lambda) => {
+        const sse = summation(samples.map(group => {
+            const transformed = group.map(y => boxCox(y, lambda));
+            const mean = calculateMean(transformed);
+            return summation(transformed.map(z => (z - mean) ** 2));
+        }));
+        return -(N / 2) * Math.log(sse / N) + (lambda - 1) * sumLog;
+    };
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lower = -5;
+    let upper = 5;
+    let left = upper - ratio * (upper - lower);
+    let right = lower + ratio * (upper - lower);
+    let leftValue = logLikelihood(left);
+    let rightValue = logLikelihood(right);
+    while (upper - lower > 1e-8) {
+        if (leftValue > rightValue) {
+            upper = right;
+            right = left;
+            rightValue = leftValue;
+            left = upper - ratio * (upper - lower);
+            leftValue = logLikelihood(left);
+        } else {
+            lower = left;
+            left = right;
+            leftValue = rightValue;
+            right = lower + ratio * (upper - lower);
+            rightValue = logLikelihood(right);
+        }
+    }
+    const lambda = (lower + upper) / 2;
+    return { lambda, logLikelihood: logLikelihood(lambda) };
+};
+
+/**
+ * Transforms each dataset before analysis.
+ *  - "log" and "box-cox" require positive values, "sqrt" non-negative ones
+ *  - "box-cox" uses one λ for every dataset transformed that way, estimated when not given
+ *  - "z-score" and "min-max" standardise each dataset by its own mean and SD, or minimum and range
+ *  - "rank" ranks the values of every dataset transformed that way together (average ranks for
+ *    ties), so that comparing groups on the ranks is the rank-transform approach of Conover & Iman
+ * @param {Array<Array<number>>} dataArrays - The datasets.
+ * @param {Array<string>} methods - The transformation of each dataset (a key of TRANSFORMS).
+ * @param {Object} [options]
+ * @param {number} [options.lambda] - A fixed Box–Cox λ; estimated from the data when omitted.
+ * @returns {Array<Object>} For each dataset, its `method`, transformed `values` and the `parameters`
+ *   used (λ, mean and SD, or minimum and maximum), or an `error` message.
+ */
+export const transformDatasets = (dataArrays, methods, { lambda } = {}) => {
+    const samples = dataArrays.map(data => data.map(v => parseFloat(v)));
+    const results = samples.map((values, i) => ({ method: methods[i] || "none", values, parameters: {} }));
+    const fail = (result, error) => {
+        result.error = error;
+        delete result.values;
+        delete result.parameters;
+    };
+
+    // Box–Cox and rank work across datasets, so the datasets using them are handled together
+    const boxCoxResults = results.filter(result => result.method === "box-cox");
+    if (boxCoxResults.length > 0) {
+        let shared = { lambda };
+        if (!Number.isFinite(lambda)) {
+            const positive = boxCoxResults.filter(result => result.values.every(y => y > 0));
+            shared = estimateBoxCoxLambda(positive.map(result => result.values));
+        }
+        boxCoxResults.forEach(result => {
+            if (result.values.some(y => !(y > 0))) fail(result, "The Box–Cox transformation requires every value to be positive.");
+            else if (shared.error) fail(result, shared.error);
+            else {
+                result.values = result.values.map(y => boxCox(y, shared.lambda));
+                result.parameters = { lambda: shared.lambda, estimated: !Number.isFinite(lambda) };
+            }
+        });
+    }
+
+    const rankResults = results.filter(result => result.method === "rank");
+    if (rankResults.length > 0) {
+        const { ranks } = rankWithTies(rankResults.flatMap(result => result.values));
+        let offset = 0;
+        rankResults.forEach(result => {
+            const n = result.values.length;
+            result.values = ranks.slice(offset, offset + n);
+            result.parameters = { pooledN: ranks.length };
+            offset += n;
+        });
+    }
+
+    results.forEach(result => {
+        const { values } = result;
+        switch (result.method) {
+            case "none":
+            case "box-cox":
+            case "rank":
+                break;
+            case "log":
+                if (values.some(y => !(y > 0))) fail(result, "The natural log requires every value to be positive.");
+                else result.values = values.map(Math.log);
+                break;
+            case "sqrt":
+                if (values.some(y => !(y >= 0))) fail(result, "The square root requires every value to be zero or more.");
+                else result.values = values.map(Math.sqrt);
+                break;
+            case "z-score": {
+                const mean = calculateMean(values);
+                const sd = calculateSD(values, "sample");
+                if (!(sd > 0)) fail(result, "Z-scores require at least 2 values that are not all identical.");
+                else {
+                    result.values = values.map(y => (y - mean) / sd);
+                    result.parameters = { mean, sd };
+                }
+                break;
+            }
+            case "min-max": {
+                const min = Math.min(...values);
+                const max = Math.max(...values);
+                if (!(max > min)) fail(result, "Min–max scaling requires values that are not all identical.");
+                else {
+                    result.values = values.map(y => (y - min) / (max - min));
+                    result.parameters = { min, max };
+                }
+                break;
+            }
+            default:
+                fail(result, `Unknown transformation: ${result.method}`);
+        }
+    });
+    return results;
+};
@@ -0,0 +1,106 @@
+import { studentTCdf, studentTInv } from "./distributions.js";
+import { calculateMean, calculateVariance } from "./descriptive.js";
+
+/**
+ * Calculates a t-test and its p-value.
+ * - "student": independent samples, pooled variance, df = n1 + n2 - 2.
+ * - "welch": independent samples, unpooled variance, Welch–Satterthwaite df.
+ * - "paired": differences of two equal-length samples, df = n - 1.
+ * - "one-sample": a single sample against the hypothesised mean, df = n - 1.
+ * @param {Array<Array<number>>} samples - One sample (one-sample) or two samples (all other types).
+ * @param {"student"|"welch"|"paired"|"one-sample"} type - The t-test variant.
+ * @param {"two-sided"|"greater"|"less"} alternative - The alternative hypothesis for mean1 - mean2 (or mean - μ0).
+ * @param {number} hypothesisedMean - The hypothesised mean (one-sample) or mean difference (other types).
+ * @param {number} confidenceLevel - The confidence level of the interval for `estimate`, e.g. 0.95.
+ *   One-sided alternatives give a one-sided interval, with an infinite bound on the open side.
+ * @returns {Object} An object containing the t-test results, or an `error` message. `estimate` is the
+ *   sample mean (one-sample), the mean of the differences (paired) or mean1 - mean2 (independent).
+ *   Effect sizes are Cohen's d (d_z for paired data) and Hedges' small-sample corrected g.
+ */
+export const calculateTtest = (samples, type = "student", alternative = "two-sided", hypothesisedMean = 0, confidenceLevel = 0.95) => {
+    const expectedSamples = type === "one-sample" ? 1 : 2;
+    if (!Array.isArray(samples) || samples.length !== expectedSamples) {
+        return { error: `The ${type} t-test requires exactly ${expectedSamples} dataset${expectedSamples > 1 ? "s" : ""}.` };
+    }
+    if (samples.some(sample => sample.length < 2)) {
+        return { error: "A t-test requires at least 2 values per dataset." };
+    }
+
+    let estimate, se, df, standardizer;
+
+    if (type === "one-sample" || type === "paired") {
+        if (type === "paired" && samples[0].length !== samples[1].length) {
+            return { error: "A paired t-test requires both datasets to have the same number of values." };
+        }
+        const data = type === "paired"
+            ? samples[0].map((value, i) => parseFloat(value) - parseFloat(samples[1][i]))
+            : samples[0].map(value => parseFloat(value));
+        estimate = calculateMean(data);
+        se = Math.sqrt(calculateVariance(data) / data.length);
+        df = data.length - 1;
+        standardizer = Math.sqrt(calculateVariance(data));
+    } else {
+        const [n1, n2] = samples.map(sample => sample.length);
+        const [v1, v2] = samples.map(sample => calculateVariance(sample));
+        estimate = calculateMean(samples[0]) - calculateMean(samples[1]);
+
+        if (type === "welch") {
+            se = Math.sqrt(v1 / n1 + v2 / n2);
+            df = Math.pow(v1 / n1 + v2 / n2, 2) /
+                (Math.pow(v1 / n1, 2) / (n1 - 1) + Math.pow(v2 / n2, 2) / (n2 - 1));
+            standardizer = Math.sqrt((v1 + v2) / 2);
+        } else if (type === "student") {
+            const pooledVariance = ((n1 - 1) * v1 + (n2 - 1) * v2) / (n1 + n2 - 2);
+            se = Math.sqrt(pooledVariance * (1 / n1 + 1 / n2));
+            df = n1 + n2 - 2;
+            standardizer = Math.sqrt(pooledVariance);
+        } else {
+            return { error: `Unknown t-test type: ${type}` };
+        }
+    }
+
+    const difference = estimate - hypothesisedMean;
+    let t, pValue;
+    if (se === 0 || isNaN(se)) {
+        t = difference === 0 ? 0 : (difference > 0 ? Infinity : -Infinity);
+        pValue = difference === 0 ? 1 : (
+            alternative === "greater" ? (difference > 0 ? 0 : 1)
+            : alternative === "less" ? (difference < 0 ? 0 : 1)
+            : 0
+        );
+        // Welch's df is undefined when both variances are zero
+        if (isNaN(df)) df = samples[0].length + samples[1].length - 2;
+    } else {
+        t = difference / se;
+        // Each tail is computed directly, since 1 − CDF rounds to 0 for strong effects
+        pValue = alternative === "greater" ? studentTCdf(-t, df)
+            : alternative === "less" ? studentTCdf(t, df)
+            : Math.min(1, 2 * studentTCdf(-Math.abs(t), df));
+    }
+
+    // Confidence interval for the estimate (one-sided for one-sided alternatives)
+    const alpha = 1 - confidenceLevel;
+    const criticalT = studentTInv(1 - (alternative === "two-sided" ? alpha / 2 : alpha), df);
+    const ciLower = alternative === "less" ? -Infinity : estimate - criticalT * se;
+    const ciUpper = alternative === "greater" ? Infinity : estimate + criticalT * se;
+
+    // Effect sizes
+    const cohensD = standardizer === 0 ? (difference === 0 ? 0 : Math.sign(difference) * Infinity) : difference / standardizer;
+    const hedgesG = cohensD * (1 - 3 / (4 * df - 1));
+
+    return {
+        type,
+        alternative,
+        hypothesisedMean,
+        t,
+        df,
+        pValue: Math.max(0, Math.min(1, pValue)),
+        estimate,
+        standardError: se,
+        confidenceLevel,
+        ciLower,
+        ciUpper,
+        cohensD,
+        hedgesG
+    };
+};
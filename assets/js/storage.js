@@ -0,0 +1,108 @@
+const ANALYSES_DB_NAME = "datanalyzerpro";
+const ANALYSES_DB_VERSION = 1;
+const ANALYSES_STORE = "analyses";
+
+/**
+ * Wraps an IndexedDB request in a Promise.
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<any>} Resolves with the request's result.
+ */
+const promisifyRequest = (request) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Opens (and on first use creates) the saved analyses database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+const openAnalysesDatabase = () => {
+    if (!window.indexedDB) {
+        return Promise.reject(new Error("IndexedDB is not supported in this browser."));
+    }
+    const request = indexedDB.open(ANALYSES_DB_NAME, ANALYSES_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ANALYSES_STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("createdAt", "createdAt");
+    };
+    return promisifyRequest(request);
+};
+
+/**
+ * Runs a single operation against the analyses store and closes the database afterwards.
+ * @param {"readonly"|"readwrite"} mode - The transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Issues the request to run.
+ * @returns {Promise<any>} Resolves with the request's result once the transaction completes.
+ */
+const withAnalysesStore = async (mode, operation) => {
+    const db = await openAnalysesDatabase();
+    try {
+        const transaction = db.transaction(ANALYSES_STORE, mode);
+        // Wait for both together, so a failed request cannot leave its promise rejected unhandled
+        const [result] = await Promise.all([
+            promisifyRequest(operation(transaction.objectStore(ANALYSES_STORE))),
+            new Promise((resolve, reject) => {
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            })
+        ]);
+        return result;
+    } finally {
+        db.close();
+    }
+};
+
+/**
+ * Saves a new analysis.
+ * @param {Object} analysis - The analysis to save.
+ * @param {string} analysis.name - The display name.
+ * @param {Object} analysis.payload - The results payload rendered by results.html.
+ * @param {Object} analysis.inputs - The analyzer inputs ({selectedOptions, settings}) needed to re-run it.
+ * @returns {Promise<number>} The new analysis ID.
+ */
+export const saveAnalysis = ({ name, payload, inputs }) => {
+    const now = new Date().toISOString();
+    return withAnalysesStore("readwrite", store => store.add({ name, payload, inputs, createdAt: now, updatedAt: now }));
+};
+
+/**
+ * Loads a saved analysis.
+ * @param {number} id - The analysis ID.
+ * @returns {Promise<Object|undefined>} The saved analysis, or undefined if it does not exist.
+ */
+export const getAnalysis = (id) => {
+    return withAnalysesStore("readonly", store => store.get(id));
+};
+
+/**
+ * Lists every saved analysis, newest first.
+ * @returns {Promise<Array<Object>>} The saved analyses.
+ */
+export const listAnalyses = async () => {
+    const analyses = await withAnalysesStore("readonly", store => store.getAll());
+    return analyses.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Renames a saved analysis.
+ * @param {number} id - The analysis ID.
+ * @param {string} name - The new name.
+ * @returns {Promise<void>}
+ */
+export const renameAnalysis = async (id, name) => {
+    const analysis = await getAnalysis(id);
+    if (!analysis) throw new Error(`Analysis ${id} does not exist.`);
+    await withAnalysesStore("readwrite", store => store.put({ ...analysis, name, updatedAt: new Date().toISOString() }));
+};
+
+/**
+ * Deletes a saved analysis.
+ * @param {number} id - The analysis ID.
+ * @returns {Promise<void>}
+ */
+export const deleteAnalysis = (id) => {
+    return withAnalysesStore("readwrite", store => store.delete(id));
+};
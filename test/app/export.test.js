@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { toPdfText } from "../../assets/js/export.js";
+
+// The built-in PDF fonts encode text as Windows-1252: ASCII, Latin-1 and these extra symbols
+const WINDOWS_1252_EXTRAS = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+const isEncodable = (ch) => ch.charCodeAt(0) < 0x80 || (ch.charCodeAt(0) >= 0xA0 && ch.charCodeAt(0) <= 0xFF)
+    || WINDOWS_1252_EXTRAS.includes(ch);
+
+/**
+ * Lists the non-ASCII characters in a source file.
+ * @param {string} path - The file, relative to the repository root.
+ * @returns {Array<string>} Each character once.
+ */
+const readSymbols = (path) => {
+    const text = readFileSync(new URL(`../../${path}`, import.meta.url), "utf8");
+    return [...new Set(text)].filter(ch => ch.charCodeAt(0) > 127);
+};
+
+describe("toPdfText", () => {
+    // The results page renders its own text and the labels and test names the analyzer puts in the payload
+    ["results.html", "assets/js/results.js", "assets/js/analyzer.js"].forEach(path => {
+        it(`makes every symbol in ${path} encodable`, () => {
+            readSymbols(path).forEach(symbol => {
+                const text = toPdfText(symbol);
+                assert.ok([...text].every(isEncodable), `${symbol} became ${text}`);
+            });
+        });
+    });
+
+    it("spells out Greek letters and operators", () => {
+        assert.equal(toPdfText("Box–Cox λ = 0.5, √(y)"), "Box–Cox lambda = 0.5, sqrt(y)");
+        assert.equal(toPdfText("Spearman's ρ, Kendall's τ-b"), "Spearman's rho, Kendall's tau-b");
+        assert.equal(toPdfText("12 → 9.5"), "12 -> 9.5");
+    });
+});
@@ -0,0 +1,198 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    alignSheetTables,
+    buildLongDatasets,
+    buildSheetDatasets,
+    buildWideDatasets,
+    deleteIncompleteRows,
+    excludeFlaggedRows,
+    parseMissingCodes,
+    readEnteredValues,
+    rowsToTable
+} from "../../assets/js/import.js";
+
+describe("rowsToTable", () => {
+    it("takes a first row of text above numbers as the headers", () => {
+        const table = rowsToTable([["Before", "After"], [1, 2], [3, 4]]);
+        assert.deepEqual(table.headers, ["Before", "After"]);
+        assert.deepEqual(table.rows, [[1, 2], [3, 4]]);
+        assert.deepEqual(table.rowNumbers, [2, 3]);
+    });
+
+    it("keeps the empty top-left cell of a table with row labels", () => {
+        const table = rowsToTable([["", "Before", "After"], ["Ann", 1, 2], ["Bob", 3, 4]]);
+        assert.deepEqual(table.headers, ["", "Before", "After"]);
+        assert.equal(table.rows.length, 2);
+    });
+
+    it("keeps the first row of headerless long-format data with a text group column", () => {
+        const table = rowsToTable([["control", 1.2], ["control", 2.5], ["treated", 3.1]]);
+        assert.deepEqual(table.headers, ["Column 1", "Column 2"]);
+        assert.deepEqual(table.rows[0], ["control", 1.2]);
+        assert.deepEqual(table.rowNumbers, [1, 2, 3]);
+    });
+
+    it("finds the headers of a table without numbers from any text in its first row", () => {
+        assert.deepEqual(rowsToTable([["Sex", "Smoker"], ["F", "yes"]]).headers, ["Sex", "Smoker"]);
+        assert.deepEqual(rowsToTable([["Group", "Score"], ["a", 4], ["b", 5]]).headers, ["Group", "Score"]);
+    });
+
+    it("follows an explicit choice over the detection", () => {
+        assert.deepEqual(rowsToTable([["x", "y"], ["z", "w"]], false).headers, ["Column 1", "Column 2"]);
+        assert.deepEqual(rowsToTable([[1, 2], [3, 4]], true).headers, [1, 2]);
+    });
+});
+
+describe("buildWideDatasets", () => {
+    const table = {
+        headers: ["Before", "After"],
+        rows: [[1, 4], ["", 5], [3, "NA"], [4, 7], [5, 8]]
+    };
+
+    it("keeps a column's missing cells in their rows when deleting per analysis", () => {
+        const { datasets, problems } = buildWideDatasets(table, 3, { codes: ["NA"] });
+        assert.deepEqual(datasets[0].values, [1, 3, 4, 5]);
+        assert.deepEqual(datasets[0].cells, ["1", "", "3", "4", "5"]);
+        assert.deepEqual(datasets[1].cells, ["4", "5", "NA", "7", "8"]);
+        assert.deepEqual(problems, [
+            { column: "Before", row: 3, cell: "", reason: "blank" },
+            { column: "After", row: 4, cell: "NA", reason: "missing-value code" }
+        ]);
+    });
+
+    it("keeps the columns matched row by row with listwise deletion", () => {
+        const { datasets, problems } = buildWideDatasets(table, 3, { codes: ["NA"], listwise: true });
+        assert.deepEqual(datasets.map(ds => ds.values), [[1, 4, 5], [4, 7, 8]]);
+        assert.deepEqual(datasets.map(ds => ds.missing), [2, 2]);
+        assert.equal(datasets[0].cells, undefined);
+        assert.equal(problems.filter(problem => problem.reason === "listwise deletion").length, 2);
+    });
+
+    it("splits each column by a group column, always deleting incomplete rows", () => {
+        const grouped = { headers: ["Group", "Week 1", "Week 2"], rows: [["a", 1, 2], ["a", 3, 4], ["a", 5, ""], ["a", 6, 7], ["b", 8, 9], ["b", 10, 11], ["b", 12, 13], ["", 14, 15]] };
+        const { datasets, problems } = buildWideDatasets(grouped, 3, { groupColumn: 0 });
+        assert.deepEqual(datasets.map(ds => ds.label), ["a × Week 1", "a × Week 2", "b × Week 1", "b × Week 2"]);
+        assert.deepEqual(datasets[0].values, [1, 3, 6]);
+        assert.deepEqual(datasets[0].factors, [{ name: "Group", level: "a" }, { name: "Condition", level: "Week 1" }]);
+        assert.ok(problems.some(problem => problem.column === "Group" && problem.reason === "blank group"));
+    });
+});
+
+describe("buildLongDatasets", () => {
+    const table = {
+        headers: ["Drug", "Sex", "Score"],
+        rows: [
+            ["A", "F", 1], ["A", "F", 2], ["A", "F", 3], ["A", "M", 4], ["A", "M", 5], ["A", "M", "NA"], ["A", "M", 6],
+            ["B", "F", 7], ["B", "F", 8], ["B", "F", 9], ["", "M", 10], ["B", "M", 11]
+        ]
+    };
+
+    it("groups the values by the group column in order of first appearance", () => {
+        const { datasets, dropped, skippedRows, problems } = buildLongDatasets(table, 2, 0, -1, 3, { codes: ["NA"] });
+        assert.deepEqual(datasets.map(ds => ds.label), ["A", "B"]);
+        assert.deepEqual(datasets[0].values, [1, 2, 3, 4, 5, 6]);
+        assert.deepEqual(datasets.map(ds => ds.missing), [1, 0]);
+        assert.deepEqual(dropped, []);
+        assert.equal(skippedRows, 2);
+        assert.deepEqual(problems, [
+            { column: "Score", row: 7, cell: "NA", reason: "missing-value code" },
+            { column: "Drug", row: 12, cell: "", reason: "blank group" }
+        ]);
+    });
+
+    it("makes one dataset per combination of two factors, recording the levels", () => {
+        const { datasets, dropped } = buildLongDatasets(table, 2, 0, 1, 3, { codes: ["NA"] });
+        assert.deepEqual(datasets.map(ds => ds.label), ["A × F", "A × M", "B × F"]);
+        assert.deepEqual(datasets[1].factors, [{ name: "Drug", level: "A" }, { name: "Sex", level: "M" }]);
+        assert.deepEqual(dropped, ["B × M"]);
+    });
+});
+
+describe("alignSheetTables and buildSheetDatasets", () => {
+    const sheets = [
+        { name: "Site 1", table: { headers: ["Before", "After"], rows: [[1, 2], [3, 4], [5, "x"]], rowNumbers: [2, 3, 4] } },
+        { name: "Site 2", table: { headers: ["After", "Before"], rows: [[6, 7], [8, 9], [10, 11]], rowNumbers: [5, 6, 7] } }
+    ];
+
+    it("matches the sheets' columns by header name", () => {
+        const [, second] = alignSheetTables(sheets);
+        assert.deepEqual(second.table.headers, ["Before", "After"]);
+        assert.deepEqual(second.table.rows[0], [7, 6]);
+        assert.deepEqual(second.table.rowNumbers, [5, 6, 7]);
+    });
+
+    it("builds every sheet with the same mapping, prefixing labels with the sheet name", () => {
+        const result = buildSheetDatasets(alignSheetTables(sheets), table => buildWideDatasets(table, 2));
+        assert.deepEqual(result.datasets.map(ds => ds.label), ["Site 1: Before", "Site 1: After", "Site 2: Before", "Site 2: After"]);
+        assert.deepEqual(result.datasets[3].values, [6, 8, 10]);
+        assert.deepEqual(result.problems, [{ column: "Site 1: After", row: 4, cell: "x", reason: "not a number" }]);
+    });
+
+    it("leaves a single sheet's labels as they are", () => {
+        const result = buildSheetDatasets([sheets[0]], table => buildWideDatasets(table, 2));
+        assert.deepEqual(result.datasets.map(ds => ds.label), ["Before", "After"]);
+    });
+});
+
+describe("parseMissingCodes", () => {
+    it("splits the codes, dropping blanks", () => {
+        assert.deepEqual(parseMissingCodes(" NA, ,-, 999 ,"), ["NA", "-", "999"]);
+    });
+});
+
+describe("readEnteredValues", () => {
+    it("reads entered values like imported cells, keeping each entry's position", () => {
+        const entries = readEnteredValues("4, , 999, NA, 12abc, 5.5,", ["NA", "999"]);
+        assert.deepEqual(entries.map(entry => entry.value ?? entry.reason), [4, "blank", "missing-value code", "missing-value code", "not a number", 5.5]);
+        assert.equal(entries[4].cell, "12abc");
+    });
+
+    it("matches codes without regard to case, and numeric codes by value", () => {
+        const entries = readEnteredValues("na, 999.0, 12abc, 1e3", ["NA", "999"]);
+        assert.deepEqual(entries.map(entry => entry.value ?? entry.reason), ["missing-value code", "missing-value code", "not a number", 1000]);
+    });
+
+    it("reads blank text as no entries", () => {
+        assert.deepEqual(readEnteredValues("  ", []), []);
+    });
+});
+
+describe("deleteIncompleteRows", () => {
+    const valuesOf = (entries) => entries.filter(entry => entry.reason === undefined).map(entry => entry.value);
+
+    it("leaves a row missing from any dataset out of every dataset", () => {
+        const [before, after] = deleteIncompleteRows([readEnteredValues("1, , 3, 4", []), readEnteredValues("5, 6, NA, 8", ["NA"])], ["", ""]);
+        assert.deepEqual(valuesOf(before), [1, 4]);
+        assert.deepEqual(valuesOf(after), [5, 8]);
+        assert.equal(after[1].reason, "listwise deletion");
+    });
+
+    it("only matches rows between datasets with the same key", () => {
+        const entrySets = ["1, , 3", "4, 5, 6", "7, 8, 9"].map(text => readEnteredValues(text, []));
+        const [, week2, other] = deleteIncompleteRows(entrySets, ["a", "a", "b"]);
+        assert.deepEqual(valuesOf(week2), [4, 6]);
+        assert.deepEqual(valuesOf(other), [7, 8, 9]);
+    });
+});
+
+describe("excludeFlaggedRows", () => {
+    const valuesOf = (entries) => entries.filter(entry => entry.reason === undefined).map(entry => entry.value);
+
+    it("leaves a value flagged in only one of two paired datasets out of both", () => {
+        const entrySets = ["1, 2, 3, 4, 50", "5, 6, 7, 8, 9"].map(text => readEnteredValues(text, []));
+        const [before, after] = excludeFlaggedRows(entrySets, [[4], []], ["", ""]);
+        assert.deepEqual(valuesOf(before), [1, 2, 3, 4]);
+        assert.deepEqual(valuesOf(after), [5, 6, 7, 8]);
+        assert.equal(before[4].reason, "outlier");
+        assert.equal(after[4].reason, "listwise deletion");
+    });
+
+    it("counts the flagged positions among the values still analysed", () => {
+        const entrySets = deleteIncompleteRows(["1, , 3, 40", "5, 6, 7, 8"].map(text => readEnteredValues(text, [])), ["", ""]);
+        const [before, after] = excludeFlaggedRows(entrySets, [[2], []], ["", ""]);
+        assert.deepEqual(valuesOf(before), [1, 3]);
+        assert.deepEqual(valuesOf(after), [5, 7]);
+    });
+});
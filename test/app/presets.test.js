@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { ANALYSIS_PRESETS, findDataProblems, recommendPreset } from "../../assets/js/presets.js";
+
+const dataset = (label, values, factors) => ({ label, values, factors });
+
+describe("recommendPreset", () => {
+    it("recommends a preset that exists for each supported design", () => {
+        const cases = [
+            [{ dataType: "measurement", groups: "one" }, "one-sample"],
+            [{ dataType: "measurement", groups: "two", design: "independent" }, "two-group"],
+            [{ dataType: "ordinal", groups: "two", design: "paired" }, "paired-ranks"],
+            [{ dataType: "measurement", groups: "three", design: "paired", betweenGroups: "no" }, "repeated-measures"],
+            [{ dataType: "measurement", groups: "two", design: "paired", betweenGroups: "yes" }, "mixed"],
+            [{ dataType: "measurement", groups: "three", design: "independent", factors: "two" }, "two-way"],
+            [{ dataType: "ordinal", groups: "three", design: "independent", factors: "one" }, "three-plus-ranks"],
+            [{ dataType: "categorical", groups: "one" }, "goodness-of-fit"],
+            [{ dataType: "categorical", groups: "two", design: "independent" }, "contingency"]
+        ];
+        cases.forEach(([answers, preset]) => {
+            const result = recommendPreset(answers);
+            assert.equal(result.preset, preset, JSON.stringify(answers));
+            assert.ok(ANALYSIS_PRESETS[preset], preset);
+        });
+    });
+
+    it("explains when no analysis offered fits", () => {
+        assert.ok(recommendPreset({ dataType: "ordinal", groups: "three", design: "paired" }).error);
+        assert.ok(recommendPreset({ dataType: "categorical", groups: "two", design: "paired" }).error);
+    });
+});
+
+describe("findDataProblems", () => {
+    const normal = [8, 9, 7, 8, 9, 10, 8.5, 7.7];
+
+    it("finds nothing when no datasets are entered", () => {
+        assert.deepEqual(findDataProblems(["t-test"], [], "paired"), []);
+    });
+
+    it("warns about the number of datasets and unpaired sizes", () => {
+        const [count] = findDataProblems(["mann-whitney"], [dataset("A", normal)], "welch");
+        assert.match(count, /exactly two datasets, but there is 1/);
+        const [paired] = findDataProblems(["t-test"], [dataset("A", normal), dataset("B", normal.slice(1))], "paired");
+        assert.match(paired, /same number of values in both datasets \(8 and 7\)/);
+    });
+
+    it("checks the combinations of a two-way design from labels or imported factors", () => {
+        const labelled = ["a-x", "a-y", "b-x"].map(label => dataset(label, normal));
+        assert.match(findDataProblems(["anova-two-way"], labelled, "welch")[0], /2 × 2 = 4, found 3/);
+        const unlabelled = [dataset("First", normal), dataset("Second", normal, [{ name: "A", level: "a" }, { name: "B", level: "x" }])];
+        assert.match(findDataProblems(["anova-two-way"], unlabelled, "welch")[0], /LevelA-LevelB/);
+    });
+
+    it("matches the repeated measures of each mixed-design group by the chosen within factor", () => {
+        const datasets = [dataset("Week1-A", normal), dataset("Week2-A", normal), dataset("Week1-B", normal.slice(2)), dataset("Week2-B", normal.slice(2))];
+        assert.deepEqual(findDataProblems(["anova-mixed"], datasets, "welch", 0), []);
+        assert.match(findDataProblems(["anova-mixed"], datasets, "welch", 1)[0], /conditions of Week1, Week2 have different numbers/);
+    });
+
+    it("flags non-normal datasets against the chosen significance level", () => {
+        const skewed = [3, 4, 5, 4, 6.5, -2, 4.4, 5]; // Shapiro–Wilk p ≈ 0.026
+        const datasets = [dataset("Skewed", skewed), dataset("Normal", normal)];
+        assert.match(findDataProblems(["t-test"], datasets, "welch")[0], /Skewed does not look normally distributed \(Shapiro–Wilk p = 0\.026\)/);
+        assert.deepEqual(findDataProblems(["t-test"], datasets, "welch", 1, 0.01), []);
+        assert.deepEqual(findDataProblems(["mann-whitney"], datasets, "welch"), []);
+    });
+
+    it("warns that excluding an outlier from a paired dataset leaves its row out of both", () => {
+        const datasets = [dataset("Before", [...normal, 40]), dataset("After", [...normal, 9])];
+        const exclude = { method: "iqr", threshold: 1.5, handling: "exclude" };
+        assert.ok(findDataProblems(["t-test"], datasets, "paired", 1, 0.05, exclude)
+            .includes("Before: excluding its flagged outlier also leaves that row out of the datasets matched with it."));
+        const keep = { ...exclude, handling: "keep" };
+        assert.ok(!findDataProblems(["t-test"], datasets, "paired", 1, 0.05, keep).some(warning => /excluding/.test(warning)));
+        assert.ok(!findDataProblems(["t-test"], datasets, "welch", 1, 0.05, exclude).some(warning => /excluding/.test(warning)));
+    });
+});
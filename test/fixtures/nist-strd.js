@@ -0,0 +1,76 @@
+/**
+ * Datasets and certified values from the NIST Statistical Reference Datasets (StRD),
+ * https://www.itl.nist.gov/div898/strd/
+ *
+ * The SmLs and NumAcc datasets are built from a fixed pattern (a centre value followed by
+ * alternating values 0.1 below and above it), so they are generated here rather than copied.
+ * Values are assembled as decimal strings and parsed, exactly as they would be read from the
+ * published .dat files.
+ */
+
+/**
+ * Builds a list of values: the centre, then (count - 1) / 2 pairs of centre - 0.1, centre + 0.1.
+ * @param {string} offset - The integer part shared by every value, e.g. "1000000".
+ * @param {number} tenths - The centre's first decimal digit.
+ * @param {number} count - The number of values (odd).
+ * @returns {Array<number>} The values.
+ */
+const alternatingValues = (offset, tenths, count) => {
+    const value = (digit) => Number(`${offset}.${digit}`);
+    const values = [value(tenths)];
+    for (let i = 1; i < count; i += 2) values.push(value(tenths - 1), value(tenths + 1));
+    return values;
+};
+
+// Centres of the nine SmLs treatment groups: x.4, then x.3 and x.5 alternating
+const SMLS_CENTRES = [4, 3, 5, 3, 5, 3, 5, 3, 5];
+
+/**
+ * Builds one of the SmLs one-way ANOVA datasets.
+ * @param {string} offset - The integer part of every value.
+ * @param {number} groupSize - The number of observations per group.
+ * @returns {Array<Array<number>>} The nine treatment groups.
+ */
+const smlsGroups = (offset, groupSize) => SMLS_CENTRES.map(tenths => alternatingValues(offset, tenths, groupSize));
+
+/**
+ * Certified ANOVA values shared by each size of SmLs dataset.
+ */
+const SMLS_CERTIFIED = {
+    21: { ssBetween: 1.68, msBetween: 0.21, F: 21, ssWithin: 1.8, msWithin: 0.01, dfWithin: 180, rSquared: 0.482758620689655 },
+    201: { ssBetween: 16.08, msBetween: 2.01, F: 201, ssWithin: 18, msWithin: 0.01, dfWithin: 1800, rSquared: 0.471830985915493 },
+    2001: { ssBetween: 160.08, msBetween: 20.01, F: 2001, ssWithin: 180, msWithin: 0.01, dfWithin: 18000, rSquared: 0.470712773465067 }
+};
+
+/**
+ * The nine SmLs datasets. `minimumLRE` is the number of correct significant digits the test suite
+ * requires. SmLs07–09 sit on a 1e12 offset, where a double can only hold the data itself to about
+ * 4 significant digits of its deviations, so no algorithm can do better than that.
+ */
+export const SMLS_DATASETS = [
+    ["SmLs01", "1", 21, "lower", 13],
+    ["SmLs02", "1", 201, "lower", 13],
+    ["SmLs03", "1", 2001, "lower", 13],
+    ["SmLs04", "1000000", 21, "average", 9],
+    ["SmLs05", "1000000", 201, "average", 9],
+    ["SmLs06", "1000000", 2001, "average", 9],
+    ["SmLs07", "1000000000000", 21, "higher", 3],
+    ["SmLs08", "1000000000000", 201, "higher", 3],
+    ["SmLs09", "1000000000000", 2001, "higher", 3]
+].map(([name, offset, groupSize, difficulty, minimumLRE]) => ({
+    name,
+    difficulty,
+    minimumLRE,
+    groups: smlsGroups(offset, groupSize),
+    certified: { dfBetween: 8, ...SMLS_CERTIFIED[groupSize] }
+}));
+
+/**
+ * The NumAcc univariate summary statistics datasets.
+ */
+export const NUMACC_DATASETS = [
+    { name: "NumAcc1", difficulty: "lower", minimumLRE: 15, values: [10000001, 10000003, 10000002], certified: { mean: 10000002, sd: 1 } },
+    { name: "NumAcc2", difficulty: "average", minimumLRE: 14, values: alternatingValues("1", 2, 1001), certified: { mean: 1.2, sd: 0.1 } },
+    { name: "NumAcc3", difficulty: "average", minimumLRE: 9, values: alternatingValues("1000000", 2, 1001), certified: { mean: 1000000.2, sd: 0.1 } },
+    { name: "NumAcc4", difficulty: "higher", minimumLRE: 8, values: alternatingValues("10000000", 2, 1001), certified: { mean: 10000000.2, sd: 0.1 } }
+];
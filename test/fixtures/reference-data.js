@@ -0,0 +1,82 @@
+/**
+ * Classic datasets shipped with R, used to check results against R's published output
+ * (t.test, wilcox.test, aov, kruskal.test, TukeyHSD, car::leveneTest, shapiro.test, cor.test, lm,
+ * lmtest::bptest and car::vif), plus
+ * reference examples from the NIST/SEMATECH e-Handbook of Statistical Methods and from textbooks.
+ */
+
+// Student (1908): extra hours of sleep under two soporific drugs, ten patients each
+export const SLEEP = {
+    drug1: [0.7, -1.6, -0.2, -1.2, -0.1, 3.4, 3.7, 0.8, 0.0, 2.0],
+    drug2: [1.9, 0.8, 1.1, 0.1, -0.1, 4.4, 5.5, 1.6, 4.6, 3.4]
+};
+
+// Beall (1942): insect counts after six insecticide sprays, twelve plots each
+export const INSECT_SPRAYS = {
+    A: [10, 7, 20, 14, 14, 12, 10, 23, 17, 20, 14, 13],
+    B: [11, 17, 21, 11, 16, 14, 17, 17, 19, 21, 7, 13],
+    C: [0, 1, 7, 2, 3, 1, 2, 1, 3, 0, 1, 4],
+    D: [3, 5, 12, 6, 4, 3, 5, 5, 5, 5, 2, 4],
+    E: [3, 5, 3, 5, 3, 6, 1, 1, 3, 2, 6, 4],
+    F: [11, 9, 15, 22, 15, 16, 13, 10, 26, 26, 24, 13]
+};
+
+// Crampton (1947): guinea pig tooth length by supplement (VC/OJ) and dose, ten animals per cell.
+// Labels use the analyzer's "FactorA-FactorB" two-way format.
+export const TOOTH_GROWTH = {
+    "VC-0.5": [4.2, 11.5, 7.3, 5.8, 6.4, 10, 11.2, 11.2, 5.2, 7],
+    "VC-1": [16.5, 16.5, 15.2, 17.3, 22.5, 17.3, 13.6, 14.5, 18.8, 15.5],
+    "VC-2": [23.6, 18.5, 33.9, 25.5, 26.4, 32.5, 26.7, 21.5, 23.3, 29.5],
+    "OJ-0.5": [15.2, 21.5, 17.6, 9.7, 14.5, 10, 8.2, 9.4, 16.5, 9.7],
+    "OJ-1": [19.7, 23.3, 23.6, 26.4, 20, 25.2, 25.8, 21.2, 14.5, 27.3],
+    "OJ-2": [25.5, 26.4, 22.4, 24.5, 24.8, 30.9, 26.4, 27.3, 29.4, 23]
+};
+
+// Shapiro & Wilk (1965): weights in pounds of eleven men
+export const MEN_WEIGHTS = [148, 154, 158, 160, 161, 162, 166, 170, 182, 195, 236];
+
+// Tietjen & Moore (1972): the NIST/SEMATECH e-Handbook's example for Grubbs' test (section 1.3.5.17)
+export const TIETJEN_MOORE = [199.31, 199.53, 200.19, 200.82, 201.92, 201.95, 202.18, 245.57];
+
+// Ezekiel (1930): speed (mph) and stopping distance (ft) of fifty cars, as R's cars
+export const CARS = {
+    speed: [4, 4, 7, 7, 8, 9, 10, 10, 10, 11, 11, 12, 12, 12, 12, 13, 13, 13, 13, 14, 14, 14, 14, 15, 15,
+        15, 16, 16, 17, 17, 17, 18, 18, 18, 18, 19, 19, 19, 20, 20, 20, 20, 20, 22, 23, 24, 24, 24, 24, 25],
+    dist: [2, 10, 4, 22, 16, 10, 18, 26, 34, 17, 28, 14, 20, 24, 28, 26, 34, 34, 46, 26, 36, 60, 80, 20, 26,
+        54, 32, 40, 32, 40, 50, 42, 56, 76, 84, 36, 46, 68, 32, 48, 52, 56, 64, 66, 54, 70, 92, 93, 120, 85]
+};
+
+// Brownlee (1965): 21 days of operation of a plant oxidising ammonia to nitric acid, as R's stackloss
+export const STACKLOSS = {
+    airFlow: [80, 80, 75, 62, 62, 62, 62, 62, 58, 58, 58, 58, 58, 58, 50, 50, 50, 50, 50, 56, 70],
+    waterTemp: [27, 27, 25, 24, 22, 23, 24, 24, 23, 18, 18, 17, 18, 19, 18, 18, 19, 19, 20, 20, 20],
+    acidConc: [89, 88, 90, 87, 87, 87, 93, 93, 87, 80, 89, 88, 82, 93, 89, 86, 72, 79, 80, 82, 91],
+    stackLoss: [42, 37, 37, 28, 18, 18, 19, 20, 15, 14, 14, 13, 11, 12, 8, 7, 8, 8, 9, 15, 15]
+};
+
+// Field (2009), Discovering Statistics Using SPSS, ch. 13: seconds until eight celebrities retched
+// at each of four bushtucker foods, a one-way repeated-measures design with published SPSS output
+export const BUSHTUCKER = {
+    "Stick insect": [8, 9, 6, 5, 8, 7, 10, 12],
+    "Kangaroo testicle": [7, 5, 2, 3, 4, 5, 2, 6],
+    "Fish eye": [1, 2, 3, 1, 5, 6, 7, 8],
+    "Witchetty grub": [6, 5, 8, 9, 8, 7, 2, 1]
+};
+
+// Mendel (1866): round/wrinkled and yellow/green peas from a dihybrid cross, expected 9:3:3:1
+export const MENDEL_PEAS = {
+    categories: ["Round yellow", "Wrinkled yellow", "Round green", "Wrinkled green"],
+    counts: [315, 108, 101, 32],
+    ratio: [9, 3, 3, 1]
+};
+
+// Agresti (2007), An Introduction to Categorical Data Analysis, table 2.1: party identification
+// by gender, the example of R's chisq.test
+export const PARTY_BY_GENDER = {
+    rows: ["Female", "Male"],
+    columns: ["Democrat", "Independent", "Republican"],
+    counts: [[762, 327, 468], [484, 239, 477]]
+};
+
+// Fisher (1935): the lady tasting tea, guessing which four of eight cups had the milk poured first
+export const TEA_TASTING = [[3, 1], [1, 3]];
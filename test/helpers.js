@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+
+/**
+ * Calculates the log relative error (LRE): the number of significant digits of `actual` that
+ * agree with `expected`. This is the accuracy measure NIST uses for its certified values.
+ * @param {number} actual - The computed value.
+ * @param {number} expected - The certified value.
+ * @returns {number} The LRE (Infinity for an exact match).
+ */
+export const logRelativeError = (actual, expected) => {
+    if (actual === expected) return Infinity;
+    return expected === 0
+        ? -Math.log10(Math.abs(actual))
+        : -Math.log10(Math.abs(actual - expected) / Math.abs(expected));
+};
+
+/**
+ * Asserts that `actual` agrees with `expected` to at least `digits` significant digits.
+ * @param {number} actual - The computed value.
+ * @param {number} expected - The certified value.
+ * @param {number} digits - The minimum LRE.
+ * @param {string} [label] - Included in the failure message.
+ */
+export const assertSignificantDigits = (actual, expected, digits, label = "value") => {
+    const lre = logRelativeError(actual, expected);
+    assert.ok(lre >= digits, `${label}: expected ${expected}, got ${actual} (${lre.toFixed(1)} digits, need ${digits})`);
+};
+
+/**
+ * Asserts that `actual` rounds to `expected` at the number of decimal places `expected` was
+ * published with, e.g. a reference value of 0.07939 checks `actual` to ±0.000005.
+ * @param {number} actual - The computed value.
+ * @param {number} expected - The published value.
+ * @param {string} [label] - Included in the failure message.
+ */
+export const assertMatchesPublished = (actual, expected, label = "value") => {
+    const [mantissa, exponent = "0"] = String(expected).toLowerCase().split("e");
+    const decimals = (mantissa.split(".")[1] || "").length - Number(exponent);
+    const tolerance = 0.5 * Math.pow(10, -decimals) * (1 + 1e-9);
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+};
@@ -0,0 +1,321 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    calculateOneWayAnova,
+    calculateTwoWayAnova,
+    calculateRepeatedMeasuresAnova,
+    calculateMixedAnova,
+    calculateTtest
+} from "../../assets/js/stats/index.js";
+import { SMLS_DATASETS } from "../fixtures/nist-strd.js";
+import { INSECT_SPRAYS, TOOTH_GROWTH, BUSHTUCKER } from "../fixtures/reference-data.js";
+import { assertSignificantDigits, assertMatchesPublished } from "../helpers.js";
+
+/**
+ * Converts a {label: values} object into the analyzer's dataset shape.
+ * @param {Object<string, Array<number>>} data - The labelled datasets.
+ * @returns {{dataArrays: Array<Array<number>>, datasets: Array<{label: string}>}}
+ */
+const toDatasets = (data) => ({
+    dataArrays: Object.values(data),
+    datasets: Object.keys(data).map(label => ({ label }))
+});
+
+describe("NIST StRD one-way ANOVA", () => {
+    SMLS_DATASETS.forEach(({ name, difficulty, minimumLRE, groups, certified }) => {
+        it(`${name} (${difficulty} difficulty) to ${minimumLRE} significant digits`, () => {
+            const result = calculateOneWayAnova(groups);
+            assert.equal(result.dfBetween, certified.dfBetween);
+            assert.equal(result.dfWithin, certified.dfWithin);
+            assertSignificantDigits(result.ssBetween, certified.ssBetween, minimumLRE, "between SS");
+            assertSignificantDigits(result.msBetween, certified.msBetween, minimumLRE, "between MS");
+            assertSignificantDigits(result.ssWithin, certified.ssWithin, minimumLRE, "within SS");
+            assertSignificantDigits(result.msWithin, certified.msWithin, minimumLRE, "within MS");
+            assertSignificantDigits(result.F, certified.F, minimumLRE, "F");
+            assertSignificantDigits(result.etaSquared, certified.rSquared, minimumLRE, "R²");
+        });
+    });
+});
+
+describe("calculateOneWayAnova against R's aov(count ~ spray, data = InsectSprays)", () => {
+    const result = calculateOneWayAnova(Object.values(INSECT_SPRAYS));
+
+    it("matches the ANOVA table", () => {
+        assertMatchesPublished(result.ssBetween, 2668.833, "between SS");
+        assertMatchesPublished(result.ssWithin, 1015.167, "within SS");
+        assertMatchesPublished(result.msBetween, 533.767, "between MS");
+        assertMatchesPublished(result.msWithin, 15.381, "within MS");
+        assertMatchesPublished(result.F, 34.702, "F");
+        assert.deepEqual([result.dfBetween, result.dfWithin, result.dfTotal], [5, 66, 71]);
+    });
+
+    it("adds up to the total sum of squares", () => {
+        assertSignificantDigits(result.ssTotal, 3684, 13, "total SS");
+    });
+
+    it("computes the p-value and effect sizes", () => {
+        assert.ok(result.pValue < 1e-15 && result.pValue > 0);
+        assertSignificantDigits(result.etaSquared, 2668.8333333333333 / 3684, 13, "η²");
+        assert.equal(result.partialEtaSquared, result.etaSquared);
+        assertSignificantDigits(result.omegaSquared, (2668.8333333333333 - 5 * 1015.1666666666667 / 66) / (3684 + 1015.1666666666667 / 66), 13, "ω²");
+    });
+});
+
+describe("calculateOneWayAnova with unequal group sizes", () => {
+    it("weights the grand mean by group size", () => {
+        // Group means 2 and 6 with sizes 3 and 1: grand mean 3, SSB = 3 · 1² + 1 · 3² = 12
+        const result = calculateOneWayAnova([[1, 2, 3], [6]]);
+        assert.equal(result.ssBetween, 12);
+        assert.equal(result.ssWithin, 2);
+        assert.equal(result.F, 12);
+        // F(1, 2) is t² with 2 df, so P(F > 12) = 1 - √(12 / 14)
+        assertSignificantDigits(result.pValue, 1 - Math.sqrt(12 / 14), 12, "p");
+    });
+});
+
+describe("calculateOneWayAnova edge cases", () => {
+    it("gives an infinite F when every group is constant", () => {
+        const result = calculateOneWayAnova([[1, 1], [2, 2]]);
+        assert.equal(result.F, Infinity);
+        assert.equal(result.pValue, 0);
+    });
+
+    it("gives F = 0 and p = 1 when every value is identical", () => {
+        const result = calculateOneWayAnova([[5, 5], [5, 5]]);
+        assert.equal(result.F, 0);
+        assert.equal(result.pValue, 1);
+        assert.equal(result.etaSquared, 0);
+    });
+
+    it("rejects fewer than 2 groups", () => {
+        assert.ok(calculateOneWayAnova([[1, 2, 3]]).error);
+        assert.ok(calculateOneWayAnova([]).error);
+    });
+
+    it("rejects n = 1 groups that leave no within-group degrees of freedom", () => {
+        assert.ok(calculateOneWayAnova([[1], [2]]).error);
+    });
+});
+
+describe("calculateTwoWayAnova against R's aov(len ~ supp * factor(dose), data = ToothGrowth)", () => {
+    const { dataArrays, datasets } = toDatasets(TOOTH_GROWTH);
+    const result = calculateTwoWayAnova(dataArrays, datasets);
+
+    it("identifies the factor levels", () => {
+        assert.deepEqual(result.factorALevels, ["VC", "OJ"]);
+        assert.deepEqual(result.factorBLevels, ["0.5", "1", "2"]);
+        assert.equal(result.balanced, true);
+    });
+
+    it("matches the ANOVA table", () => {
+        assertMatchesPublished(result.factorA.ss, 205.350, "supp SS");
+        assertMatchesPublished(result.factorB.ss, 2426.434, "dose SS");
+        assertMatchesPublished(result.interaction.ss, 108.319, "supp:dose SS");
+        assertMatchesPublished(result.residual.ss, 712.106, "residual SS");
+        assertMatchesPublished(result.factorA.F, 15.572, "supp F");
+        assertMatchesPublished(result.factorB.F, 92.000, "dose F");
+        assertMatchesPublished(result.interaction.F, 4.107, "supp:dose F");
+        assertMatchesPublished(result.factorA.pValue, 0.000231, "supp p");
+        assertMatchesPublished(result.interaction.pValue, 0.021860, "supp:dose p");
+        assert.deepEqual([result.factorA.df, result.factorB.df, result.interaction.df, result.residual.df, result.total.df], [1, 2, 2, 54, 59]);
+    });
+
+    it("partitions the total sum of squares in a balanced design", () => {
+        const sum = result.factorA.ss + result.factorB.ss + result.interaction.ss + result.residual.ss;
+        assertSignificantDigits(sum, result.total.ss, 12, "SS total");
+    });
+
+    it("reports numeric cell means", () => {
+        const cell = result.cells.find(c => c.a === "OJ" && c.b === "2");
+        assert.equal(cell.n, 10);
+        assertSignificantDigits(cell.mean, 26.06, 13, "OJ-2 mean");
+    });
+});
+
+describe("calculateTwoWayAnova with an unbalanced design", () => {
+    it("uses Type III sums of squares, which do not partition the total", () => {
+        const data = { ...TOOTH_GROWTH, "VC-0.5": TOOTH_GROWTH["VC-0.5"].slice(0, 7) };
+        const { dataArrays, datasets } = toDatasets(data);
+        const result = calculateTwoWayAnova(dataArrays, datasets);
+        assert.equal(result.balanced, false);
+        assert.equal(result.residual.df, 51);
+        const sum = result.factorA.ss + result.factorB.ss + result.interaction.ss + result.residual.ss;
+        assert.ok(Math.abs(sum - result.total.ss) > 1e-6);
+        [result.factorA, result.factorB, result.interaction].forEach(effect => {
+            assert.ok(effect.F > 0 && effect.pValue > 0 && effect.pValue < 1);
+        });
+    });
+});
+
+describe("calculateTwoWayAnova with explicit factor levels", () => {
+    it("uses each dataset's factors instead of its label", () => {
+        const datasets = Object.keys(TOOTH_GROWTH).map(label => {
+            const [supp, dose] = label.split("-");
+            return { label: `${supp} at ${dose} mg`, factors: [{ name: "supp", level: supp }, { name: "dose", level: dose }] };
+        });
+        const fromFactors = calculateTwoWayAnova(Object.values(TOOTH_GROWTH), datasets);
+        const fromLabels = calculateTwoWayAnova(...Object.values(toDatasets(TOOTH_GROWTH)));
+        assert.deepEqual(fromFactors.factorNames, ["supp", "dose"]);
+        assert.deepEqual(fromLabels.factorNames, ["Factor A", "Factor B"]);
+        assert.equal(fromFactors.interaction.F, fromLabels.interaction.F);
+    });
+
+    it("accepts levels that contain hyphens", () => {
+        const factors = (a, b) => [{ name: "arm", level: a }, { name: "dose", level: b }];
+        const result = calculateTwoWayAnova([[1, 2], [3, 5], [2, 4], [6, 7]], [
+            { label: "", factors: factors("non-smoker", "low-dose") },
+            { label: "", factors: factors("non-smoker", "high-dose") },
+            { label: "", factors: factors("ex-smoker", "low-dose") },
+            { label: "", factors: factors("ex-smoker", "high-dose") }
+        ]);
+        assert.deepEqual(result.factorALevels, ["non-smoker", "ex-smoker"]);
+        assert.deepEqual(result.factorBLevels, ["low-dose", "high-dose"]);
+    });
+});
+
+describe("calculateTwoWayAnova edge cases", () => {
+    const labels = ["a-x", "a-y", "b-x", "b-y"].map(label => ({ label }));
+
+    it("gives infinite F ratios when every cell is constant", () => {
+        const result = calculateTwoWayAnova([[1, 1], [2, 2], [3, 3], [4, 4]], labels);
+        assert.equal(result.residual.ss, 0);
+        assert.equal(result.factorA.F, Infinity);
+        assert.equal(result.factorA.pValue, 0);
+        // With additive effects the interaction is exactly zero
+        assert.equal(result.interaction.F, 0);
+        assert.equal(result.interaction.pValue, 1);
+    });
+
+    it("rejects a design with one observation per cell", () => {
+        assert.ok(calculateTwoWayAnova([[1], [2], [3], [4]], labels).error);
+    });
+
+    it("rejects a design with an empty cell", () => {
+        const result = calculateTwoWayAnova([[1, 2], [3, 4], [5, 6], []], labels);
+        assert.match(result.error, /b-y/);
+    });
+
+    it("rejects labels that are not in FactorA-FactorB format", () => {
+        assert.ok(calculateTwoWayAnova([[1, 2], [3, 4]], [{ label: "a" }, { label: "b" }]).error);
+    });
+});
+
+describe("calculateRepeatedMeasuresAnova against Field's bushtucker example", () => {
+    const result = calculateRepeatedMeasuresAnova(Object.values(BUSHTUCKER));
+
+    it("matches the published F test", () => {
+        assert.equal(result.conditions.df, 3);
+        assert.equal(result.residual.df, 21);
+        assertMatchesPublished(result.conditions.ss, 83.125, "condition SS");
+        assertMatchesPublished(result.residual.ss, 153.375, "error SS");
+        assertMatchesPublished(result.conditions.F, 3.794, "F");
+        assertMatchesPublished(result.conditions.pValue, 0.026, "p");
+    });
+
+    it("matches the published sphericity test and corrections", () => {
+        assertMatchesPublished(result.sphericity.mauchly.W, 0.136, "Mauchly's W");
+        assertMatchesPublished(result.sphericity.mauchly.chiSquare, 11.41, "chi-square");
+        assert.equal(result.sphericity.mauchly.df, 5);
+        assertMatchesPublished(result.conditions.greenhouseGeisser.epsilon, 0.533, "GG epsilon");
+        assertMatchesPublished(result.conditions.huynhFeldt.epsilon, 0.666, "HF epsilon");
+        assertMatchesPublished(result.conditions.greenhouseGeisser.pValue, 0.063, "GG p");
+        assertMatchesPublished(result.conditions.huynhFeldt.pValue, 0.048, "HF p");
+        assertMatchesPublished(result.sphericity.lowerBound, 0.333, "lower bound");
+    });
+
+    it("splits the total variation into conditions, subjects and error", () => {
+        const { conditions, subjects, residual, total } = result;
+        assertSignificantDigits(conditions.ss + subjects.ss + residual.ss, total.ss, 12, "total SS");
+        assert.equal(conditions.df + subjects.df + residual.df, total.df);
+    });
+});
+
+describe("calculateRepeatedMeasuresAnova", () => {
+    it("equals the squared paired t-test with two conditions", () => {
+        const before = [1, 4, 6, 8, 5];
+        const after = [2, 3, 9, 12, 8];
+        const result = calculateRepeatedMeasuresAnova([before, after]);
+        const tTest = calculateTtest([before, after], "paired");
+        assertSignificantDigits(result.conditions.F, tTest.t * tTest.t, 12, "F");
+        assertSignificantDigits(result.conditions.pValue, tTest.pValue, 10, "p");
+        // Sphericity always holds with two conditions
+        assert.equal(result.sphericity.mauchly, null);
+        assert.equal(result.conditions.greenhouseGeisser.epsilon, 1);
+    });
+
+    it("rejects datasets of different lengths", () => {
+        assert.ok(calculateRepeatedMeasuresAnova([[1, 2, 3], [4, 5, 6], [7, 8]]).error);
+    });
+
+    it("rejects a single condition or subject", () => {
+        assert.ok(calculateRepeatedMeasuresAnova([[1, 2, 3]]).error);
+        assert.ok(calculateRepeatedMeasuresAnova([[1], [2], [3]]).error);
+    });
+});
+
+describe("calculateMixedAnova", () => {
+    // Three groups of unequal size measured at three time points
+    const groups = {
+        A: [[5, 7, 6, 9, 4], [6, 9, 8, 11, 6], [8, 10, 9, 13, 7]],
+        B: [[4, 6, 3, 5], [5, 6, 5, 8], [5, 9, 6, 8]],
+        C: [[7, 6, 8], [9, 9, 10], [9, 12, 11]]
+    };
+    const toCells = (data, times = 3) => {
+        const dataArrays = [];
+        const datasets = [];
+        Object.entries(data).forEach(([group, measures]) => measures.slice(0, times).forEach((values, j) => {
+            dataArrays.push(values);
+            datasets.push({ label: `${group}-T${j + 1}` });
+        }));
+        return [dataArrays, datasets];
+    };
+    const subjectMeans = Object.values(groups).map(measures =>
+        measures[0].map((_, s) => measures.reduce((sum, m) => sum + m[s], 0) / measures.length)
+    );
+
+    it("tests the between-subjects factor on the subject means", () => {
+        const result = calculateMixedAnova(...toCells(groups));
+        const oneWay = calculateOneWayAnova(subjectMeans);
+        assertSignificantDigits(result.between.F, oneWay.F, 12, "F");
+        assert.equal(result.between.df, 2);
+        assert.equal(result.betweenError.df, 9);
+        assert.deepEqual(result.groupSizes, [5, 4, 3]);
+        assert.equal(result.balanced, false);
+    });
+
+    it("tests the interaction on the differences when there are two measures", () => {
+        const result = calculateMixedAnova(...toCells(groups, 2));
+        const differences = Object.values(groups).map(([first, second]) => first.map((v, s) => v - second[s]));
+        assertSignificantDigits(result.interaction.F, calculateOneWayAnova(differences).F, 12, "interaction F");
+        assert.equal(result.withinError.df, 9);
+    });
+
+    it("splits the total variation of a balanced design", () => {
+        const balanced = { A: groups.A.map(m => m.slice(0, 3)), B: groups.B.map(m => m.slice(0, 3)), C: groups.C };
+        const result = calculateMixedAnova(...toCells(balanced));
+        const sum = result.between.ss + result.betweenError.ss + result.within.ss + result.interaction.ss + result.withinError.ss;
+        assertSignificantDigits(sum, result.total.ss, 12, "total SS");
+        assert.equal(result.balanced, true);
+    });
+
+    it("reads the repeated factor from either position of the label", () => {
+        const [dataArrays, datasets] = toCells(groups);
+        const swapped = datasets.map(({ label }) => ({ label: label.split("-").reverse().join("-") }));
+        const result = calculateMixedAnova(dataArrays, swapped, 0);
+        assert.deepEqual(result.betweenLevels, ["A", "B", "C"]);
+        assert.deepEqual(result.withinLevels, ["T1", "T2", "T3"]);
+        assert.equal(result.within.F, calculateMixedAnova(dataArrays, datasets).within.F);
+    });
+
+    it("rejects a group whose measures have different lengths", () => {
+        const [dataArrays, datasets] = toCells(groups);
+        dataArrays[1] = dataArrays[1].slice(1);
+        assert.ok(calculateMixedAnova(dataArrays, datasets).error);
+    });
+
+    it("rejects a missing combination of levels", () => {
+        const [dataArrays, datasets] = toCells(groups);
+        assert.ok(calculateMixedAnova(dataArrays.slice(1), datasets.slice(1)).error);
+    });
+});
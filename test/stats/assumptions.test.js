@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { calculateShapiroWilk, calculateLeveneTest, calculateAssumptionChecks } from "../../assets/js/stats/index.js";
+import { INSECT_SPRAYS, MEN_WEIGHTS } from "../fixtures/reference-data.js";
+import { assertSignificantDigits, assertMatchesPublished } from "../helpers.js";
+
+describe("calculateShapiroWilk", () => {
+    it("matches R's shapiro.test() on Shapiro & Wilk's weights example", () => {
+        const result = calculateShapiroWilk(MEN_WEIGHTS);
+        assertMatchesPublished(result.W, 0.78881, "W");
+        assertMatchesPublished(result.pValue, 0.006704, "p");
+    });
+
+    it("uses the exact distribution for n = 3", () => {
+        // W = (x₃ - x₁)² / 2 / SS = 4.5 / (42 / 9); p = (6 / π)(asin √W - π / 3)
+        const result = calculateShapiroWilk([1, 2, 4]);
+        assertSignificantDigits(result.W, 4.5 / (42 / 9), 13, "W");
+        assertSignificantDigits(result.pValue, (6 / Math.PI) * (Math.asin(Math.sqrt(result.W)) - Math.PI / 3), 13, "p");
+    });
+
+    it("rejects constant data and sample sizes outside 3–5000", () => {
+        assert.ok(calculateShapiroWilk([2, 2, 2, 2]).error);
+        assert.ok(calculateShapiroWilk([1, 2]).error);
+    });
+});
+
+describe("calculateLeveneTest against car::leveneTest(count ~ spray, data = InsectSprays)", () => {
+    const groups = Object.values(INSECT_SPRAYS);
+
+    it("Brown–Forsythe (center = median)", () => {
+        const result = calculateLeveneTest(groups, "median");
+        assertMatchesPublished(result.F, 3.8214, "F");
+        assertMatchesPublished(result.pValue, 0.004223, "p");
+        assert.deepEqual([result.df1, result.df2], [5, 66]);
+    });
+
+    it("Levene (center = mean)", () => {
+        const result = calculateLeveneTest(groups, "mean");
+        assertMatchesPublished(result.F, 6.4554, "F");
+        assertMatchesPublished(result.pValue, 6.104e-05, "p");
+    });
+});
+
+describe("calculateLeveneTest edge cases", () => {
+    it("gives F = 0 when every group is constant", () => {
+        const result = calculateLeveneTest([[1, 1], [2, 2]]);
+        assert.equal(result.F, 0);
+        assert.equal(result.pValue, 1);
+    });
+
+    it("gives an infinite F when the spreads differ but do not vary within groups", () => {
+        const result = calculateLeveneTest([[1, 3], [0, 10]], "mean");
+        assert.equal(result.F, Infinity);
+        assert.equal(result.pValue, 0);
+    });
+
+    it("rejects fewer than 2 groups", () => {
+        assert.ok(calculateLeveneTest([[1, 2, 3]]).error);
+    });
+});
+
+describe("calculateAssumptionChecks", () => {
+    it("flags non-normal datasets and unequal variances", () => {
+        const checks = calculateAssumptionChecks([
+            { label: "Weights", values: MEN_WEIGHTS },
+            { label: "Spray A", values: INSECT_SPRAYS.A }
+        ]);
+        assert.equal(checks.alpha, 0.05);
+        assert.deepEqual(checks.normality.map(check => check.passed), [false, true]);
+        assert.equal(checks.homogeneity.passed, checks.homogeneity.brownForsythe.pValue >= 0.05);
+    });
+
+    it("reports per-dataset errors without failing the other checks", () => {
+        const checks = calculateAssumptionChecks([{ label: "Tiny", values: [1, 2] }]);
+        assert.equal(checks.normality[0].passed, null);
+        assert.ok(checks.normality[0].error);
+        assert.equal(checks.homogeneity, null);
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    calculateChiSquareGoodnessOfFit,
+    calculateChiSquareIndependence,
+    calculateFisherExact
+} from "../../assets/js/stats/index.js";
+import { MENDEL_PEAS, PARTY_BY_GENDER, TEA_TASTING } from "../fixtures/reference-data.js";
+import { assertMatchesPublished, assertSignificantDigits } from "../helpers.js";
+
+describe("calculateChiSquareGoodnessOfFit", () => {
+    it("matches R's chisq.test for Mendel's peas against 9:3:3:1", () => {
+        const result = calculateChiSquareGoodnessOfFit(MENDEL_PEAS.counts, MENDEL_PEAS.ratio);
+        assertMatchesPublished(result.statistic, 0.47002, "X-squared");
+        assert.equal(result.df, 3);
+        assertMatchesPublished(result.pValue, 0.9254, "p");
+        assert.deepEqual(result.expected, [312.75, 104.25, 104.25, 34.75]);
+    });
+
+    it("expects equal shares when no proportions are given", () => {
+        const result = calculateChiSquareGoodnessOfFit([10, 20, 30]);
+        assert.deepEqual(result.expected, [20, 20, 20]);
+        assertSignificantDigits(result.statistic, 10, 12, "X-squared");
+    });
+
+    it("rejects invalid counts and proportions", () => {
+        assert.ok(calculateChiSquareGoodnessOfFit([5]).error);
+        assert.ok(calculateChiSquareGoodnessOfFit([5, 2.5]).error);
+        assert.ok(calculateChiSquareGoodnessOfFit([5, -1]).error);
+        assert.ok(calculateChiSquareGoodnessOfFit([5, 6], [1, 2, 3]).error);
+        assert.ok(calculateChiSquareGoodnessOfFit([5, 6], [1, 0]).error);
+    });
+});
+
+describe("calculateChiSquareIndependence", () => {
+    it("matches R's chisq.test for party identification by gender", () => {
+        const result = calculateChiSquareIndependence(PARTY_BY_GENDER.counts);
+        assertMatchesPublished(result.statistic, 30.07, "X-squared");
+        assert.equal(result.df, 2);
+        assertMatchesPublished(result.pValue, 2.954e-7, "p");
+        assertMatchesPublished(result.adjustedResiduals[0][0], 4.5020535, "stdres Female Democrat");
+        assertMatchesPublished(result.adjustedResiduals[0][1], 0.6994517, "stdres Female Independent");
+        assertMatchesPublished(result.adjustedResiduals[0][2], -5.3159455, "stdres Female Republican");
+        assertMatchesPublished(result.expected[0][0], 703.6714, "expected");
+        assertMatchesPublished(result.cramersV, 0.1044, "Cramér's V");
+        assert.equal(result.yates, undefined);
+    });
+
+    it("applies Yates' correction to a 2×2 table", () => {
+        const result = calculateChiSquareIndependence(TEA_TASTING);
+        assertSignificantDigits(result.statistic, 2, 12, "X-squared");
+        assertMatchesPublished(result.pValue, 0.1573, "p");
+        assertSignificantDigits(result.yates.statistic, 0.5, 12, "Yates X-squared");
+        assertMatchesPublished(result.yates.pValue, 0.4795, "Yates p");
+        assert.equal(result.smallExpectedCount, 4);
+    });
+
+    it("rejects tables it cannot test", () => {
+        assert.ok(calculateChiSquareIndependence([[1, 2, 3]]).error);
+        assert.ok(calculateChiSquareIndependence([[1, 2], [3]]).error);
+        assert.ok(calculateChiSquareIndependence([[1, 0], [3, 0]]).error);
+    });
+});
+
+describe("calculateFisherExact", () => {
+    it("matches R's fisher.test for the tea tasting experiment", () => {
+        const result = calculateFisherExact(TEA_TASTING);
+        assertMatchesPublished(result.pValue, 0.4857, "p");
+        assert.equal(result.oddsRatio, 9);
+    });
+
+    it("counts tables as likely as the observed one in the two-sided p-value", () => {
+        // fisher.test(matrix(c(1, 11, 9, 3), 2)) gives p = 0.002759
+        assertMatchesPublished(calculateFisherExact([[1, 9], [11, 3]]).pValue, 0.002759, "p");
+        assert.equal(calculateFisherExact([[2, 0], [0, 2]]).oddsRatio, Infinity);
+    });
+
+    it("rejects tables that are not 2×2", () => {
+        assert.ok(calculateFisherExact(PARTY_BY_GENDER.counts).error);
+    });
+});
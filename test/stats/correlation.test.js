@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { calculateCorrelation, calculateCorrelationMatrix, studentTCdf } from "../../assets/js/stats/index.js";
+import { CARS, STACKLOSS } from "../fixtures/reference-data.js";
+import { assertMatchesPublished } from "../helpers.js";
+
+describe("calculateCorrelation", () => {
+    it("matches R's cor.test(cars$speed, cars$dist)", () => {
+        const result = calculateCorrelation(CARS.speed, CARS.dist);
+        assertMatchesPublished(result.coefficient, 0.8068949, "r");
+        assertMatchesPublished(result.statistic, 9.464, "t");
+        assert.equal(result.df, 48);
+        assertMatchesPublished(result.pValue, 1.490e-12, "p");
+        assertMatchesPublished(result.ciLower, 0.6816422, "CI lower");
+        assertMatchesPublished(result.ciUpper, 0.8862036, "CI upper");
+    });
+
+    it("matches R's Spearman and Kendall coefficients for cars", () => {
+        assertMatchesPublished(calculateCorrelation(CARS.speed, CARS.dist, "spearman").coefficient, 0.8303568, "rho");
+        const kendall = calculateCorrelation(CARS.speed, CARS.dist, "kendall");
+        assertMatchesPublished(kendall.coefficient, 0.6689901, "tau");
+        assert.equal(kendall.statisticName, "z");
+        assert.equal(kendall.pMethod, "normal approximation");
+    });
+
+    it("uses Kendall's exact distribution without ties", () => {
+        // One discordant pair among five: P(≤ 1 inversion) = 5 / 5!, doubled
+        const result = calculateCorrelation([1, 2, 3, 4, 5], [1, 3, 2, 4, 5], "kendall");
+        assert.equal(result.pMethod, "exact");
+        assertMatchesPublished(result.coefficient, 0.8, "tau");
+        assert.ok(Math.abs(result.pValue - 2 * (1 + 4) / 120) < 1e-14);
+    });
+
+    it("keeps the p-value of a very strong correlation above zero", () => {
+        const x = Array.from({ length: 30 }, (_, i) => i + 1);
+        const result = calculateCorrelation(x, x.map((v, i) => v + (i % 2 === 0 ? 0.01 : -0.01)));
+        assert.ok(result.pValue > 0 && result.pValue < 1e-16, `p = ${result.pValue}`);
+        assert.equal(result.pValue, 2 * studentTCdf(-Math.abs(result.statistic), 28));
+    });
+
+    it("rejects unequal lengths and constant variables", () => {
+        assert.ok(calculateCorrelation([1, 2, 3], [1, 2]).error);
+        assert.ok(calculateCorrelation([1, 2, 3], [4, 4, 4]).error);
+    });
+});
+
+describe("calculateCorrelationMatrix", () => {
+    it("correlates every pair once", () => {
+        const result = calculateCorrelationMatrix([STACKLOSS.airFlow, STACKLOSS.waterTemp, STACKLOSS.stackLoss]);
+        assert.deepEqual(result.pairs.map(pair => pair.groups), [[0, 1], [0, 2], [1, 2]]);
+        // cor(stackloss)
+        assertMatchesPublished(result.pairs[0].coefficient, 0.7818523, "Air.Flow ~ Water.Temp");
+        assertMatchesPublished(result.pairs[1].coefficient, 0.9196635, "Air.Flow ~ stack.loss");
+    });
+
+    it("reports a pair of unequal length without failing the others", () => {
+        const result = calculateCorrelationMatrix([[1, 2, 3, 4], [2, 4, 5, 9], [1, 2, 3]]);
+        assert.equal(result.pairs[0].error, undefined);
+        assert.ok(result.pairs[1].error);
+        assert.ok(calculateCorrelationMatrix([[1, 2, 3]]).error);
+    });
+});
@@ -0,0 +1,191 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    summation,
+    calculateMean,
+    calculateSumOfSquares,
+    calculateVariance,
+    calculateSD,
+    calculateQuantile,
+    calculateMedian,
+    calculateMeanCI,
+    calculateMode,
+    calculateSkewness,
+    calculateKurtosis,
+    calculateTrimmedMean,
+    calculateGeometricMean,
+    calculateHarmonicMean,
+    calculateDescriptiveSummary,
+    rankWithTies
+} from "../../assets/js/stats/index.js";
+import { NUMACC_DATASETS } from "../fixtures/nist-strd.js";
+import { SLEEP } from "../fixtures/reference-data.js";
+import { assertSignificantDigits, assertMatchesPublished } from "../helpers.js";
+
+describe("NIST StRD univariate summary statistics", () => {
+    NUMACC_DATASETS.forEach(({ name, difficulty, minimumLRE, values, certified }) => {
+        it(`${name} (${difficulty} difficulty) to ${minimumLRE} significant digits`, () => {
+            assertSignificantDigits(calculateMean(values), certified.mean, minimumLRE, "mean");
+            assertSignificantDigits(calculateSD(values, "sample"), certified.sd, minimumLRE, "sd");
+        });
+    });
+});
+
+describe("summation", () => {
+    it("compensates for cancellation", () => {
+        assert.equal(summation([1e16, 1, -1e16]), 1);
+        assert.equal(summation(new Array(10).fill(0.1)), 1);
+    });
+
+    it("parses numeric strings", () => {
+        assert.equal(summation(["1.5", "2.5"]), 4);
+    });
+});
+
+describe("calculateMean", () => {
+    it("returns a number", () => {
+        assert.equal(calculateMean(SLEEP.drug1), 0.75);
+        assert.equal(calculateMean(SLEEP.drug2), 2.33);
+    });
+
+    it("returns 0 for an empty dataset", () => {
+        assert.equal(calculateMean([]), 0);
+    });
+});
+
+describe("calculateVariance and calculateSD", () => {
+    it("match R's var() and sd()", () => {
+        assertMatchesPublished(calculateVariance(SLEEP.drug1), 3.200556);
+        assertMatchesPublished(calculateSD(SLEEP.drug1, "sample"), 1.78901);
+    });
+
+    it("divide by n for the population variance", () => {
+        assert.equal(calculateVariance([2, 4, 4, 4, 5, 5, 7, 9], "population"), 4);
+        assert.equal(calculateSD([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+    });
+
+    it("are zero for constant data", () => {
+        assert.equal(calculateSumOfSquares([3, 3, 3]), 0);
+        assert.equal(calculateSD([3, 3, 3], "sample"), 0);
+    });
+
+    it("return NaN for a sample variance of a single value", () => {
+        assert.ok(Number.isNaN(calculateVariance([5])));
+        assert.ok(Number.isNaN(calculateSD([5], "sample")));
+        assert.equal(calculateSD([5], "population"), 0);
+    });
+});
+
+describe("calculateQuantile and calculateMedian", () => {
+    it("interpolate between order statistics like R's quantile(type = 7)", () => {
+        const sorted = [1, 2, 3, 4, 10];
+        assert.equal(calculateQuantile(sorted, 0), 1);
+        assert.equal(calculateQuantile(sorted, 0.25), 2);
+        assert.equal(calculateQuantile(sorted, 0.875), 7);
+        assert.equal(calculateQuantile(sorted, 1), 10);
+    });
+
+    it("calculate the median of unsorted data", () => {
+        assert.equal(calculateMedian([5, 1, 3]), 3);
+        assert.equal(calculateMedian([4, 1, 3, 2]), 2.5);
+        assert.ok(Number.isNaN(calculateMedian([])));
+    });
+});
+
+describe("calculateMeanCI", () => {
+    it("matches the interval from R's t.test()", () => {
+        const [lower, upper] = calculateMeanCI(SLEEP.drug1, 0.95);
+        assertMatchesPublished(lower, -0.5297804);
+        assertMatchesPublished(upper, 2.0297804);
+    });
+
+    it("collapses to the mean for constant data", () => {
+        assert.deepEqual(calculateMeanCI([2, 2, 2]), [2, 2]);
+    });
+
+    it("returns null for fewer than 2 values", () => {
+        assert.equal(calculateMeanCI([1]), null);
+        assert.equal(calculateMeanCI([]), null);
+    });
+});
+
+describe("shape statistics against Excel's documented examples", () => {
+    const data = [3, 4, 5, 2, 3, 4, 5, 6, 4, 7];
+
+    it("calculates SKEW and KURT", () => {
+        assertMatchesPublished(calculateSkewness(data), 0.359543, "skewness");
+        assertMatchesPublished(calculateKurtosis(data), -0.151799637, "kurtosis");
+    });
+
+    it("calculates GEOMEAN and HARMEAN", () => {
+        assertMatchesPublished(calculateGeometricMean([4, 5, 8, 7, 11, 4, 3]), 5.476987, "geometric mean");
+        assertMatchesPublished(calculateHarmonicMean([4, 5, 8, 7, 11, 4, 3]), 5.028376, "harmonic mean");
+    });
+
+    it("calculates TRIMMEAN", () => {
+        // TRIMMEAN(…, 0.2) trims 10% from each end
+        assertMatchesPublished(calculateTrimmedMean([4, 5, 6, 7, 2, 3, 4, 5, 1, 2, 3], 0.1), 3.777778, "trimmed mean");
+    });
+
+    it("is undefined for too few values or constant data", () => {
+        assert.ok(Number.isNaN(calculateSkewness([1, 2])));
+        assert.ok(Number.isNaN(calculateKurtosis([1, 2, 3])));
+        assert.ok(Number.isNaN(calculateSkewness([4, 4, 4, 4])));
+    });
+
+    it("requires positive values for the geometric and harmonic means", () => {
+        assert.ok(Number.isNaN(calculateGeometricMean([1, 0, 3])));
+        assert.ok(Number.isNaN(calculateHarmonicMean([2, -1, 3])));
+    });
+});
+
+describe("calculateMode", () => {
+    it("returns every most frequent value", () => {
+        assert.deepEqual(calculateMode([3, 1, 3, 2, 1]), [1, 3]);
+    });
+
+    it("returns no mode when no value repeats", () => {
+        assert.deepEqual(calculateMode([1, 2, 3]), []);
+    });
+});
+
+describe("calculateDescriptiveSummary", () => {
+    it("combines every statistic", () => {
+        const summary = calculateDescriptiveSummary([3, 4, 5, 2, 3, 4, 5, 6, 4, 7]);
+        assert.equal(summary.n, 10);
+        assert.equal(summary.mean, 4.3);
+        assert.equal(summary.median, 4);
+        assert.deepEqual([summary.q1, summary.q3, summary.iqr], [3.25, 5, 1.75]);
+        assert.deepEqual(summary.modes, [4]);
+        assertMatchesPublished(summary.se, 0.4725816, "SEM");
+        assertMatchesPublished(summary.cv, 0.3475428, "CV");
+        assert.equal(summary.trimmedMean, 4.25);
+        assert.deepEqual([summary.min, summary.max, summary.range], [2, 7, 5]);
+    });
+
+    it("leaves statistics that need more values undefined", () => {
+        const summary = calculateDescriptiveSummary([5]);
+        assert.equal(summary.mean, 5);
+        assert.ok(Number.isNaN(summary.sd));
+        assert.ok(Number.isNaN(summary.se));
+        assert.ok(Number.isNaN(summary.skewness));
+    });
+
+    it("leaves the coefficient of variation undefined for a zero mean", () => {
+        assert.ok(Number.isNaN(calculateDescriptiveSummary([-1, 0, 1]).cv));
+    });
+});
+
+describe("rankWithTies", () => {
+    it("gives tied values their average rank", () => {
+        assert.deepEqual(rankWithTies([10, 20, 10, 30, 20, 20]), {
+            ranks: [1.5, 4, 1.5, 6, 4, 4],
+            tieSizes: [2, 3]
+        });
+    });
+
+    it("reports no ties for distinct values", () => {
+        assert.deepEqual(rankWithTies([3, 1, 2]).tieSizes, []);
+    });
+});
@@ -0,0 +1,193 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    logGamma,
+    regularizedGammaP,
+    regularizedBeta,
+    normalCdf,
+    normalInv,
+    studentTCdf,
+    studentTInv,
+    fCdf,
+    fSurvival,
+    fInv,
+    chiSquareCdf,
+    chiSquareSurvival,
+    studentizedRangeCdf,
+    studentizedRangeInv,
+    noncentralTCdf,
+    noncentralFCdf
+} from "../../assets/js/stats/index.js";
+import { assertSignificantDigits, assertMatchesPublished } from "../helpers.js";
+
+// The distributions are checked against closed forms where they exist, which are exact to
+// double precision, and against R's published quantiles otherwise.
+
+describe("logGamma", () => {
+    it("matches ln((n - 1)!) for integers", () => {
+        assert.ok(Math.abs(logGamma(1)) < 1e-14);
+        assertSignificantDigits(logGamma(5), Math.log(24), 13);
+        assertSignificantDigits(logGamma(21), Math.log(2432902008176640000), 13);
+    });
+
+    it("matches Γ(1/2) = √π, including through the reflection formula", () => {
+        assertSignificantDigits(logGamma(0.5), 0.5 * Math.log(Math.PI), 13);
+        assertSignificantDigits(logGamma(0.25), Math.log(3.6256099082219083), 13);
+    });
+});
+
+describe("incomplete gamma and beta functions", () => {
+    it("regularizedGammaP(1, x) = 1 - e^-x", () => {
+        [0.1, 1, 5, 30].forEach(x => assertSignificantDigits(regularizedGammaP(1, x), -Math.expm1(-x), 13, `x = ${x}`));
+    });
+
+    it("regularizedBeta(x, a, 1) = x^a", () => {
+        [[0.3, 2], [0.9, 0.5], [0.01, 7]].forEach(([x, a]) =>
+            assertSignificantDigits(regularizedBeta(x, a, 1), Math.pow(x, a), 13, `x = ${x}, a = ${a}`));
+    });
+
+    it("is 0 and 1 at the ends of the range", () => {
+        assert.equal(regularizedBeta(0, 2, 3), 0);
+        assert.equal(regularizedBeta(1, 2, 3), 1);
+        assert.equal(regularizedGammaP(2, 0), 0);
+    });
+});
+
+describe("normal distribution", () => {
+    it("matches R's pnorm() and qnorm()", () => {
+        assertMatchesPublished(normalCdf(1.96), 0.9750021);
+        assertMatchesPublished(normalCdf(-10), 7.619853e-24);
+        assertMatchesPublished(normalInv(0.975), 1.959964);
+        assertMatchesPublished(normalInv(1e-20), -9.262340);
+    });
+
+    it("applies the mean and standard deviation", () => {
+        assert.equal(normalCdf(100, 100, 15), 0.5);
+        assertSignificantDigits(normalInv(0.975, 100, 15), 100 + 15 * normalInv(0.975), 14);
+    });
+
+    it("inverts its own CDF", () => {
+        [1e-10, 0.001, 0.3, 0.5, 0.8, 0.999999].forEach(p =>
+            assertSignificantDigits(normalCdf(normalInv(p)), p, 12, `p = ${p}`));
+    });
+
+    it("returns infinities at the ends of the range", () => {
+        assert.equal(normalInv(0), -Infinity);
+        assert.equal(normalInv(1), Infinity);
+    });
+});
+
+describe("Student's t distribution", () => {
+    it("matches the closed forms for 1 and 2 degrees of freedom", () => {
+        [-30, -2, 0.5, 4].forEach(t => {
+            assertSignificantDigits(studentTCdf(t, 1), 0.5 + Math.atan(t) / Math.PI, 13, `t = ${t}, df = 1`);
+            assertSignificantDigits(studentTCdf(t, 2), 0.5 + t / (2 * Math.sqrt(2 + t * t)), 13, `t = ${t}, df = 2`);
+        });
+    });
+
+    it("matches R's qt()", () => {
+        assertMatchesPublished(studentTInv(0.975, 10), 2.228139);
+        assertMatchesPublished(studentTInv(0.025, 30), -2.042272);
+    });
+
+    it("approaches the normal distribution for large and infinite df", () => {
+        assertMatchesPublished(studentTInv(0.975, 1e6), 1.959966);
+        assertSignificantDigits(studentTInv(0.975, Infinity), normalInv(0.975), 15);
+        assertSignificantDigits(studentTCdf(1.5, Infinity), normalCdf(1.5), 15);
+    });
+
+    it("handles infinite t and invalid df", () => {
+        assert.equal(studentTCdf(Infinity, 5), 1);
+        assert.equal(studentTCdf(-Infinity, 5), 0);
+        assert.equal(studentTInv(1, 5), Infinity);
+        assert.ok(Number.isNaN(studentTInv(0.9, 0)));
+        assert.ok(Number.isNaN(studentTInv(0.9, NaN)));
+    });
+});
+
+describe("F and chi-square distributions", () => {
+    it("match the closed forms for 2 degrees of freedom", () => {
+        // P(F > x | 2, d) = (1 + 2x / d)^(-d / 2); P(χ² > x | 2) = e^(-x / 2)
+        [0.5, 3, 12].forEach(x => {
+            assertSignificantDigits(fSurvival(x, 2, 10), Math.pow(1 + x / 5, -5), 13, `F = ${x}`);
+            assertSignificantDigits(chiSquareSurvival(x, 2), Math.exp(-x / 2), 13, `χ² = ${x}`);
+        });
+    });
+
+    it("keep precision deep in the upper tail", () => {
+        assertSignificantDigits(fSurvival(200, 2, 40), Math.pow(11, -20), 12);
+        assertSignificantDigits(chiSquareSurvival(100, 2), Math.exp(-50), 12);
+    });
+
+    it("are complementary to their CDFs", () => {
+        assertSignificantDigits(fCdf(2.5, 3, 17) + fSurvival(2.5, 3, 17), 1, 15);
+        assertSignificantDigits(chiSquareCdf(7, 4) + chiSquareSurvival(7, 4), 1, 15);
+    });
+
+    it("match R's pchisq()", () => {
+        assertMatchesPublished(chiSquareSurvival(3.84, 1), 0.05004352);
+    });
+
+    it("inverts the F CDF", () => {
+        [[0.95, 3, 76], [0.5, 1, 4], [0.999, 10, 2.5]].forEach(([p, df1, df2]) =>
+            assertSignificantDigits(fCdf(fInv(p, df1, df2), df1, df2), p, 11, `p = ${p}, df = ${df1}, ${df2}`));
+        assertMatchesPublished(fInv(0.95, 2, 10), 4.102821);
+        assert.ok(Number.isNaN(fInv(0.95, 0, 10)));
+    });
+});
+
+describe("noncentral t and F distributions", () => {
+    it("reduce to the central distributions when the noncentrality is zero", () => {
+        assert.equal(noncentralTCdf(2.5, 10, 0), studentTCdf(2.5, 10));
+        assert.equal(noncentralFCdf(3, 4, 20, 0), fCdf(3, 4, 20));
+    });
+
+    it("noncentral t at zero is the normal probability of a negative shift", () => {
+        // T ≤ 0 exactly when Z + δ ≤ 0
+        [[10, 1.5], [3.5, -0.7], [60, 4]].forEach(([df, ncp]) =>
+            assertSignificantDigits(noncentralTCdf(0, df, ncp), normalCdf(-ncp), 12, `df = ${df}, δ = ${ncp}`));
+    });
+
+    it("noncentral t matches numerical integration over the chi distribution", () => {
+        assertSignificantDigits(noncentralTCdf(2.5, 7.3, 1.2), 0.8469817646086284, 11);
+        assertSignificantDigits(noncentralTCdf(-1.1, 3.5, 0.7), 0.05388570322268555, 11);
+        assertSignificantDigits(noncentralTCdf(4, 25, 3.3), 0.7168195729248525, 11);
+    });
+
+    it("noncentral F with 1 numerator df is the square of noncentral t", () => {
+        // F' = T'² with λ = δ², so P(F' ≤ x) = P(−√x ≤ T' ≤ √x)
+        [[4, 12, 1.5], [0.5, 30, 2], [9, 5, 0.8]].forEach(([x, df, ncp]) =>
+            assertSignificantDigits(noncentralFCdf(x, 1, df, ncp * ncp),
+                noncentralTCdf(Math.sqrt(x), df, ncp) - noncentralTCdf(-Math.sqrt(x), df, ncp), 11, `x = ${x}, df = ${df}`));
+    });
+
+    it("match the power calculations of R's power.t.test() and pwr.anova.test()", () => {
+        // power.t.test(n = 20, delta = 1) counts the upper rejection region only
+        assertMatchesPublished(1 - noncentralTCdf(studentTInv(0.975, 38), 38, Math.sqrt(10)), 0.8689528);
+        // pwr.anova.test(k = 4, n = 20, f = 0.28): λ = f² × 80
+        assertMatchesPublished(1 - noncentralFCdf(fInv(0.95, 3, 76), 3, 76, 0.28 * 0.28 * 80), 0.5149793);
+    });
+});
+
+describe("studentized range distribution", () => {
+    it("reduces to the t distribution for 2 groups", () => {
+        // Q = |T| · √2 when k = 2, so P(Q ≤ q) = 2 · P(T ≤ q / √2) - 1
+        [[1, 5], [3, 12], [4.5, 30]].forEach(([q, df]) =>
+            assertSignificantDigits(studentizedRangeCdf(q, 2, df), 2 * studentTCdf(q / Math.SQRT2, df) - 1, 8, `q = ${q}, df = ${df}`));
+    });
+
+    it("matches R's qtukey()", () => {
+        assertMatchesPublished(studentizedRangeInv(0.95, 3, 12), 3.772929);
+    });
+
+    it("inverts its own CDF", () => {
+        [[0.9, 4, 20], [0.95, 6, 66], [0.99, 3, 8.5]].forEach(([p, k, df]) =>
+            assertSignificantDigits(studentizedRangeCdf(studentizedRangeInv(p, k, df), k, df), p, 9, `p = ${p}, k = ${k}, df = ${df}`));
+    });
+
+    it("returns NaN for invalid parameters", () => {
+        assert.ok(Number.isNaN(studentizedRangeInv(0.95, 3, 1)));
+        assert.ok(Number.isNaN(studentizedRangeInv(0.95, 1, 10)));
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { solveLinearSystem, kroneckerProduct, invertMatrix, calculateDeterminant } from "../../assets/js/stats/index.js";
+
+describe("solveLinearSystem", () => {
+    it("solves a system that needs pivoting", () => {
+        const x = solveLinearSystem([[0, 2, 1], [1, 1, 1], [2, 1, 0]], [7, 6, 4]);
+        [1, 2, 3].forEach((expected, i) => assert.ok(Math.abs(x[i] - expected) < 1e-12));
+    });
+
+    it("returns null for a singular matrix", () => {
+        assert.equal(solveLinearSystem([[1, 2], [2, 4]], [3, 6]), null);
+    });
+});
+
+describe("kroneckerProduct", () => {
+    it("multiplies every entry of P by the whole of Q", () => {
+        assert.deepEqual(kroneckerProduct([[1, -1]], [[0.5, 0.5]]), [[0.5, 0.5, -0.5, -0.5]]);
+        assert.deepEqual(kroneckerProduct([[1], [2]], [[1, 3]]), [[1, 3], [2, 6]]);
+    });
+});
+
+describe("invertMatrix", () => {
+    it("inverts a matrix that needs pivoting", () => {
+        const A = [[0, 2, 1], [1, 1, 1], [2, 1, 0]];
+        const inverse = invertMatrix(A);
+        A.forEach((row, i) => row.forEach((_, j) => {
+            const product = inverse[i].reduce((sum, v, k) => sum + v * A[k][j], 0);
+            assert.ok(Math.abs(product - (i === j ? 1 : 0)) < 1e-12);
+        }));
+    });
+
+    it("returns null for a singular matrix", () => {
+        assert.equal(invertMatrix([[1, 2], [2, 4]]), null);
+    });
+});
+
+describe("calculateDeterminant", () => {
+    it("tracks the sign of row swaps", () => {
+        assert.ok(Math.abs(calculateDeterminant([[0, 2, 1], [1, 1, 1], [2, 1, 0]]) - 3) < 1e-12);
+        assert.equal(calculateDeterminant([[0, 1], [1, 0]]), -1);
+    });
+
+    it("returns zero for a singular matrix", () => {
+        assert.equal(calculateDeterminant([[1, 2], [2, 4]]), 0);
+    });
+});
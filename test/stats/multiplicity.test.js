@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { adjustPValues } from "../../assets/js/stats/index.js";
+import { assertSignificantDigits } from "../helpers.js";
+
+// Reference values are from R: p.adjust(c(0.04, 0.001, 0.03, 0.2, 0.012), method)
+const P_VALUES = [0.04, 0.001, 0.03, 0.2, 0.012];
+
+/**
+ * Asserts that two arrays of p-values agree element by element.
+ * @param {Array<number>} actual - The computed p-values.
+ * @param {Array<number>} expected - The reference p-values.
+ * @param {string} label - Included in the failure message.
+ */
+const assertPValues = (actual, expected, label) => {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((p, i) => assertSignificantDigits(actual[i], p, 10, `${label} [${i}]`));
+};
+
+describe("adjustPValues", () => {
+    it("matches p.adjust for Bonferroni, Holm and Benjamini–Hochberg", () => {
+        assertPValues(adjustPValues(P_VALUES, "bonferroni"), [0.2, 0.005, 0.15, 1, 0.06], "bonferroni");
+        assertPValues(adjustPValues(P_VALUES, "holm"), [0.09, 0.005, 0.09, 0.2, 0.048], "holm");
+        assertPValues(adjustPValues(P_VALUES, "benjamini-hochberg"), [0.05, 0.005, 0.05, 0.2, 0.03], "BH");
+    });
+
+    it("leaves the p-values unchanged without a correction or with a single test", () => {
+        assert.deepEqual(adjustPValues(P_VALUES, "none"), P_VALUES);
+        assert.deepEqual(adjustPValues([0.03], "holm"), [0.03]);
+    });
+
+    it("gives tied p-values the same adjusted value", () => {
+        const [first, second] = adjustPValues([0.01, 0.01, 0.5], "holm");
+        assert.equal(first, second);
+        assertSignificantDigits(first, 0.03, 10, "tied");
+    });
+
+    it("skips missing p-values, as p.adjust does with NA", () => {
+        const adjusted = adjustPValues([0.01, NaN, 0.02], "bonferroni");
+        assert.ok(Number.isNaN(adjusted[1]));
+        assertPValues([adjusted[0], adjusted[2]], [0.02, 0.04], "bonferroni with NA");
+    });
+
+    it("returns an error for an unknown method", () => {
+        assert.ok(adjustPValues(P_VALUES, "sidak").error);
+    });
+});
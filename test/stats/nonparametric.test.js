@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { calculateMannWhitneyU, calculateWilcoxonSignedRank, calculateKruskalWallis } from "../../assets/js/stats/index.js";
+import { SLEEP, INSECT_SPRAYS } from "../fixtures/reference-data.js";
+import { assertSignificantDigits, assertMatchesPublished } from "../helpers.js";
+
+describe("calculateMannWhitneyU", () => {
+    it("matches R's wilcox.test(extra ~ group, data = sleep)", () => {
+        const result = calculateMannWhitneyU(SLEEP.drug1, SLEEP.drug2);
+        assert.equal(result.U, 25.5);
+        assertMatchesPublished(result.pValue, 0.06933, "p");
+        assert.equal(result.method, "normal approximation");
+        assert.equal(result.ties, true);
+    });
+
+    it("uses the exact distribution without ties", () => {
+        // Complete separation of 3 vs 3: P = 2 / C(6, 3)
+        const result = calculateMannWhitneyU([1, 2, 3], [4, 5, 6]);
+        assert.equal(result.U, 0);
+        assert.equal(result.method, "exact");
+        assert.equal(result.z, null);
+        assertSignificantDigits(result.pValue, 0.1, 14, "p");
+        assert.equal(result.rankBiserial, -1);
+    });
+
+    it("counts arrangements exactly for a partial overlap", () => {
+        const result = calculateMannWhitneyU([1.1, 2.2, 3.3, 4.4], [3.9, 5.5, 6.6, 7.7, 8.8]);
+        assert.equal(result.U, 1);
+        // P(U ≤ 1) = 2 / C(9, 4)
+        assertSignificantDigits(result.pValue, 2 * (2 / 126), 14, "p");
+    });
+});
+
+describe("calculateWilcoxonSignedRank", () => {
+    it("matches R's wilcox.test(drug1, drug2, paired = TRUE)", () => {
+        const result = calculateWilcoxonSignedRank(SLEEP.drug1, SLEEP.drug2);
+        assert.equal(result.wPlus, 0);
+        assert.equal(result.zeros, 1);
+        assertMatchesPublished(result.pValue, 0.009091, "p");
+    });
+
+    it("uses the exact distribution without ties or zeros", () => {
+        // Every difference negative with n = 5: P = 2 / 2⁵
+        const result = calculateWilcoxonSignedRank([1, 2, 3, 4, 5], [2, 4, 6, 8, 10.5]);
+        assert.equal(result.method, "exact");
+        assert.equal(result.wMinus, 15);
+        assert.equal(result.pValue, 0.0625);
+        assert.equal(result.rankBiserial, -1);
+    });
+
+    it("rejects unequal lengths and all-zero differences", () => {
+        assert.ok(calculateWilcoxonSignedRank([1, 2], [1]).error);
+        assert.ok(calculateWilcoxonSignedRank([1, 2], [1, 2]).error);
+    });
+});
+
+describe("calculateKruskalWallis", () => {
+    it("matches R's kruskal.test(count ~ spray, data = InsectSprays)", () => {
+        const result = calculateKruskalWallis(Object.values(INSECT_SPRAYS));
+        assertMatchesPublished(result.H, 54.691, "H");
+        assert.equal(result.df, 5);
+        assertMatchesPublished(result.pValue, 1.511e-10, "p");
+        assert.equal(result.meanRanks.length, 6);
+        assert.equal(result.dunn.length, 15);
+    });
+
+    it("bounds Dunn's adjusted p-values by 1", () => {
+        const result = calculateKruskalWallis(Object.values(INSECT_SPRAYS));
+        result.dunn.forEach(c => {
+            assert.ok(c.adjustedPValue <= 1);
+            assert.ok(c.adjustedPValue >= c.pValue);
+        });
+    });
+
+    it("returns H = 0 when every value is tied", () => {
+        const result = calculateKruskalWallis([[1, 1], [1, 1]]);
+        assert.equal(result.H, 0);
+        assert.equal(result.pValue, 1);
+    });
+
+    it("rejects fewer than 2 groups", () => {
+        assert.ok(calculateKruskalWallis([[1, 2, 3]]).error);
+    });
+});
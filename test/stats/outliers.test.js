@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { calculateGrubbsTest, detectOutliers, handleOutliers } from "../../assets/js/stats/index.js";
+import { TIETJEN_MOORE } from "../fixtures/reference-data.js";
+import { assertSignificantDigits, assertMatchesPublished } from "../helpers.js";
+
+describe("calculateGrubbsTest against the NIST e-Handbook example", () => {
+    it("matches the statistic and the two-sided critical value", () => {
+        const result = calculateGrubbsTest(TIETJEN_MOORE, 0.05);
+        assertSignificantDigits(result.G, 2.4687, 4, "G");
+        assertMatchesPublished(result.critical, 2.1266, "critical value");
+        assert.equal(result.value, 245.57);
+        assert.equal(result.outlier, true);
+        assert.ok(result.pValue < 0.05);
+    });
+
+    it("matches the one-sided critical value at α = 0.05 (two-sided α = 0.10)", () => {
+        assertMatchesPublished(calculateGrubbsTest(TIETJEN_MOORE, 0.1).critical, 2.0317, "critical value");
+    });
+
+    it("keeps the p-value of an extreme outlier above zero", () => {
+        const values = [...Array.from({ length: 20 }, (_, i) => i % 2 === 0 ? -0.001 : 0.001), 1000];
+        const { pValue } = calculateGrubbsTest(values, 0.05);
+        assert.ok(pValue > 0 && pValue < 1e-16, `p = ${pValue}`);
+    });
+
+    it("rejects constant data and fewer than 3 values", () => {
+        assert.ok(calculateGrubbsTest([1, 1, 1]).error);
+        assert.ok(calculateGrubbsTest([1, 2]).error);
+    });
+});
+
+describe("detectOutliers", () => {
+    it("flags values outside Tukey's fences", () => {
+        // Q1 = 2.25, Q3 = 4.75, IQR = 2.5: fences -1.5 and 8.5
+        const result = detectOutliers([1, 2, 3, 4, 5, 20], "iqr");
+        assert.equal(result.lowerBound, -1.5);
+        assert.equal(result.upperBound, 8.5);
+        assert.deepEqual(result.flagged, [5]);
+    });
+
+    it("flags values more than k standard deviations from the mean", () => {
+        const result = detectOutliers([1, 2, 3, 4, 5], "z-score", 1.2);
+        // mean 3, s = √2.5
+        assertSignificantDigits(result.upperBound, 3 + 1.2 * Math.sqrt(2.5), 14, "upper bound");
+        assert.deepEqual(result.flagged, [0, 4]);
+    });
+
+    it("uses the MAD for modified z-scores", () => {
+        // median 4, MAD 2: flagged when |x - 4| > 3.5 · 2 / 0.6745
+        const result = detectOutliers([1, 2, 3, 4, 5, 6, 20], "modified-z");
+        assertSignificantDigits(result.upperBound, 4 + 7 / 0.6745, 14, "upper bound");
+        assert.deepEqual(result.flagged, [6]);
+    });
+
+    it("falls back to the mean absolute deviation when the MAD is 0", () => {
+        const result = detectOutliers([3, 3, 3, 3, 3, 10], "modified-z");
+        assert.deepEqual(result.flagged, [5]);
+    });
+
+    it("repeats Grubbs' test until the most extreme value is not an outlier", () => {
+        const result = detectOutliers(TIETJEN_MOORE, "grubbs");
+        assert.deepEqual(result.flagged, [7]);
+        assert.equal(result.steps.length, 2);
+        assert.equal(result.steps[1].outlier, false);
+    });
+
+    it("rejects an unknown method", () => {
+        assert.ok(detectOutliers([1, 2, 3, 4], "dixon").error);
+    });
+});
+
+describe("handleOutliers", () => {
+    const data = [1, 2, 3, 4, 100, -50];
+
+    it("keeps flagged values unchanged", () => {
+        assert.deepEqual(handleOutliers(data, [4, 5], "keep").values, data);
+    });
+
+    it("excludes flagged values", () => {
+        const result = handleOutliers(data, [4, 5], "exclude");
+        assert.deepEqual(result.values, [1, 2, 3, 4]);
+        assert.deepEqual(result.changes, [{ value: 100, replacement: null }, { value: -50, replacement: null }]);
+    });
+
+    it("winsorizes flagged values to the nearest retained value", () => {
+        const result = handleOutliers(data, [4, 5], "winsorize");
+        assert.deepEqual(result.values, [1, 2, 3, 4, 4, 1]);
+        assert.deepEqual(result.changes.map(c => c.replacement), [4, 1]);
+    });
+});
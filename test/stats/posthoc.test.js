@@ -0,0 +1,103 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { calculatePostHoc, calculateTtest, studentTCdf } from "../../assets/js/stats/index.js";
+import { INSECT_SPRAYS, SLEEP } from "../fixtures/reference-data.js";
+import { assertSignificantDigits, assertMatchesPublished } from "../helpers.js";
+
+describe("Tukey HSD against R's TukeyHSD(aov(count ~ spray, data = InsectSprays))", () => {
+    const { comparisons } = calculatePostHoc(Object.values(INSECT_SPRAYS), "tukey", 0.95);
+    // R reports B-A, C-A, …; the library reports A vs B as mean(A) - mean(B)
+    const find = (i, j) => comparisons.find(c => c.groups[0] === i && c.groups[1] === j);
+
+    it("compares every pair once", () => {
+        assert.equal(comparisons.length, 15);
+    });
+
+    it("matches the differences, intervals and adjusted p-values", () => {
+        const ab = find(0, 1);
+        assertMatchesPublished(ab.meanDiff, -0.8333333, "A vs B diff");
+        assertMatchesPublished(ab.ciLower, -5.532742, "A vs B lwr");
+        assertMatchesPublished(ab.ciUpper, 3.866075, "A vs B upr");
+        assertMatchesPublished(ab.pValue, 0.9951810, "A vs B p");
+
+        const ac = find(0, 2);
+        assertMatchesPublished(ac.meanDiff, 12.4166667, "A vs C diff");
+        assertMatchesPublished(ac.ciLower, 7.717258, "A vs C lwr");
+        assertMatchesPublished(ac.ciUpper, 17.116075, "A vs C upr");
+
+        const af = find(0, 5);
+        assertMatchesPublished(af.pValue, 0.7542147, "A vs F p");
+    });
+
+    it("flags significant comparisons at alpha", () => {
+        assert.equal(find(0, 1).significant, false);
+        assert.equal(find(0, 2).significant, true);
+    });
+});
+
+describe("post-hoc comparisons with 2 groups", () => {
+    const groups = [SLEEP.drug1, SLEEP.drug2];
+
+    it("Bonferroni reduces to Student's t-test", () => {
+        const [comparison] = calculatePostHoc(groups, "bonferroni").comparisons;
+        const student = calculateTtest(groups, "student");
+        assertSignificantDigits(comparison.statistic, student.t, 13, "t");
+        assertSignificantDigits(comparison.pValue, student.pValue, 12, "p");
+        assertSignificantDigits(comparison.ciLower, student.ciLower, 12, "ciLower");
+    });
+
+    it("Games-Howell reduces to Welch's t-test", () => {
+        const [comparison] = calculatePostHoc(groups, "games-howell").comparisons;
+        const welch = calculateTtest(groups, "welch");
+        assertSignificantDigits(comparison.df, welch.df, 13, "df");
+        assertSignificantDigits(comparison.pValue, welch.pValue, 7, "p");
+        assertSignificantDigits(comparison.ciUpper, welch.ciUpper, 7, "ciUpper");
+    });
+
+    it("Tukey reduces to Student's t-test", () => {
+        const [comparison] = calculatePostHoc(groups, "tukey").comparisons;
+        const student = calculateTtest(groups, "student");
+        assertSignificantDigits(comparison.pValue, student.pValue, 7, "p");
+        assertSignificantDigits(comparison.ciLower, student.ciLower, 7, "ciLower");
+    });
+});
+
+describe("calculatePostHoc Bonferroni adjustment", () => {
+    it("multiplies the pooled-variance p-value by the number of comparisons, capped at 1", () => {
+        const groups = Object.values(INSECT_SPRAYS).slice(0, 3);
+        const { comparisons } = calculatePostHoc(groups, "bonferroni");
+        assert.equal(comparisons.length, 3);
+        assert.equal(comparisons[0].pValue, 1);
+        assert.ok(comparisons[1].pValue < 1e-6);
+    });
+});
+
+describe("calculatePostHoc Bonferroni precision", () => {
+    it("keeps the p-values of very large differences above zero", () => {
+        const { comparisons } = calculatePostHoc([[1, 1.01, 0.99], [100, 100.01, 99.99], [200, 200.01, 199.99]], "bonferroni");
+        comparisons.forEach(c => {
+            assert.ok(c.pValue > 0 && c.pValue < 1e-16, `p = ${c.pValue}`);
+            assert.equal(c.pValue, 2 * studentTCdf(-Math.abs(c.statistic), c.df) * 3);
+        });
+    });
+});
+
+describe("calculatePostHoc edge cases", () => {
+    it("gives an infinite statistic for distinct constant groups", () => {
+        const { comparisons } = calculatePostHoc([[1, 1], [2, 2], [2, 2]], "bonferroni");
+        assert.equal(comparisons[0].statistic, Infinity);
+        assert.equal(comparisons[0].pValue, 0);
+        assert.equal(comparisons[0].significant, true);
+        assert.deepEqual([comparisons[0].ciLower, comparisons[0].ciUpper], [-1, -1]);
+    });
+
+    it("rejects fewer than 2 groups or n = 1 groups", () => {
+        assert.ok(calculatePostHoc([[1, 2, 3]], "tukey").error);
+        assert.ok(calculatePostHoc([[1], [2, 3]], "tukey").error);
+    });
+
+    it("rejects an unknown method", () => {
+        assert.ok(calculatePostHoc([[1, 2], [3, 4]], "scheffe").error);
+    });
+});
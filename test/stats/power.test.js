@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { calculatePower, solvePowerAnalysis } from "../../assets/js/stats/index.js";
+import { assertMatchesPublished, assertSignificantDigits } from "../helpers.js";
+
+// Reference values are from R's pwr package (pwr.t.test and pwr.anova.test), which counts both
+// rejection regions of a two-sided test as the planner does.
+
+const TWO_SAMPLE = { test: "t-test", type: "two-sample", alternative: "two-sided" };
+
+describe("calculatePower", () => {
+    it("matches pwr.t.test for t-tests", () => {
+        assertMatchesPublished(calculatePower(TWO_SAMPLE, 0.5, 64, 0.05), 0.8014596, "two-sample");
+    });
+
+    it("matches pwr.anova.test for one-way ANOVA", () => {
+        assertMatchesPublished(calculatePower({ test: "anova-one-way", groups: 4 }, 0.28, 20, 0.05), 0.5149793);
+    });
+
+    it("gives a two-way main effect slightly less power than the same groups in a one-way design", () => {
+        // Both have λ = f² × N and 2 numerator df; the second factor only costs error df
+        const twoWay = calculatePower({ test: "anova-two-way", levelsA: 3, levelsB: 2, effect: "factorA" }, 0.25, 10, 0.05);
+        const oneWay = calculatePower({ test: "anova-one-way", groups: 3 }, 0.25, 20, 0.05);
+        assert.ok(twoWay < oneWay, "the second factor uses up error degrees of freedom");
+        assert.ok(oneWay - twoWay < 0.01);
+    });
+
+    it("uses the size of the effect regardless of its sign", () => {
+        assert.equal(calculatePower(TWO_SAMPLE, -0.5, 30, 0.05), calculatePower(TWO_SAMPLE, 0.5, 30, 0.05));
+    });
+
+    it("returns NaN for an unknown design", () => {
+        assert.ok(Number.isNaN(calculatePower({ test: "regression" }, 0.5, 30, 0.05)));
+    });
+});
+
+describe("solvePowerAnalysis", () => {
+    it("solves for the sample size and reports the power achieved", () => {
+        const result = solvePowerAnalysis(TWO_SAMPLE, { effectSize: 0.5, alpha: 0.05, power: 0.8 });
+        assert.equal(result.solvedFor, "n");
+        assertMatchesPublished(result.exactN, 63.76561, "exact n");
+        assert.equal(result.n, 64);
+        assert.equal(result.totalN, 128);
+        assert.equal(result.df, 126);
+        assertMatchesPublished(result.power, 0.8014596, "achieved power");
+    });
+
+    it("matches pwr for paired, one-sided and ANOVA sample sizes", () => {
+        assertMatchesPublished(solvePowerAnalysis({ test: "t-test", type: "paired", alternative: "two-sided" },
+            { effectSize: 0.3, alpha: 0.05, power: 0.8 }).exactN, 89.14936, "paired");
+        assertMatchesPublished(solvePowerAnalysis({ ...TWO_SAMPLE, alternative: "one-sided" },
+            { effectSize: 0.5, alpha: 0.05, power: 0.8 }).exactN, 50.15078, "one-sided");
+        assertMatchesPublished(solvePowerAnalysis({ test: "anova-one-way", groups: 4 },
+            { effectSize: 0.28, alpha: 0.05, power: 0.8 }).exactN, 35.75789, "one-way ANOVA");
+    });
+
+    it("solves for the effect size and alpha that give the desired power", () => {
+        const effect = solvePowerAnalysis(TWO_SAMPLE, { alpha: 0.05, power: 0.9, n: 40 });
+        assertSignificantDigits(calculatePower(TWO_SAMPLE, effect.effectSize, 40, 0.05), 0.9, 8, "power at the solved effect");
+        const alpha = solvePowerAnalysis({ test: "anova-two-way", levelsA: 2, levelsB: 3, effect: "interaction" },
+            { effectSize: 0.3, power: 0.8, n: 15 });
+        assert.equal(alpha.solvedFor, "alpha");
+        assert.equal(alpha.df1, 2);
+        assert.equal(alpha.df2, 84);
+        assertSignificantDigits(alpha.power, 0.8, 8, "power at the solved alpha");
+    });
+
+    it("needs exactly one unknown and valid known values", () => {
+        assert.ok(solvePowerAnalysis(TWO_SAMPLE, { effectSize: 0.5, alpha: 0.05 }).error);
+        assert.ok(solvePowerAnalysis(TWO_SAMPLE, { effectSize: 0.5, alpha: 0.05, power: 0.8, n: 20 }).error);
+        assert.ok(solvePowerAnalysis(TWO_SAMPLE, { effectSize: 0, alpha: 0.05, power: 0.8 }).error);
+        assert.ok(solvePowerAnalysis(TWO_SAMPLE, { effectSize: 0.5, alpha: 1.5, power: 0.8 }).error);
+        assert.ok(solvePowerAnalysis(TWO_SAMPLE, { effectSize: 0.5, alpha: 0.05, n: 1.5 }).error);
+        assert.ok(solvePowerAnalysis({ test: "anova-one-way", groups: 1 }, { effectSize: 0.5, alpha: 0.05, n: 10 }).error);
+    });
+
+    it("reports targets that cannot be reached", () => {
+        // Without an effect, the rejection rate is alpha whatever the sample size
+        assert.ok(solvePowerAnalysis(TWO_SAMPLE, { alpha: 0.05, power: 0.04, n: 20 }).error);
+        assert.ok(solvePowerAnalysis(TWO_SAMPLE, { effectSize: 0.1, power: 0.99, n: 5 }).error);
+    });
+});
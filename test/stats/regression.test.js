@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { calculateLinearRegression, studentTCdf } from "../../assets/js/stats/index.js";
+import { CARS, STACKLOSS } from "../fixtures/reference-data.js";
+import { assertMatchesPublished } from "../helpers.js";
+
+describe("calculateLinearRegression", () => {
+    it("matches R's summary(lm(dist ~ speed, data = cars))", () => {
+        const result = calculateLinearRegression(CARS.dist, [CARS.speed]);
+        const [intercept, slope] = result.coefficients;
+        assertMatchesPublished(intercept.estimate, -17.5791, "intercept");
+        assertMatchesPublished(intercept.standardError, 6.7584, "intercept SE");
+        assertMatchesPublished(intercept.pValue, 0.0123, "intercept p");
+        assertMatchesPublished(slope.estimate, 3.9324, "slope");
+        assertMatchesPublished(slope.standardError, 0.4155, "slope SE");
+        assertMatchesPublished(slope.t, 9.464, "slope t");
+        assertMatchesPublished(result.residualSE, 15.38, "residual SE");
+        assertMatchesPublished(result.rSquared, 0.6511, "R²");
+        assertMatchesPublished(result.adjustedRSquared, 0.6438, "adjusted R²");
+        assertMatchesPublished(result.F, 89.57, "F");
+        assert.equal(result.dfResidual, 48);
+    });
+
+    it("matches R's residual diagnostics for cars", () => {
+        const result = calculateLinearRegression(CARS.dist, [CARS.speed]);
+        // lmtest::bptest and lmtest::dwtest
+        assertMatchesPublished(result.breuschPagan.statistic, 3.2149, "BP");
+        assertMatchesPublished(result.breuschPagan.pValue, 0.07297, "BP p");
+        assertMatchesPublished(result.durbinWatson, 1.6762, "DW");
+        assert.equal(result.vif, null);
+        assert.equal(result.cooksDistance.length, 50);
+    });
+
+    it("matches R's summary(lm(stack.loss ~ ., data = stackloss))", () => {
+        const { airFlow, waterTemp, acidConc, stackLoss } = STACKLOSS;
+        const result = calculateLinearRegression(stackLoss, [airFlow, waterTemp, acidConc]);
+        const expected = [[-39.9197, 11.8960], [0.7156, 0.1349], [1.2953, 0.3680], [-0.1521, 0.1563]];
+        result.coefficients.forEach((coefficient, i) => {
+            assertMatchesPublished(coefficient.estimate, expected[i][0], `b${i}`);
+            assertMatchesPublished(coefficient.standardError, expected[i][1], `SE b${i}`);
+        });
+        assertMatchesPublished(result.coefficients[3].pValue, 0.34405, "Acid.Conc. p");
+        assertMatchesPublished(result.residualSE, 3.243, "residual SE");
+        assertMatchesPublished(result.rSquared, 0.9136, "R²");
+        assertMatchesPublished(result.adjustedRSquared, 0.8983, "adjusted R²");
+        assertMatchesPublished(result.F, 59.9, "F");
+        assertMatchesPublished(result.fPValue, 3.016e-9, "F p");
+        // car::vif
+        [2.906, 2.573, 1.334].forEach((vif, i) => assertMatchesPublished(result.vif[i], vif, `VIF ${i + 1}`));
+    });
+
+    it("keeps the p-values of very strong effects above zero", () => {
+        const x = Array.from({ length: 30 }, (_, i) => i + 1);
+        const y = x.map((v, i) => v + (i % 2 === 0 ? 0.01 : -0.01));
+        const slope = calculateLinearRegression(y, [x]).coefficients[1];
+        assert.ok(slope.pValue > 0 && slope.pValue < 1e-16, `p = ${slope.pValue}`);
+        assert.equal(slope.pValue, 2 * studentTCdf(-Math.abs(slope.t), 28));
+    });
+
+    it("rejects collinear and constant predictors and too few observations", () => {
+        assert.ok(calculateLinearRegression([1, 2, 3, 5], [[1, 2, 3, 4], [2, 4, 6, 8]]).error);
+        assert.ok(calculateLinearRegression([1, 2, 3, 5], [[1, 1, 1, 1]]).error);
+        assert.ok(calculateLinearRegression([1, 2], [[1, 2]]).error);
+        assert.ok(calculateLinearRegression([1, 2, 3], [[1, 2]]).error);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { estimateBoxCoxLambda, transformDatasets } from "../../assets/js/stats/index.js";
+import { assertSignificantDigits } from "../helpers.js";
+
+const GROUP_A = [1.2, 2.5, 3.1, 4.8, 9.6, 15.3];
+const GROUP_B = [2.2, 3.9, 6.5, 8.1, 14.7, 30.2];
+
+/**
+ * The Box–Cox profile log-likelihood with a separate mean per group, written out independently
+ * of the library.
+ * @param {Array<Array<number>>} groups - The positive values of each group.
+ * @param {number} lambda - The power λ.
+ * @returns {number} The log-likelihood.
+ */
+const profileLogLikelihood = (groups, lambda) => {
+    const N = groups.flat().length;
+    let sse = 0;
+    groups.forEach(group => {
+        const z = group.map(y => lambda === 0 ? Math.log(y) : (y ** lambda - 1) / lambda);
+        const mean = z.reduce((a, b) => a + b, 0) / z.length;
+        z.forEach(v => { sse += (v - mean) ** 2; });
+    });
+    return -(N / 2) * Math.log(sse / N) + (lambda - 1) * groups.flat().reduce((a, y) => a + Math.log(y), 0);
+};
+
+describe("estimateBoxCoxLambda", () => {
+    it("finds the maximum of the profile log-likelihood", () => {
+        const groups = [GROUP_A, GROUP_B];
+        let best = -Infinity;
+        let bestLambda = NaN;
+        for (let lambda = -2; lambda <= 2; lambda += 0.0005) {
+            const value = profileLogLikelihood(groups, lambda);
+            if (value > best) [best, bestLambda] = [value, lambda];
+        }
+        const result = estimateBoxCoxLambda(groups);
+        assert.ok(Math.abs(result.lambda - bestLambda) < 0.001, `λ ${result.lambda} vs grid ${bestLambda}`);
+        assertSignificantDigits(result.logLikelihood, best, 6, "log-likelihood");
+    });
+
+    it("halves λ when the data are squared, since y² with λ/2 is y with λ", () => {
+        const { lambda } = estimateBoxCoxLambda([GROUP_A]);
+        const squared = estimateBoxCoxLambda([GROUP_A.map(y => y * y)]);
+        assert.ok(Math.abs(squared.lambda - lambda / 2) < 1e-6, `${squared.lambda} vs ${lambda / 2}`);
+    });
+
+    it("rejects non-positive values", () => {
+        assert.ok(estimateBoxCoxLambda([[1, 2, 0]]).error);
+    });
+});
+
+describe("transformDatasets", () => {
+    it("applies the log, square root and min–max transformations", () => {
+        const [log, sqrt, minMax] = transformDatasets([[1, Math.E], [4, 9], [2, 4, 6]], ["log", "sqrt", "min-max"]);
+        assertSignificantDigits(log.values[1], 1, 12, "log");
+        assert.deepEqual(sqrt.values, [2, 3]);
+        assert.deepEqual(minMax.values, [0, 0.5, 1]);
+        assert.deepEqual(minMax.parameters, { min: 2, max: 6 });
+    });
+
+    it("standardises each dataset by its own mean and sample SD", () => {
+        const [result] = transformDatasets([[2, 4, 6]], ["z-score"]);
+        assert.deepEqual(result.values, [-1, 0, 1]);
+        assert.deepEqual(result.parameters, { mean: 4, sd: 2 });
+    });
+
+    it("ranks the datasets together with average ranks for ties", () => {
+        const [first, untouched, second] = transformDatasets([[10, 30], [5], [20, 30]], ["rank", "none", "rank"]);
+        assert.deepEqual(first.values, [1, 3.5]);
+        assert.deepEqual(second.values, [2, 3.5]);
+        assert.deepEqual(untouched.values, [5]);
+    });
+
+    it("shares one Box–Cox λ between datasets, estimated unless given", () => {
+        const [a, b] = transformDatasets([GROUP_A, GROUP_B], ["box-cox", "box-cox"]);
+        const { lambda } = estimateBoxCoxLambda([GROUP_A, GROUP_B]);
+        assert.equal(a.parameters.lambda, lambda);
+        assert.equal(b.parameters.estimated, true);
+        assertSignificantDigits(b.values[0], (2.2 ** lambda - 1) / lambda, 12, "Box–Cox");
+
+        const [fixed] = transformDatasets([GROUP_A], ["box-cox"], { lambda: 0 });
+        assert.deepEqual(fixed.values, GROUP_A.map(Math.log));
+        assert.equal(fixed.parameters.estimated, false);
+    });
+
+    it("returns an error for values outside a transformation's domain", () => {
+        const [log, sqrt, z] = transformDatasets([[0, 1], [-1, 4], [3, 3]], ["log", "sqrt", "z-score"]);
+        assert.ok(log.error);
+        assert.ok(sqrt.error);
+        assert.ok(z.error);
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { calculateTtest, studentTCdf } from "../../assets/js/stats/index.js";
+import { SLEEP } from "../fixtures/reference-data.js";
+import { assertMatchesPublished } from "../helpers.js";
+
+const samples = [SLEEP.drug1, SLEEP.drug2];
+
+describe("calculateTtest against R's t.test(extra ~ group, data = sleep)", () => {
+    it("Welch", () => {
+        const result = calculateTtest(samples, "welch");
+        assertMatchesPublished(result.t, -1.8608, "t");
+        assertMatchesPublished(result.df, 17.776, "df");
+        assertMatchesPublished(result.pValue, 0.07939, "p");
+        assertMatchesPublished(result.ciLower, -3.3654832, "ciLower");
+        assertMatchesPublished(result.ciUpper, 0.2054832, "ciUpper");
+        assertMatchesPublished(result.estimate, -1.58, "estimate");
+    });
+
+    it("Student (var.equal = TRUE)", () => {
+        const result = calculateTtest(samples, "student");
+        assertMatchesPublished(result.t, -1.8608, "t");
+        assert.equal(result.df, 18);
+        assertMatchesPublished(result.pValue, 0.07919, "p");
+        assertMatchesPublished(result.ciLower, -3.363874, "ciLower");
+        assertMatchesPublished(result.ciUpper, 0.203874, "ciUpper");
+    });
+
+    it("paired", () => {
+        const result = calculateTtest(samples, "paired");
+        assertMatchesPublished(result.t, -4.0621, "t");
+        assert.equal(result.df, 9);
+        assertMatchesPublished(result.pValue, 0.002833, "p");
+        assertMatchesPublished(result.ciLower, -2.4598858, "ciLower");
+        assertMatchesPublished(result.ciUpper, -0.7001142, "ciUpper");
+    });
+
+    it("one-sample", () => {
+        const result = calculateTtest([SLEEP.drug1], "one-sample", "two-sided", 0);
+        assertMatchesPublished(result.t, 1.3257, "t");
+        assertMatchesPublished(result.pValue, 0.2176, "p");
+        assertMatchesPublished(result.ciLower, -0.5297804, "ciLower");
+        assertMatchesPublished(result.ciUpper, 2.0297804, "ciUpper");
+    });
+});
+
+describe("calculateTtest alternatives", () => {
+    it("splits the two-sided p-value between the one-sided alternatives", () => {
+        const twoSided = calculateTtest(samples, "welch", "two-sided");
+        const less = calculateTtest(samples, "welch", "less");
+        const greater = calculateTtest(samples, "welch", "greater");
+        assert.ok(Math.abs(less.pValue - twoSided.pValue / 2) < 1e-12);
+        assert.ok(Math.abs(less.pValue + greater.pValue - 1) < 1e-12);
+    });
+
+    it("leaves the open side of a one-sided interval infinite", () => {
+        assert.equal(calculateTtest(samples, "welch", "less").ciLower, -Infinity);
+        assert.equal(calculateTtest(samples, "welch", "greater").ciUpper, Infinity);
+    });
+
+    it("tests against the hypothesised mean", () => {
+        const shifted = calculateTtest([SLEEP.drug1.map(v => v + 5)], "one-sample", "two-sided", 5);
+        const original = calculateTtest([SLEEP.drug1], "one-sample", "two-sided", 0);
+        assert.ok(Math.abs(shifted.t - original.t) < 1e-12);
+    });
+});
+
+describe("calculateTtest effect sizes", () => {
+    it("computes Cohen's d and Hedges' g", () => {
+        const result = calculateTtest(samples, "student");
+        // d = (0.75 - 2.33) / pooled SD, with sample variances 3.200556 and 4.009; g = d · (1 - 3 / (4 · 18 - 1))
+        assertMatchesPublished(result.cohensD, -0.83218, "d");
+        assert.ok(Math.abs(result.hedgesG - result.cohensD * (1 - 3 / 71)) < 1e-12);
+    });
+});
+
+describe("calculateTtest edge cases", () => {
+    it("returns raw numbers", () => {
+        const result = calculateTtest(samples, "welch");
+        ["t", "df", "pValue", "estimate", "standardError", "ciLower", "ciUpper", "cohensD", "hedgesG"]
+            .forEach(key => assert.equal(typeof result[key], "number", key));
+    });
+
+    it("gives an infinite t when both samples have zero variance", () => {
+        const result = calculateTtest([[1, 1, 1], [2, 2, 2]], "student");
+        assert.equal(result.t, -Infinity);
+        assert.equal(result.pValue, 0);
+        assert.equal(result.cohensD, -Infinity);
+        assert.deepEqual([result.ciLower, result.ciUpper], [-1, -1]);
+    });
+
+    it("gives t = 0 and p = 1 for identical constant samples", () => {
+        const result = calculateTtest([[4, 4], [4, 4]], "welch");
+        assert.equal(result.t, 0);
+        assert.equal(result.pValue, 1);
+        assert.equal(result.df, 2);
+    });
+
+    it("respects the alternative when t is infinite", () => {
+        assert.equal(calculateTtest([[1, 1, 1], [2, 2, 2]], "student", "greater").pValue, 1);
+        assert.equal(calculateTtest([[1, 1, 1], [2, 2, 2]], "student", "less").pValue, 0);
+    });
+
+    it("keeps the p-values of very strong effects above zero", () => {
+        const values = Array.from({ length: 30 }, (_, i) => 10 + (i % 2 === 0 ? 0.01 : -0.01));
+        const twoSided = calculateTtest([values], "one-sample");
+        assert.ok(twoSided.pValue > 0 && twoSided.pValue < 1e-16, `p = ${twoSided.pValue}`);
+        assert.equal(twoSided.pValue, 2 * studentTCdf(-Math.abs(twoSided.t), 29));
+        const greater = calculateTtest([values], "one-sample", "greater");
+        assert.ok(greater.pValue > 0 && greater.pValue < 1e-16, `p = ${greater.pValue}`);
+        assert.equal(calculateTtest([values], "one-sample", "less").pValue, studentTCdf(twoSided.t, 29));
+    });
+
+    it("rejects samples with fewer than 2 values", () => {
+        assert.ok(calculateTtest([[1], [2, 3]], "student").error);
+        assert.ok(calculateTtest([[1]], "one-sample").error);
+    });
+
+    it("rejects the wrong number of samples and unequal paired samples", () => {
+        assert.ok(calculateTtest([[1, 2]], "welch").error);
+        assert.ok(calculateTtest([[1, 2], [3, 4]], "one-sample").error);
+        assert.ok(calculateTtest([[1, 2], [3, 4, 5]], "paired").error);
+    });
+
+    it("rejects an unknown type", () => {
+        assert.ok(calculateTtest(samples, "bayesian").error);
+    });
+});